@@ -0,0 +1,56 @@
+/**
+ * accessibility.js
+ * Screen reader support shared by the question renderers
+ *
+ * Questions answered by dragging (ranking, multi-value slider, radar) can also
+ * be answered with the keyboard. The renderers describe the keys in hidden
+ * instructions linked with aria-describedby and announce every move in a
+ * polite live region, so screen reader users hear the new position.
+ */
+
+// ID of the live region shared by all questions
+const LIVE_REGION_ID = 'survey-live-region';
+
+/**
+ * Get the live region, creating it on first use
+ * @returns {HTMLElement} - The live region
+ */
+function getLiveRegion() {
+  let region = document.getElementById(LIVE_REGION_ID);
+  if (!region) {
+    region = document.createElement('div');
+    region.id = LIVE_REGION_ID;
+    region.className = 'visually-hidden';
+    region.setAttribute('aria-live', 'polite');
+    region.setAttribute('aria-atomic', 'true');
+    document.body.appendChild(region);
+  }
+  return region;
+}
+
+/**
+ * Announce a message to screen reader users
+ * @param {string} message - Message to announce
+ */
+export function announce(message) {
+  const region = getLiveRegion();
+  // Clear first so the same message is announced again when repeated
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+/**
+ * Create hidden keyboard instructions for a question
+ * @param {string} id - ID of the element, to refer to with aria-describedby
+ * @param {string} text - The instructions
+ * @returns {HTMLElement} - The instructions element
+ */
+export function createInstructions(id, text) {
+  const instructions = document.createElement('p');
+  instructions.id = id;
+  instructions.className = 'visually-hidden';
+  instructions.textContent = text;
+  return instructions;
+}
@@ -11,6 +11,10 @@ import * as auth from './auth.js';
 import * as ui from './ui.js';
 import * as dataService from './dataService.js';
 import * as surveyWizard from './surveyWizard.js';
+import { getSurveysForUser, getSurveyStatus } from './surveyCatalog.js';
+import { hasPermission, PERMISSIONS } from './authorization.js';
+import { authProvider } from './authConfig.js';
+import { t } from './i18n.js';
 
 // Constants for application state
 const APP_STATE = {
@@ -18,6 +22,12 @@ const APP_STATE = {
   authenticated: false
 };
 
+// Resolves once the survey wizard has been initialized for the selected survey
+let surveyWizardReady = Promise.resolve();
+
+// Service worker that keeps the survey available offline
+const SERVICE_WORKER_URL = 'service-worker.js';
+
 // Constants for event timing
 const TIMING = {
   retryInterval: 1000, // ms between retries for MSAL loading
@@ -28,11 +38,13 @@ const TIMING = {
  * Initialize the application
  */
 async function initializeApp() {
-  // Add MSAL script to the page if not present
-  await ensureMsalLoaded();
+  // Add MSAL script to the page if not present and Entra ID is used
+  if (authProvider === 'msal') {
+    await ensureMsalLoaded();
+  }
 
   // Initialize the authentication module
-  APP_STATE.initialized = auth.initializeAuth();
+  APP_STATE.initialized = await auth.initializeAuth();
 
   if (!APP_STATE.initialized) {
     ui.showError("Failed to initialize authentication system");
@@ -42,15 +54,19 @@ async function initializeApp() {
   // Set up UI with auth callbacks and admin functionality
   ui.initializeUI(handleSignIn, handleSignOut, handleFetchData, handleFetchUserData, handleSaveUserData, handleFetchDeltaList, handleViewDeltaFile);
   
-  // Initialize the survey wizard
-  initializeSurveyWizard();
+  // Return to the survey catalog when the survey is closed
+  document.addEventListener('survey:closed', showHome);
+
+  // Cache the app for offline use and send submissions queued while offline
+  registerServiceWorker();
+  setupQueuedSubmissionReplay();
 
   // Check for authentication event
-  // Add MSAL login success listener, broadcast from auth.js
-  window.addEventListener('msalLoginSuccess', async (event) => {
-    console.log('MSAL Login Success Event:', event.detail);
+  // Add login success listener, broadcast from auth.js
+  window.addEventListener('authLoginSuccess', async (event) => {
+    console.log('Login Success Event:', event.detail);
     // Update UI or perform actions after successful login
-    const { account } = event.detail.payload;
+    const { account } = event.detail;
     if (account) {
       console.log(`User ${account.username} logged in successfully`);
       console.log("Successful authentication response received");
@@ -64,6 +80,56 @@ async function initializeApp() {
 }
 
 
+/**
+ * Register the service worker that caches the app shell and survey definition
+ */
+async function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) {
+    return;
+  }
+
+  try {
+    await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+    console.log('Service worker registered');
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+  }
+}
+
+/**
+ * Send submissions queued while offline when the connection returns, when
+ * the service worker reports connectivity, and after signing in
+ */
+function setupQueuedSubmissionReplay() {
+  window.addEventListener('online', replayQueuedSubmissions);
+
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.addEventListener('message', (event) => {
+      if (event.data && event.data.type === 'replay-submissions') {
+        replayQueuedSubmissions();
+      }
+    });
+  }
+}
+
+/**
+ * Send the queued submissions, if the user is signed in
+ */
+async function replayQueuedSubmissions() {
+  if (!APP_STATE.authenticated) {
+    return;
+  }
+
+  try {
+    const sentCount = await surveyWizard.sendQueuedSubmissions();
+    if (sentCount > 0) {
+      console.log(`Sent ${sentCount} survey submission(s) queued while offline`);
+    }
+  } catch (error) {
+    console.error('Error sending queued survey submissions:', error);
+  }
+}
+
 /**
  * Ensure MSAL script is loaded before proceeding
  */
@@ -113,43 +179,18 @@ async function checkExistingAuth() {
   }
 }
 
-/**
- * Update the user state and UI based on authentication
- */
 /**
  * Show or hide admin section based on user claims
  * @param {Object} idTokenClaims - The user's ID token claims
  */
 function updateAdminAccess(idTokenClaims) {
-  // Constants for admin roles checking
-  const ADMIN_ROLES = {
-    admin: 'admin',
-    superAdmin: 'superadmin'
-  };
-
-  // Default is to hide admin section
-  let showAdminSection = false;
-
-  if (idTokenClaims) {
-    // Check if user has roles claim and if they have admin role
-    // Note: Adjust based on your token structure - roles might be in groups, roles, or other claims
-    if (idTokenClaims.roles && Array.isArray(idTokenClaims.roles)) {
-      // Check for admin role in roles array
-      showAdminSection = idTokenClaims.roles.some(role =>
-        role.toLowerCase() === ADMIN_ROLES.admin ||
-        role.toLowerCase() === ADMIN_ROLES.superAdmin
-      );
-    }
-
-    // For demo purposes, we'll show admin section to all authenticated users
-    // In production, you would strictly enforce role-based access
-    showAdminSection = true;
-  }
-
-  // Update UI to show/hide admin section
-  ui.toggleAdminSection(showAdminSection);
+  // The admin section lists the delta files of all users
+  ui.toggleAdminSection(hasPermission(PERMISSIONS.viewDeltaFiles, idTokenClaims));
 }
 
+/**
+ * Update the user state and UI based on authentication
+ */
 async function updateUserState() {
   try {
     // Get user details from Microsoft Graph API
@@ -166,6 +207,15 @@ async function updateUserState() {
 
       // Update admin section visibility based on user claims
       updateAdminAccess(idTokenClaims);
+
+      // List the surveys available to the user
+      await showSurveyCatalog(idTokenClaims);
+
+      // Continue where the user left off, possibly on another device
+      resumeSurveyDraft();
+
+      // Send submissions made while offline in an earlier session
+      replayQueuedSubmissions();
     } else {
       APP_STATE.authenticated = false;
       ui.showUnauthenticatedState();
@@ -298,7 +348,12 @@ async function handleSaveUserData() {
  */
 async function handleFetchDeltaList() {
   if (!APP_STATE.authenticated) {
-    ui.showDeltaError("You must be authenticated to access admin functions");
+    ui.showDeltaError(t('deltaFiles.signInRequired'));
+    return;
+  }
+
+  if (!hasPermission(PERMISSIONS.viewDeltaFiles)) {
+    ui.showDeltaError(t('deltaFiles.notAuthorized'));
     return;
   }
 
@@ -309,14 +364,10 @@ async function handleFetchDeltaList() {
     // Display the file list in the UI
     ui.displayDeltaFilesList(fileList, handleViewDeltaFile);
 
-    if (fileList.length === 0) {
-      ui.showDeltaStatus("No delta files found", "success");
-    } else {
-      ui.showDeltaStatus(`Found ${fileList.length} delta files`, "success");
-    }
+    ui.showDeltaStatus(t('deltaFiles.found', { count: fileList.length }), "success");
   } catch (error) {
     console.error("Error fetching delta file list:", error);
-    ui.showDeltaError(error.message || "Failed to fetch delta file list");
+    ui.showDeltaError(error.message || t('deltaFiles.listFailed'));
   }
 }
 
@@ -326,7 +377,12 @@ async function handleFetchDeltaList() {
  */
 async function handleViewDeltaFile(filePath) {
   if (!APP_STATE.authenticated) {
-    ui.showDeltaError("You must be authenticated to access admin functions");
+    ui.showDeltaError(t('deltaFiles.signInRequired'));
+    return;
+  }
+
+  if (!hasPermission(PERMISSIONS.viewDeltaFiles)) {
+    ui.showDeltaError(t('deltaFiles.notAuthorized'));
     return;
   }
 
@@ -341,81 +397,85 @@ async function handleViewDeltaFile(filePath) {
     ui.displayDeltaFileContent(fileData, fileName);
   } catch (error) {
     console.error(`Error fetching delta file ${filePath}:`, error);
-    ui.showDeltaError(error.message || "Failed to fetch delta file content");
+    ui.showDeltaError(error.message || t('deltaFiles.fileFailed'));
   }
 }
 
 /**
- * Initialize the survey wizard
+ * Show the surveys from the survey catalog that are available to the user
+ * @param {Object|null} idTokenClaims - The user's ID token claims
+ */
+async function showSurveyCatalog(idTokenClaims) {
+  const username = idTokenClaims ?
+    (idTokenClaims.preferred_username || idTokenClaims.email || '') : '';
+
+  try {
+    const surveys = await getSurveysForUser(username);
+    const entries = surveys.map(survey => ({ survey, status: getSurveyStatus(survey) }));
+    ui.renderSurveyCatalog(entries, handleStartSurvey);
+  } catch (error) {
+    console.error('Error loading survey catalog:', error);
+    ui.showError(t('survey.errors.catalogFailed'));
+  }
+}
+
+/**
+ * Handle starting a survey from the survey catalog
+ * @param {string} surveyId - ID of the survey
+ */
+async function handleStartSurvey(surveyId) {
+  surveyWizardReady = initializeSurveyWizard(surveyId);
+  const initialized = await surveyWizardReady;
+  if (!initialized) {
+    return;
+  }
+
+  await resumeSurveyDraft();
+  showSurvey();
+}
+
+/**
+ * Initialize the survey wizard for a survey
+ * @param {string} surveyId - ID of the survey
+ * @returns {Promise<boolean>} - Whether initialization was successful
  */
-async function initializeSurveyWizard() {
+async function initializeSurveyWizard(surveyId) {
   try {
     // Initialize the survey wizard
-    const initialized = await surveyWizard.initSurveyWizard();
+    const initialized = await surveyWizard.initSurveyWizard(surveyId);
     
     if (!initialized) {
       console.error('Failed to initialize survey wizard');
-      return;
+      const error = surveyWizard.getInitializationError();
+      if (error && error.validationErrors) {
+        ui.showValidationErrors(t('survey.errors.invalidDefinition'), error.validationErrors);
+      } else {
+        ui.showError(error ? error.message : t('survey.errors.loadFailed'));
+      }
+      return false;
     }
     
     console.log('Survey wizard initialized successfully');
-    
-    // Expose setupSurveyButton to global scope for UI.js to use
-    window.setupSurveyButton = setupSurveyButton;
-    
-    // Set up survey button click handler
-    setupSurveyButton();
-    
+    return true;
   } catch (error) {
     console.error('Error initializing survey wizard:', error);
+    return false;
   }
 }
 
 /**
- * Set up the survey button and its click handler
+ * Resume the survey from the user's draft on the server
  */
-function setupSurveyButton() {
-  // Get existing button or create a new one
-  let surveyButton = document.getElementById('start-survey-button');
-  
-  if (!surveyButton) {
-    // Create the survey button
-    surveyButton = document.createElement('button');
-    surveyButton.id = 'start-survey-button';
-    surveyButton.className = 'action-button survey-button';
-    surveyButton.textContent = 'Show Survey Results';
-    
-    // Add to button container instead of welcome message
-    // This ensures it won't be removed when welcome message is updated
-    const buttonContainer = document.querySelector('.button-container');
-    if (buttonContainer) {
-      buttonContainer.appendChild(surveyButton);
-    }
-  }
-  
-  // Add click event listener
-  surveyButton.addEventListener('click', handleShowSurveyResults);
-  
-  // Make the button visible
-  surveyButton.style.display = 'inline-block';
-}
+async function resumeSurveyDraft() {
+  await surveyWizardReady;
 
-function handleShowSurveyResults() {
-  // Check if user is authenticated
-  if (APP_STATE.authenticated) {
-    // hide description
-    const descriptionElement = document.getElementById('survey-description');
-    if (descriptionElement) {
-      descriptionElement.style.display = 'none';
-    }
-    // find anchor with id resultsLink and perform its navigation
-    const resultsLink = document.getElementById('resultsLink');
-    if (resultsLink) {
-      resultsLink.click();
+  try {
+    const source = await surveyWizard.resumeSurvey();
+    if (source) {
+      console.log(`Survey progress resumed from ${source} data`);
     }
-  } else {
-    // Prompt user to sign in first
-    alert('Please sign in to view the survey results');
+  } catch (error) {
+    console.error('Error resuming survey draft:', error);
   }
 }
 
@@ -427,14 +487,33 @@ function showSurvey() {
   const dataSection = document.getElementById('data-section');
   const adminSection = document.getElementById('admin-section');
   const buttonContainer = document.querySelector('.button-container');
+  const surveyCatalog = document.getElementById('survey-catalog');
   
   if (dataSection) dataSection.style.display = 'none';
   if (adminSection) adminSection.style.display = 'none';
   if (buttonContainer) buttonContainer.style.display = 'none'; // Hide the button container
+  if (surveyCatalog) surveyCatalog.style.display = 'none';
+  
+  // Link to the results of this survey
+  const survey = surveyWizard.getCurrentSurvey();
+  document.querySelectorAll('#survey-section .results-link').forEach(link => {
+    link.href = `results/index.html?survey=${encodeURIComponent(survey.id)}`;
+  });
   
   // Show the survey wizard
   surveyWizard.showSurveyWizard();
 }
 
+/**
+ * Show the home page with the survey catalog again after the survey is closed
+ */
+function showHome() {
+  const buttonContainer = document.querySelector('.button-container');
+  const surveyCatalog = document.getElementById('survey-catalog');
+
+  if (buttonContainer) buttonContainer.style.display = '';
+  if (surveyCatalog && APP_STATE.authenticated) surveyCatalog.style.display = 'block';
+}
+
 // Initialize the application when the document is loaded
 document.addEventListener('DOMContentLoaded', initializeApp);
@@ -1,195 +1,201 @@
 /**
  * auth.js
- * Microsoft Entra ID (Azure AD) authentication module
- * 
- * This module handles authentication with Microsoft Entra ID using MSAL.js
- * It exports functions to handle login, logout, and getting the current user
+ * Authentication module
+ *
+ * This module handles authentication through the provider selected with
+ * authProvider in authConfig.js: Microsoft Entra ID (MSAL.js), a generic
+ * OpenID Connect provider, one-time invite codes or a fake user for local
+ * development. It exports functions to handle login, logout, and getting the
+ * current user, whichever provider is used.
+ *
+ * A provider is an object with these methods:
+ * - initialize({ onSignIn }): Promise<boolean>, false if the provider cannot be used
+ * - signIn()
+ * - signOut(): true if it leaves the page to sign out at the identity provider
+ * - getAccount(): { username, name } of the signed in user, or null
+ * - getToken({ forceRefresh }): Promise of the ID token sent to the API, or null
+ * - getClaims(): claims of that token, or null
+ * - getUserDetails() (optional): Promise of the user's profile
  */
 
 // Import authentication configuration
-import { msalConfig, loginRequest } from './authConfig.js';
-
-// Authentication configuration is imported from authConfig.js
+import { authProvider, msalConfig, loginRequest, oidcConfig, inviteCodeConfig, devAuthConfig } from './authConfig.js';
+import { backendMode, inviteEndpoint } from './dataConfig.js';
+import { decodeJwtClaims } from './authProviders/jwt.js';
+import { createMsalProvider } from './authProviders/msalProvider.js';
+import { createOidcProvider } from './authProviders/oidcProvider.js';
+import { createInviteCodeProvider } from './authProviders/inviteCodeProvider.js';
+import { createDevProvider } from './authProviders/devProvider.js';
+
+// Create the provider for each value of authProvider
+const PROVIDER_FACTORIES = {
+    msal: () => createMsalProvider(msalConfig, loginRequest),
+    oidc: () => createOidcProvider(oidcConfig),
+    inviteCode: () => createInviteCodeProvider({ ...inviteCodeConfig, redeemEndpoint: inviteEndpoint }),
+    dev: () => createDevProvider(devAuthConfig)
+};
 
-// Permission scopes are imported from authConfig.js
+// Providers whose tokens the API gateway does not accept yet (see NEEDS BACKEND WORK in
+// authConfig.js and dataConfig.js), so they only work with the mock backend
+const MOCK_ONLY_PROVIDERS = ['oidc', 'inviteCode'];
 
-// MSAL instance for authentication
-let msalInstance = null;
+// The selected authentication provider, once initialized
+let provider = null;
 
 // In-memory storage for user details and tokens
 let userSessionData = {
     userDetails: null,
-    idToken: null,
-    accessToken: null
+    idToken: null
 };
 
 const saveUserSessionData = () => {
- // TODO this is an ugly and insecure workaround to make token available in survey results 
+ // TODO this is an ugly and insecure workaround to make token available in survey results
         localStorage.setItem("USER_SESSION_DATA", JSON.stringify(userSessionData));
 }
+
 /**
- * Initialize Microsoft Authentication Library
+ * Initialize the authentication provider selected in authConfig.js
+ * @returns {Promise<boolean>} False if the provider cannot be used, also when
+ * it only works with the mock backend and the live backend is selected
  */
-export function initializeAuth() {
-    // Import MSAL from CDN if not available
-    if (!window.msal) {
-        console.warn("MSAL not found. Make sure to include the MSAL script in your HTML.");
+export async function initializeAuth() {
+    const createProvider = PROVIDER_FACTORIES[authProvider];
+    if (!createProvider) {
+        console.error(`Unknown authentication provider: ${authProvider}`);
+        return false;
+    }
+    if (backendMode === 'live' && MOCK_ONLY_PROVIDERS.includes(authProvider)) {
+        console.error(`Authentication provider '${authProvider}' cannot be used with the live backend yet: ` +
+            'the API gateway does not accept its tokens. Use \'msal\', or the mock backend for development.');
         return false;
     }
 
-    // Using msalConfig imported from authConfig.js
-
-    // Create new authentication instance
-    msalInstance = new msal.PublicClientApplication(msalConfig);
-
-    // Add event listener for successful login
-    msalInstance.addEventCallback((message) => {
-        console.log('MSAL Event:', message.eventType);
-
-        if (message.eventType === 'msal:loginSuccess' || message.eventType === 'msal:acquireTokenSuccess') {
-            console.log('Login successful:', message);
-
-            userSessionData.idToken = message.payload.idToken;
-            userSessionData.idTokenClaims = message.payload.idTokenClaims;
-            saveUserSessionData
-            const event = new CustomEvent('msalLoginSuccess', { detail: message });
-            window.dispatchEvent(event);
-            // Update UI if needed
-            if (message.payload.account) {
-                showWelcomeMessage(message.payload.account.username);
-            }
-        }
-    });
-
-    return true;
+    provider = createProvider();
+    return provider.initialize({ onSignIn: handleSignInSuccess });
 }
 
 /**
- * Handle redirect response after authentication
- * @returns {Promise<void>}
+ * Store the token of a user who just signed in and let the app know
+ * @param {Object} account - The signed in account
  */
-export async function handleResponse(response) {
-    if (response !== null) {
-        //  username = response.account.username;
-        //  showWelcomeMessage(username);
-    } else {
-        selectAccount();
-    }
+async function handleSignInSuccess(account) {
+    await acquireIdTokenSilently();
+
+    const event = new CustomEvent('authLoginSuccess', { detail: { account } });
+    window.dispatchEvent(event);
 }
 
 /**
- * Sign in user using redirect flow
+ * Sign in the user, with a popup, a redirect or a prompt depending on the provider
  */
 export function signIn() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+    if (!provider) {
+        console.error("Authentication provider not initialized");
         return;
     }
 
-    // Start login process with configuration from authConfig.js
-    msalInstance.loginPopup(loginRequest)
-        .then(handleResponse)
-        .catch(error => {
-            console.error(error);
-        });
+    provider.signIn();
 }
 
 /**
  * Sign out the current user
+ * @returns {boolean} True if the provider leaves the page to sign out at the identity provider
  */
 export function signOut() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
-        return;
+    if (!provider) {
+        console.error("Authentication provider not initialized");
+        return false;
     }
 
     // Clear in-memory session data
-    userSessionData.userDetails = null;
-    userSessionData.idToken = null;
-    userSessionData.accessToken = null;
-    saveUserSessionData()
-    // Find all accounts and remove them
-    const currentAccounts = msalInstance.getAllAccounts();
-    if (currentAccounts.length > 0) {
-        msalInstance.logout({
-            account: currentAccounts[0]
-        });
-    }
+    clearSession();
+    return provider.signOut();
+}
+
+/**
+ * Forget the tokens and user details of the current session, also those
+ * stored for the survey results page
+ */
+export function clearSession() {
+    userSessionData = {
+        userDetails: null,
+        idToken: null
+    };
+    saveUserSessionData();
 }
 
 /**
  * Get the currently signed in user account
- * @returns {Object|null} The user account or null if not signed in
+ * @returns {Object|null} The user account ({ username, name, ... }) or null if not signed in
  */
 export function getAccount() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+    if (!provider) {
+        console.error("Authentication provider not initialized");
         return null;
     }
 
-    // Get all accounts from MSAL
-    const currentAccounts = msalInstance.getAllAccounts();
-
-    // Return the first account if available
-    if (currentAccounts.length > 0) {
-        return currentAccounts[0];
-    }
-
-    return null;
+    return provider.getAccount();
 }
 
 /**
- * Get user details from Microsoft Graph API
+ * Get user details, from Microsoft Graph API for Entra ID users and from the
+ * token claims for the other providers
  * @returns {Promise<Object|null>} User details object or null on failure
  */
 export async function getUserDetails() {
-    if (!msalInstance) {
-        console.error("MSAL instance not initialized");
+    if (!provider) {
+        console.error("Authentication provider not initialized");
         return null;
     }
 
-    const account = getAccount();
-    if (!account) {
+    if (!getAccount()) {
         console.warn("No active account found");
         return null;
     }
 
-    // Prepare token request using scopes from authConfig.js
-    const silentRequest = {
-        scopes: loginRequest.scopes,
-        account: account,
-        forceRefresh: false
-    };
-
     try {
-        // Get token silently
-        const tokenResponse = await msalInstance.acquireTokenSilent(silentRequest);
-
-        // Store tokens in memory
-        userSessionData.idToken = tokenResponse.idToken;
-        userSessionData.accessToken = tokenResponse.accessToken;
-        saveUserSessionData()
-
-        // Call Microsoft Graph API to get user details
-        const response = await fetch("https://graph.microsoft.com/v1.0/me", {
-            headers: {
-                Authorization: `Bearer ${tokenResponse.accessToken}`
-            }
-        });
-
-        if (response.ok) {
-            // Store user details in memory
-            userSessionData.userDetails = await response.json();
-            saveUserSessionData()
-            return userSessionData.userDetails;
-        } else {
-            console.error("Error fetching user data:", await response.text());
+        const idToken = await acquireIdTokenSilently();
+        if (!idToken) {
             return null;
         }
+
+        const claims = getIdTokenClaims() || {};
+        const userDetails = provider.getUserDetails
+            ? await provider.getUserDetails()
+            : {
+                displayName: claims.name || claims.preferred_username || null,
+                userPrincipalName: claims.preferred_username || claims.sub || null,
+                mail: claims.email || null
+            };
+
+        // Store user details in memory
+        userSessionData.userDetails = userDetails;
+        saveUserSessionData();
+        return userDetails;
     } catch (error) {
-        console.error("Error acquiring token:", error);
+        console.error("Error getting user details:", error);
+        return null;
+    }
+}
+
+/**
+ * Acquire the ID token of the signed in account without user interaction,
+ * e.g. from the MSAL cache or with a refresh token
+ * @param {boolean} [forceRefresh=false] - Skip the cache, e.g. when the API rejected the cached token
+ * @returns {Promise<string|null>} The ID token or null if the user has to sign in again
+ */
+export async function acquireIdTokenSilently(forceRefresh = false) {
+    if (!provider) {
         return null;
     }
+
+    const idToken = await provider.getToken({ forceRefresh });
+    if (idToken) {
+        // Store token in memory
+        userSessionData.idToken = idToken;
+        saveUserSessionData();
+    }
+    return idToken;
 }
 
 /**
@@ -199,7 +205,7 @@ export async function getUserDetails() {
 export function getIdToken() {
     if (!userSessionData.idToken) {
         // TODO this is an ugly and insecure workaround to make token available in survey results
-        userSessionData = JSON.parse(localStorage.getItem("USER_SESSION_DATA"));
+        userSessionData = JSON.parse(localStorage.getItem("USER_SESSION_DATA")) || userSessionData;
     }
     return userSessionData.idToken;
 }
@@ -209,65 +215,11 @@ export function getIdToken() {
  * @returns {Object|null} The parsed ID token claims or null if not available
  */
 export function getIdTokenClaims() {
-    if (!userSessionData.idToken) {
-        
-        return null;
+    const claims = provider ? provider.getClaims() : null;
+    if (claims) {
+        return claims;
     }
 
-    try {
-        // ID token is in format: header.payload.signature
-        // We need to get the payload part (index 1)
-        const tokenParts = userSessionData.idToken.split('.');
-        if (tokenParts.length !== 3) {
-            console.error("Invalid token format");
-            return null;
-        }
-
-        // Base64 decode and parse the payload
-        const payload = tokenParts[1];
-        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
-        const jsonPayload = decodeURIComponent(atob(base64).split('').map(function (c) {
-            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
-        }).join(''));
-
-        return JSON.parse(jsonPayload);
-    } catch (error) {
-        console.error("Error parsing ID token claims:", error);
-        return null;
-    }
+    // E.g. the token stored by the survey app, read before the provider is initialized
+    return decodeJwtClaims(userSessionData.idToken);
 }
-
-
-/**
- * Displays account details in the console
- * @param {string} username - The username of the logged-in account
- */
-function showWelcomeMessage(username) {
-    const accounts = msalInstance.getAllAccounts();
-    const account = accounts.find(acc => acc.username === username);
-
-    if (account) {
-        console.group('Account Details');
-        console.log('👤 Username:', account.username);
-        console.log('🏠 Home Account ID:', account.homeAccountId);
-        console.log('🏢 Tenant ID:', account.tenantId);
-        console.log('🔐 Local Account ID:', account.localAccountId);
-
-        // Log additional claims if available
-        if (account.idTokenClaims) {
-            console.group('ID Token Claims');
-            Object.entries(account.idTokenClaims).forEach(([key, value]) => {
-                // Skip standard claims that are already logged
-                if (!['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'aio'].includes(key)) {
-                    console.log(`🔹 ${key}:`, value);
-                }
-            });
-            console.groupEnd();
-        }
-
-        console.log('🔑 Scopes:', loginRequest.scopes);
-        console.groupEnd();
-    } else {
-        console.warn('No account found for username:', username);
-    }
-}
\ No newline at end of file
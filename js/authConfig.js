@@ -1,3 +1,11 @@
+/**
+ * Authentication provider used by the survey app and the results dashboard, see auth.js:
+ * 'msal' (Microsoft Entra ID), 'oidc' (any OpenID Connect identity provider), 'inviteCode'
+ * (invited respondents without an account, with a one-time code) or 'dev' (a fake user
+ * for local development, with the mock backend).
+ */
+export const authProvider = 'msal';
+
 /**
  * Configuration object to be passed to MSAL instance on creation. 
  * For a full list of MSAL.js configuration parameters, visit:
@@ -51,3 +59,58 @@ export const loginRequest = {
       scopes: ["User.Read","openid","profile"]
 }
 
+
+/**
+ * Permissions granted by Entra ID app roles (the "roles" claim) and security groups
+ * (the "groups" claim, by object ID). Role names are compared case-insensitively.
+ * Every signed-in user gets the permissions in "authenticated". See authorization.js
+ * for the available permissions.
+ */
+export const authorizationConfig = {
+    roles: {
+        'superadmin': ['viewResults', 'viewRawResponses', 'viewResponseHistory', 'changeVisualizations', 'viewDeltaFiles', 'exportData'],
+        'admin': ['viewResults', 'viewRawResponses', 'viewResponseHistory', 'changeVisualizations', 'viewDeltaFiles', 'exportData'],
+        'survey.analyst': ['viewResults', 'viewRawResponses', 'changeVisualizations', 'exportData'],
+        'survey.viewer': ['viewResults']
+    },
+    groups: {},
+    authenticated: ['viewResults']
+};
+
+/**
+ * Settings of the generic OpenID Connect provider (authProvider 'oidc'). Register the app
+ * at the identity provider as a public client (authorization code flow with PKCE), with
+ * the pages that sign in as redirect URIs: the survey app and results/index.html.
+ * NEEDS BACKEND WORK: the API gateway only accepts Entra ID tokens; its authentication
+ * policy has to trust the issuer below before this provider can be used with it.
+ */
+export const oidcConfig = {
+    // Issuer URL; the endpoints are read from <authority>/.well-known/openid-configuration
+    authority: "https://login.example.com/realms/surveys",
+    clientId: "cloud-survey",
+    scopes: ["openid", "profile", "email", "offline_access"],
+    // Leave empty to return to the page that started signing in
+    redirectUri: ""
+};
+
+/**
+ * Settings of the invite code provider (authProvider 'inviteCode'). Invitation links carry
+ * the code in this query parameter; respondents can also type it in. Codes are redeemed at
+ * inviteEndpoint in dataConfig.js, which only the mock backend offers so far (see there).
+ */
+export const inviteCodeConfig = {
+    queryParameter: "invite"
+};
+
+/**
+ * Claims of the fake user of the local development provider (authProvider 'dev')
+ */
+export const devAuthConfig = {
+    claims: {
+        sub: "dev-user",
+        preferred_username: "dev.user@example.com",
+        name: "Dev User",
+        email: "dev.user@example.com",
+        roles: ["admin"]
+    }
+};
@@ -0,0 +1,97 @@
+/**
+ * devProvider.js
+ * Authentication provider with a fake user, for local development
+ *
+ * Signing in needs no identity provider: the user gets the claims from
+ * devAuthConfig in authConfig.js, in an unsigned token. Together with the mock
+ * backend (backendMode 'mock' in dataConfig.js) the apps can be tried with any
+ * user and roles. A real API gateway rejects these tokens.
+ */
+
+import { createUnsignedJwt } from './jwt.js';
+
+// sessionStorage key that marks the fake user as signed in
+const SESSION_KEY = 'dev_session';
+
+// Lifetime of the fake tokens, in seconds
+const TOKEN_LIFETIME = 3600;
+
+/**
+ * Create the local development authentication provider
+ * @param {Object} devAuthConfig - Provider configuration, see authConfig.js
+ * @param {Object} devAuthConfig.claims - Claims of the fake user
+ * @returns {Object} Authentication provider, see auth.js
+ */
+export function createDevProvider(devAuthConfig) {
+    // Callback of auth.js, called after signing in
+    let notifySignIn = null;
+
+    /**
+     * Get the fake user, if signed in
+     * @returns {Object|null} The account: { username, name }, or null if not signed in
+     */
+    function getAccount() {
+        if (!sessionStorage.getItem(SESSION_KEY)) {
+            return null;
+        }
+        return {
+            username: devAuthConfig.claims.preferred_username,
+            name: devAuthConfig.claims.name || null
+        };
+    }
+
+    return {
+        name: 'dev',
+
+        /**
+         * Initialize the provider
+         * @param {Object} callbacks - Callbacks of auth.js
+         * @param {Function} callbacks.onSignIn - Called with the account after signing in
+         * @returns {Promise<boolean>} Always true
+         */
+        async initialize({ onSignIn }) {
+            notifySignIn = onSignIn;
+            console.warn('Using the local development authentication provider; do not use it in production');
+            return true;
+        },
+
+        /**
+         * Sign in as the fake user
+         */
+        signIn() {
+            sessionStorage.setItem(SESSION_KEY, 'signed-in');
+            notifySignIn(getAccount());
+        },
+
+        /**
+         * Sign out the fake user
+         * @returns {boolean} Always false: signing out does not leave the page
+         */
+        signOut() {
+            sessionStorage.removeItem(SESSION_KEY);
+            return false;
+        },
+
+        getAccount,
+
+        /**
+         * Create a token with the claims of the fake user
+         * @returns {Promise<string|null>} Unsigned token, or null if not signed in
+         */
+        async getToken() {
+            if (!getAccount()) {
+                return null;
+            }
+            const now = Math.floor(Date.now() / 1000);
+            return createUnsignedJwt({ ...devAuthConfig.claims, iat: now, exp: now + TOKEN_LIFETIME });
+        },
+
+        /**
+         * Get the claims of the fake user
+         * @returns {Object|null} The claims, or null if not signed in
+         */
+        getClaims() {
+            return getAccount() ? { ...devAuthConfig.claims } : null;
+        }
+    };
+}
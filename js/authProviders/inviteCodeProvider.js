@@ -0,0 +1,165 @@
+/**
+ * inviteCodeProvider.js
+ * Authentication provider for invited respondents without an account
+ *
+ * An invitation carries a one-time code, in the invitation link (?invite=<code>)
+ * or entered by the respondent. The code is exchanged once at the invite
+ * endpoint for a token that identifies the invitation, not the person; the
+ * backend still keeps the responses per invitation. The token is kept in
+ * sessionStorage; when it expires the respondent needs a new invitation.
+ * Without an invite endpoint (see dataConfig.js) no code is accepted.
+ */
+
+import { decodeJwtClaims, isTokenExpired } from './jwt.js';
+import { t } from '../i18n.js';
+
+// sessionStorage key of the token
+const SESSION_KEY = 'invite_session';
+
+/**
+ * Create the invite code authentication provider
+ * @param {Object} inviteCodeConfig - Provider configuration, see authConfig.js
+ * @param {string} inviteCodeConfig.redeemEndpoint - Endpoint that exchanges a code for a token
+ * @param {string} inviteCodeConfig.queryParameter - Query parameter of the code in invitation links
+ * @returns {Object} Authentication provider, see auth.js
+ */
+export function createInviteCodeProvider(inviteCodeConfig) {
+    // Callback of auth.js, called after redeeming a code
+    let notifySignIn = null;
+
+    /**
+     * Exchange a one-time code for a token
+     * @param {string} code - Invite code
+     * @returns {Promise<boolean>} Whether the code was accepted
+     */
+    async function redeemCode(code) {
+        if (!inviteCodeConfig.redeemEndpoint) {
+            console.error('No invite endpoint configured; invite codes cannot be redeemed');
+            return false;
+        }
+
+        const response = await fetch(inviteCodeConfig.redeemEndpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ code })
+        });
+        if (!response.ok) {
+            console.error(`Invite code rejected with status ${response.status}: ${await response.text()}`);
+            return false;
+        }
+
+        const { token } = await response.json();
+        sessionStorage.setItem(SESSION_KEY, token);
+        notifySignIn(getAccount());
+        return true;
+    }
+
+    /**
+     * Get the token of the current session
+     * @returns {string|null} The token, or null if there is none or it expired
+     */
+    function getSessionToken() {
+        const token = sessionStorage.getItem(SESSION_KEY);
+        if (token && isTokenExpired(token, 0)) {
+            sessionStorage.removeItem(SESSION_KEY);
+            return null;
+        }
+        return token;
+    }
+
+    /**
+     * Get the invitation the respondent signed in with
+     * @returns {Object|null} The account: { username, name }, or null if not signed in
+     */
+    function getAccount() {
+        const claims = decodeJwtClaims(getSessionToken());
+        if (!claims) {
+            return null;
+        }
+        return {
+            username: claims.preferred_username || claims.sub,
+            name: claims.name || null
+        };
+    }
+
+    return {
+        name: 'inviteCode',
+
+        /**
+         * Redeem the code of the invitation link the page was opened with
+         * @param {Object} callbacks - Callbacks of auth.js
+         * @param {Function} callbacks.onSignIn - Called with the account after redeeming a code
+         * @returns {Promise<boolean>} Always true
+         */
+        async initialize({ onSignIn }) {
+            notifySignIn = onSignIn;
+
+            const url = new URL(window.location.href);
+            const code = url.searchParams.get(inviteCodeConfig.queryParameter);
+            if (code) {
+                // The code only works once: keep it out of the history and bookmarks
+                url.searchParams.delete(inviteCodeConfig.queryParameter);
+                window.history.replaceState(null, '', url.toString());
+
+                try {
+                    await redeemCode(code);
+                } catch (error) {
+                    console.error('Error redeeming invite code:', error);
+                }
+            }
+            return true;
+        },
+
+        /**
+         * Ask the respondent for the code of their invitation and redeem it
+         */
+        async signIn() {
+            const code = (window.prompt(t('auth.inviteCode.prompt')) || '').trim();
+            if (!code) {
+                return;
+            }
+
+            try {
+                if (!(await redeemCode(code))) {
+                    window.alert(t('auth.inviteCode.rejected'));
+                }
+            } catch (error) {
+                console.error('Error redeeming invite code:', error);
+                window.alert(t('auth.inviteCode.rejected'));
+            }
+        },
+
+        /**
+         * Forget the token of the invitation
+         * @returns {boolean} Always false: signing out does not leave the page
+         */
+        signOut() {
+            sessionStorage.removeItem(SESSION_KEY);
+            return false;
+        },
+
+        getAccount,
+
+        /**
+         * Get the token of the invitation; it cannot be renewed
+         * @param {Object} [options] - Token options
+         * @param {boolean} [options.forceRefresh=false] - The API rejected the token: forget it
+         * @returns {Promise<string|null>} The token or null if the respondent needs a new invitation
+         */
+        async getToken({ forceRefresh = false } = {}) {
+            if (forceRefresh) {
+                sessionStorage.removeItem(SESSION_KEY);
+                return null;
+            }
+            return getSessionToken();
+        },
+
+        /**
+         * Get the claims of the invitation token
+         * @returns {Object|null} The claims, or null if not signed in
+         */
+        getClaims() {
+            return decodeJwtClaims(getSessionToken());
+        }
+    };
+}
@@ -0,0 +1,77 @@
+/**
+ * jwt.js
+ * Reading and creating JSON Web Tokens for the authentication providers
+ *
+ * The apps decode tokens without verifying their signature: they only read
+ * the claims to show the user and the features the user may use. The API
+ * gateway verifies every token it receives.
+ */
+
+/**
+ * Encode text as base64url, as used in the parts of a token
+ * @param {string} text - Text to encode
+ * @returns {string} The base64url encoded UTF-8 bytes of the text
+ */
+function base64UrlEncode(text) {
+    const binary = String.fromCharCode(...new TextEncoder().encode(text));
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Get the claims of a token
+ * @param {string|null} token - JSON Web Token
+ * @returns {Object|null} The claims in the payload, or null if the token cannot be read
+ */
+export function decodeJwtClaims(token) {
+    if (!token) {
+        return null;
+    }
+
+    try {
+        // A token is in format: header.payload.signature
+        // We need to get the payload part (index 1)
+        const tokenParts = token.split('.');
+        if (tokenParts.length !== 3) {
+            console.error("Invalid token format");
+            return null;
+        }
+
+        // Base64 decode and parse the payload
+        const payload = tokenParts[1];
+        const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+        const jsonPayload = decodeURIComponent(atob(base64).split('').map(function (c) {
+            return '%' + ('00' + c.charCodeAt(0).toString(16)).slice(-2);
+        }).join(''));
+
+        return JSON.parse(jsonPayload);
+    } catch (error) {
+        console.error("Error parsing token claims:", error);
+        return null;
+    }
+}
+
+/**
+ * Check whether a token has expired, or is about to
+ * @param {string|null} token - JSON Web Token
+ * @param {number} [marginSeconds=60] - Seconds before the expiry time the token already counts as expired
+ * @returns {boolean} True if the token is expired or cannot be read; tokens without exp claim never expire
+ */
+export function isTokenExpired(token, marginSeconds = 60) {
+    const claims = decodeJwtClaims(token);
+    if (!claims) {
+        return true;
+    }
+    return typeof claims.exp === 'number' && claims.exp - marginSeconds <= Date.now() / 1000;
+}
+
+/**
+ * Create an unsigned token, for local development and the mock backend only
+ * @param {Object} claims - Claims of the token
+ * @returns {string} JSON Web Token with algorithm "none"
+ */
+export function createUnsignedJwt(claims) {
+    const header = base64UrlEncode(JSON.stringify({ alg: 'none', typ: 'JWT' }));
+    const payload = base64UrlEncode(JSON.stringify(claims));
+    // Three parts like a signed token, so it is read the same way
+    return `${header}.${payload}.`;
+}
@@ -0,0 +1,205 @@
+/**
+ * msalProvider.js
+ * Authentication provider for Microsoft Entra ID (Azure AD), using MSAL.js
+ *
+ * Users sign in with a popup. Tokens are acquired silently from the MSAL cache
+ * or with its refresh token, and the user's profile is read from Microsoft
+ * Graph.
+ */
+
+/**
+ * Create the MSAL authentication provider
+ * @param {Object} msalConfig - MSAL configuration, see authConfig.js
+ * @param {Object} loginRequest - Scopes to request on sign-in, see authConfig.js
+ * @returns {Object} Authentication provider, see auth.js
+ */
+export function createMsalProvider(msalConfig, loginRequest) {
+    // MSAL instance for authentication
+    let msalInstance = null;
+
+    // Claims and access token of the last token acquired
+    let idTokenClaims = null;
+    let accessToken = null;
+
+    /**
+     * Get the currently signed in user account
+     * @returns {Object|null} The user account or null if not signed in
+     */
+    function getAccount() {
+        if (!msalInstance) {
+            console.error("MSAL instance not initialized");
+            return null;
+        }
+
+        // Get all accounts from MSAL
+        const currentAccounts = msalInstance.getAllAccounts();
+
+        // Return the first account if available
+        if (currentAccounts.length > 0) {
+            return currentAccounts[0];
+        }
+
+        return null;
+    }
+
+    /**
+     * Displays account details in the console
+     * @param {Object} account - The logged-in account
+     */
+    function showWelcomeMessage(account) {
+        console.group('Account Details');
+        console.log('👤 Username:', account.username);
+        console.log('🏠 Home Account ID:', account.homeAccountId);
+        console.log('🏢 Tenant ID:', account.tenantId);
+        console.log('🔐 Local Account ID:', account.localAccountId);
+
+        // Log additional claims if available
+        if (account.idTokenClaims) {
+            console.group('ID Token Claims');
+            Object.entries(account.idTokenClaims).forEach(([key, value]) => {
+                // Skip standard claims that are already logged
+                if (!['iss', 'sub', 'aud', 'exp', 'iat', 'nbf', 'aio'].includes(key)) {
+                    console.log(`🔹 ${key}:`, value);
+                }
+            });
+            console.groupEnd();
+        }
+
+        console.log('🔑 Scopes:', loginRequest.scopes);
+        console.groupEnd();
+    }
+
+    return {
+        name: 'msal',
+
+        /**
+         * Initialize Microsoft Authentication Library
+         * @param {Object} callbacks - Callbacks of auth.js
+         * @param {Function} callbacks.onSignIn - Called with the account after signing in
+         * @returns {Promise<boolean>} False if MSAL is not available
+         */
+        async initialize({ onSignIn }) {
+            if (!window.msal) {
+                console.warn("MSAL not found. Make sure to include the MSAL script in your HTML.");
+                return false;
+            }
+
+            // Create new authentication instance
+            msalInstance = new msal.PublicClientApplication(msalConfig);
+
+            // Add event listener for successful login
+            msalInstance.addEventCallback((message) => {
+                console.log('MSAL Event:', message.eventType);
+
+                if (message.eventType === 'msal:loginSuccess' && message.payload.account) {
+                    console.log('Login successful:', message);
+                    showWelcomeMessage(message.payload.account);
+                    onSignIn(message.payload.account);
+                }
+            });
+
+            return true;
+        },
+
+        /**
+         * Sign in user using popup flow
+         */
+        signIn() {
+            if (!msalInstance) {
+                console.error("MSAL instance not initialized");
+                return;
+            }
+
+            // Start login process with configuration from authConfig.js
+            msalInstance.loginPopup(loginRequest)
+                .catch(error => {
+                    console.error(error);
+                });
+        },
+
+        /**
+         * Sign out the current user
+         * @returns {boolean} True if MSAL redirects to sign out at Entra ID
+         */
+        signOut() {
+            if (!msalInstance) {
+                console.error("MSAL instance not initialized");
+                return false;
+            }
+
+            idTokenClaims = null;
+            accessToken = null;
+
+            // Find all accounts and remove them
+            const account = getAccount();
+            if (!account) {
+                return false;
+            }
+            msalInstance.logout({
+                account: account
+            });
+            return true;
+        },
+
+        getAccount,
+
+        /**
+         * Acquire the ID token without user interaction, from the MSAL cache or with its refresh token
+         * @param {Object} [options] - Token options
+         * @param {boolean} [options.forceRefresh=false] - Skip the cache
+         * @returns {Promise<string|null>} The ID token or null if the user has to sign in again
+         */
+        async getToken({ forceRefresh = false } = {}) {
+            const account = msalInstance ? getAccount() : null;
+            if (!account) {
+                return null;
+            }
+
+            try {
+                const tokenResponse = await msalInstance.acquireTokenSilent({
+                    scopes: loginRequest.scopes,
+                    account: account,
+                    forceRefresh
+                });
+                idTokenClaims = tokenResponse.idTokenClaims;
+                accessToken = tokenResponse.accessToken;
+                return tokenResponse.idToken;
+            } catch (error) {
+                // E.g. an expired session, which needs an interactive sign-in
+                console.warn("Could not acquire token silently:", error);
+                return null;
+            }
+        },
+
+        /**
+         * Get the claims of the last ID token acquired
+         * @returns {Object|null} The claims, or null before a token was acquired
+         */
+        getClaims() {
+            return idTokenClaims;
+        },
+
+        /**
+         * Get user details from Microsoft Graph API
+         * @returns {Promise<Object|null>} User details object or null on failure
+         */
+        async getUserDetails() {
+            if (!accessToken) {
+                return null;
+            }
+
+            // Call Microsoft Graph API to get user details
+            const response = await fetch("https://graph.microsoft.com/v1.0/me", {
+                headers: {
+                    Authorization: `Bearer ${accessToken}`
+                }
+            });
+
+            if (!response.ok) {
+                console.error("Error fetching user data:", await response.text());
+                return null;
+            }
+            return response.json();
+        }
+    };
+}
@@ -0,0 +1,277 @@
+/**
+ * oidcProvider.js
+ * Authentication provider for any OpenID Connect identity provider
+ *
+ * Signs in with the authorization code flow with PKCE, by redirecting to the
+ * identity provider and back to the current page. The endpoints are read
+ * from the provider's discovery document. Tokens are kept in sessionStorage
+ * and renewed with the refresh token when the provider issues one.
+ */
+
+import { decodeJwtClaims, isTokenExpired } from './jwt.js';
+
+// sessionStorage keys of the tokens and of a sign-in in progress
+const SESSION_KEY = 'oidc_session';
+const SIGN_IN_KEY = 'oidc_sign_in';
+
+/**
+ * Create a random string for the state, nonce and code verifier
+ * @returns {string} 43 URL-safe characters
+ */
+function createRandomString() {
+    return base64UrlEncodeBytes(crypto.getRandomValues(new Uint8Array(32)));
+}
+
+/**
+ * Encode bytes as base64url
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64url encoded bytes, without padding
+ */
+function base64UrlEncodeBytes(bytes) {
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Create the PKCE code challenge of a code verifier
+ * @param {string} codeVerifier - Code verifier
+ * @returns {Promise<string>} SHA-256 hash of the verifier, base64url encoded
+ */
+async function createCodeChallenge(codeVerifier) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+    return base64UrlEncodeBytes(new Uint8Array(digest));
+}
+
+/**
+ * Create the OpenID Connect authentication provider
+ * @param {Object} oidcConfig - Provider configuration, see authConfig.js
+ * @param {string} oidcConfig.authority - Issuer URL; the discovery document is read from /.well-known/openid-configuration
+ * @param {string} oidcConfig.clientId - Client ID of the app at the identity provider
+ * @param {Array<string>} oidcConfig.scopes - Scopes to request
+ * @param {string} [oidcConfig.redirectUri] - Redirect URI; the current page by default
+ * @returns {Object} Authentication provider, see auth.js
+ */
+export function createOidcProvider(oidcConfig) {
+    // Endpoints from the discovery document
+    let metadata = null;
+
+    /**
+     * Get the redirect URI registered for this page
+     * @returns {string} The redirect URI
+     */
+    function getRedirectUri() {
+        return oidcConfig.redirectUri || `${window.location.origin}${window.location.pathname}`;
+    }
+
+    /**
+     * Get the tokens of the current session
+     * @returns {Object|null} Tokens: { idToken, refreshToken }, or null if not signed in
+     */
+    function getSession() {
+        return JSON.parse(sessionStorage.getItem(SESSION_KEY) || 'null');
+    }
+
+    /**
+     * Request tokens from the token endpoint
+     * @param {Object} parameters - Form parameters of the grant
+     * @returns {Promise<string>} The new ID token
+     */
+    async function requestTokens(parameters) {
+        const response = await fetch(metadata.token_endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: new URLSearchParams({ client_id: oidcConfig.clientId, ...parameters })
+        });
+        if (!response.ok) {
+            throw new Error(`Token request failed with status ${response.status}: ${await response.text()}`);
+        }
+
+        const tokens = await response.json();
+        const session = getSession() || {};
+        sessionStorage.setItem(SESSION_KEY, JSON.stringify({
+            idToken: tokens.id_token,
+            // Providers may keep the refresh token the same and leave it out
+            refreshToken: tokens.refresh_token || session.refreshToken || null
+        }));
+        return tokens.id_token;
+    }
+
+    /**
+     * Finish signing in when the identity provider redirected back with a code
+     * @returns {Promise<boolean>} Whether the user signed in
+     */
+    async function handleRedirect() {
+        const url = new URL(window.location.href);
+        const code = url.searchParams.get('code');
+        const error = url.searchParams.get('error');
+        const state = url.searchParams.get('state');
+        const signIn = JSON.parse(sessionStorage.getItem(SIGN_IN_KEY) || 'null');
+        if ((!code && !error) || !signIn) {
+            return false;
+        }
+
+        sessionStorage.removeItem(SIGN_IN_KEY);
+
+        // Remove the code from the address bar and the browser history
+        ['code', 'state', 'session_state', 'iss', 'error', 'error_description'].forEach(parameter => url.searchParams.delete(parameter));
+        window.history.replaceState(null, '', url.toString());
+
+        if (error) {
+            throw new Error(`The identity provider returned an error: ${error}`);
+        }
+        if (state !== signIn.state) {
+            throw new Error('The sign-in response does not belong to this sign-in');
+        }
+
+        const idToken = await requestTokens({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: signIn.redirectUri,
+            code_verifier: signIn.codeVerifier
+        });
+
+        const claims = decodeJwtClaims(idToken);
+        if (!claims || claims.nonce !== signIn.nonce) {
+            sessionStorage.removeItem(SESSION_KEY);
+            throw new Error('The ID token does not belong to this sign-in');
+        }
+        return true;
+    }
+
+    /**
+     * Get the currently signed in user account
+     * @returns {Object|null} The account: { username, name }, or null if not signed in
+     */
+    function getAccount() {
+        const session = getSession();
+        const claims = session ? decodeJwtClaims(session.idToken) : null;
+        if (!claims) {
+            return null;
+        }
+        return {
+            username: claims.preferred_username || claims.email || claims.sub,
+            name: claims.name || null
+        };
+    }
+
+    return {
+        name: 'oidc',
+
+        /**
+         * Read the discovery document and finish a sign-in in progress
+         * @param {Object} callbacks - Callbacks of auth.js
+         * @param {Function} callbacks.onSignIn - Called with the account after signing in
+         * @returns {Promise<boolean>} False if the identity provider cannot be reached
+         */
+        async initialize({ onSignIn }) {
+            try {
+                const response = await fetch(`${oidcConfig.authority.replace(/\/$/, '')}/.well-known/openid-configuration`);
+                metadata = await response.json();
+            } catch (error) {
+                console.error('Could not read the OpenID Connect discovery document:', error);
+                return false;
+            }
+
+            try {
+                if (await handleRedirect()) {
+                    onSignIn(getAccount());
+                }
+            } catch (error) {
+                console.error('Error signing in:', error);
+            }
+            return true;
+        },
+
+        /**
+         * Sign in by redirecting to the identity provider
+         */
+        async signIn() {
+            if (!metadata) {
+                console.error("OpenID Connect provider not initialized");
+                return;
+            }
+
+            const signIn = {
+                state: createRandomString(),
+                nonce: createRandomString(),
+                codeVerifier: createRandomString(),
+                redirectUri: getRedirectUri()
+            };
+            sessionStorage.setItem(SIGN_IN_KEY, JSON.stringify(signIn));
+
+            const url = new URL(metadata.authorization_endpoint);
+            url.search = new URLSearchParams({
+                client_id: oidcConfig.clientId,
+                response_type: 'code',
+                scope: oidcConfig.scopes.join(' '),
+                redirect_uri: signIn.redirectUri,
+                state: signIn.state,
+                nonce: signIn.nonce,
+                code_challenge: await createCodeChallenge(signIn.codeVerifier),
+                code_challenge_method: 'S256'
+            }).toString();
+            window.location.assign(url.toString());
+        },
+
+        /**
+         * Sign out, also at the identity provider if it supports that
+         * @returns {boolean} True if redirecting to the identity provider to sign out
+         */
+        signOut() {
+            const session = getSession();
+            sessionStorage.removeItem(SESSION_KEY);
+
+            if (metadata && metadata.end_session_endpoint && session) {
+                const url = new URL(metadata.end_session_endpoint);
+                url.search = new URLSearchParams({
+                    id_token_hint: session.idToken,
+                    post_logout_redirect_uri: getRedirectUri()
+                }).toString();
+                window.location.assign(url.toString());
+                return true;
+            }
+            return false;
+        },
+
+        getAccount,
+
+        /**
+         * Get the ID token, renewed with the refresh token when it expired
+         * @param {Object} [options] - Token options
+         * @param {boolean} [options.forceRefresh=false] - Renew the token even if it has not expired
+         * @returns {Promise<string|null>} The ID token or null if the user has to sign in again
+         */
+        async getToken({ forceRefresh = false } = {}) {
+            const session = getSession();
+            if (!session) {
+                return null;
+            }
+            if (!forceRefresh && !isTokenExpired(session.idToken)) {
+                return session.idToken;
+            }
+            if (!session.refreshToken || !metadata) {
+                return null;
+            }
+
+            try {
+                return await requestTokens({
+                    grant_type: 'refresh_token',
+                    refresh_token: session.refreshToken,
+                    scope: oidcConfig.scopes.join(' ')
+                });
+            } catch (error) {
+                console.warn('Could not refresh the ID token:', error);
+                sessionStorage.removeItem(SESSION_KEY);
+                return null;
+            }
+        },
+
+        /**
+         * Get the claims of the ID token of the current session
+         * @returns {Object|null} The claims, or null if not signed in
+         */
+        getClaims() {
+            const session = getSession();
+            return session ? decodeJwtClaims(session.idToken) : null;
+        }
+    };
+}
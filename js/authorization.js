@@ -0,0 +1,82 @@
+/**
+ * authorization.js
+ * Role-based access control shared by the survey app and the results dashboard
+ *
+ * Maps the app roles and security groups in the user's Entra ID token claims
+ * to permissions, as configured in authorizationConfig (authConfig.js). The
+ * apps show admin features only to users with the matching permission. This
+ * only decides what the UI offers: the API gateway must check the token too.
+ */
+
+import { authorizationConfig } from './authConfig.js';
+import { getIdToken, getIdTokenClaims } from './auth.js';
+import { backendMode, mockBackendConfig } from './dataConfig.js';
+
+// Permissions that can be granted to roles and groups
+export const PERMISSIONS = {
+  viewResults: 'viewResults',                     // Aggregated results in the dashboard
+  viewRawResponses: 'viewRawResponses',           // Individual responses, e.g. the response details modal
+  viewResponseHistory: 'viewResponseHistory',     // What respondents changed when revising their responses
+  changeVisualizations: 'changeVisualizations',   // Visualization types and settings, thematic coding
+  viewDeltaFiles: 'viewDeltaFiles',               // Delta files of all users in the admin section
+  exportData: 'exportData'                        // Downloads of results and settings
+};
+
+/**
+ * Get the claims of the signed-in user
+ * @returns {Object|null} - ID token claims, or null if no user is signed in
+ */
+export function getCurrentClaims() {
+  // Reads the token stored by the survey app when the dashboard has not signed in itself
+  if (getIdToken()) {
+    const claims = getIdTokenClaims();
+    if (claims) {
+      return claims;
+    }
+  }
+
+  // The mock backend serves a development user without signing in
+  if (backendMode === 'mock') {
+    return { preferred_username: mockBackendConfig.username, roles: mockBackendConfig.roles || [] };
+  }
+
+  return null;
+}
+
+/**
+ * Get the permissions of a user
+ * @param {Object|null} claims - ID token claims of the user
+ * @returns {Set<string>} - Granted permissions, see PERMISSIONS
+ */
+export function getPermissions(claims) {
+  const permissions = new Set();
+  if (!claims) {
+    return permissions;
+  }
+
+  const grant = (granted) => (granted || []).forEach(permission => permissions.add(permission));
+  grant(authorizationConfig.authenticated);
+
+  const roleMap = Object.fromEntries(
+    Object.entries(authorizationConfig.roles || {}).map(([role, granted]) => [role.toLowerCase(), granted])
+  );
+  (Array.isArray(claims.roles) ? claims.roles : []).forEach(role => {
+    grant(roleMap[String(role).toLowerCase()]);
+  });
+
+  (Array.isArray(claims.groups) ? claims.groups : []).forEach(group => {
+    grant((authorizationConfig.groups || {})[group]);
+  });
+
+  return permissions;
+}
+
+/**
+ * Check whether a user has a permission
+ * @param {string} permission - Permission, see PERMISSIONS
+ * @param {Object|null} [claims] - ID token claims, those of the signed-in user by default
+ * @returns {boolean} - Whether the permission is granted
+ */
+export function hasPermission(permission, claims = getCurrentClaims()) {
+  return getPermissions(claims).has(permission);
+}
@@ -4,6 +4,12 @@
  * 
  * This module handles the evaluation of conditions for conditional survey questions.
  * It supports various condition types and logical combinations of conditions.
+ *
+ * A condition expression is one of:
+ * - a rule: { questionId, type, ... }
+ * - a group: { operator: 'and' | 'or', rules: [expression, ...] }
+ * - a negation: { not: expression }
+ * Groups can be nested, e.g. (A and B) or (C and not D).
  */
 
 import * as surveyData from './surveyData.js';
@@ -17,7 +23,12 @@ const CONDITION_TYPES = {
   GREATER_THAN: 'greaterThan',
   LESS_THAN: 'lessThan',
   TOP_RANKED: 'topRanked',
-  OPTION_CHECKED: 'optionChecked' // New condition type for checkbox options
+  OPTION_CHECKED: 'optionChecked', // New condition type for checkbox options
+  IN: 'in',                         // Answer is one of a list of values
+  BETWEEN: 'between',               // Numeric answer lies within min and max (inclusive)
+  RANKED_ABOVE: 'rankedAbove',      // Option is ranked above another option or within a position
+  COUNT_AT_LEAST: 'countAtLeast',   // At least a number of checkbox options or tags selected
+  MATCHES: 'matches'                // Text answer matches a regular expression
 };
 
 // Constants for logical operators
@@ -26,19 +37,84 @@ const OPERATORS = {
   OR: 'or'
 };
 
+/**
+ * Get a numeric answer; for likert and slider answers, the number of one option
+ * @param {*} responseValue - The response value
+ * @param {string} [optionId] - Likert item or slider option to take the number of
+ * @returns {number} - The number, or NaN if there is none
+ */
+function getNumericValue(responseValue, optionId) {
+  if (optionId && responseValue && typeof responseValue === 'object') {
+    // Multi-value slider answers nest the positions in a value property
+    const positions = responseValue.value && typeof responseValue.value === 'object'
+      ? responseValue.value
+      : responseValue;
+    return parseFloat(positions[optionId]);
+  }
+  return parseFloat(responseValue);
+}
+
+/**
+ * Get the text of an answer: rich text without markup, or the text of an "other" answer
+ * @param {*} responseValue - The response value
+ * @returns {string} - The text
+ */
+function getTextValue(responseValue) {
+  if (typeof responseValue === 'string') {
+    return responseValue.replace(/<[^>]*>/g, ' ');
+  }
+  if (Array.isArray(responseValue)) {
+    return responseValue.map(getTextValue).join('\n');
+  }
+  if (responseValue && responseValue.isOther) {
+    return responseValue.otherValue || '';
+  }
+  return '';
+}
+
+/**
+ * Count the selected options of a checkbox or tags answer
+ * @param {*} responseValue - The response value
+ * @returns {number} - Number of selected options
+ */
+function countSelections(responseValue) {
+  if (Array.isArray(responseValue)) {
+    return responseValue.length;
+  }
+  if (responseValue && typeof responseValue === 'object') {
+    return Object.values(responseValue).filter(checked => checked).length;
+  }
+  return 0;
+}
+
+/**
+ * Get the rank of an option in a rank answer
+ * @param {*} responseValue - The response value (array of { id, rank })
+ * @param {string} optionId - The option value
+ * @returns {number|null} - The rank, or null if the option is not ranked
+ */
+function getRank(responseValue, optionId) {
+  if (!Array.isArray(responseValue)) {
+    return null;
+  }
+  const item = responseValue.find(rankItem => rankItem && rankItem.id === optionId);
+  return item ? item.rank : null;
+}
+
 /**
  * Evaluate if a condition is met
  * @param {Object} condition - The condition object to evaluate
+ * @param {Function} getResponse - Function returning the response object for a question ID
  * @returns {boolean} - Whether the condition is met
  */
-function evaluateCondition(condition) {
+function evaluateCondition(condition, getResponse) {
   if (!condition || !condition.questionId || !condition.type) {
     console.error('Invalid condition object', condition);
     return false;
   }
 
   // Get the response for the referenced question
-  const response = surveyData.getResponse(condition.questionId);
+  const response = getResponse(condition.questionId);
   
   // If there's no response and we're not checking "answered", condition is not met
   if (!response && condition.type !== CONDITION_TYPES.ANSWERED) {
@@ -126,13 +202,73 @@ function evaluateCondition(condition) {
         return false;
       }
       
-      // For checkbox questions
+      // Checkbox renderers save an array of checked values
+      if (Array.isArray(responseValue)) {
+        return responseValue.includes(condition.optionId);
+      }
+      
+      // For checkbox questions saved as a map of options
       if (responseValue && typeof responseValue === 'object') {
         // Look for the specific option being checked
         return responseValue[condition.optionId] === true;
       }
       return false;
       
+    case CONDITION_TYPES.IN: {
+      // Check if the answer (or, for multiple answers, one of them) is in the list
+      if (!Array.isArray(condition.values)) {
+        console.error('Missing values for in condition', condition);
+        return false;
+      }
+      const answers = Array.isArray(responseValue) ? responseValue : [responseValue];
+      return answers.some(answer => condition.values.includes(
+        answer && typeof answer === 'object' && answer.isOther ? 'other' : answer));
+    }
+
+    case CONDITION_TYPES.BETWEEN: {
+      // Check if the number lies within min and max; a missing bound is open
+      const number = getNumericValue(responseValue, condition.optionId);
+      if (isNaN(number)) {
+        return false;
+      }
+      return (condition.min === undefined || number >= condition.min) &&
+             (condition.max === undefined || number <= condition.max);
+    }
+
+    case CONDITION_TYPES.RANKED_ABOVE: {
+      // Check if an option is ranked above another option, or within the top positions
+      const rank = getRank(responseValue, condition.optionId);
+      if (rank === null) {
+        return false;
+      }
+      if (condition.otherOptionId) {
+        const otherRank = getRank(responseValue, condition.otherOptionId);
+        return otherRank === null || rank < otherRank;
+      }
+      if (condition.position !== undefined) {
+        return rank <= condition.position;
+      }
+      console.error('Missing otherOptionId or position for rankedAbove condition', condition);
+      return false;
+    }
+
+    case CONDITION_TYPES.COUNT_AT_LEAST:
+      // Check if at least a number of options or tags are selected
+      if (condition.count === undefined || condition.count === null) {
+        console.error('Missing count for countAtLeast condition', condition);
+        return false;
+      }
+      return countSelections(responseValue) >= condition.count;
+
+    case CONDITION_TYPES.MATCHES:
+      // Check if the text of the answer matches a regular expression
+      try {
+        return new RegExp(condition.pattern, condition.flags || '').test(getTextValue(responseValue));
+      } catch (error) {
+        console.error('Invalid pattern for matches condition', condition, error);
+        return false;
+      }
+
     default:
       console.error('Unknown condition type:', condition.type);
       return false;
@@ -140,21 +276,29 @@ function evaluateCondition(condition) {
 }
 
 /**
- * Evaluate if conditions for a question are met
- * @param {Object} question - The question object with conditions
- * @returns {boolean} - Whether all conditions are met
+ * Evaluate a condition expression: a rule, a group of expressions or a negation
+ * @param {Object} expression - The condition expression
+ * @param {Function} getResponse - Function returning the response object for a question ID
+ * @returns {boolean} - Whether the expression is met
  */
-export function shouldShowQuestion(question) {
-  // If there are no conditions, always show the question
-  if (!question.conditions || !question.conditions.rules || question.conditions.rules.length === 0) {
-    return true;
+function evaluateExpression(expression, getResponse) {
+  if (!expression || typeof expression !== 'object') {
+    console.error('Invalid condition expression', expression);
+    return false;
   }
 
-  const operator = question.conditions.operator || OPERATORS.AND;
-  const rules = question.conditions.rules;
+  if (expression.not !== undefined) {
+    return !evaluateExpression(expression.not, getResponse);
+  }
+
+  if (!Array.isArray(expression.rules)) {
+    return evaluateCondition(expression, getResponse);
+  }
 
-  // Evaluate each rule
-  const results = rules.map(rule => evaluateCondition(rule));
+  const operator = expression.operator || OPERATORS.AND;
+
+  // Evaluate each rule or nested group
+  const results = expression.rules.map(rule => evaluateExpression(rule, getResponse));
 
   // Combine results based on operator
   if (operator === OPERATORS.AND) {
@@ -169,3 +313,52 @@ export function shouldShowQuestion(question) {
   console.error('Unknown operator:', operator);
   return true;
 }
+
+/**
+ * Evaluate if conditions for a question are met
+ * @param {Object} question - The question object with conditions
+ * @returns {boolean} - Whether all conditions are met
+ */
+export function shouldShowQuestion(question) {
+  return areConditionsMet(question.conditions, surveyData.getResponse);
+}
+
+/**
+ * Evaluate a condition expression against a set of responses
+ * @param {Object} conditions - Condition expression (rule, group or negation)
+ * @param {Function} getResponse - Function returning the response object for a question ID
+ * @returns {boolean} - Whether the conditions are met
+ */
+export function areConditionsMet(conditions, getResponse) {
+  // If there are no conditions, always show the question
+  if (!conditions || (Array.isArray(conditions.rules) && conditions.rules.length === 0)) {
+    return true;
+  }
+
+  return evaluateExpression(conditions, getResponse);
+}
+
+/**
+ * Get the IDs of all questions a condition expression depends on
+ * @param {Object} conditions - Condition expression
+ * @returns {Array<string>} - Question IDs, without duplicates
+ */
+export function getConditionQuestionIds(conditions) {
+  const questionIds = new Set();
+
+  const collect = expression => {
+    if (!expression || typeof expression !== 'object') {
+      return;
+    }
+    if (expression.not !== undefined) {
+      collect(expression.not);
+    } else if (Array.isArray(expression.rules)) {
+      expression.rules.forEach(collect);
+    } else if (expression.questionId) {
+      questionIds.add(expression.questionId);
+    }
+  };
+
+  collect(conditions);
+  return [...questionIds];
+}
@@ -1,3 +1,7 @@
+// Select the backend: 'live' uses the API gateway endpoints below, 'mock' answers requests
+// to these endpoints in the browser (see mockBackend.js) so the apps can be developed offline
+export const backendMode = 'live';
+
 export const dataEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/speakerpool-data";
 export const deltaEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/cloud-survey-results";
 
@@ -8,3 +12,45 @@ export const adminEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-a
 
 
 export const surveySummaryEndpoint = "https://odzno3g32mjesdrjipad23mbxq.apigateway.eu-amsterdam-1.oci.customer-oci.com/conclusion-proxy/cloud-survey-total-result";
+
+// Exchanges a one-time invite code for a token (authProvider 'inviteCode' in authConfig.js):
+// POST { "code": "<code>" } without Authorization header, answered with { "token": "<JWT>" } or 401 when
+// the code is unknown or used before. The token identifies the invitation and is sent like an ID token.
+// NEEDS BACKEND WORK: the API gateway has no such route yet, and it only accepts Entra ID tokens, so it
+// also has to be configured to accept the tokens this endpoint issues. Only the mock backend redeems codes.
+export const inviteEndpoint = backendMode === 'mock' ? 'mock://survey-invite' : null;
+
+// Counts the submitted responses of a survey for its quotas, so respondents never download the results of others:
+// GET ?survey=<survey id>&questions=<question id>,... with the Authorization header, answered with
+// { "total": <count>, "segments": { "<question id>": { "<answer>": <count> } } } (drafts are not counted).
+// NEEDS BACKEND WORK: the API gateway does not offer this yet. Without it, surveys with quotas accept no
+// responses on the live backend, as the survey app cannot check the quotas; the gateway should also refuse
+// saves to a full survey itself.
+export const quotaCountEndpoint = backendMode === 'mock' ? 'mock://survey-quota-count' : null;
+
+// Stores and returns the responses to anonymous and pseudonymous surveys (privacy in the survey definition),
+// apart from the respondents' delta files. The backend takes the privacy mode from the survey definition, never
+// from the request, and removes the identity fields (username, email, label, bedrijf) from the response.
+// PUT <submission> with the Authorization header, answered with { "success": true } or, when the submission was
+// saved before (same submissionId), { "success": true, "duplicate": true }:
+// - anonymous: stored as conclusion-assets/responses/<survey id>/<submission id>.json, without any identity
+// - pseudonymous: stored as conclusion-assets/responses/<survey id>/<respondentId>.json, where respondentId is
+//   HMAC-SHA256(secret, "<survey id>:<token subject>") and is added to the response. Another submission by the
+//   same respondent is answered with 409, unless it revises the stored response (same responseId).
+// GET ?survey=<survey id> answers a pseudonymous respondent with their stored response (404 if there is none),
+// so they can revise it; anonymous responses cannot be found again.
+// The secret must never reach the browser, and the gateway must not log the identity with these requests.
+// NEEDS BACKEND WORK: the API gateway does not offer this yet. Without it, anonymous and pseudonymous surveys
+// accept no responses on the live backend; the summary endpoints should include the stored responses.
+export const privateResponseEndpoint = backendMode === 'mock' ? 'mock://survey-private-response' : null;
+
+// Settings for the mock backend
+export const mockBackendConfig = {
+    respondents: 40,                  // Number of responses generated from the survey definition
+    seed: 42,                         // Seed for generating the responses
+    skew: 1,                          // How strongly answers favour some options (0 = uniform)
+    correlation: 0.6,                 // How consistently respondents answer according to their profile (0-1)
+    username: 'dev.user@example.com', // User for requests without a readable ID token
+    pseudonymSecret: 'mock-pseudonym-secret', // Key of the respondentId hashes; on the live backend it stays on the server
+    roles: ['admin']                  // App roles of that user, see authorizationConfig in authConfig.js
+};
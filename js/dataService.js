@@ -7,8 +7,9 @@
  * in memory throughout the session.
  */
 
-import { dataEndpoint, deltaEndpoint, adminEndpoint, surveySummaryEndpoint } from './dataConfig.js';
-import { getIdToken } from './auth.js';
+import { dataEndpoint, deltaEndpoint, adminEndpoint, surveySummaryEndpoint, quotaCountEndpoint, privateResponseEndpoint, backendMode } from './dataConfig.js';
+import { getIdToken as getSessionIdToken, acquireIdTokenSilently } from './auth.js';
+import { installMockBackend } from './mockBackend.js';
 
 // Constants for status and error messages
 const STATUS = {
@@ -18,6 +19,19 @@ const STATUS = {
     ERROR: 'error'
 };
 
+// Token sent to the mock backend when no user is signed in
+const MOCK_ID_TOKEN = 'mock-id-token';
+
+// Key in a delta file of survey data saved before the file held an entry per survey, without a surveyId
+const LEGACY_SURVEY_KEY = 'legacy';
+
+// Web Lock held while the user's delta file is read and written, shared by all tabs of the browser
+const DELTA_FILE_LOCK = 'survey-delta-file';
+
+if (backendMode === 'mock') {
+    installMockBackend();
+}
+
 // In-memory cache for data
 const dataCache = {
     // Current data fetch status
@@ -37,8 +51,95 @@ const dataCache = {
 };
 
 
-export async function getSurveySummary(forceRefresh = false) {
-    return getDataFromEndpoint(surveySummaryEndpoint);
+/**
+ * Get the ID token to authorize requests with; the mock backend accepts
+ * requests without a signed in user
+ * @returns {string|null} The ID token or null if not available
+ */
+function getIdToken() {
+    const idToken = getSessionIdToken();
+    if (!idToken && backendMode === 'mock') {
+        return MOCK_ID_TOKEN;
+    }
+    return idToken;
+}
+
+/**
+ * Send a request authorized with the user's ID token. When the API rejects
+ * the token (401), e.g. because it expired, a new token is acquired silently
+ * and the request is sent once more.
+ * @param {string} url - Request URL
+ * @param {Object} [options] - fetch options; the Authorization header is added
+ * @returns {Promise<Response>} The response, of the retry if there was one
+ */
+async function fetchWithToken(url, options = {}) {
+    const send = (idToken) => fetch(url, {
+        ...options,
+        headers: {
+            ...options.headers,
+            'Authorization': `Bearer ${idToken}`
+        }
+    });
+
+    const response = await send(getIdToken());
+    if (response.status !== 401) {
+        return response;
+    }
+
+    const refreshedToken = await acquireIdTokenSilently(true);
+    if (!refreshedToken) {
+        return response;
+    }
+    console.log('ID token refreshed, retrying request');
+    return send(refreshedToken);
+}
+
+/**
+ * Create the error thrown when the user is not signed in or the API rejects their token
+ * @param {string} message - Error message
+ * @param {number} [status] - HTTP status of the rejected request
+ * @returns {Error} Error with isAuthError set, so callers can ask the user to sign in
+ */
+function createAuthError(message, status) {
+    const error = new Error(message);
+    error.isAuthError = true;
+    error.status = status;
+    return error;
+}
+
+/**
+ * Get the results of all users for a survey
+ * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
+ * @param {string} [endpoint] - Results endpoint of the survey, from the survey catalog
+ * @returns {Promise<Object>} The fetched results
+ */
+export async function getSurveySummary(forceRefresh = false, endpoint = surveySummaryEndpoint) {
+    return getDataFromEndpoint(endpoint);
+}
+
+/**
+ * Get the number of submitted responses to a survey, in total and per answer
+ * to the given questions, without the responses themselves
+ * @param {string} surveyId - Survey ID
+ * @param {Array<string>} questionIds - Questions to count the answers of
+ * @returns {Promise<Object|null>} The counts: { total, segments: { <questionId>: { <answer>: count } } },
+ * or null if no quota count endpoint is configured
+ */
+export async function getQuotaCounts(surveyId, questionIds) {
+    if (!quotaCountEndpoint) {
+        return null;
+    }
+    if (!getIdToken()) {
+        throw createAuthError('No authentication token available. Please sign in.');
+    }
+
+    const query = `survey=${encodeURIComponent(surveyId)}&questions=${questionIds.map(encodeURIComponent).join(',')}`;
+    const response = await fetchWithToken(`${quotaCountEndpoint}?${query}&ts=${Date.now()}`, { method: 'GET' });
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API request failed with status ${response.status}: ${errorText}`);
+    }
+    return response.json();
 }
 
 /**
@@ -70,23 +171,20 @@ async function getDataFromEndpoint( theEndpoint) {
         const error = 'No authentication token available. Please sign in.';
         dataCache.status = STATUS.ERROR;
         dataCache.error = error;
-        throw new Error(error);
+        throw createAuthError(error);
     }
 
     try {
         // Update status to loading
         dataCache.status = STATUS.LOADING;
         const options = {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${idToken}`
-            }
+            method: 'GET'
         };
 
         const endpoint = theEndpoint + "?ts=" + Date.now();
         console.log('Fetching data from endpoint:', endpoint);
         // Make authenticated request to the data endpoint ; bust caching by adding ts query parameter
-        const response = await fetch(endpoint, options);
+        const response = await fetchWithToken(endpoint, options);
 
         // Check if request was successful
         if (!response.ok) {
@@ -94,6 +192,10 @@ async function getDataFromEndpoint( theEndpoint) {
             const error = `API request failed with status ${response.status}: ${errorText}`;
             dataCache.status = STATUS.ERROR;
             dataCache.error = error;
+            // The token was rejected even after refreshing it, or the user lacks access
+            if (response.status === 401 || response.status === 403) {
+                throw createAuthError(error, response.status);
+            }
             throw new Error(error);
         }
 
@@ -117,9 +219,9 @@ async function getDataFromEndpoint( theEndpoint) {
 
 
 /**
- * Get data from the API using the authenticated user's ID token
+ * Get the current user's delta file from the API
  * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
- * @returns {Promise<Object>} The fetched data
+ * @returns {Promise<Object|null>} The fetched data, or null if the user has not saved anything yet
  */
 export async function getUserData(forceRefresh = false) {
     // If data is already cached and refresh is not forced, return cached data
@@ -147,14 +249,21 @@ export async function getUserData(forceRefresh = false) {
         console.log(`Attempting to GET user-specific data from: ${userDeltaEndpoint} for current user`);
 
 
-        const response = await fetch(userDeltaEndpoint + `?ts=${Date.now()}`, {
+        const response = await fetchWithToken(userDeltaEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Content-Type': 'application/json'
             }
         });
 
+        // The user has no delta file yet
+        if (response.status === 404) {
+            dataCache.status = STATUS.SUCCESS;
+            dataCache.userdata = null;
+            dataCache.error = null;
+            return null;
+        }
+
         // Check if request was successful
         if (!response.ok) {
             const errorText = await response.text();
@@ -182,6 +291,186 @@ export async function getUserData(forceRefresh = false) {
     }
 }
 
+/**
+ * Get the survey data in a user's delta file. A delta file holds an entry per
+ * survey: { surveys: { <surveyId>: data } }; files saved before that hold the
+ * data of a single survey.
+ * @param {Object|null} deltaFile - Content of a delta file
+ * @returns {Array<Object>} The survey data in the file, one object per survey
+ */
+export function getDeltaFileEntries(deltaFile) {
+    if (!deltaFile || typeof deltaFile !== 'object') {
+        return [];
+    }
+    if (deltaFile.surveys && typeof deltaFile.surveys === 'object') {
+        return Object.values(deltaFile.surveys);
+    }
+    return [deltaFile];
+}
+
+/**
+ * Get the current user's saved data for one survey
+ * @param {string} surveyId - Survey ID
+ * @param {boolean} [forceRefresh=false] - Force a refresh even if data is already cached
+ * @returns {Promise<Object|null>} The saved draft or submission, or null if there is none
+ */
+export async function getUserSurveyData(surveyId, forceRefresh = false) {
+    const deltaFile = await getUserData(forceRefresh);
+    return getDeltaFileEntries(deltaFile).find(entry => entry.surveyId === surveyId) || null;
+}
+
+/**
+ * Run a function while holding the delta file lock, so saves from other tabs
+ * of this browser wait until it is done; browsers without Web Locks run it
+ * right away
+ * @param {Function} callback - Async function to run
+ * @returns {Promise<*>} What the function returns
+ */
+function withDeltaFileLock(callback) {
+    if (navigator.locks) {
+        return navigator.locks.request(DELTA_FILE_LOCK, callback);
+    }
+    return callback();
+}
+
+/**
+ * Save the current user's data for one survey, keeping the data of the other
+ * surveys in the user's delta file. A submission that is already saved, with
+ * the same submissionId, is not saved again, so replaying a queued submission
+ * that reached the server before the connection dropped is harmless.
+ *
+ * Reading the delta file, checking it and writing it happen under a Web Lock,
+ * so two tabs replaying the same submission (e.g. after a background sync
+ * message and an online event) save it once. The lock does not reach other
+ * browsers or devices of the same user, nor browsers without Web Locks: saves
+ * racing from there can still overwrite each other or save a submission twice.
+ * @param {Object} data - The draft or submission to save, with its surveyId
+ * @returns {Promise<Object>} Success flag, response data and the submitted data;
+ * duplicate is set when the submission was already saved
+ */
+export function saveUserSurveyData(data) {
+    return withDeltaFileLock(() => saveUserSurveyEntry(data));
+}
+
+/**
+ * Save the data for one survey in the user's delta file, see saveUserSurveyData
+ * @param {Object} data - The draft or submission to save, with its surveyId
+ * @returns {Promise<Object>} Success flag, response data and the submitted data
+ */
+async function saveUserSurveyEntry(data) {
+    let deltaFile;
+    try {
+        deltaFile = await getUserData(true);
+    } catch (error) {
+        // Never overwrite the other surveys' data when it cannot be read
+        const readError = new Error(`Failed to save data: ${error.message}`);
+        readError.isNetworkError = error instanceof TypeError;
+        throw readError;
+    }
+
+    const surveys = {};
+    getDeltaFileEntries(deltaFile).forEach(entry => {
+        surveys[entry.surveyId || LEGACY_SURVEY_KEY] = entry;
+    });
+
+    const savedEntry = surveys[data.surveyId];
+    if (data.submissionId && savedEntry && savedEntry.submissionId === data.submissionId) {
+        console.log(`Submission ${data.submissionId} was already saved`);
+        return { success: true, duplicate: true, submittedData: savedEntry };
+    }
+
+    data.lastModified = new Date().toISOString();
+    surveys[data.surveyId] = data;
+
+    const result = await saveUserData({ surveys });
+    return { ...result, submittedData: data };
+}
+
+/**
+ * Check whether the backend can store responses apart from the respondent's
+ * identity, as anonymous and pseudonymous surveys need
+ * @returns {boolean} True if a private response endpoint is configured
+ */
+export function supportsPrivateResponses() {
+    return Boolean(privateResponseEndpoint);
+}
+
+/**
+ * Get the current user's stored response to a pseudonymous survey; the backend
+ * finds it by the user's pseudonym. Anonymous responses cannot be found again.
+ * @param {string} surveyId - Survey ID
+ * @returns {Promise<Object|null>} The stored response, or null if there is none
+ */
+export async function getPrivateResponse(surveyId) {
+    if (!privateResponseEndpoint) {
+        return null;
+    }
+    if (!getIdToken()) {
+        throw createAuthError('No authentication token available. Please sign in.');
+    }
+
+    const response = await fetchWithToken(`${privateResponseEndpoint}?survey=${encodeURIComponent(surveyId)}&ts=${Date.now()}`, { method: 'GET' });
+    if (response.status === 404) {
+        return null;
+    }
+    if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`API request failed with status ${response.status}: ${errorText}`);
+    }
+    return response.json();
+}
+
+/**
+ * Save a submission to an anonymous or pseudonymous survey. It is not saved in
+ * the user's delta file: the backend stores it apart from the user's identity
+ * (see privateResponseEndpoint in dataConfig.js) and recognizes a submission it
+ * saved before by its submissionId.
+ * @param {Object} data - The submission, with its surveyId and submissionId
+ * @returns {Promise<Object>} Success flag, response data and the submitted data;
+ * duplicate is set when the submission was already saved
+ * @throws {Error} With alreadySubmitted set when the respondent already submitted
+ * a response, or isNetworkError set when the server cannot be reached
+ */
+export async function savePrivateResponse(data) {
+    if (!privateResponseEndpoint) {
+        throw new Error('Failed to save data: no private response endpoint is configured');
+    }
+    if (!getIdToken()) {
+        throw new Error('No authentication token available. Please sign in.');
+    }
+
+    let response;
+    try {
+        response = await fetchWithToken(privateResponseEndpoint, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(data)
+        });
+    } catch (error) {
+        const saveError = new Error(`Failed to save data: ${error.message}`);
+        // fetch rejects with a TypeError when the server cannot be reached at all
+        saveError.isNetworkError = error instanceof TypeError;
+        throw saveError;
+    }
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        const saveError = new Error(`Failed to save data: ${response.status} ${response.statusText}. Detail: ${errorBody}`);
+        saveError.alreadySubmitted = response.status === 409;
+        throw saveError;
+    }
+
+    const responseData = await response.json();
+    return { success: true, duplicate: Boolean(responseData.duplicate), data: responseData, submittedData: data };
+}
+
+/**
+ * Save the current user's data to the API
+ * @param {Object} data - The data to save
+ * @returns {Promise<Object>} Success flag, response data and the submitted data
+ */
 export async function saveUserData(data) {
     dataCache.userdata = data;
 
@@ -215,10 +504,9 @@ export async function saveUserData(data) {
     console.log(`Attempting to PUT updated profile to: ${actualPutEndpoint}`);
 
     try {
-        const response = await fetch(actualPutEndpoint, {
+        const response = await fetchWithToken(actualPutEndpoint, {
             method: 'PUT',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify(data)
@@ -252,7 +540,10 @@ export async function saveUserData(data) {
 
     } catch (error) {
         console.error('Error saving data:', error);
-        throw new Error(`Failed to save data: ${error.message}`);
+        const saveError = new Error(`Failed to save data: ${error.message}`);
+        // fetch rejects with a TypeError when the server cannot be reached at all
+        saveError.isNetworkError = error instanceof TypeError;
+        throw saveError;
     }
 }
 
@@ -270,10 +561,9 @@ export async function getDeltaListAsAdmin(pathPrefix='conclusion-assets/deltas/'
     console.log(`Admin mode: Fetching list of delta file names from ${adminEndpoint} with empty Asset-Path.`);
     try {
         // add timestamp to prevent caching
-        const listResponse = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
+        const listResponse = await fetchWithToken(adminEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Asset-Path': '' // Empty string for listing
             }
         });
@@ -331,10 +621,9 @@ export async function getDeltaFileData(objectName, pathPrefix='conclusion-assets
         const assetPath = objectName.startsWith(pathPrefix) ? objectName : `${pathPrefix}${objectName}`;
         
         // Fetch the file content using the admin endpoint
-        const response = await fetch(adminEndpoint + `?ts=${Date.now()}`, {
+        const response = await fetchWithToken(adminEndpoint + `?ts=${Date.now()}`, {
             method: 'GET',
             headers: {
-                'Authorization': `Bearer ${idToken}`,
                 'Asset-Path': assetPath
             }
         });
@@ -0,0 +1,106 @@
+/**
+ * i18n.js
+ * Message catalog for the texts of the survey app and the results dashboard
+ *
+ * Messages are looked up by key (e.g. 'navigation.next') in the bundle of the
+ * current locale, then in the bundle of the fallback locale; a missing message
+ * shows its key. Messages can contain parameters ('Step {step} of {total}')
+ * and can have plural forms: an object with a form per plural category of the
+ * locale ({ one: '{count} question', other: '{count} questions' }), selected
+ * by the count parameter. Texts of the survey itself come from the survey
+ * definition, see localization.js.
+ */
+
+import en from './i18n/en.js';
+import nl from './i18n/nl.js';
+import { getPreferredLocale } from './localization.js';
+
+// Message bundles per locale
+const BUNDLES = { en, nl };
+
+// Locale used for messages missing in the current locale
+export const FALLBACK_LOCALE = 'en';
+
+// Locales with a message bundle
+export const MESSAGE_LOCALES = Object.keys(BUNDLES);
+
+// Locale of the messages; the language chosen before or the browser's language
+let currentLocale = getPreferredLocale(MESSAGE_LOCALES, FALLBACK_LOCALE);
+
+/**
+ * Set the locale of the messages
+ * @param {string} locale - Locale; locales without a bundle use the fallback locale
+ */
+export function setMessageLocale(locale) {
+  currentLocale = locale;
+}
+
+/**
+ * Get the locale of the messages
+ * @returns {string} - The current locale
+ */
+export function getMessageLocale() {
+  return currentLocale;
+}
+
+/**
+ * Find a message in the bundle of a locale
+ * @param {string} locale - Locale
+ * @param {string} key - Dotted message key
+ * @returns {string|Object|undefined} - The message, or undefined if the bundle does not have it
+ */
+function findMessage(locale, key) {
+  return key.split('.').reduce((node, part) => (node ? node[part] : undefined), BUNDLES[locale]);
+}
+
+/**
+ * Select the plural form of a message for a count
+ * @param {Object} forms - Plural forms, by plural category
+ * @param {number} count - The count
+ * @param {string} locale - Locale of the message
+ * @returns {string} - The plural form
+ */
+function selectPluralForm(forms, count, locale) {
+  if (count === 0 && forms.zero !== undefined) {
+    return forms.zero;
+  }
+  const category = new Intl.PluralRules(locale).select(count);
+  return forms[category] !== undefined ? forms[category] : forms.other;
+}
+
+/**
+ * Get a message in the current locale
+ * @param {string} key - Dotted message key, e.g. 'navigation.next'
+ * @param {Object} [params] - Values of the parameters in the message; count selects the plural form
+ * @returns {string} - The message
+ */
+export function t(key, params = {}) {
+  let locale = currentLocale;
+  let message = findMessage(locale, key);
+  if (message === undefined) {
+    locale = FALLBACK_LOCALE;
+    message = findMessage(locale, key);
+  }
+  if (message === undefined) {
+    console.warn(`Missing message: ${key}`);
+    return key;
+  }
+
+  if (typeof message === 'object') {
+    message = selectPluralForm(message, params.count, locale);
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder);
+}
+
+/**
+ * Translate the static texts of a page: elements with a data-i18n attribute
+ * get the message with that key as their text
+ * @param {Document|HTMLElement} [root] - Element to translate the descendants of
+ */
+export function translateElements(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(element => {
+    element.textContent = t(element.dataset.i18n);
+  });
+}
@@ -0,0 +1,418 @@
+/**
+ * en.js
+ * English messages of the survey app and the results dashboard
+ *
+ * Also the fallback bundle: every key used in the code must be present here.
+ */
+
+export default {
+  common: {
+    error: 'Error: {message}'
+  },
+
+  auth: {
+    inviteCode: {
+      prompt: 'Enter the code from your invitation:',
+      rejected: 'This invite code is not valid or has already been used.'
+    }
+  },
+
+  navigation: {
+    previous: 'Previous',
+    next: 'Next',
+    submit: 'Submit Survey',
+    submitting: 'Submitting...',
+    required: 'This question is required'
+  },
+
+  survey: {
+    noDescription: 'No description available for this survey.',
+    language: 'Language',
+    returnHome: 'Return to Home',
+    errors: {
+      catalogFailed: 'Failed to load the list of surveys.',
+      invalidDefinition: 'The survey definition contains errors',
+      loadFailed: 'Failed to load the survey.'
+    },
+    unavailable: {
+      heading: 'Survey Not Available',
+      upcoming: 'This survey is not open yet.',
+      closed: 'This survey is closed. Thank you for your interest.',
+      quotaFull: 'This survey has received the maximum number of responses. Thank you for your interest.',
+      segmentFull: 'The maximum number of responses for your answer to "{question}" has been reached.',
+      quotaUnchecked: 'This survey cannot accept responses right now, as it cannot check whether the maximum number of responses has been reached. Please try again later.',
+      privacyUnsupported: 'This survey cannot accept responses yet, as responses to it are stored without your identity and the server does not support that yet.'
+    },
+    submit: {
+      thankYou: 'Thank You!',
+      success: 'Your survey responses have been successfully submitted.',
+      queued: 'You are offline. Your survey responses are saved on this device and will be sent automatically when the connection returns.',
+      sent: 'Your survey responses have been sent.',
+      failed: 'Failed to submit survey',
+      alreadySubmitted: 'You have already responded to this survey.',
+      details: 'Submission Details',
+      survey: 'Survey:',
+      submittedAt: 'Submitted:',
+      viewResponses: 'View Your Responses',
+      noResponse: 'No response',
+      edit: 'Edit my response',
+      untitled: 'Untitled survey',
+      comment: 'Comment:'
+    }
+  },
+
+  renderers: {
+    comments: 'Additional comments:',
+    commentsOptional: 'Additional comments (optional):',
+    responsePlaceholder: 'Type your response here...',
+    otherPlaceholder: 'Please specify...',
+    legend: 'Legend:',
+    rank: {
+      low: 'Low',
+      high: 'High',
+      highest: 'Highest Priority',
+      lowest: 'Lowest Priority',
+      noOptions: 'No options provided for ranking',
+      option: 'Option {number}',
+      instructions: 'Use the up and down arrow keys to move the focused option in the ranking. Home and End move it to the top or the bottom.',
+      position: '{label}, position {position} of {total}',
+      moved: '{label} moved to position {position} of {total}'
+    },
+    slider: {
+      instructions: 'Use the left and right arrow keys to move the focused marker. Page Up and Page Down take bigger steps, Home and End move it to either end.',
+      moved: '{label}: {value}'
+    },
+    radar: {
+      instructions: 'Use the left and right arrow keys to move the focused marker to another segment, and the up and down arrow keys to move it to the outer or inner ring.',
+      roleDescription: 'movable marker',
+      position: '{label}: {segment}, {ring}',
+      notPlaced: '{label}: not placed yet',
+      moved: '{label} moved to {segment}, {ring}'
+    },
+    tags: {
+      addPlaceholder: 'Type to add a new tag...',
+      filterPlaceholder: 'Type to filter tags...',
+      remove: 'Remove tag',
+      create: 'Create "{tag}"'
+    }
+  },
+
+  deltaFiles: {
+    signInRequired: 'You must be signed in to view delta files.',
+    notAuthorized: 'You are not authorized to view delta files.',
+    found: {
+      zero: 'No delta files found.',
+      one: 'Found 1 delta file.',
+      other: 'Found {count} delta files.'
+    },
+    listFailed: 'Failed to fetch the list of delta files.',
+    fileFailed: 'Failed to fetch the delta file.'
+  },
+
+  dashboard: {
+    nav: {
+      survey: 'Survey'
+    },
+    heading: 'Survey Results',
+    title: '{survey} - Results',
+    surveySelect: 'Survey',
+    totalResponses: 'total responses',
+    draftsInProgress: 'drafts in progress',
+    lastResponse: 'Last response:',
+    viewAllResponses: 'View All Responses',
+    loading: 'Loading survey results...',
+    noResults: 'No questions found or no responses match the current filters.',
+    account: {
+      signIn: 'Sign In',
+      signOut: 'Sign Out'
+    },
+    authorization: {
+      notAuthorized: 'You are not authorized to view the results of this survey. Ask the survey owner for access.',
+      signInRequired: 'Sign in to view the results of this survey.',
+      rawResponses: 'You are not authorized to view individual responses.'
+    },
+    errors: {
+      invalidDefinition: 'The survey definition contains errors:',
+      loadFailed: 'Failed to load survey results. Please try again later.'
+    },
+    window: {
+      upcoming: 'Opens on {date}',
+      closed: 'Closed on {date}',
+      openUntil: 'Open until {date}',
+      open: 'Open'
+    },
+    quota: {
+      label: 'Quota: {quotas}',
+      total: '{count} / {max} responses',
+      segment: '{question}: {count} of {total} full'
+    },
+    overview: {
+      heading: 'Overview',
+      totalResponses: 'Total Responses',
+      responsesCollected: 'responses collected',
+      drafts: 'Drafts',
+      draftsSubtext: 'surveys started, not submitted',
+      viewDetails: 'View Details'
+    },
+    responses: {
+      heading: 'All Responses',
+      anonymous: 'Anonymous',
+      unknown: 'Unknown',
+      notAvailable: 'N/A',
+      company: 'Company:',
+      user: 'User:',
+      completed: 'Completed:',
+      lastSaved: 'Last saved:',
+      answered: 'Answered:',
+      questionCount: {
+        one: '{count} question',
+        other: '{count} questions'
+      },
+      drafts: 'Drafts ({count})'
+    },
+    revisions: {
+      heading: {
+        one: 'Revised once',
+        other: 'Revised {count} times'
+      },
+      change: '{question}: {oldValue} → {newValue}',
+      commentChange: '(comment: {oldComment} → {newComment})',
+      noAnswer: '(no answer)'
+    },
+    filters: {
+      heading: 'Filters',
+      dateRange: 'Date Range',
+      allTime: 'All Time',
+      today: 'Today',
+      lastWeek: 'Last Week',
+      lastMonth: 'Last Month',
+      lastQuarter: 'Last Quarter',
+      combine: 'Combine Filters',
+      matchAll: 'Match all filters (AND)',
+      matchAny: 'Match any filter (OR)',
+      apply: 'Apply Filters',
+      reset: 'Reset',
+      anyCell: '{row} (any)',
+      matchCount: {
+        zero: 'No responses match',
+        one: '{count} of {total} responses matches',
+        other: '{count} of {total} responses match'
+      }
+    },
+    privacy: {
+      groupTooSmall: 'Fewer than {min} responses match. Results are only shown for groups of at least {min} respondents, so no one can be singled out.',
+      matchCountTooSmall: 'Fewer than {min} of {total} responses match',
+      segmentsHidden: 'Not shown, fewer than {min} respondents: {segments}'
+    },
+    crossTab: {
+      heading: 'Cross-Tabulation',
+      segmentBy: 'Segment By',
+      question: 'Question',
+      chartType: 'Chart Type',
+      groupedBar: 'Grouped Bar',
+      sideBySide: 'Side by Side',
+      export: 'Export Table (CSV)',
+      total: 'Total',
+      respondents: 'Respondents',
+      caption: '{question} by {segment}',
+      averageRank: 'Average Rank (1 = first)',
+      averagePosition: 'Average Position',
+      segmentPercentage: '% of Segment Respondents',
+      csv: {
+        count: '{segment} (count)',
+        percentage: '{segment} (%)',
+        average: '{segment} (average)',
+        averageRank: '{segment} (average rank)',
+        respondents: '{segment} (n)'
+      },
+      selectTwo: 'Select two different questions to compare.',
+      selectTwoToExport: 'Select two different questions to export a cross-tab.',
+      error: 'Error rendering cross-tab: {message}'
+    },
+    telemetry: {
+      heading: 'Response Behaviour',
+      stepTiming: 'Median Time per Step',
+      dropOff: 'Drop-off per Step',
+      submitted: 'Submitted',
+      error: 'Error rendering response behaviour: {message}'
+    },
+    wizard: {
+      previous: 'Previous Step',
+      next: 'Next Step',
+      finish: 'Finish',
+      stepCounter: 'Step {step} of {total}',
+      stepTitle: 'Step {step} {title}',
+      stepFallback: 'Step {step}'
+    },
+    visualization: {
+      chartType: 'Chart Type:',
+      irv: 'Instant-Runoff Voting',
+      unsupported: 'No visualization available for question type: {type}',
+      error: 'Error rendering visualization: {message}',
+      viewTable: 'View as table',
+      viewChart: 'View as chart',
+      missingConfiguration: 'The question is missing its {type} configuration.',
+      chart: {
+        responses: 'Responses',
+        numberOfResponses: 'Number of Responses',
+        selected: 'Selected',
+        notSelected: 'Not Selected',
+        frequency: 'Frequency',
+        count: 'Count',
+        options: 'Options',
+        rankedOptions: 'Options (Ranked)',
+        rankingPoints: 'Ranking Points',
+        bordaPoints: 'Points (Borda Count)',
+        averageScore: 'Average Score',
+        averageRating: 'Average Rating',
+        ratingValue: 'Rating Value',
+        valueRange: 'Value Range',
+        minimum: 'Minimum',
+        maximum: 'Maximum',
+        medianSeconds: 'Median Time (seconds)',
+        colorIntensity: 'Color Intensity',
+        distribution: 'Distribution of Responses for "{question}"',
+        positionDistribution: 'Distribution of Values by Position Range'
+      },
+      tooltip: {
+        value: 'Value: {value}',
+        responses: 'Responses: {count}',
+        labelResponses: {
+          one: '{label}: 1 response',
+          other: '{label}: {count} responses'
+        },
+        range: 'Range: {min} - {max}',
+        points: '{label}: {count} points',
+        rank: 'Rank: #{rank} of {total}',
+        percentageOfResponses: '{label}: {count} ({percentage}% of responses)',
+        companies: 'Companies: {companies}',
+        median: 'Median {duration} (n={count})',
+        respondentsOf: '{count} of {total} respondents ({percentage}%)'
+      },
+      rank: {
+        positionDistribution: 'Rank Position Distribution',
+        finalRanking: 'Final Ranking (IRV)',
+        noWinner: 'No clear winner (tie)',
+        rounds: 'Voting Rounds',
+        round: 'Round {round}',
+        votes: '{label}: {count} votes ({percentage}%)',
+        eliminated: 'Eliminated: {options}',
+        pointsLabel: '#{rank} ({count} pts)',
+        bordaExplanation: 'This visualization shows the final ranking of options using the Borda count method. Each time an option is ranked 1st, it receives {first} points, 2nd place receives {second} points, and so on. The bars show the total points each option received across {count} responses.',
+        positionsExplanation: 'This visualization shows how many times each option was ranked in each position. Options are ordered by their final ranking (using Borda count). For example, the gold segments show how many times each option was ranked 1st. The visualization is based on {count} responses.'
+      },
+      responsesModal: {
+        viewAll: {
+          one: 'View the Response',
+          other: 'View All {count} Responses'
+        },
+        title: 'All Responses: {question}',
+        close: 'Close',
+        filter: 'Filter responses...',
+        count: {
+          one: '1 response',
+          other: '{count} responses'
+        },
+        page: {
+          one: 'Page {page} of {pages} (1 response)',
+          other: 'Page {page} of {pages} ({count} responses)'
+        }
+      },
+      noData: {
+        question: 'No data available for this question.',
+        combination: 'No data available for this combination of questions.',
+        responses: 'No responses for this question yet.',
+        validResponses: 'No valid responses for this question yet.',
+        tags: 'No tags for this question yet.',
+        timing: 'No timing data available for these responses.',
+        respondents: 'No responses available.',
+        filter: 'No responses match your filter criteria.'
+      },
+      wordcloud: {
+        note: 'The word cloud shows the most frequent words and phrases from all responses, with larger words appearing more frequently.',
+        selectHint: 'Select a word to see the responses containing it.',
+        wordLabel: {
+          one: '{word}: once',
+          other: '{word}: {count} times'
+        },
+        containing: 'Containing "{term}"',
+        showAll: 'Show all responses'
+      },
+      table: {
+        option: 'Option',
+        value: 'Value',
+        responses: 'Responses',
+        percentage: 'Percentage',
+        percentageOfRespondents: '% of respondents',
+        average: 'Average',
+        min: 'Min',
+        max: 'Max',
+        points: 'Points',
+        rankPosition: 'Ranked #{position}',
+        range: 'Range',
+        tag: 'Tag',
+        theme: 'Theme',
+        word: 'Word',
+        occurrences: 'Occurrences',
+        step: 'Step',
+        medianTime: 'Median time',
+        respondents: 'Respondents'
+      },
+      summary: {
+        topSelections: {
+          one: 'Based on 1 response, the top selections were: {selections}.',
+          other: 'Based on {count} responses, the top selections were: {selections}.'
+        },
+        selection: '"{label}" ({count} responses, {percentage}%)',
+        mostCommon: 'Most common: {label}, {percentage}%',
+        mostSelected: 'Most selected: {label}, by {percentage}% of respondents',
+        highestRated: 'Highest rated: {label}, average {average}',
+        highestAverage: 'Highest average: {label}, {average}',
+        bestAverageRank: 'Best average rank: {label}, {average}',
+        rankedFirst: 'Ranked first: {label}, {points} points',
+        distribution: 'Average {average}, answers from {min} to {max}',
+        mostUsed: {
+          one: 'Most used tag: {label}, once',
+          other: 'Most used tag: {label}, {count} times'
+        },
+        mostCodedTheme: 'Most common theme: {label}, in {percentage}% of responses',
+        mostFrequentWord: 'Most frequent word: {label}, {count} times in {total} responses',
+        slowestStep: 'Slowest step: {label}, median {duration}',
+        submitted: '{percentage}% of respondents submitted the survey'
+      }
+    },
+    coding: {
+      codebook: 'Codebook',
+      newTheme: 'New theme',
+      addTheme: 'Add Theme',
+      removeTheme: 'Remove theme {theme}',
+      confirmRemove: 'Remove the theme "{theme}"? It is also removed from the responses coded with it.',
+      themeExists: 'The codebook already has a theme "{theme}".',
+      themeFilter: 'Theme',
+      allThemes: 'All themes',
+      uncoded: 'Not coded',
+      responseThemes: 'Themes of this response',
+      noThemes: 'No themes defined yet. Open the responses to define a codebook and code them.',
+      progress: '{count} of {total} responses coded'
+    },
+    admin: {
+      heading: 'Admin Controls',
+      exportSettings: 'Export Visualization Settings',
+      importSettings: 'Import Settings',
+      exportResults: 'Export Results',
+      formatCsv: 'CSV (one row per respondent)',
+      formatXlsx: 'Excel (XLSX)',
+      formatLongCsv: 'Long format CSV (SPSS, R)',
+      export: 'Export',
+      exportCoding: 'Export Thematic Coding',
+      importCoding: 'Import Thematic Coding',
+      codingExported: 'Thematic coding exported.',
+      codingImported: 'Thematic coding imported successfully.',
+      codingImportError: 'Error importing thematic coding: the file is not a valid export.',
+      exportError: 'Error exporting results: {message}',
+      settingsExported: 'Visualization settings exported. You can now copy these settings into your survey definition file.',
+      settingsImported: 'Visualization settings imported successfully.',
+      importError: 'Error importing settings: {message}'
+    }
+  }
+};
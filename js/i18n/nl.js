@@ -0,0 +1,418 @@
+/**
+ * nl.js
+ * Dutch messages of the survey app and the results dashboard
+ *
+ * Messages missing here are shown in English, see en.js.
+ */
+
+export default {
+  common: {
+    error: 'Fout: {message}'
+  },
+
+  auth: {
+    inviteCode: {
+      prompt: 'Voer de code uit uw uitnodiging in:',
+      rejected: 'Deze uitnodigingscode is ongeldig of al gebruikt.'
+    }
+  },
+
+  navigation: {
+    previous: 'Vorige',
+    next: 'Volgende',
+    submit: 'Enquête versturen',
+    submitting: 'Bezig met versturen...',
+    required: 'Deze vraag is verplicht'
+  },
+
+  survey: {
+    noDescription: 'Er is geen beschrijving voor deze enquête.',
+    language: 'Taal',
+    returnHome: 'Terug naar de startpagina',
+    errors: {
+      catalogFailed: 'Het laden van de lijst met enquêtes is mislukt.',
+      invalidDefinition: 'De enquêtedefinitie bevat fouten',
+      loadFailed: 'Het laden van de enquête is mislukt.'
+    },
+    unavailable: {
+      heading: 'Enquête niet beschikbaar',
+      upcoming: 'Deze enquête is nog niet geopend.',
+      closed: 'Deze enquête is gesloten. Bedankt voor uw interesse.',
+      quotaFull: 'Deze enquête heeft het maximale aantal reacties ontvangen. Bedankt voor uw interesse.',
+      segmentFull: 'Het maximale aantal reacties voor uw antwoord op "{question}" is bereikt.',
+      quotaUnchecked: 'Deze enquête kan nu geen reacties aannemen, omdat niet kan worden nagegaan of het maximale aantal reacties is bereikt. Probeer het later opnieuw.',
+      privacyUnsupported: 'Deze enquête kan nog geen reacties aannemen, omdat reacties zonder uw identiteit worden opgeslagen en de server dat nog niet ondersteunt.'
+    },
+    submit: {
+      thankYou: 'Bedankt!',
+      success: 'Uw antwoorden zijn verstuurd.',
+      queued: 'U bent offline. Uw antwoorden zijn op dit apparaat opgeslagen en worden automatisch verstuurd zodra de verbinding terug is.',
+      sent: 'Uw antwoorden zijn verzonden.',
+      failed: 'Het versturen van de enquête is mislukt',
+      alreadySubmitted: 'U heeft deze enquête al ingevuld.',
+      details: 'Details van uw inzending',
+      survey: 'Enquête:',
+      submittedAt: 'Verstuurd:',
+      viewResponses: 'Bekijk uw antwoorden',
+      noResponse: 'Geen antwoord',
+      edit: 'Mijn antwoorden aanpassen',
+      untitled: 'Naamloze enquête',
+      comment: 'Opmerking:'
+    }
+  },
+
+  renderers: {
+    comments: 'Aanvullende opmerkingen:',
+    commentsOptional: 'Aanvullende opmerkingen (optioneel):',
+    responsePlaceholder: 'Typ hier uw antwoord...',
+    otherPlaceholder: 'Namelijk...',
+    legend: 'Legenda:',
+    rank: {
+      low: 'Laag',
+      high: 'Hoog',
+      highest: 'Hoogste prioriteit',
+      lowest: 'Laagste prioriteit',
+      noOptions: 'Er zijn geen opties om te rangschikken',
+      option: 'Optie {number}',
+      instructions: 'Gebruik de pijltjestoetsen omhoog en omlaag om de geselecteerde optie in de rangorde te verplaatsen. Home en End verplaatsen de optie naar boven of naar onder.',
+      position: '{label}, positie {position} van {total}',
+      moved: '{label} verplaatst naar positie {position} van {total}'
+    },
+    slider: {
+      instructions: 'Gebruik de pijltjestoetsen links en rechts om de geselecteerde markering te verplaatsen. Page Up en Page Down nemen grotere stappen, Home en End verplaatsen de markering naar een van de uiteinden.',
+      moved: '{label}: {value}'
+    },
+    radar: {
+      instructions: 'Gebruik de pijltjestoetsen links en rechts om de geselecteerde markering naar een ander segment te verplaatsen, en omhoog en omlaag om de markering naar de buitenste of binnenste ring te verplaatsen.',
+      roleDescription: 'verplaatsbare markering',
+      position: '{label}: {segment}, {ring}',
+      notPlaced: '{label}: nog niet geplaatst',
+      moved: '{label} verplaatst naar {segment}, {ring}'
+    },
+    tags: {
+      addPlaceholder: 'Typ om een nieuwe tag toe te voegen...',
+      filterPlaceholder: 'Typ om tags te filteren...',
+      remove: 'Tag verwijderen',
+      create: '"{tag}" aanmaken'
+    }
+  },
+
+  deltaFiles: {
+    signInRequired: 'Meld u aan om deltabestanden te bekijken.',
+    notAuthorized: 'U hebt geen toegang tot deltabestanden.',
+    found: {
+      zero: 'Geen deltabestanden gevonden.',
+      one: '1 deltabestand gevonden.',
+      other: '{count} deltabestanden gevonden.'
+    },
+    listFailed: 'Het ophalen van de lijst met deltabestanden is mislukt.',
+    fileFailed: 'Het ophalen van het deltabestand is mislukt.'
+  },
+
+  dashboard: {
+    nav: {
+      survey: 'Enquête'
+    },
+    heading: 'Enquêteresultaten',
+    title: '{survey} - Resultaten',
+    surveySelect: 'Enquête',
+    totalResponses: 'reacties in totaal',
+    draftsInProgress: 'concepten in behandeling',
+    lastResponse: 'Laatste reactie:',
+    viewAllResponses: 'Alle reacties bekijken',
+    loading: 'Enquêteresultaten laden...',
+    noResults: 'Geen vragen gevonden of geen reacties die aan de filters voldoen.',
+    account: {
+      signIn: 'Aanmelden',
+      signOut: 'Afmelden'
+    },
+    authorization: {
+      notAuthorized: 'U hebt geen toegang tot de resultaten van deze enquête. Vraag de eigenaar van de enquête om toegang.',
+      signInRequired: 'Meld u aan om de resultaten van deze enquête te bekijken.',
+      rawResponses: 'U hebt geen toegang tot afzonderlijke reacties.'
+    },
+    errors: {
+      invalidDefinition: 'De enquêtedefinitie bevat fouten:',
+      loadFailed: 'Het laden van de enquêteresultaten is mislukt. Probeer het later opnieuw.'
+    },
+    window: {
+      upcoming: 'Opent op {date}',
+      closed: 'Gesloten op {date}',
+      openUntil: 'Open tot {date}',
+      open: 'Open'
+    },
+    quota: {
+      label: 'Quotum: {quotas}',
+      total: '{count} / {max} reacties',
+      segment: '{question}: {count} van {total} vol'
+    },
+    overview: {
+      heading: 'Overzicht',
+      totalResponses: 'Totaal aantal reacties',
+      responsesCollected: 'reacties verzameld',
+      drafts: 'Concepten',
+      draftsSubtext: 'enquêtes begonnen, niet verstuurd',
+      viewDetails: 'Details bekijken'
+    },
+    responses: {
+      heading: 'Alle reacties',
+      anonymous: 'Anoniem',
+      unknown: 'Onbekend',
+      notAvailable: 'n.v.t.',
+      company: 'Bedrijf:',
+      user: 'Gebruiker:',
+      completed: 'Afgerond:',
+      lastSaved: 'Laatst opgeslagen:',
+      answered: 'Beantwoord:',
+      questionCount: {
+        one: '{count} vraag',
+        other: '{count} vragen'
+      },
+      drafts: 'Concepten ({count})'
+    },
+    revisions: {
+      heading: {
+        one: 'Eén keer aangepast',
+        other: '{count} keer aangepast'
+      },
+      change: '{question}: {oldValue} → {newValue}',
+      commentChange: '(opmerking: {oldComment} → {newComment})',
+      noAnswer: '(geen antwoord)'
+    },
+    filters: {
+      heading: 'Filters',
+      dateRange: 'Periode',
+      allTime: 'Altijd',
+      today: 'Vandaag',
+      lastWeek: 'Afgelopen week',
+      lastMonth: 'Afgelopen maand',
+      lastQuarter: 'Afgelopen kwartaal',
+      combine: 'Filters combineren',
+      matchAll: 'Voldoet aan alle filters (EN)',
+      matchAny: 'Voldoet aan een van de filters (OF)',
+      apply: 'Filters toepassen',
+      reset: 'Herstellen',
+      anyCell: '{row} (alle)',
+      matchCount: {
+        zero: 'Geen reacties voldoen',
+        one: '{count} van {total} reacties voldoet',
+        other: '{count} van {total} reacties voldoen'
+      }
+    },
+    privacy: {
+      groupTooSmall: 'Minder dan {min} reacties voldoen. Resultaten worden alleen getoond voor groepen van minstens {min} respondenten, zodat niemand herkenbaar is.',
+      matchCountTooSmall: 'Minder dan {min} van {total} reacties voldoen',
+      segmentsHidden: 'Niet getoond, minder dan {min} respondenten: {segments}'
+    },
+    crossTab: {
+      heading: 'Kruistabel',
+      segmentBy: 'Uitsplitsen naar',
+      question: 'Vraag',
+      chartType: 'Grafiektype',
+      groupedBar: 'Gegroepeerde staven',
+      sideBySide: 'Naast elkaar',
+      export: 'Tabel exporteren (CSV)',
+      total: 'Totaal',
+      respondents: 'Respondenten',
+      caption: '{question} naar {segment}',
+      averageRank: 'Gemiddelde plaats (1 = eerste)',
+      averagePosition: 'Gemiddelde positie',
+      segmentPercentage: '% van de respondenten in de groep',
+      csv: {
+        count: '{segment} (aantal)',
+        percentage: '{segment} (%)',
+        average: '{segment} (gemiddelde)',
+        averageRank: '{segment} (gemiddelde plaats)',
+        respondents: '{segment} (n)'
+      },
+      selectTwo: 'Kies twee verschillende vragen om te vergelijken.',
+      selectTwoToExport: 'Kies twee verschillende vragen om een kruistabel te exporteren.',
+      error: 'Fout bij het tonen van de kruistabel: {message}'
+    },
+    telemetry: {
+      heading: 'Antwoordgedrag',
+      stepTiming: 'Mediane tijd per stap',
+      dropOff: 'Uitval per stap',
+      submitted: 'Verstuurd',
+      error: 'Fout bij het tonen van het antwoordgedrag: {message}'
+    },
+    wizard: {
+      previous: 'Vorige stap',
+      next: 'Volgende stap',
+      finish: 'Afronden',
+      stepCounter: 'Stap {step} van {total}',
+      stepTitle: 'Stap {step} {title}',
+      stepFallback: 'Stap {step}'
+    },
+    visualization: {
+      chartType: 'Grafiektype:',
+      irv: 'Instant-runoff-stemming',
+      unsupported: 'Geen visualisatie beschikbaar voor vraagtype: {type}',
+      error: 'Fout bij het tonen van de visualisatie: {message}',
+      viewTable: 'Als tabel bekijken',
+      viewChart: 'Als grafiek bekijken',
+      missingConfiguration: 'De {type}-configuratie van de vraag ontbreekt.',
+      chart: {
+        responses: 'Reacties',
+        numberOfResponses: 'Aantal reacties',
+        selected: 'Gekozen',
+        notSelected: 'Niet gekozen',
+        frequency: 'Frequentie',
+        count: 'Aantal',
+        options: 'Opties',
+        rankedOptions: 'Opties (gerangschikt)',
+        rankingPoints: 'Rangschikkingspunten',
+        bordaPoints: 'Punten (Borda-telling)',
+        averageScore: 'Gemiddelde score',
+        averageRating: 'Gemiddelde waardering',
+        ratingValue: 'Waardering',
+        valueRange: 'Waardebereik',
+        minimum: 'Minimum',
+        maximum: 'Maximum',
+        medianSeconds: 'Mediane tijd (seconden)',
+        colorIntensity: 'Kleurintensiteit',
+        distribution: 'Verdeling van de reacties op "{question}"',
+        positionDistribution: 'Verdeling van de waarden per positiebereik'
+      },
+      tooltip: {
+        value: 'Waarde: {value}',
+        responses: 'Reacties: {count}',
+        labelResponses: {
+          one: '{label}: 1 reactie',
+          other: '{label}: {count} reacties'
+        },
+        range: 'Bereik: {min} - {max}',
+        points: '{label}: {count} punten',
+        rank: 'Plaats: #{rank} van {total}',
+        percentageOfResponses: '{label}: {count} ({percentage}% van de reacties)',
+        companies: 'Bedrijven: {companies}',
+        median: 'Mediaan {duration} (n={count})',
+        respondentsOf: '{count} van {total} respondenten ({percentage}%)'
+      },
+      rank: {
+        positionDistribution: 'Verdeling over de plaatsen',
+        finalRanking: 'Eindrangschikking (IRV)',
+        noWinner: 'Geen duidelijke winnaar (gelijkspel)',
+        rounds: 'Stemrondes',
+        round: 'Ronde {round}',
+        votes: '{label}: {count} stemmen ({percentage}%)',
+        eliminated: 'Afgevallen: {options}',
+        pointsLabel: '#{rank} ({count} ptn)',
+        bordaExplanation: 'Deze visualisatie toont de eindrangschikking van de opties volgens de Borda-telling. Elke keer dat een optie op de eerste plaats staat, krijgt ze {first} punten, de tweede plaats levert {second} punten op, enzovoort. De staven tonen het totale aantal punten van elke optie over {count} reacties.',
+        positionsExplanation: 'Deze visualisatie toont hoe vaak elke optie op elke plaats is gezet. De opties staan in de volgorde van de eindrangschikking (volgens de Borda-telling). De gouden delen tonen bijvoorbeeld hoe vaak elke optie op de eerste plaats is gezet. De visualisatie is gebaseerd op {count} reacties.'
+      },
+      responsesModal: {
+        viewAll: {
+          one: 'De reactie bekijken',
+          other: 'Alle {count} reacties bekijken'
+        },
+        title: 'Alle reacties: {question}',
+        close: 'Sluiten',
+        filter: 'Reacties filteren...',
+        count: {
+          one: '1 reactie',
+          other: '{count} reacties'
+        },
+        page: {
+          one: 'Pagina {page} van {pages} (1 reactie)',
+          other: 'Pagina {page} van {pages} ({count} reacties)'
+        }
+      },
+      noData: {
+        question: 'Geen gegevens beschikbaar voor deze vraag.',
+        combination: 'Geen gegevens beschikbaar voor deze combinatie van vragen.',
+        responses: 'Nog geen reacties op deze vraag.',
+        validResponses: 'Nog geen geldige reacties op deze vraag.',
+        tags: 'Nog geen tags bij deze vraag.',
+        timing: 'Geen tijdgegevens beschikbaar voor deze reacties.',
+        respondents: 'Geen reacties beschikbaar.',
+        filter: 'Geen reacties voldoen aan uw filter.'
+      },
+      wordcloud: {
+        note: 'De woordwolk toont de meest gebruikte woorden en woordcombinaties uit alle reacties; hoe vaker een woord voorkomt, hoe groter het is.',
+        selectHint: 'Kies een woord om de reacties te zien waarin het voorkomt.',
+        wordLabel: {
+          one: '{word}: één keer',
+          other: '{word}: {count} keer'
+        },
+        containing: 'Met "{term}"',
+        showAll: 'Alle reacties tonen'
+      },
+      table: {
+        option: 'Optie',
+        value: 'Waarde',
+        responses: 'Reacties',
+        percentage: 'Percentage',
+        percentageOfRespondents: '% van de respondenten',
+        average: 'Gemiddelde',
+        min: 'Min',
+        max: 'Max',
+        points: 'Punten',
+        rankPosition: 'Op plaats {position}',
+        range: 'Bereik',
+        tag: 'Tag',
+        theme: 'Thema',
+        word: 'Woord',
+        occurrences: 'Aantal keer',
+        step: 'Stap',
+        medianTime: 'Mediane tijd',
+        respondents: 'Respondenten'
+      },
+      summary: {
+        topSelections: {
+          one: 'Op basis van 1 reactie werd het meest gekozen: {selections}.',
+          other: 'Op basis van {count} reacties werd het meest gekozen: {selections}.'
+        },
+        selection: '"{label}" ({count} reacties, {percentage}%)',
+        mostCommon: 'Meest gekozen: {label}, {percentage}%',
+        mostSelected: 'Meest gekozen: {label}, door {percentage}% van de respondenten',
+        highestRated: 'Hoogst gewaardeerd: {label}, gemiddeld {average}',
+        highestAverage: 'Hoogste gemiddelde: {label}, {average}',
+        bestAverageRank: 'Beste gemiddelde rangorde: {label}, {average}',
+        rankedFirst: 'Op de eerste plaats: {label}, {points} punten',
+        distribution: 'Gemiddeld {average}, antwoorden van {min} tot {max}',
+        mostUsed: {
+          one: 'Meest gebruikte tag: {label}, één keer',
+          other: 'Meest gebruikte tag: {label}, {count} keer'
+        },
+        mostCodedTheme: 'Meest voorkomende thema: {label}, in {percentage}% van de reacties',
+        mostFrequentWord: 'Meest gebruikte woord: {label}, {count} keer in {total} reacties',
+        slowestStep: 'Langzaamste stap: {label}, mediaan {duration}',
+        submitted: '{percentage}% van de respondenten heeft de enquête verstuurd'
+      }
+    },
+    coding: {
+      codebook: 'Codeboek',
+      newTheme: 'Nieuw thema',
+      addTheme: 'Thema toevoegen',
+      removeTheme: 'Thema {theme} verwijderen',
+      confirmRemove: 'Het thema "{theme}" verwijderen? Het wordt ook verwijderd bij de reacties die ermee gecodeerd zijn.',
+      themeExists: 'Het codeboek heeft al een thema "{theme}".',
+      themeFilter: 'Thema',
+      allThemes: 'Alle thema\'s',
+      uncoded: 'Niet gecodeerd',
+      responseThemes: 'Thema\'s van deze reactie',
+      noThemes: 'Er zijn nog geen thema\'s. Open de reacties om een codeboek op te stellen en de reacties te coderen.',
+      progress: '{count} van {total} reacties gecodeerd'
+    },
+    admin: {
+      heading: 'Beheer',
+      exportSettings: 'Visualisatie-instellingen exporteren',
+      importSettings: 'Instellingen importeren',
+      exportResults: 'Resultaten exporteren',
+      formatCsv: 'CSV (een rij per respondent)',
+      formatXlsx: 'Excel (XLSX)',
+      formatLongCsv: 'CSV in lang formaat (SPSS, R)',
+      export: 'Exporteren',
+      exportCoding: 'Thematische codering exporteren',
+      importCoding: 'Thematische codering importeren',
+      codingExported: 'Thematische codering geëxporteerd.',
+      codingImported: 'Thematische codering geïmporteerd.',
+      codingImportError: 'Fout bij het importeren van de thematische codering: het bestand is geen geldige export.',
+      exportError: 'Fout bij het exporteren van de resultaten: {message}',
+      settingsExported: 'Visualisatie-instellingen geëxporteerd. U kunt ze nu in het definitiebestand van de enquête plakken.',
+      settingsImported: 'Visualisatie-instellingen geïmporteerd.',
+      importError: 'Fout bij het importeren van de instellingen: {message}'
+    }
+  }
+};
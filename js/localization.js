@@ -0,0 +1,149 @@
+/**
+ * localization.js
+ * Localized texts in survey definitions
+ *
+ * Any text in a survey definition (titles, descriptions, option labels, zone
+ * labels, scale labels, radar labels, messages) can be a plain string, used
+ * for every language, or an object with a text per locale:
+ * { "nl": "Cloudgebruik", "en": "Cloud usage" }. The definition lists its
+ * locales and its default locale; a missing translation falls back to the
+ * default locale. Answers store option values, never labels, so responses
+ * given in one language can be shown in another.
+ */
+
+// Locale of definitions that do not set a defaultLocale
+export const DEFAULT_LOCALE = 'nl';
+
+// Names of locales in the language switchers, in their own language
+export const LOCALE_NAMES = {
+  nl: 'Nederlands',
+  en: 'English',
+  de: 'Deutsch',
+  fr: 'Français'
+};
+
+// Local storage key for the language chosen by the user
+const LOCALE_STORAGE_KEY = 'survey_locale';
+
+/**
+ * Get the default locale of a survey definition
+ * @param {Object} definition - Survey definition
+ * @returns {string} - The default locale
+ */
+export function getDefaultLocale(definition) {
+  return definition.defaultLocale || DEFAULT_LOCALE;
+}
+
+/**
+ * Get the locales a survey definition is available in
+ * @param {Object} definition - Survey definition
+ * @returns {Array<string>} - Locales, the default locale first
+ */
+export function getDefinitionLocales(definition) {
+  const defaultLocale = getDefaultLocale(definition);
+  const locales = Array.isArray(definition.locales) ? definition.locales : [];
+  return [defaultLocale, ...locales.filter(locale => locale !== defaultLocale)];
+}
+
+/**
+ * Check whether a value is a localized text: an object with a string per locale
+ * @param {*} value - Value to check
+ * @param {Array<string>} locales - Locales of the definition
+ * @returns {boolean} - Whether the value is a localized text
+ */
+export function isLocalizedText(value, locales) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    return false;
+  }
+  const entries = Object.entries(value);
+  return entries.length > 0 &&
+    entries.every(([locale, text]) => locales.includes(locale) && typeof text === 'string');
+}
+
+/**
+ * Get the text of a localized text in a locale
+ * @param {string|Object} text - Plain or localized text
+ * @param {string} locale - Requested locale
+ * @param {string} [fallbackLocale] - Locale used when there is no translation
+ * @returns {string} - The text in the requested locale, the fallback locale or
+ * else the first locale available
+ */
+export function localizeText(text, locale, fallbackLocale = DEFAULT_LOCALE) {
+  if (!text || typeof text !== 'object') {
+    return text;
+  }
+  if (text[locale] !== undefined) {
+    return text[locale];
+  }
+  if (text[fallbackLocale] !== undefined) {
+    return text[fallbackLocale];
+  }
+  return Object.values(text)[0];
+}
+
+/**
+ * Create a copy of a survey definition with all localized texts in one locale
+ * @param {Object} definition - Survey definition with localized texts
+ * @param {string} locale - Locale to show
+ * @returns {Object} - Survey definition with plain texts
+ */
+export function localizeDefinition(definition, locale) {
+  const locales = getDefinitionLocales(definition);
+  const fallbackLocale = getDefaultLocale(definition);
+
+  const localize = (value) => {
+    if (isLocalizedText(value, locales)) {
+      return localizeText(value, locale, fallbackLocale);
+    }
+    if (Array.isArray(value)) {
+      return value.map(localize);
+    }
+    if (value && typeof value === 'object') {
+      const copy = {};
+      Object.entries(value).forEach(([key, item]) => {
+        copy[key] = localize(item);
+      });
+      return copy;
+    }
+    return value;
+  };
+
+  return localize(definition);
+}
+
+/**
+ * Get the locale to show to the user: the language chosen before, else the
+ * first browser language that is available, else the fallback locale
+ * @param {Array<string>} locales - Available locales
+ * @param {string} fallbackLocale - Locale used when none of the user's languages is available
+ * @returns {string} - The locale
+ */
+export function getPreferredLocale(locales, fallbackLocale) {
+  const storedLocale = localStorage.getItem(LOCALE_STORAGE_KEY);
+  if (storedLocale && locales.includes(storedLocale)) {
+    return storedLocale;
+  }
+
+  const browserLanguages = (typeof navigator !== 'undefined' && navigator.languages) || [];
+  const browserLocale = browserLanguages
+    .map(language => language.split('-')[0].toLowerCase())
+    .find(language => locales.includes(language));
+  return browserLocale || fallbackLocale;
+}
+
+/**
+ * Remember the language chosen by the user, for the survey app and the dashboard
+ * @param {string} locale - The chosen locale
+ */
+export function storePreferredLocale(locale) {
+  localStorage.setItem(LOCALE_STORAGE_KEY, locale);
+}
+
+/**
+ * Get the name of a locale for a language switcher
+ * @param {string} locale - Locale
+ * @returns {string} - Name of the language, or the locale code if unknown
+ */
+export function getLocaleName(locale) {
+  return LOCALE_NAMES[locale] || locale.toUpperCase();
+}
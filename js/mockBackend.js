@@ -0,0 +1,423 @@
+/**
+ * mockBackend.js
+ * In-browser stand-in for the OCI API gateway endpoints
+ *
+ * When backendMode in dataConfig.js is 'mock', this module intercepts fetch
+ * requests to the endpoints in dataConfig.js and answers them locally, with
+ * the same contracts as the real gateway. Saved files are kept in localStorage;
+ * on first use the store is seeded with responses generated from the survey
+ * definition.
+ */
+
+import { dataEndpoint, deltaEndpoint, adminEndpoint, surveySummaryEndpoint, inviteEndpoint, quotaCountEndpoint, privateResponseEndpoint, mockBackendConfig } from './dataConfig.js';
+import { createUnsignedJwt } from './authProviders/jwt.js';
+import { PRIVACY_MODES, getPrivacySettings } from './surveyPrivacy.js';
+import { getSurvey, getDefinitionUrl } from './surveyCatalog.js';
+
+// Local storage key for the mock object store
+const STORE_KEY = 'mock_backend_store';
+
+// Folder of the per-user delta files in the object store
+const DELTA_PATH_PREFIX = 'conclusion-assets/deltas/';
+
+// Folder of the responses to anonymous and pseudonymous surveys, one subfolder per survey
+const RESPONSE_PATH_PREFIX = 'conclusion-assets/responses/';
+
+// Fields of a private response that identify the respondent, removed before it is stored
+const IDENTITY_FIELDS = ['username', 'email', 'label', 'bedrijf', 'respondentId'];
+
+// Lifetime of the tokens issued for invite codes, in seconds
+const INVITE_TOKEN_LIFETIME = 8 * 3600;
+
+// Survey definition used for seeding
+const SURVEY_DEFINITION_URL = new URL('./data/conclusionCloudSurvey.json', import.meta.url);
+
+// Original fetch, used for all requests the mock does not handle
+const realFetch = window.fetch.bind(window);
+
+// Object store: object names mapped to their (JSON) content
+let store = null;
+
+/**
+ * Load the object store, seeding it on first use
+ * @returns {Promise<Object>} The object store
+ */
+async function getStore() {
+    if (store) {
+        return store;
+    }
+
+    const savedStore = localStorage.getItem(STORE_KEY);
+    if (savedStore) {
+        store = JSON.parse(savedStore);
+        return store;
+    }
+
+    store = { objects: {} };
+    try {
+        // Loaded on demand: the generator depends on the survey modules, which depend on dataService
+        const { generateResponses } = await import('./mockResponseGenerator.js');
+        const response = await realFetch(SURVEY_DEFINITION_URL);
+        const definition = await response.json();
+        const options = {
+            seed: mockBackendConfig.seed,
+            skew: mockBackendConfig.skew,
+            correlation: mockBackendConfig.correlation
+        };
+        generateResponses(definition, mockBackendConfig.respondents, options).forEach(result => {
+            store.objects[getDeltaObjectName(result.username)] = result;
+        });
+        console.log(`Mock backend seeded with ${mockBackendConfig.respondents} responses`);
+    } catch (error) {
+        console.error('Mock backend could not seed responses:', error);
+    }
+    saveStore();
+    return store;
+}
+
+/**
+ * Persist the object store in local storage
+ */
+function saveStore() {
+    localStorage.setItem(STORE_KEY, JSON.stringify(store));
+}
+
+/**
+ * Get the object name of the delta file of a user
+ * @param {string} username - Username
+ * @returns {string} Object name
+ */
+function getDeltaObjectName(username) {
+    return `${DELTA_PATH_PREFIX}${username.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+}
+
+/**
+ * Determine the user a request is made for, from the claims in its ID token
+ * @param {Headers} headers - Request headers
+ * @returns {string} Username
+ */
+function getRequestUser(headers) {
+    const token = (headers.get('Authorization') || '').replace(/^Bearer\s+/, '');
+    const tokenParts = token.split('.');
+    if (tokenParts.length === 3) {
+        try {
+            const claims = JSON.parse(atob(tokenParts[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return claims.preferred_username || claims.email || claims.name || mockBackendConfig.username;
+        } catch (error) {
+            console.warn('Mock backend could not read token claims:', error);
+        }
+    }
+    return mockBackendConfig.username;
+}
+
+/**
+ * Create a JSON response
+ * @param {*} body - Response body
+ * @param {number} [status=200] - HTTP status
+ * @returns {Response} The response
+ */
+function jsonResponse(body, status = 200) {
+    return new Response(JSON.stringify(body), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+    });
+}
+
+/**
+ * Create a plain text error response
+ * @param {number} status - HTTP status
+ * @param {string} message - Error message
+ * @returns {Response} The response
+ */
+function errorResponse(status, message) {
+    return new Response(message, { status, headers: { 'Content-Type': 'text/plain' } });
+}
+
+/**
+ * Check whether an object holds survey results: a delta file or a private response
+ * @param {string} name - Object name
+ * @returns {boolean} True for objects in the delta and response folders
+ */
+function isResultObject(name) {
+    return name.startsWith(DELTA_PATH_PREFIX) || name.startsWith(RESPONSE_PATH_PREFIX);
+}
+
+/**
+ * Get the survey results of all users
+ * @returns {Promise<Response>} Response with the results keyed by object name
+ */
+async function handleSummary() {
+    const { objects } = await getStore();
+    const summary = {};
+    Object.entries(objects)
+        .filter(([name]) => isResultObject(name))
+        .forEach(([name, content]) => {
+            summary[name] = content;
+        });
+    return jsonResponse(summary);
+}
+
+/**
+ * Count the submitted responses to a survey for its quotas
+ * @param {URLSearchParams} query - Query: survey (survey ID) and questions (comma-separated question IDs)
+ * @returns {Promise<Response>} Response with the counts: { total, segments }
+ */
+async function handleQuotaCount(query) {
+    const surveyId = query.get('survey');
+    if (!surveyId) {
+        return errorResponse(400, 'A survey is required');
+    }
+    const questionIds = (query.get('questions') || '').split(',').filter(Boolean);
+
+    // Loaded on demand, like the response generator
+    const { getDeltaFileEntries } = await import('./dataService.js');
+    const { countQuotaResponses } = await import('./surveyAvailability.js');
+
+    const { objects } = await getStore();
+    const results = Object.entries(objects)
+        .filter(([name]) => isResultObject(name))
+        .flatMap(([, content]) => getDeltaFileEntries(content))
+        .filter(result => result.surveyId === surveyId);
+    return jsonResponse(countQuotaResponses(results, questionIds));
+}
+
+/**
+ * Get or save the delta file of the current user
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<Response>} The response
+ */
+async function handleDelta(method, headers, body) {
+    const currentStore = await getStore();
+    const objectName = getDeltaObjectName(getRequestUser(headers));
+
+    if (method === 'PUT') {
+        currentStore.objects[objectName] = JSON.parse(body);
+        saveStore();
+        return jsonResponse({ success: true, objectName });
+    }
+
+    const content = currentStore.objects[objectName];
+    return content ? jsonResponse(content) : errorResponse(404, `No data found for ${objectName}`);
+}
+
+/**
+ * Get the privacy mode of a survey from its definition, as the real backend
+ * does: the request cannot choose how it is stored
+ * @param {string} surveyId - Survey ID
+ * @returns {Promise<string|null>} Privacy mode, or null if the survey is not in the catalog
+ */
+async function getSurveyPrivacyMode(surveyId) {
+    const survey = surveyId ? await getSurvey(surveyId) : null;
+    if (!survey || survey.id !== surveyId) {
+        return null;
+    }
+    const response = await realFetch(getDefinitionUrl(survey));
+    return getPrivacySettings(await response.json()).mode;
+}
+
+/**
+ * Hash the identity of a respondent into the pseudonym for a survey, keyed by
+ * the backend's secret, so the same person always gets the same pseudonym but
+ * it cannot be traced back without the secret
+ * @param {string} surveyId - Survey ID
+ * @param {string} username - Identity of the respondent
+ * @returns {Promise<string>} Hex-encoded HMAC-SHA256
+ */
+async function getPseudonym(surveyId, username) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw', encoder.encode(mockBackendConfig.pseudonymSecret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']
+    );
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${surveyId}:${username}`));
+    return Array.from(new Uint8Array(signature), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Get or save a response to an anonymous or pseudonymous survey, stored apart
+ * from the respondent's identity (see privateResponseEndpoint in dataConfig.js)
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @param {string} body - Request body: the submission
+ * @param {URLSearchParams} query - Query: survey (survey ID), for GET
+ * @returns {Promise<Response>} The response
+ */
+async function handlePrivateResponse(method, headers, body, query) {
+    const currentStore = await getStore();
+    const submission = method === 'PUT' ? JSON.parse(body || '{}') : null;
+    const surveyId = submission ? submission.surveyId : query.get('survey');
+
+    const mode = await getSurveyPrivacyMode(surveyId);
+    if (mode !== PRIVACY_MODES.anonymous && mode !== PRIVACY_MODES.pseudonymous) {
+        return errorResponse(400, `Survey ${surveyId} does not take anonymous or pseudonymous responses`);
+    }
+
+    const surveyPath = `${RESPONSE_PATH_PREFIX}${surveyId.replace(/[^a-zA-Z0-9._-]/g, '_')}/`;
+    const respondentId = mode === PRIVACY_MODES.pseudonymous ? await getPseudonym(surveyId, getRequestUser(headers)) : null;
+
+    if (method !== 'PUT') {
+        const content = respondentId ? currentStore.objects[`${surveyPath}${respondentId}.json`] : null;
+        return content ? jsonResponse(content) : errorResponse(404, 'No response found');
+    }
+
+    if (!submission.submissionId) {
+        return errorResponse(400, 'A submissionId is required');
+    }
+    const objectName = `${surveyPath}${respondentId || submission.submissionId.replace(/[^a-zA-Z0-9-]/g, '_')}.json`;
+    const savedResponse = currentStore.objects[objectName];
+    if (savedResponse && savedResponse.submissionId === submission.submissionId) {
+        return jsonResponse({ success: true, duplicate: true });
+    }
+    if (savedResponse && savedResponse.responseId !== submission.responseId) {
+        return errorResponse(409, 'This respondent already submitted a response');
+    }
+
+    const storedResponse = { ...submission, lastModified: new Date().toISOString() };
+    IDENTITY_FIELDS.forEach(field => delete storedResponse[field]);
+    if (respondentId) {
+        storedResponse.respondentId = respondentId;
+    }
+    currentStore.objects[objectName] = storedResponse;
+    saveStore();
+    return jsonResponse({ success: true });
+}
+
+/**
+ * Exchange a one-time invite code for a token; every code is accepted once
+ * @param {string} method - HTTP method
+ * @param {string} body - Request body: { code }
+ * @returns {Promise<Response>} Response with the token
+ */
+async function handleInvite(method, body) {
+    const currentStore = await getStore();
+    const { code } = method === 'POST' ? JSON.parse(body || '{}') : {};
+    if (!code) {
+        return errorResponse(400, 'An invite code is required');
+    }
+
+    currentStore.redeemedInvites = currentStore.redeemedInvites || [];
+    if (currentStore.redeemedInvites.includes(code)) {
+        return errorResponse(401, 'This invite code has already been used');
+    }
+    currentStore.redeemedInvites.push(code);
+    saveStore();
+
+    // The token identifies the invitation, not the person
+    const now = Math.floor(Date.now() / 1000);
+    const invitee = `invitee-${currentStore.redeemedInvites.length}`;
+    const token = createUnsignedJwt({
+        sub: invitee,
+        preferred_username: invitee,
+        iat: now,
+        exp: now + INVITE_TOKEN_LIFETIME
+    });
+    return jsonResponse({ token });
+}
+
+/**
+ * List, get or put objects by Asset-Path (admin endpoint)
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @param {string} body - Request body
+ * @returns {Promise<Response>} The response
+ */
+async function handleAdmin(method, headers, body) {
+    const currentStore = await getStore();
+    const assetPath = headers.get('Asset-Path') || '';
+
+    if (method === 'PUT') {
+        if (!assetPath) {
+            return errorResponse(400, 'Asset-Path header is required');
+        }
+        currentStore.objects[assetPath] = JSON.parse(body);
+        saveStore();
+        return jsonResponse({ success: true, objectName: assetPath });
+    }
+
+    // An empty Asset-Path lists all objects, in the shape of an object storage listing
+    if (!assetPath) {
+        return jsonResponse({
+            objects: Object.keys(currentStore.objects).map(name => ({ name }))
+        });
+    }
+
+    const content = currentStore.objects[assetPath];
+    return content ? jsonResponse(content) : errorResponse(404, `Object ${assetPath} not found`);
+}
+
+/**
+ * Handle a request to one of the gateway endpoints
+ * @param {string} endpoint - Endpoint the request is for
+ * @param {string} method - HTTP method
+ * @param {Headers} headers - Request headers
+ * @param {string} body - Request body
+ * @param {URLSearchParams} query - Query parameters of the request
+ * @returns {Promise<Response>} The response
+ */
+async function handleRequest(endpoint, method, headers, body, query) {
+    // Invite codes are redeemed before the respondent has a token
+    if (endpoint === inviteEndpoint) {
+        return handleInvite(method, body);
+    }
+
+    if (!headers.get('Authorization')) {
+        return errorResponse(401, 'Missing Authorization header');
+    }
+
+    switch (endpoint) {
+        case surveySummaryEndpoint:
+        case dataEndpoint:
+            // The data endpoint has no survey-specific contract; it returns the same summary
+            return handleSummary();
+        case deltaEndpoint:
+            return handleDelta(method, headers, body);
+        case adminEndpoint:
+            return handleAdmin(method, headers, body);
+        case quotaCountEndpoint:
+            return handleQuotaCount(query);
+        case privateResponseEndpoint:
+            return handlePrivateResponse(method, headers, body, query);
+        default:
+            return errorResponse(404, `Unknown endpoint ${endpoint}`);
+    }
+}
+
+/**
+ * Replace window.fetch with a version that answers requests to the
+ * gateway endpoints locally and passes all other requests on
+ */
+export function installMockBackend() {
+    if (window.fetch.isMockBackend) {
+        return;
+    }
+
+    const endpoints = [dataEndpoint, deltaEndpoint, adminEndpoint, surveySummaryEndpoint, inviteEndpoint, quotaCountEndpoint, privateResponseEndpoint]
+        .filter(Boolean);
+
+    const mockFetch = async (input, init = {}) => {
+        // Requests can be made with a URL string, a URL object or a Request
+        const url = input instanceof Request ? input.url : String(input);
+        const [endpoint, queryString] = url.split('?');
+
+        if (!endpoints.includes(endpoint)) {
+            return realFetch(input, init);
+        }
+
+        const method = (init.method || 'GET').toUpperCase();
+        console.log(`Mock backend: ${method} ${endpoint}`);
+        return handleRequest(endpoint, method, new Headers(init.headers), init.body, new URLSearchParams(queryString));
+    };
+    mockFetch.isMockBackend = true;
+
+    window.fetch = mockFetch;
+    console.log('Mock backend installed; requests to the API gateway are answered locally');
+}
+
+/**
+ * Remove all saved data from the mock backend; it is seeded again on next use
+ */
+export function resetMockBackend() {
+    store = null;
+    localStorage.removeItem(STORE_KEY);
+}
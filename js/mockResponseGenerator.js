@@ -0,0 +1,488 @@
+/**
+ * mockResponseGenerator.js
+ * Synthetic survey responses generated from a survey definition
+ *
+ * This module creates survey results with answer values in the same shape the
+ * question renderers save them. Questions whose conditions (or whose step's
+ * conditions) are not met stay unanswered, as they would in the survey wizard. Randomness is seeded, so the
+ * same options always produce the same data.
+ *
+ * To make the dashboards show patterns, every respondent belongs to one of a
+ * number of profiles. Each profile has its own preferred options per question;
+ * `correlation` sets how often a respondent follows the profile instead of the
+ * population preference, and `skew` sets how strongly preferred options win.
+ */
+
+import { areConditionsMet } from './conditionEvaluator.js';
+import { getDefaultLocale, getDefinitionLocales, localizeText } from './localization.js';
+
+// Default generator options
+export const DEFAULT_GENERATOR_OPTIONS = {
+  seed: 1,                  // Seed for the random number generator
+  skew: 1,                  // 0 = uniform answers; higher values favour preferred options more
+  correlation: 0.5,         // 0-1: how often a respondent answers according to their profile
+  profiles: 3,              // Number of respondent profiles
+  skipProbability: 0.1,     // Chance that an optional question is left unanswered
+  commentProbability: 0.2,  // Chance of a comment where comments are allowed
+  periodDays: 30,           // Responses are spread over this many days before the reference date
+  secondsPerQuestion: 30,   // Average time a respondent spends on a question
+  draftProbability: 0.1,    // Chance that a respondent stops before submitting, leaving a draft
+  referenceDate: null       // Date of the newest possible response; null means now
+};
+
+// Sample texts for open questions
+const SAMPLE_TEXTS = [
+  'We gebruiken de cloud vooral voor nieuwe applicaties.',
+  'Kosten en datalocatie zijn voor ons de belangrijkste overwegingen.',
+  'We migreren stap voor stap vanuit ons eigen datacenter.',
+  'Soevereiniteit wordt steeds belangrijker in onze keuzes.',
+  'Voorlopig houden we vast aan de huidige leverancier.',
+  'We onderzoeken Europese alternatieven.',
+  'Security en compliance bepalen voor een groot deel onze keuze.',
+  'Het dienstenaanbod van de grote leveranciers is moeilijk te evenaren.'
+];
+
+// Sample custom tags, for tags questions that allow them
+const SAMPLE_TAGS = ['hybride', 'kosten', 'lock-in', 'soevereiniteit', 'AI', 'edge'];
+
+// Answer value for the "other" option
+const OTHER_VALUE = 'other';
+const SAMPLE_OTHER_TEXT = 'Anders';
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number} seed - Seed value
+ * @returns {Function} - Function returning a number in [0, 1)
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Shuffle a copy of a list
+ * @param {Array} items - List to shuffle
+ * @param {Function} random - Random number generator
+ * @returns {Array} - Shuffled copy
+ */
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Pick a random element from a list
+ * @param {Array} items - List to pick from
+ * @param {Function} random - Random number generator
+ * @returns {*} - The picked element
+ */
+function pick(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * Clamp a number to the range [0, 1]
+ * @param {number} value - Number to clamp
+ * @returns {number} - Clamped number
+ */
+function clampUnit(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Create the preferences of the population and of each profile for one question:
+ * an order of preference for its choices and a preferred position for scales
+ * @param {number} choiceCount - Number of choices of the question
+ * @param {Object} options - Generator options
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Population and profile preferences
+ */
+function createPreferences(choiceCount, options, random) {
+  const indexes = [...Array(choiceCount).keys()];
+  const createPreference = () => ({
+    order: shuffle(indexes, random),
+    position: random()
+  });
+
+  return {
+    population: createPreference(),
+    profiles: Array.from({ length: options.profiles }, createPreference)
+  };
+}
+
+/**
+ * Answering context of one respondent for one question
+ * @param {Object} preferences - Preferences of the question
+ * @param {number} profile - Profile index of the respondent
+ * @param {Object} options - Generator options
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Functions to draw choices and positions
+ */
+function createAnswerContext(preferences, profile, options, random) {
+  // Each draw follows either the respondent's profile or the population
+  const getPreference = () => (random() < options.correlation
+    ? preferences.profiles[profile]
+    : preferences.population);
+
+  return {
+    random,
+
+    /**
+     * Draw the index of a choice, favouring preferred choices (Zipf weights)
+     * @returns {number} - Choice index
+     */
+    choice() {
+      const { order } = getPreference();
+      const weights = order.map((_, rank) => 1 / Math.pow(rank + 1, options.skew));
+      let threshold = random() * weights.reduce((sum, weight) => sum + weight, 0);
+      for (let rank = 0; rank < order.length; rank++) {
+        threshold -= weights[rank];
+        if (threshold <= 0) {
+          return order[rank];
+        }
+      }
+      return order[order.length - 1];
+    },
+
+    /**
+     * Draw several distinct choice indexes (at least one), in preference order
+     * @returns {Array<number>} - Choice indexes
+     */
+    choices() {
+      const { order } = getPreference();
+      // Preferred choices are more likely to be selected
+      const chosen = order.filter((_, rank) =>
+        random() < 0.7 / Math.pow(rank + 1, options.skew / 2));
+      return chosen.length > 0 ? chosen : [order[0]];
+    },
+
+    /**
+     * Draw a position on a scale, around the preferred position
+     * @returns {number} - Position between 0 and 1
+     */
+    position() {
+      const { position } = getPreference();
+      const spread = 1 / (1 + options.skew);
+      return clampUnit(position + (random() - 0.5) * spread * 2);
+    },
+
+    /**
+     * Get the choice order of the respondent's preference, best first
+     * @returns {Array<number>} - Choice indexes
+     */
+    ranking() {
+      const { order } = getPreference();
+      // Swap neighbours now and then; less often with a strong skew
+      const ranking = [...order];
+      for (let i = 0; i < ranking.length - 1; i++) {
+        if (random() < 0.5 / (1 + options.skew)) {
+          [ranking[i], ranking[i + 1]] = [ranking[i + 1], ranking[i]];
+        }
+      }
+      return ranking;
+    }
+  };
+}
+
+/**
+ * Get the number of choices a question offers, for creating preferences
+ * @param {Object} question - Question definition
+ * @returns {number} - Number of choices
+ */
+function getChoiceCount(question) {
+  switch (question.type) {
+    case 'radio':
+    case 'checkbox':
+      return (question.options || []).length;
+    case 'rankOptions':
+      return (question.rankOptions?.options || []).length;
+    case 'matrix2d':
+      return (question.matrix?.rows || []).length;
+    case 'tags':
+      return (question.tagOptions?.tags || []).length;
+    case 'multiValueSlider':
+      return (question.multiValueSlider?.options || []).length;
+    case 'radar':
+      return (question.radar?.variable1?.labels || []).length;
+    default:
+      return 0;
+  }
+}
+
+/**
+ * Create an answer for a checkbox or radio option
+ * @param {Object} option - Option definition
+ * @returns {*} - Option value, or an "other" object for the other option
+ */
+function toOptionAnswer(option) {
+  return option.value === OTHER_VALUE ? { isOther: true, otherValue: SAMPLE_OTHER_TEXT } : option.value;
+}
+
+/**
+ * Create a rich text answer, as saved by the Quill editor
+ * @param {Function} random - Random number generator
+ * @returns {string} - HTML
+ */
+function createRichText(random) {
+  const sentences = shuffle(SAMPLE_TEXTS, random).slice(0, 1 + Math.floor(random() * 3));
+  if (sentences.length > 2 && random() < 0.5) {
+    return `<p>${sentences[0]}</p><ul>${sentences.slice(1).map(text => `<li>${text}</li>`).join('')}</ul>`;
+  }
+  return sentences.map((text, index) =>
+    (index === 0 && random() < 0.3 ? `<p><strong>${text}</strong></p>` : `<p>${text}</p>`)).join('');
+}
+
+/**
+ * Generate an answer value for a question, in the shape saved by its renderer
+ * @param {Object} question - Question definition
+ * @param {Object} context - Answering context (see createAnswerContext)
+ * @returns {*} - Answer value, or null if the question type is not supported
+ */
+export function generateAnswerValue(question, context) {
+  const { random } = context;
+
+  switch (question.type) {
+    case 'shortText':
+      return pick(SAMPLE_TEXTS, random).split(' ').slice(0, 4).join(' ');
+
+    case 'longText':
+      return createRichText(random);
+
+    case 'radio':
+      return toOptionAnswer(question.options[context.choice()]);
+
+    case 'checkbox':
+      return context.choices().sort((a, b) => a - b).map(index => toOptionAnswer(question.options[index]));
+
+    case 'likert': {
+      const scale = question.likertScale || {};
+      const min = scale.min || 1;
+      const max = scale.max || 5;
+      const values = {};
+      (question.options || []).forEach(option => {
+        values[option.value] = min + Math.round(context.position() * (max - min));
+      });
+      return values;
+    }
+
+    case 'rangeSlider': {
+      const config = question.rangeSlider || {};
+      const min = config.min ?? 0;
+      const max = config.max ?? 100;
+      const step = config.step || 1;
+      return min + Math.round((context.position() * (max - min)) / step) * step;
+    }
+
+    case 'matrix2d': {
+      const rows = question.matrix?.rows || [];
+      const columns = question.matrix?.columns || [];
+      // Rows are chosen like checkbox options, columns by position on the scale
+      const toCell = rowIndex => {
+        const columnIndex = Math.min(columns.length - 1, Math.floor(context.position() * columns.length));
+        return `${rows[rowIndex].id}:${columns[columnIndex].id}`;
+      };
+      if (!question.matrix?.allowMultiple) {
+        return toCell(context.choice());
+      }
+      return context.choices().sort((a, b) => a - b).map(toCell);
+    }
+
+    case 'multiValueSlider': {
+      const config = question.multiValueSlider || {};
+      const min = config.min ?? 0;
+      const max = config.max ?? 100;
+      const sliderOptions = config.options || [];
+      // Preferred options end up further to the right
+      const ranking = context.ranking();
+      const positions = {};
+      ranking.forEach((optionIndex, rank) => {
+        const preferred = 1 - rank / Math.max(1, ranking.length - 1);
+        const position = clampUnit((preferred + context.position()) / 2);
+        positions[sliderOptions[optionIndex].id] = Math.round(min + position * (max - min));
+      });
+      return { value: positions, comment: '' };
+    }
+
+    case 'radar': {
+      const config = question.radar || {};
+      const rings = config.variable2?.labels || [];
+      const positions = {};
+      (config.options || []).forEach(option => {
+        positions[option.id] = {
+          segment: context.choice(),
+          ring: Math.min(rings.length - 1, Math.floor(context.position() * rings.length))
+        };
+      });
+      return positions;
+    }
+
+    case 'rankOptions': {
+      const rankOptions = question.rankOptions?.options || [];
+      return context.ranking().map((optionIndex, index) => ({ id: rankOptions[optionIndex].value, rank: index + 1 }));
+    }
+
+    case 'tags': {
+      const config = question.tagOptions || {};
+      const predefinedTags = config.tags || [];
+      let tags = predefinedTags.length > 0 ? context.choices().map(index => predefinedTags[index]) : [];
+      if (config.allowCustom !== false && (tags.length === 0 || random() < 0.2)) {
+        tags.push(pick(SAMPLE_TAGS, random));
+      }
+      tags = [...new Set(tags)];
+      return config.maxTags ? tags.slice(0, config.maxTags) : tags;
+    }
+
+    default:
+      return null;
+  }
+}
+
+/**
+ * Generate the telemetry of a result, as recorded by the survey wizard
+ * @param {Object} definition - Survey definition
+ * @param {Object} responses - Generated responses
+ * @param {string} completedAt - Completion (or last save) date
+ * @param {number} lastStepIndex - Index of the last step the respondent reached
+ * @param {Object} options - Generator options
+ * @param {Function} random - Random number generator
+ * @returns {Object} - Telemetry with time spent per step and edits per question
+ */
+function generateTelemetry(definition, responses, completedAt, lastStepIndex, options, random) {
+  const getResponse = questionId => responses[questionId];
+  const steps = {};
+  const questionEdits = {};
+  let totalMs = 0;
+  let furthestStepIndex = 0;
+
+  definition.steps.forEach((step, index) => {
+    if (index > lastStepIndex || !areConditionsMet(step.conditions, getResponse)) {
+      return;
+    }
+    const questionCount = Math.max(1, (step.questions || []).length);
+    const timeSpentMs = Math.round(questionCount * options.secondsPerQuestion * 1000 * (0.5 + random()));
+    steps[step.id] = { timeSpentMs, visits: random() < 0.15 ? 2 : 1 };
+    totalMs += timeSpentMs;
+    furthestStepIndex = index;
+  });
+
+  Object.keys(responses).forEach(questionId => {
+    questionEdits[questionId] = random() < 0.2 ? 2 : 1;
+  });
+
+  const lastStep = definition.steps[furthestStepIndex];
+  return {
+    startedAt: new Date(new Date(completedAt).getTime() - totalMs).toISOString(),
+    steps,
+    questionEdits,
+    furthestStepIndex,
+    furthestStepId: lastStep ? lastStep.id : null
+  };
+}
+
+/**
+ * Generate survey results for a survey definition
+ * @param {Object} definition - Survey definition
+ * @param {number} count - Number of results to generate
+ * @param {Object} [generatorOptions] - Options, see DEFAULT_GENERATOR_OPTIONS
+ * @returns {Array<Object>} - Survey results, in the shape saved by submitSurvey (or saveDraft for drafts)
+ */
+export function generateResponses(definition, count, generatorOptions = {}) {
+  const options = { ...DEFAULT_GENERATOR_OPTIONS };
+  // Ignore options that are explicitly undefined
+  Object.entries(generatorOptions).forEach(([key, value]) => {
+    if (value !== undefined) {
+      options[key] = value;
+    }
+  });
+
+  const random = createRandom(options.seed);
+  // Respondents answer in one of the definition's languages; the answer values do not depend on it
+  const locales = getDefinitionLocales(definition);
+  const surveyTitle = localizeText(definition.title, getDefaultLocale(definition));
+  const questions = definition.steps.flatMap(step => step.questions || []);
+  // Step of each question, for skipping steps whose conditions are not met
+  const questionSteps = {};
+  definition.steps.forEach(step => (step.questions || []).forEach(question => {
+    questionSteps[question.id] = step;
+  }));
+
+  // Preferences are fixed per question, before generating any respondent
+  const preferences = {};
+  questions.forEach(question => {
+    preferences[question.id] = createPreferences(getChoiceCount(question), options, random);
+  });
+
+  const referenceTime = options.referenceDate ? new Date(options.referenceDate).getTime() : Date.now();
+  const results = [];
+
+  for (let i = 1; i <= count; i++) {
+    const profile = Math.floor(random() * options.profiles);
+    const completedAt = new Date(referenceTime - random() * options.periodDays * 24 * 60 * 60 * 1000).toISOString();
+    const responses = {};
+
+    // A draft stops somewhere along the way
+    const isDraft = random() < options.draftProbability;
+    const lastStepIndex = isDraft
+      ? Math.floor(random() * definition.steps.length)
+      : definition.steps.length - 1;
+
+    const getResponse = questionId => responses[questionId];
+    questions.forEach(question => {
+      if (definition.steps.indexOf(questionSteps[question.id]) > lastStepIndex) {
+        return;
+      }
+      // Questions on skipped steps and hidden questions stay unanswered, as in the survey wizard
+      if (!areConditionsMet(questionSteps[question.id].conditions, getResponse) ||
+          !areConditionsMet(question.conditions, getResponse)) {
+        return;
+      }
+      if (!question.required && random() < options.skipProbability) {
+        return;
+      }
+
+      const context = createAnswerContext(preferences[question.id], profile, options, random);
+      const value = generateAnswerValue(question, context);
+      if (value === null) {
+        return;
+      }
+
+      responses[question.id] = { value, timestamp: completedAt };
+      if (question.allowComment && random() < options.commentProbability) {
+        responses[question.id].comment = pick(SAMPLE_TEXTS, random);
+      }
+    });
+
+    const result = {
+      surveyId: definition.id || 'unknown',
+      surveyTitle,
+      surveyVersion: definition.version || 1,
+      locale: locales.length > 1 ? pick(locales, random) : locales[0],
+      status: isDraft ? 'draft' : 'completed',
+      lastModified: completedAt,
+      responses,
+      telemetry: generateTelemetry(definition, responses, completedAt, lastStepIndex, options, random),
+      username: `respondent${String(i).padStart(2, '0')}@example.com`,
+      label: `Organisatie ${i}`
+    };
+    if (isDraft) {
+      result.currentStepIndex = lastStepIndex;
+    } else {
+      result.completedAt = completedAt;
+      // Identifies the response when the survey is anonymous or pseudonymous
+      result.submissionId = `mock-${String(i).padStart(2, '0')}`;
+    }
+    results.push(result);
+  }
+
+  return results;
+}
@@ -14,8 +14,9 @@ import * as questionRenderersTags from './questionRenderersTags.js';
 // Import D3.js version of multi-value slider
 import { renderMultiValueSlider } from './questionRenderersMultiValueSliderD3.js';
 // Import condition evaluator
-import { shouldShowQuestion } from './conditionEvaluator.js';
+import { shouldShowQuestion, getConditionQuestionIds } from './conditionEvaluator.js';
 import { renderRadar } from './questionRenderersRadar.js';
+import { t } from './i18n.js';
 // Constants for question types
 const QUESTION_TYPES = {
   SHORT_TEXT: 'shortText',
@@ -87,7 +88,7 @@ function createCommentField(question, questionId) {
   
   const commentLabel = document.createElement('label');
   commentLabel.htmlFor = `comment-${questionId}`;
-  commentLabel.textContent = 'Additional comments:';
+  commentLabel.textContent = t('renderers.comments');
   
   const commentField = document.createElement('textarea');
   commentField.id = `comment-${questionId}`;
@@ -235,7 +236,7 @@ function renderLongText(question) {
           modules: {
             toolbar: `#toolbar-${question.id}`
           },
-          placeholder: 'Type your response here...',
+          placeholder: t('renderers.responsePlaceholder'),
           bounds: editorContainer
         });
         
@@ -383,7 +384,7 @@ function renderRadio(question) {
       otherInput.type = 'text';
       otherInput.id = `other-input-${question.id}`;
       otherInput.className = 'other-text-input';
-      otherInput.placeholder = 'Please specify...';
+      otherInput.placeholder = t('renderers.otherPlaceholder');
       otherInput.value = otherValue;
       
       // Only show if 'other' is selected
@@ -530,7 +531,7 @@ function renderCheckbox(question) {
       otherInput.type = 'text';
       otherInput.id = `checkbox-other-input-${question.id}`;
       otherInput.className = 'other-text-input';
-      otherInput.placeholder = 'Please specify...';
+      otherInput.placeholder = t('renderers.otherPlaceholder');
       otherInput.value = otherValue;
       
       // Only show if 'other' is checked
@@ -704,14 +705,14 @@ function setupConditionalQuestionListeners(step, container) {
   if (!step || !step.questions) return;
   
   // Find questions that have conditions and the questions they depend on
-  const conditionalQuestions = step.questions.filter(q => q.conditions && q.conditions.rules);
+  const conditionalQuestions = step.questions.filter(q => getConditionQuestionIds(q.conditions).length > 0);
   if (conditionalQuestions.length === 0) return; // No conditional questions in this step
   
   // Create a map of dependent questions (questions whose answers might affect other questions)
   const dependentQuestionIds = new Set();
   conditionalQuestions.forEach(question => {
-    question.conditions.rules.forEach(rule => {
-      dependentQuestionIds.add(rule.questionId);
+    getConditionQuestionIds(question.conditions).forEach(questionId => {
+      dependentQuestionIds.add(questionId);
     });
   });
   
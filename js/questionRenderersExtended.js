@@ -9,6 +9,7 @@
  */
 
 import * as surveyData from './surveyData.js';
+import { t } from './i18n.js';
 
 /**
  * Create the main container for a question (simplified version)
@@ -65,7 +66,7 @@ function createCommentField(question, questionId) {
   
   const commentLabel = document.createElement('label');
   commentLabel.htmlFor = `comment-${questionId}`;
-  commentLabel.textContent = 'Additional comments:';
+  commentLabel.textContent = t('renderers.comments');
   
   const commentField = document.createElement('textarea');
   commentField.id = `comment-${questionId}`;
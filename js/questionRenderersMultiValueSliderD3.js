@@ -5,6 +5,8 @@
 
 import * as surveyData from './surveyData.js';
 import { fixSvgRectDimensions } from './svgRectValidator.js';
+import { t } from './i18n.js';
+import { announce, createInstructions } from './accessibility.js';
 // We already have D3.js imported in the main HTML file
 
 // Constants
@@ -12,6 +14,8 @@ const SLIDER_MARGIN = { top: 40, right: 20, bottom: 40, left: 20 };
 const BASE_SLIDER_HEIGHT = 300; // Base height for few options
 const MIN_OPTION_SPACING = 60; // Minimum vertical space per option
 const OPTION_RADIUS = 20;
+const KEYBOARD_STEP = 1; // Position change per arrow key in continuous mode
+const KEYBOARD_PAGE_STEP = 10; // Position change per Page Up/Page Down in continuous mode
 
 /**
  * Render a multi-value slider question using D3.js and SVG
@@ -40,6 +44,10 @@ export function renderMultiValueSlider(question) {
   // Create the slider container
   const sliderContainer = document.createElement('div');
   sliderContainer.className = 'multi-value-slider-container';
+  sliderContainer.setAttribute('role', 'group');
+  sliderContainer.setAttribute('aria-label', question.title);
+  sliderContainer.setAttribute('aria-describedby', `slider-instructions-${question.id}`);
+  container.appendChild(createInstructions(`slider-instructions-${question.id}`, t('renderers.slider.instructions')));
   container.appendChild(sliderContainer);
   
   // Get slider configuration
@@ -77,7 +85,7 @@ function createCommentField(question) {
   
   const commentLabel = document.createElement('label');
   commentLabel.setAttribute('for', `comment-${question.id}`);
-  commentLabel.textContent = 'Additional comments:';
+  commentLabel.textContent = t('renderers.comments');
   commentContainer.appendChild(commentLabel);
   
   const commentInput = document.createElement('textarea');
@@ -301,7 +309,16 @@ function createD3Slider(container, config, questionId) {
         positions[d.id] = d.defaultPosition || 0;
         return `translate(${xPos}, ${yPos})`;
       })
-      .call(createDragBehavior(x, width, questionId, positions));
+      .call(createDragBehavior(x, width, questionId, positions, config));
+    
+    // Make the markers focusable sliders that can be moved with the keyboard
+    optionGroups
+      .attr('tabindex', 0)
+      .attr('role', 'slider')
+      .attr('aria-label', d => d.label || d.letter || d.id)
+      .attr('aria-valuemin', 0)
+      .attr('aria-valuemax', 100)
+      .on('keydown', createKeyboardBehavior(x, questionId, positions, config));
     
     // Create different shapes based on option.shape
     optionGroups.each(function(d) {
@@ -415,6 +432,9 @@ function createD3Slider(container, config, questionId) {
   
   // Load saved positions for the question
   loadSavedResponse(questionId, positions, svg, x);
+  svg.selectAll('.option-group').each(function(d) {
+    describeSliderPosition(this, positions[d.id], config);
+  });
   
   // Handle window resize to make the slider responsive
   const resizeObserver = new ResizeObserver(() => {
@@ -494,9 +514,10 @@ function createD3Slider(container, config, questionId) {
  * @param {number} width - Width of the slider
  * @param {string} questionId - Question ID
  * @param {Object} positions - Object to track positions
+ * @param {Object} config - The slider configuration
  * @returns {Object} - D3 drag behavior
  */
-function createDragBehavior(x, width, questionId, positions) {
+function createDragBehavior(x, width, questionId, positions, config) {
   console.log('Creating drag behavior, slider width:', width);
   
   // Create a simple drag behavior with extensive logging
@@ -605,10 +626,120 @@ function createDragBehavior(x, width, questionId, positions) {
       
       // Save response
       saveResponse(questionId, positions);
+      describeSliderPosition(this, positions[d.id], config);
 
     });
 }
 
+/**
+ * Get the text a screen reader reads for a position on the slider
+ * @param {number} position - Position (0-100)
+ * @param {Object} config - The slider configuration
+ * @returns {string} - The zone label in discrete mode, else the value on the min-max scale
+ */
+function getPositionText(position, config) {
+  const zone = (config.zones || []).find(z => position >= z.start && position <= z.end);
+  if ((config.mode || 'discrete') === 'discrete' && zone && zone.label) {
+    return zone.label;
+  }
+  const min = config.min !== undefined ? config.min : 0;
+  const max = config.max !== undefined ? config.max : 100;
+  return String(Math.round(min + (position / 100) * (max - min)));
+}
+
+/**
+ * Update the ARIA value attributes of an option marker
+ * @param {Element} element - The option group element
+ * @param {number} position - Position of the option (0-100)
+ * @param {Object} config - The slider configuration
+ */
+function describeSliderPosition(element, position, config) {
+  d3.select(element)
+    .attr('aria-valuenow', Math.round(position))
+    .attr('aria-valuetext', getPositionText(position, config));
+}
+
+/**
+ * Create the keyboard handler for option markers: the left and right arrow
+ * keys move the focused marker to the previous or next zone (discrete mode) or
+ * by one step (continuous mode); Page Up/Page Down take bigger steps and Home
+ * and End move it to either end
+ * @param {Function} x - D3 scale function
+ * @param {string} questionId - Question ID for saving responses
+ * @param {Object} positions - Object tracking option positions
+ * @param {Object} config - The slider configuration
+ * @returns {Function} - Keydown handler for D3 selections
+ */
+function createKeyboardBehavior(x, questionId, positions, config) {
+  const zones = (config.mode || 'discrete') === 'discrete' ? (config.zones || []) : [];
+  const zoneCenters = zones.map(zone => (zone.start + zone.end) / 2).sort((a, b) => a - b);
+  
+  return function(event, d) {
+    const current = positions[d.id] || 0;
+    let next;
+    
+    if (zoneCenters.length > 0) {
+      const previous = zoneCenters.filter(center => center < current);
+      const following = zoneCenters.filter(center => center > current);
+      switch (event.key) {
+        case 'ArrowLeft':
+        case 'ArrowDown':
+          next = previous.length > 0 ? previous[previous.length - 1] : current;
+          break;
+        case 'ArrowRight':
+        case 'ArrowUp':
+          next = following.length > 0 ? following[0] : current;
+          break;
+        case 'Home':
+          next = zoneCenters[0];
+          break;
+        case 'End':
+          next = zoneCenters[zoneCenters.length - 1];
+          break;
+        default:
+          return;
+      }
+    } else {
+      const steps = {
+        ArrowLeft: -KEYBOARD_STEP,
+        ArrowDown: -KEYBOARD_STEP,
+        ArrowRight: KEYBOARD_STEP,
+        ArrowUp: KEYBOARD_STEP,
+        PageDown: -KEYBOARD_PAGE_STEP,
+        PageUp: KEYBOARD_PAGE_STEP,
+        Home: -100,
+        End: 100
+      };
+      if (steps[event.key] === undefined) {
+        return;
+      }
+      next = Math.max(0, Math.min(100, current + steps[event.key]));
+    }
+    
+    event.preventDefault();
+    if (next === current) {
+      return;
+    }
+    
+    // Move the marker horizontally, keeping its lane
+    const { y } = getCurrentPosition(this);
+    d3.select(this).attr('transform', `translate(${x(next)}, ${y})`);
+    positions[d.id] = next;
+    
+    const root = d3.select(this.ownerSVGElement).select('g');
+    if (root.node()) {
+      highlightZoneAtPosition(next, root, x);
+    }
+    
+    saveResponse(questionId, positions);
+    describeSliderPosition(this, next, config);
+    announce(t('renderers.slider.moved', {
+      label: d.label || d.letter || d.id,
+      value: getPositionText(next, config)
+    }));
+  };
+}
+
 /**
  * Helper function to get the current position of an element from its transform
  * @param {Element} element - The DOM element
@@ -722,7 +853,7 @@ function createLegend(container, options) {
   // Add legend title
   const legendTitle = document.createElement('div');
   legendTitle.className = 'legend-title';
-  legendTitle.textContent = 'Legend:';
+  legendTitle.textContent = t('renderers.legend');
   legendContainer.appendChild(legendTitle);
   
   // Create legend items list
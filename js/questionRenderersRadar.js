@@ -7,6 +7,9 @@
  */
 
 import * as surveyData from './surveyData.js';
+import { t } from './i18n.js';
+import { announce, createInstructions } from './accessibility.js';
+import { getRadarPosition } from './radarAnswers.js';
 // We already have D3.js imported in the main HTML file
 
 // Constants
@@ -35,6 +38,10 @@ export function renderRadar(question) {
 
   const radarContainer = document.createElement('div');
   radarContainer.className = 'radar-chart-container';
+  radarContainer.setAttribute('role', 'group');
+  radarContainer.setAttribute('aria-label', question.title);
+  radarContainer.setAttribute('aria-describedby', `radar-instructions-${question.id}`);
+  container.appendChild(createInstructions(`radar-instructions-${question.id}`, t('renderers.radar.instructions')));
   container.appendChild(radarContainer);
 
   const radarConfig = question.radar || {};
@@ -110,10 +117,63 @@ export function renderRadar(question) {
     }
   }
 
-  // Load existing responses
+  // Load existing responses; segments and rings are stored as indexes, see radarAnswers.js
   const existingResponse = surveyData.getResponse(question.id) || { value: {} };
   const currentPositions = existingResponse.value;
 
+  // Describe a marker to screen readers: its option and the segment and ring it is in
+  const describeMarker = (marker, d) => {
+    const position = getRadarPosition(currentPositions, d.id, radarConfig);
+    marker.attr('aria-label', position
+      ? t('renderers.radar.position', {
+        label: d.label,
+        segment: variable1Labels[position.segment],
+        ring: variable2Labels[position.ring]
+      })
+      : t('renderers.radar.notPlaced', { label: d.label }));
+  };
+
+  // Move the focused marker with the keyboard: left and right to the previous
+  // or next segment, up and down to the outer or inner ring
+  const moveWithKeyboard = function (event, d) {
+    const steps = {
+      ArrowLeft: [-1, 0],
+      ArrowRight: [1, 0],
+      ArrowUp: [0, 1],
+      ArrowDown: [0, -1]
+    };
+    if (!steps[event.key]) {
+      return;
+    }
+    event.preventDefault();
+
+    const [segmentStep, ringStepCount] = steps[event.key];
+    const currentSegment = Math.min(numSegments - 1, Math.floor(d.currentAngle / (360 / numSegments)));
+    const currentRing = Math.min(numRings - 1, Math.floor(d.currentRadius / (100 / numRings)));
+    const segmentIndex = (currentSegment + segmentStep + numSegments) % numSegments;
+    const ringIndex = Math.max(0, Math.min(numRings - 1, currentRing + ringStepCount));
+
+    // Place the marker in the middle of the segment and ring
+    d.currentAngle = (segmentIndex + 0.5) * (360 / numSegments);
+    d.currentRadius = ((ringIndex + 0.5) / numRings) * 100;
+    const markerRadius = (d.currentRadius / 100) * radius;
+    const markerAngle = d.currentAngle * Math.PI / 180;
+    const marker = d3.select(this);
+    marker.attr('transform', `translate(${markerRadius * Math.sin(markerAngle)},${-markerRadius * Math.cos(markerAngle)})`);
+
+    currentPositions[d.id] = {
+      segment: segmentIndex,
+      ring: ringIndex
+    };
+    surveyData.saveResponse(question.id, currentPositions, existingResponse.comment);
+    describeMarker(marker, d);
+    announce(t('renderers.radar.moved', {
+      label: d.label,
+      segment: variable1Labels[segmentIndex],
+      ring: variable2Labels[ringIndex]
+    }));
+  };
+
   // Draggable markers for options
   const drag = d3.drag()
     .on('start', function (event, d) {
@@ -136,36 +196,34 @@ export function renderRadar(question) {
       d3.select(this).attr('stroke', null);
 
       // Calculate segment (variable1)
-      const segmentIndex = Math.floor(d.currentAngle / (360 / numSegments));
-      const segmentValue = variable1Labels[segmentIndex];
+      const segmentIndex = Math.min(numSegments - 1, Math.floor(d.currentAngle / (360 / numSegments)));
 
       // Calculate ring (variable2)
       const ringIndex = Math.min(numRings - 1, Math.floor(d.currentRadius / (100 / numRings)));
-      const ringValue = variable2Labels[ringIndex];
 
       currentPositions[d.id] = {
-        segment: segmentValue,
-        ring: ringValue
+        segment: segmentIndex,
+        ring: ringIndex
       };
       surveyData.saveResponse(question.id,  currentPositions, existingResponse.comment);
+      describeMarker(d3.select(this), d);
     ;
   });
 
   options.forEach(option => {
     // Get stored values or defaults
-    const storedSegment = currentPositions[option.id]?.segment;
-    const storedRing = currentPositions[option.id]?.ring;
+    const storedPosition = getRadarPosition(currentPositions, option.id, radarConfig);
 
     let initialAngle;
     let initialRadius;
 
-    if (storedSegment && storedRing) {
+    if (storedPosition) {
       // Convert stored segment back to angle
-      const segmentIndex = variable1Labels.indexOf(storedSegment);
+      const segmentIndex = storedPosition.segment;
       initialAngle = (segmentIndex + 0.5) * (360 / numSegments); // Center of the segment
 
       // Convert stored ring back to radius
-      const ringIndex = variable2Labels.indexOf(storedRing);
+      const ringIndex = storedPosition.ring;
       const ringStep = radius / numRings; // Recalculate ringStep for this scope
       const ringMidRadius = ((ringIndex * ringStep) + ((ringIndex + 1) * ringStep)) / 2;
       initialRadius = ringMidRadius;
@@ -185,8 +243,14 @@ export function renderRadar(question) {
 
     const marker = svg.append('g')
       .attr('transform', `translate(${x},${y})`)
+      .attr('class', 'radar-marker-group')
+      .attr('tabindex', 0)
+      .attr('role', 'button')
+      .attr('aria-roledescription', t('renderers.radar.roleDescription'))
       .datum(option)
+      .on('keydown', moveWithKeyboard)
       .call(drag);
+    describeMarker(marker, option);
 
     if (option.shape === 'circle') {
       marker.append('circle')
@@ -283,7 +347,7 @@ function createCommentField(question) {
   
   const commentLabel = document.createElement('label');
   commentLabel.setAttribute('for', `comment-${question.id}`);
-  commentLabel.textContent = 'Additional comments:';
+  commentLabel.textContent = t('renderers.comments');
   commentContainer.appendChild(commentLabel);
   
   const commentInput = document.createElement('textarea');
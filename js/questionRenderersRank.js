@@ -6,6 +6,8 @@
  */
 
 import * as surveyData from './surveyData.js';
+import { t } from './i18n.js';
+import { announce, createInstructions } from './accessibility.js';
 // Only import functions that are actually exported
 import { renderLikert, renderRangeSlider, renderMatrix2D } from './questionRenderersExtended.js';
 
@@ -65,7 +67,7 @@ function createCommentField(question, questionId) {
   
   const label = document.createElement('label');
   label.htmlFor = `comment-${questionId}`;
-  label.textContent = 'Additional comments (optional):';
+  label.textContent = t('renderers.commentsOptional');
   container.appendChild(label);
   
   const textarea = document.createElement('textarea');
@@ -137,7 +139,7 @@ export function renderRankOptions(question) {
   const originalOptions = rankConfig.options || [];
   console.log('Original options from question definition:', originalOptions);
   const showScale = rankConfig.showScale !== false; // Default to true
-  const scaleLabels = rankConfig.scaleLabels || { low: 'Low', high: 'High' };
+  const scaleLabels = rankConfig.scaleLabels || { low: t('renderers.rank.low'), high: t('renderers.rank.high') };
   const orientation = rankConfig.orientation || 'vertical'; // vertical or horizontal
   
   // Create hidden input to store the ranking data
@@ -150,7 +152,7 @@ export function renderRankOptions(question) {
   // Ensure we have at least some options
   if (originalOptions.length === 0) {
     const message = document.createElement('p');
-    message.textContent = 'No options provided for ranking';
+    message.textContent = t('renderers.rank.noOptions');
     message.className = 'rank-error-message';
     rankContainer.appendChild(message);
     
@@ -184,7 +186,7 @@ export function renderRankOptions(question) {
         rankedOptions = sortedResponses.map(savedItem => {
           // Find the original option with matching value
           const originalOption = originalOptions.find(opt => opt.value === savedItem.id);
-          return originalOption || { value: savedItem.id, label: `Option ${savedItem.rank + 1}` };
+          return originalOption || { value: savedItem.id, label: t('renderers.rank.option', { number: savedItem.rank + 1 }) };
         });
         
         console.log('Reconstructed options with proper labels:', rankedOptions);
@@ -232,6 +234,9 @@ function initializeRankingVisualization(containerSelector, optionsToRank, questi
   // Create a container for the rank items
   const rankList = document.createElement('div');
   rankList.className = 'rank-list';
+  rankList.setAttribute('role', 'list');
+  rankList.setAttribute('aria-describedby', `rank-instructions-${questionId}`);
+  container.appendChild(createInstructions(`rank-instructions-${questionId}`, t('renderers.rank.instructions')));
   container.appendChild(rankList);
   
   // Create scale labels if needed
@@ -241,11 +246,11 @@ function initializeRankingVisualization(containerSelector, optionsToRank, questi
     
     const highLabel = document.createElement('div');
     highLabel.className = 'rank-scale-label rank-scale-high';
-    highLabel.textContent = scaleLabels.high || 'Highest Priority';
+    highLabel.textContent = scaleLabels.high || t('renderers.rank.highest');
     
     const lowLabel = document.createElement('div');
     lowLabel.className = 'rank-scale-label rank-scale-low';
-    lowLabel.textContent = scaleLabels.low || 'Lowest Priority';
+    lowLabel.textContent = scaleLabels.low || t('renderers.rank.lowest');
     
     scaleContainer.appendChild(highLabel);
     scaleContainer.appendChild(lowLabel);
@@ -265,10 +270,12 @@ function initializeRankingVisualization(containerSelector, optionsToRank, questi
     rankItem.setAttribute('data-rank', index);
     rankItem.setAttribute('data-value', option.value || `option-${index}`);
     rankItem.setAttribute('draggable', true);
+    rankItem.setAttribute('role', 'listitem');
+    rankItem.setAttribute('tabindex', '0');
     
     // Get the label text from the option object
     // This should match the structure in your JSON: { "value": "cost_optimization", "label": "Cost optimization" }
-    const labelText = option.label || option.value || `Option ${index + 1}`;
+    const labelText = option.label || option.value || t('renderers.rank.option', { number: index + 1 });
     
     // Create the item's content with proper styling
     rankItem.innerHTML = `
@@ -284,10 +291,85 @@ function initializeRankingVisualization(containerSelector, optionsToRank, questi
     `;
     
     rankList.appendChild(rankItem);
+    describeRankItem(rankItem, optionsToRank.length);
   });
   
   // Set up drag and drop functionality
   setupDragAndDrop(rankList, questionId);
+  
+  // Let keyboard users move the items as well
+  setupKeyboardRanking(rankList, questionId);
+}
+
+/**
+ * Set the accessible name of a rank item: its label and position
+ * @param {HTMLElement} item - The rank item
+ * @param {number} total - Number of items in the ranking
+ */
+function describeRankItem(item, total) {
+  const label = item.querySelector('.rank-item-label').textContent;
+  const position = parseInt(item.getAttribute('data-rank')) + 1;
+  item.setAttribute('aria-label', t('renderers.rank.position', { label, position, total }));
+}
+
+/**
+ * Set up moving the rank items with the keyboard: the arrow keys move the
+ * focused item up or down one place, Home and End move it to the top or bottom
+ * @param {HTMLElement} rankList - The container with rank items
+ * @param {string} questionId - The question ID to save responses
+ */
+function setupKeyboardRanking(rankList, questionId) {
+  rankList.addEventListener('keydown', (e) => {
+    const item = e.target.closest('.rank-item');
+    if (!item || item.parentNode !== rankList) {
+      return;
+    }
+    
+    const items = Array.from(rankList.querySelectorAll('.rank-item:not(.placeholder)'));
+    const currentIndex = items.indexOf(item);
+    let newIndex;
+    
+    switch (e.key) {
+      case 'ArrowUp':
+        newIndex = currentIndex - 1;
+        break;
+      case 'ArrowDown':
+        newIndex = currentIndex + 1;
+        break;
+      case 'Home':
+        newIndex = 0;
+        break;
+      case 'End':
+        newIndex = items.length - 1;
+        break;
+      default:
+        return;
+    }
+    
+    e.preventDefault();
+    if (newIndex < 0 || newIndex >= items.length || newIndex === currentIndex) {
+      return;
+    }
+    
+    // Move the item and keep the focus on it
+    items.splice(currentIndex, 1);
+    items.splice(newIndex, 0, item);
+    items.forEach(rankItem => rankList.appendChild(rankItem));
+    item.focus();
+    
+    items.forEach((rankItem, index) => {
+      rankItem.setAttribute('data-rank', index);
+      rankItem.querySelector('.rank-item-number').textContent = `#${index + 1}`;
+      describeRankItem(rankItem, items.length);
+    });
+    
+    saveRanking(rankList, questionId);
+    announce(t('renderers.rank.moved', {
+      label: item.querySelector('.rank-item-label').textContent,
+      position: newIndex + 1,
+      total: items.length
+    }));
+  });
 }
 
 /**
@@ -312,6 +394,7 @@ function setupDragAndDrop(rankList, questionId) {
     if (numberElement) {
       numberElement.textContent = `#${rank + 1}`;
     }
+    describeRankItem(element, rankItems.length);
   }
   
   // Add event listeners to each rank item
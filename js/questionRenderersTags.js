@@ -7,6 +7,7 @@
  */
 
 import * as surveyData from './surveyData.js';
+import { t } from './i18n.js';
 
 /**
  * Create the main container for a question
@@ -59,7 +60,7 @@ function createCommentField(question, questionId) {
   
   const label = document.createElement('label');
   label.htmlFor = `comment-${questionId}`;
-  label.textContent = 'Additional comments (optional):';
+  label.textContent = t('renderers.commentsOptional');
   container.appendChild(label);
   
   const textarea = document.createElement('textarea');
@@ -115,7 +116,7 @@ function renderTagsQuestion(question) {
   tagInput.type = 'text';
   tagInput.className = 'tag-input';
   tagInput.id = `tag-input-${question.id}`;
-  tagInput.placeholder = question.tagOptions?.allowCustom ? 'Type to add a new tag...' : 'Type to filter tags...';
+  tagInput.placeholder = question.tagOptions?.allowCustom ? t('renderers.tags.addPlaceholder') : t('renderers.tags.filterPlaceholder');
   tagsInputContainer.appendChild(tagInput);
   
   // Create hidden input for storing selected tags
@@ -161,7 +162,7 @@ function renderTagsQuestion(question) {
       removeButton.type = 'button';
       removeButton.className = 'tag-remove';
       removeButton.textContent = '';
-      removeButton.title = 'Remove tag';
+      removeButton.title = t('renderers.tags.remove');
       removeButton.addEventListener('click', () => {
         selectedTags = selectedTags.filter(t => t !== tag);
         updateSelectedTags();
@@ -235,7 +236,7 @@ function renderTagsQuestion(question) {
       
       const createTag = document.createElement('div');
       createTag.className = 'tag-suggestion tag-create';
-      createTag.textContent = `Create "${query.trim()}"`;
+      createTag.textContent = t('renderers.tags.create', { tag: query.trim() });
       
       createTag.addEventListener('click', () => {
         selectedTags.push(query.trim());
@@ -0,0 +1,98 @@
+/**
+ * radarAnswers.js
+ * Positions of the options of radar questions
+ *
+ * A radar answer maps each option ID to where the respondent placed it:
+ * { <optionId>: { segment, ring } }, the segment as index into the
+ * variable1 labels and the ring as index into the variable2 labels, so the
+ * answer reads the same in every language of the survey. Answers saved
+ * before stored the labels, in the language the respondent answered in;
+ * migrateRadarResponses turns those into indexes.
+ */
+
+import { getDefaultLocale, getDefinitionLocales, localizeText } from './localization.js';
+
+/**
+ * Find the index of a stored segment or ring
+ * @param {number|string|undefined} value - Stored index, or label of answers saved before
+ * @param {Array} labels - Segment or ring labels as in the survey definition, plain or localized
+ * @param {Array<string>} locales - Locales of the definition
+ * @param {string} defaultLocale - Default locale of the definition
+ * @returns {number|null} - The index, or null if the label is not (or no longer) in the definition
+ */
+function findLabelIndex(value, labels, locales, defaultLocale) {
+  if (Number.isInteger(value)) {
+    return value >= 0 && value < labels.length ? value : null;
+  }
+  const index = labels.findIndex(label =>
+    locales.some(locale => localizeText(label, locale, defaultLocale) === value));
+  return index === -1 ? null : index;
+}
+
+/**
+ * Get the index of the segment and ring an option was placed in
+ * @param {Object} positions - Radar answer value: { <optionId>: { segment, ring } }
+ * @param {string} optionId - Option ID
+ * @param {Object} radar - Radar configuration of the question (question.radar)
+ * @returns {Object|null} - { segment, ring } as indexes, or null if the option was not placed
+ */
+export function getRadarPosition(positions, optionId, radar) {
+  const position = positions && positions[optionId];
+  if (!position) {
+    return null;
+  }
+  const segments = radar?.variable1?.labels || [];
+  const rings = radar?.variable2?.labels || [];
+  const segment = Number.isInteger(position.segment) && position.segment < segments.length ? position.segment : null;
+  const ring = Number.isInteger(position.ring) && position.ring < rings.length ? position.ring : null;
+  return segment === null || ring === null ? null : { segment, ring };
+}
+
+/**
+ * Replace the labels in radar answers saved before by indexes; labels in any
+ * language of the definition are recognized, unknown labels are left out
+ * @param {Object} responses - Question IDs mapped to answer objects
+ * @param {Object} sourceDefinition - Survey definition as loaded, with localized texts
+ * @returns {Object} - The responses with radar answers as indexes; the same object when nothing changed
+ */
+export function migrateRadarResponses(responses, sourceDefinition) {
+  if (!responses || !sourceDefinition) {
+    return responses;
+  }
+  const locales = getDefinitionLocales(sourceDefinition);
+  const defaultLocale = getDefaultLocale(sourceDefinition);
+  let migrated = responses;
+
+  (sourceDefinition.steps || []).forEach(step => {
+    (step.questions || []).filter(question => question.type === 'radar').forEach(question => {
+      const answer = responses[question.id];
+      const positions = answer && answer.value;
+      if (!positions || typeof positions !== 'object') {
+        return;
+      }
+      const hasLabels = Object.values(positions).some(position =>
+        position && (typeof position.segment === 'string' || typeof position.ring === 'string'));
+      if (!hasLabels) {
+        return;
+      }
+
+      const segments = question.radar?.variable1?.labels || [];
+      const rings = question.radar?.variable2?.labels || [];
+      const value = {};
+      Object.entries(positions).forEach(([optionId, position]) => {
+        const segment = findLabelIndex(position?.segment, segments, locales, defaultLocale);
+        const ring = findLabelIndex(position?.ring, rings, locales, defaultLocale);
+        if (segment !== null && ring !== null) {
+          value[optionId] = { segment, ring };
+        }
+      });
+
+      if (migrated === responses) {
+        migrated = { ...responses };
+      }
+      migrated[question.id] = { ...answer, value };
+    });
+  });
+
+  return migrated;
+}
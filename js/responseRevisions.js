@@ -0,0 +1,65 @@
+/**
+ * responseRevisions.js
+ * Revision history of submitted responses
+ *
+ * A respondent can revise a submitted response and submit it again. The new
+ * submission replaces the old one, and keeps what was changed in a list of
+ * revisions: when, and the old and new answer of each changed question.
+ */
+
+/**
+ * Get the part of an answer that counts as a change: the value and the comment
+ * @param {Object|undefined} answer - Answer object: { value, comment, timestamp }
+ * @returns {string} - Comparable text of the answer
+ */
+function getAnswerKey(answer) {
+  if (!answer) {
+    return '';
+  }
+  return JSON.stringify([answer.value === undefined ? null : answer.value, answer.comment || null]);
+}
+
+/**
+ * Compare the answers of two submissions of the same response
+ * @param {Object} previousResponses - Answers of the previous submission, by question ID
+ * @param {Object} responses - Answers of the new submission, by question ID
+ * @returns {Array<Object>} - Changes: { questionId, oldValue, newValue }, with
+ * oldComment and newComment when the comment changed; null for no answer
+ */
+export function getChangedAnswers(previousResponses = {}, responses = {}) {
+  const questionIds = [...new Set([...Object.keys(previousResponses), ...Object.keys(responses)])];
+
+  return questionIds
+    .filter(questionId => getAnswerKey(previousResponses[questionId]) !== getAnswerKey(responses[questionId]))
+    .map(questionId => {
+      const oldAnswer = previousResponses[questionId] || {};
+      const newAnswer = responses[questionId] || {};
+      const change = {
+        questionId,
+        oldValue: oldAnswer.value === undefined ? null : oldAnswer.value,
+        newValue: newAnswer.value === undefined ? null : newAnswer.value
+      };
+      if ((oldAnswer.comment || null) !== (newAnswer.comment || null)) {
+        change.oldComment = oldAnswer.comment || null;
+        change.newComment = newAnswer.comment || null;
+      }
+      return change;
+    });
+}
+
+/**
+ * Add a revision to the history of a response that is submitted again
+ * @param {Object} previousSubmission - The submission that is replaced
+ * @param {Object} responses - Answers of the new submission, by question ID
+ * @param {string} timestamp - When the new submission was made (ISO 8601)
+ * @returns {Array<Object>} - Revisions, oldest first: { timestamp, changes }; a
+ * submission without changes adds no revision
+ */
+export function addRevision(previousSubmission, responses, timestamp) {
+  const revisions = Array.isArray(previousSubmission.revisions) ? previousSubmission.revisions : [];
+  const changes = getChangedAnswers(previousSubmission.responses, responses);
+  if (changes.length === 0) {
+    return revisions;
+  }
+  return [...revisions, { timestamp, changes }];
+}
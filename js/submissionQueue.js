@@ -0,0 +1,151 @@
+/**
+ * submissionQueue.js
+ * Queue for survey submissions made while offline
+ *
+ * Submissions that cannot reach the server are stored in IndexedDB and sent
+ * again when the browser is back online. Each submission carries a
+ * submissionId, so a submission that reached the server before the
+ * connection dropped is not saved twice (see dataService.saveUserSurveyData).
+ */
+
+// IndexedDB database and object store for queued submissions
+const DB_NAME = 'survey-offline';
+const DB_VERSION = 1;
+const STORE_NAME = 'submissions';
+
+// Background sync tag; the service worker asks open pages to replay the queue
+export const SYNC_TAG = 'survey-submissions';
+
+// Events dispatched on document when the queue changes
+export const SUBMISSION_EVENTS = {
+  queued: 'survey:submission-queued',
+  sent: 'survey:submission-sent'
+};
+
+// Replay in progress, so the queue is never replayed twice at the same time
+let replayInProgress = null;
+
+/**
+ * Open the IndexedDB database, creating the object store on first use
+ * @returns {Promise<IDBDatabase>} - The database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'submissionId' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a request against the object store in a transaction
+ * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+ * @param {Function} createRequest - Function creating the request from the object store
+ * @returns {Promise<any>} - The result of the request
+ */
+async function runRequest(mode, createRequest) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = createRequest(transaction.objectStore(STORE_NAME));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Dispatch a queue event on the document
+ * @param {string} type - Event type, see SUBMISSION_EVENTS
+ * @param {string} submissionId - ID of the submission
+ */
+function dispatchQueueEvent(type, submissionId) {
+  document.dispatchEvent(new CustomEvent(type, { detail: { submissionId } }));
+}
+
+/**
+ * Store a submission to be sent when the browser is back online
+ * @param {Object} submission - Submission data with a submissionId
+ * @returns {Promise<void>}
+ */
+export async function queueSubmission(submission) {
+  await runRequest('readwrite', store => store.put({
+    submissionId: submission.submissionId,
+    queuedAt: new Date().toISOString(),
+    data: submission
+  }));
+  console.log(`Survey submission ${submission.submissionId} queued until the connection returns`);
+
+  // Let the service worker wake the page once connectivity returns
+  try {
+    const registration = await navigator.serviceWorker?.ready;
+    if (registration && registration.sync) {
+      await registration.sync.register(SYNC_TAG);
+    }
+  } catch (error) {
+    console.warn('Background sync not available:', error);
+  }
+
+  dispatchQueueEvent(SUBMISSION_EVENTS.queued, submission.submissionId);
+}
+
+/**
+ * Get all queued submissions, oldest first
+ * @returns {Promise<Array>} - Queued entries: { submissionId, queuedAt, data }
+ */
+export async function getQueuedSubmissions() {
+  const entries = await runRequest('readonly', store => store.getAll());
+  return entries.sort((a, b) => a.queuedAt.localeCompare(b.queuedAt));
+}
+
+/**
+ * Send all queued submissions, oldest first. A submission is removed from the
+ * queue once it has been sent; on the first failure the replay stops and the
+ * remaining submissions stay queued for the next attempt.
+ * @param {Function} send - Function sending a submission: (data, submissionId) => Promise
+ * @returns {Promise<number>} - Number of submissions sent
+ */
+export function replayQueuedSubmissions(send) {
+  if (!replayInProgress) {
+    replayInProgress = replay(send).finally(() => {
+      replayInProgress = null;
+    });
+  }
+  return replayInProgress;
+}
+
+/**
+ * Send queued submissions until the queue is empty or sending fails
+ * @param {Function} send - Function sending a submission
+ * @returns {Promise<number>} - Number of submissions sent
+ */
+async function replay(send) {
+  const entries = await getQueuedSubmissions();
+  let sentCount = 0;
+
+  for (const entry of entries) {
+    try {
+      await send(entry.data, entry.submissionId);
+    } catch (error) {
+      console.warn(`Queued survey submission ${entry.submissionId} not sent yet:`, error.message);
+      break;
+    }
+
+    await runRequest('readwrite', store => store.delete(entry.submissionId));
+    sentCount++;
+    dispatchQueueEvent(SUBMISSION_EVENTS.sent, entry.submissionId);
+  }
+
+  return sentCount;
+}
@@ -0,0 +1,253 @@
+/**
+ * surveyAvailability.js
+ * Open/close window and response quotas of a survey
+ *
+ * A survey definition can set the window in which the survey accepts
+ * responses (schedule) and limits on the number of responses (quotas): a
+ * maximum in total and/or a maximum per answer to a segmenting question, such
+ * as the respondent's company. Only submitted responses count towards a quota;
+ * drafts do not. Used by the survey wizard to refuse responses and by the
+ * results dashboard to show the window and how full the quotas are.
+ *
+ * Quotas are checked against response counts ({ total, segments }, see
+ * countQuotaResponses), never against the responses themselves: respondents
+ * get the counts from the quota count endpoint, not the results of others.
+ * When the counts cannot be loaded, a survey with quotas accepts no
+ * responses, so it never takes more than its quotas allow. Likewise, an
+ * anonymous or pseudonymous survey accepts no responses when the backend cannot
+ * store them apart from the respondent's identity.
+ */
+
+import { SURVEY_STATUS, getSurveyStatus } from './surveyCatalog.js';
+import { getPrivacySettings, isPrivateMode } from './surveyPrivacy.js';
+import { t } from './i18n.js';
+
+// Reasons why a survey does not accept responses
+export const UNAVAILABLE_REASONS = {
+  upcoming: 'upcoming',
+  closed: 'closed',
+  quotaFull: 'quotaFull',
+  segmentFull: 'segmentFull',
+  quotaUnchecked: 'quotaUnchecked',
+  privacyUnsupported: 'privacyUnsupported'
+};
+
+/**
+ * Get the status of the survey's open/close window
+ * @param {Object} definition - Survey definition
+ * @param {Date} [now] - Moment to check, the current time by default
+ * @returns {string} - Status, see SURVEY_STATUS
+ */
+export function getWindowStatus(definition, now = new Date()) {
+  return getSurveyStatus(definition.schedule || {}, now);
+}
+
+/**
+ * Get the answer values of a response to a segmenting question
+ * @param {Object} response - Stored response: { value, ... }
+ * @returns {Array<string>} - Values; several for checkbox questions
+ */
+function getSegmentValues(response) {
+  if (!response || response.value === undefined || response.value === null || response.value === '') {
+    return [];
+  }
+
+  const values = Array.isArray(response.value) ? response.value : [response.value];
+  return values
+    .map(value => (value && typeof value === 'object') ? value.value : value)
+    .filter(value => value !== undefined && value !== null && value !== '')
+    .map(String);
+}
+
+/**
+ * Get the maximum number of responses for a value of a segment quota
+ * @param {Object} segment - Segment quota from the definition
+ * @param {string} value - Answer value
+ * @returns {number|null} - Maximum, or null if the value has no limit
+ */
+function getSegmentMax(segment, value) {
+  if (segment.limits && segment.limits[value] !== undefined) {
+    return segment.limits[value];
+  }
+  return segment.maxPerValue !== undefined ? segment.maxPerValue : null;
+}
+
+/**
+ * Get the segmenting questions of the quotas of a survey
+ * @param {Object} definition - Survey definition
+ * @returns {Array<string>} - IDs of the questions with a segment quota
+ */
+export function getQuotaQuestionIds(definition) {
+  return ((definition.quotas || {}).segments || []).map(segment => segment.questionId);
+}
+
+/**
+ * Count submitted responses in total and per answer to segmenting questions;
+ * the quota count endpoint answers with the same shape
+ * @param {Array} results - Survey results; drafts are ignored
+ * @param {Array<string>} questionIds - Segmenting questions to count the answers of
+ * @returns {Object} - { total, segments: { <questionId>: { <value>: count } } }
+ */
+export function countQuotaResponses(results, questionIds) {
+  const completed = (results || []).filter(result => result.status !== 'draft');
+  const segments = {};
+  questionIds.forEach(questionId => {
+    segments[questionId] = {};
+    completed.forEach(result => {
+      getSegmentValues((result.responses || {})[questionId]).forEach(value => {
+        segments[questionId][value] = (segments[questionId][value] || 0) + 1;
+      });
+    });
+  });
+  return { total: completed.length, segments };
+}
+
+/**
+ * Compare response counts with the quotas of a survey
+ * @param {Object} definition - Survey definition
+ * @param {Object} counts - Response counts, see countQuotaResponses
+ * @returns {Object} - { total: { count, max, full } or null, segments: [{ questionId, values: [{ value, count, max, full }] }] }
+ */
+export function getQuotaStatus(definition, counts) {
+  const quotas = definition.quotas || {};
+  const totalCount = counts.total || 0;
+
+  const total = quotas.maxResponses !== undefined ? {
+    count: totalCount,
+    max: quotas.maxResponses,
+    full: totalCount >= quotas.maxResponses
+  } : null;
+
+  const segments = (quotas.segments || []).map(segment => {
+    const valueCounts = {};
+    Object.keys(segment.limits || {}).forEach(value => {
+      valueCounts[value] = 0;
+    });
+    Object.entries((counts.segments || {})[segment.questionId] || {}).forEach(([value, count]) => {
+      valueCounts[value] = count;
+    });
+
+    return {
+      questionId: segment.questionId,
+      values: Object.entries(valueCounts).map(([value, count]) => {
+        const max = getSegmentMax(segment, value);
+        return { value, count, max, full: max !== null && count >= max };
+      })
+    };
+  });
+
+  return { total, segments };
+}
+
+/**
+ * Find the question with the given ID in a survey definition
+ * @param {Object} definition - Survey definition
+ * @param {string} questionId - Question ID
+ * @returns {Object|null} - The question, or null if not found
+ */
+function findQuestion(definition, questionId) {
+  for (const step of definition.steps || []) {
+    const question = (step.questions || []).find(q => q.id === questionId);
+    if (question) {
+      return question;
+    }
+  }
+  return null;
+}
+
+/**
+ * Check whether a survey accepts a response within its open/close window,
+ * without checking the quotas (e.g. for a revision of a submitted response)
+ * @param {Object} definition - Survey definition
+ * @param {Date} [now] - Moment to check, the current time by default
+ * @returns {Object} - { available, reason, message }; reason and message are null if available
+ */
+export function checkWindowAvailability(definition, now = new Date()) {
+  const schedule = definition.schedule || {};
+
+  const windowStatus = getWindowStatus(definition, now);
+  if (windowStatus === SURVEY_STATUS.upcoming) {
+    return unavailable(UNAVAILABLE_REASONS.upcoming, schedule.notOpenMessage || t('survey.unavailable.upcoming'));
+  }
+  if (windowStatus === SURVEY_STATUS.closed) {
+    return unavailable(UNAVAILABLE_REASONS.closed, schedule.closedMessage || t('survey.unavailable.closed'));
+  }
+
+  return { available: true, reason: null, message: null };
+}
+
+/**
+ * Check whether the backend can store responses to a survey as its privacy
+ * mode requires
+ * @param {Object} definition - Survey definition
+ * @param {boolean} privateResponsesSupported - Whether the backend stores responses apart from the identity
+ * @returns {Object} - { available, reason, message }; reason and message are null if available
+ */
+export function checkPrivacyAvailability(definition, privateResponsesSupported) {
+  if (isPrivateMode(getPrivacySettings(definition)) && !privateResponsesSupported) {
+    return unavailable(UNAVAILABLE_REASONS.privacyUnsupported, t('survey.unavailable.privacyUnsupported'));
+  }
+  return { available: true, reason: null, message: null };
+}
+
+/**
+ * Check whether a survey accepts a response: within its open/close window and
+ * below its quotas
+ * @param {Object} definition - Survey definition
+ * @param {Object|null} counts - Response counts, see countQuotaResponses; null if they could not be
+ * loaded, in which case a survey with quotas accepts no responses
+ * @param {Object} [responses] - The respondent's answers so far, checked against the segment quotas
+ * @param {Date} [now] - Moment to check, the current time by default
+ * @returns {Object} - { available, reason, message }; reason and message are null if available
+ */
+export function checkAvailability(definition, counts, responses = {}, now = new Date()) {
+  const quotas = definition.quotas || {};
+
+  const windowAvailability = checkWindowAvailability(definition, now);
+  if (!windowAvailability.available || !hasQuotas(definition)) {
+    return windowAvailability;
+  }
+
+  if (!counts) {
+    return unavailable(UNAVAILABLE_REASONS.quotaUnchecked, t('survey.unavailable.quotaUnchecked'));
+  }
+
+  const quotaStatus = getQuotaStatus(definition, counts);
+  if (quotaStatus.total && quotaStatus.total.full) {
+    return unavailable(UNAVAILABLE_REASONS.quotaFull, quotas.fullMessage || t('survey.unavailable.quotaFull'));
+  }
+
+  for (const segment of quotaStatus.segments) {
+    const answers = getSegmentValues(responses[segment.questionId]);
+    const fullValue = segment.values.find(entry => entry.full && answers.includes(entry.value));
+    if (fullValue) {
+      const segmentDefinition = quotas.segments.find(s => s.questionId === segment.questionId);
+      const question = findQuestion(definition, segment.questionId);
+      const message = segmentDefinition.fullMessage ||
+        t('survey.unavailable.segmentFull', { question: question ? question.title : segment.questionId });
+      return unavailable(UNAVAILABLE_REASONS.segmentFull, message);
+    }
+  }
+
+  return { available: true, reason: null, message: null };
+}
+
+/**
+ * Create the result of an availability check for an unavailable survey
+ * @param {string} reason - Reason, see UNAVAILABLE_REASONS
+ * @param {string} message - Message for the respondent
+ * @returns {Object} - { available, reason, message }
+ */
+function unavailable(reason, message) {
+  return { available: false, reason, message };
+}
+
+/**
+ * Check whether a definition has quotas that need response counts
+ * @param {Object} definition - Survey definition
+ * @returns {boolean} - Whether the definition has quotas
+ */
+export function hasQuotas(definition) {
+  const quotas = definition.quotas || {};
+  return quotas.maxResponses !== undefined || (quotas.segments || []).length > 0;
+}
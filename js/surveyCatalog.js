@@ -0,0 +1,115 @@
+/**
+ * surveyCatalog.js
+ * Catalog of the surveys the team runs
+ *
+ * The catalog (data/surveyCatalog.json) lists every survey with its id, title,
+ * open and close dates, the path of its definition (relative to the catalog)
+ * and the endpoint its results are read from. A survey can be limited to an
+ * audience of users and/or email domains; without an audience it is available
+ * to everyone. Used by both the survey app and the results dashboard.
+ */
+
+// Location of the catalog; definition paths are resolved against it
+const CATALOG_URL = new URL('./data/surveyCatalog.json', import.meta.url);
+
+// Survey status based on the open and close dates
+export const SURVEY_STATUS = {
+  upcoming: 'upcoming',
+  open: 'open',
+  closed: 'closed'
+};
+
+// Cached catalog
+let catalogCache = null;
+
+/**
+ * Load the survey catalog
+ * @returns {Promise<Object>} - Catalog: { defaultSurveyId, surveys }
+ */
+export async function loadSurveyCatalog() {
+  if (catalogCache) {
+    return catalogCache;
+  }
+
+  const response = await fetch(CATALOG_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load survey catalog: ${response.status} ${response.statusText}`);
+  }
+
+  const catalog = await response.json();
+  if (!catalog || !Array.isArray(catalog.surveys)) {
+    throw new Error('Invalid survey catalog: surveys must be an array');
+  }
+  catalog.surveys.forEach((survey, index) => {
+    if (!survey.id || !survey.definitionPath) {
+      throw new Error(`Invalid survey catalog: survey ${index} needs an id and a definitionPath`);
+    }
+  });
+
+  catalogCache = catalog;
+  return catalog;
+}
+
+/**
+ * Get a survey from the catalog
+ * @param {string} [surveyId] - Survey ID; the catalog's default survey if omitted
+ * @returns {Promise<Object|null>} - The catalog entry, or null if not found
+ */
+export async function getSurvey(surveyId) {
+  const catalog = await loadSurveyCatalog();
+  const id = surveyId || catalog.defaultSurveyId || (catalog.surveys[0] && catalog.surveys[0].id);
+  return catalog.surveys.find(survey => survey.id === id) || null;
+}
+
+/**
+ * Get the URL of a survey's definition
+ * @param {Object} survey - Catalog entry
+ * @returns {string} - Absolute URL of the survey definition
+ */
+export function getDefinitionUrl(survey) {
+  return new URL(survey.definitionPath, CATALOG_URL).href;
+}
+
+/**
+ * Get the status of a survey from its open and close dates
+ * @param {Object} survey - Catalog entry
+ * @param {Date} [now] - Moment to check, the current time by default
+ * @returns {string} - Status, see SURVEY_STATUS
+ */
+export function getSurveyStatus(survey, now = new Date()) {
+  if (survey.opensAt && now < new Date(survey.opensAt)) {
+    return SURVEY_STATUS.upcoming;
+  }
+  if (survey.closesAt && now >= new Date(survey.closesAt)) {
+    return SURVEY_STATUS.closed;
+  }
+  return SURVEY_STATUS.open;
+}
+
+/**
+ * Check whether a user belongs to the audience of a survey
+ * @param {Object} survey - Catalog entry
+ * @param {string} username - Username (email address) of the user
+ * @returns {boolean} - Whether the survey is available to the user
+ */
+export function isSurveyAvailableTo(survey, username) {
+  const audience = survey.audience;
+  if (!audience) {
+    return true;
+  }
+
+  const user = (username || '').toLowerCase();
+  const domain = user.split('@')[1] || '';
+  return (audience.users || []).some(allowed => allowed.toLowerCase() === user) ||
+    (audience.domains || []).some(allowed => allowed.toLowerCase() === domain);
+}
+
+/**
+ * Get the surveys available to a user
+ * @param {string} username - Username (email address) of the user
+ * @returns {Promise<Array>} - Catalog entries
+ */
+export async function getSurveysForUser(username) {
+  const catalog = await loadSurveyCatalog();
+  return catalog.surveys.filter(survey => isSurveyAvailableTo(survey, username));
+}
@@ -9,27 +9,80 @@
 
 import * as dataService from './dataService.js';
 import * as auth from './auth.js';
+import { assertValidSurveyDefinition } from './surveyValidator.js';
+import { areConditionsMet, shouldShowQuestion } from './conditionEvaluator.js';
+import { queueSubmission, replayQueuedSubmissions } from './submissionQueue.js';
+import { getDefaultLocale, getDefinitionLocales, getPreferredLocale, localizeDefinition, storePreferredLocale } from './localization.js';
+import { getPrivacySettings, getRespondentIdentity, isPrivateMode, canReviseResponse } from './surveyPrivacy.js';
+import { addRevision } from './responseRevisions.js';
+import { migrateRadarResponses } from './radarAnswers.js';
+import { loadSurveyCatalog } from './surveyCatalog.js';
 
-// Constants for local storage keys
+// Constants for local storage keys; each is suffixed with the survey ID (see getStorageKey)
 const STORAGE_KEYS = {
   currentStep: 'survey_current_step',
-  responses: 'survey_responses'
+  responses: 'survey_responses',
+  telemetry: 'survey_telemetry',
+  updatedAt: 'survey_updated_at'
 };
 
+// Version assumed for survey definitions without a version field
+const DEFAULT_SURVEY_VERSION = 1;
+
+// Status of a saved response
+export const RESPONSE_STATUS = {
+  draft: 'draft',
+  completed: 'completed'
+};
+
+// Delay after the last change before progress is saved to the server as a draft
+const DRAFT_SAVE_DELAY_MS = 3000;
+
 // Survey state object
 const surveyState = {
-  definition: null,      // The full survey definition object
+  definition: null,      // The full survey definition object, with texts in the current locale
+  sourceDefinition: null, // The survey definition as loaded, with localized texts
+  locale: null,          // Locale the survey is shown in
+  surveyId: null,        // ID of the survey, from the definition or the survey catalog
   currentStepIndex: 0,   // Current step index (0-based)
   responses: {},         // User responses to questions
+  telemetry: createEmptyTelemetry(), // Timing and edit statistics of this response
+  updatedAt: null,       // When the progress last changed
+  submissionId: null,    // ID of the submission of these responses, so it is not saved twice
+  submission: null,      // The respondent's submitted response, from the server or just submitted
+  editing: false,        // Whether the respondent is revising the submitted response
   isLoaded: false        // Whether survey data is loaded
 };
 
+// Draft saving to the server
+const draftSync = {
+  enabled: false,            // Enabled once the user's saved data has been checked
+  listening: false,          // Whether the page visibility listener is registered
+  timer: null,               // Pending debounced save
+  pending: Promise.resolve() // Last save request, so saves never overtake each other
+};
+
+/**
+ * Create empty response telemetry
+ * @returns {Object} - Telemetry with time spent per step, edits per question and furthest step
+ */
+function createEmptyTelemetry() {
+  return {
+    startedAt: null,          // When the first step was entered
+    steps: {},                // Step ID mapped to { timeSpentMs, visits }
+    questionEdits: {},        // Question ID mapped to the number of times the answer changed
+    furthestStepIndex: 0,     // Highest step index reached
+    openStep: null            // Step being viewed: { stepId, enteredAt }
+  };
+}
+
 /**
  * Load a survey definition from a URL or path
  * @param {string} surveyPath - Path to the survey definition JSON
+ * @param {string} [surveyId] - Survey ID from the catalog, for definitions without an id
  * @returns {Promise<Object>} - The survey definition object
  */
-export async function loadSurveyDefinition(surveyPath) {
+export async function loadSurveyDefinition(surveyPath, surveyId = null) {
   try {
     // Fetch the survey definition from the specified path
     const response = await fetch(surveyPath);
@@ -40,20 +93,61 @@ export async function loadSurveyDefinition(surveyPath) {
     
     const surveyData = await response.json();
     
-    // Store the survey definition in the state
-    surveyState.definition = surveyData;
+    // Reject definitions that would render incorrectly; texts are checked in the default locale
+    const defaultLocale = getDefaultLocale(surveyData);
+    await assertValidSurveyDefinition(localizeDefinition(surveyData, defaultLocale), `survey definition ${surveyPath}`);
+    
+    // Save pending progress of a previously loaded survey before it is replaced
+    if (draftSync.timer) {
+      saveDraft();
+    }
+    
+    // Store the survey definition in the state, replacing the progress of a previously loaded survey
+    surveyState.sourceDefinition = surveyData;
+    surveyState.locale = getPreferredLocale(getDefinitionLocales(surveyData), defaultLocale);
+    surveyState.definition = localizeDefinition(surveyData, surveyState.locale);
+    surveyState.surveyId = surveyData.id || surveyId || 'unknown';
+    surveyState.currentStepIndex = 0;
+    surveyState.responses = {};
+    surveyState.telemetry = createEmptyTelemetry();
+    surveyState.updatedAt = null;
+    surveyState.submissionId = null;
+    surveyState.submission = null;
+    surveyState.editing = false;
+    draftSync.enabled = false;
+    clearTimeout(draftSync.timer);
+    draftSync.timer = null;
     surveyState.isLoaded = true;
     
     // Try to restore any saved progress
+    await migrateUnscopedProgress();
     restoreProgress();
     
-    return surveyData;
+    return surveyState.definition;
   } catch (error) {
     console.error('Error loading survey definition:', error);
     throw error;
   }
 }
 
+/**
+ * Get the ID of the loaded survey
+ * @returns {string|null} - The survey ID or null if no survey is loaded
+ */
+export function getSurveyId() {
+  return surveyState.surveyId;
+}
+
+/**
+ * Get the local storage key for the loaded survey, so the progress of
+ * different surveys is kept apart
+ * @param {string} key - One of STORAGE_KEYS
+ * @returns {string} - The namespaced key
+ */
+function getStorageKey(key) {
+  return `${key}_${surveyState.surveyId}`;
+}
+
 /**
  * Get the current survey definition
  * @returns {Object|null} - The current survey definition or null if not loaded
@@ -62,6 +156,40 @@ export function getSurveyDefinition() {
   return surveyState.definition;
 }
 
+/**
+ * Get the locale the survey is shown in
+ * @returns {string|null} - The locale or null if no survey is loaded
+ */
+export function getLocale() {
+  return surveyState.locale;
+}
+
+/**
+ * Get the locales the loaded survey is available in
+ * @returns {Array<string>} - Locales, the default locale first
+ */
+export function getAvailableLocales() {
+  return surveyState.sourceDefinition ? getDefinitionLocales(surveyState.sourceDefinition) : [];
+}
+
+/**
+ * Show the survey in another locale; the choice is remembered for next visits.
+ * Call surveyNavigation.loadCurrentStep() afterwards to render the current step again
+ * @param {string} locale - One of the available locales
+ * @returns {boolean} - Whether the locale was changed
+ */
+export function setLocale(locale) {
+  if (!getAvailableLocales().includes(locale)) {
+    console.error(`Survey is not available in locale ${locale}`);
+    return false;
+  }
+  
+  surveyState.locale = locale;
+  surveyState.definition = localizeDefinition(surveyState.sourceDefinition, locale);
+  storePreferredLocale(locale);
+  return true;
+}
+
 /**
  * Check if a survey is currently loaded
  * @returns {boolean} - Whether a survey is loaded
@@ -108,6 +236,30 @@ export function getStepById(stepId) {
   return surveyState.definition.steps.find(step => step.id === stepId) || null;
 }
 
+/**
+ * Check if a step is on the respondent's path, i.e. its conditions are met
+ * @param {Object} step - The step object
+ * @returns {boolean} - Whether the step is active
+ */
+export function isStepActive(step) {
+  return !!step && areConditionsMet(step.conditions, getResponse);
+}
+
+/**
+ * Get the indexes of the steps on the respondent's path; steps whose
+ * conditions are not met are skipped
+ * @returns {Array<number>} - Step indexes (0-based), in survey order
+ */
+export function getActiveStepIndexes() {
+  if (!surveyState.isLoaded) {
+    return [];
+  }
+  
+  return surveyState.definition.steps
+    .map((step, index) => (isStepActive(step) ? index : -1))
+    .filter(index => index !== -1);
+}
+
 /**
  * Get the current step
  * @returns {Object|null} - The current step object or null if no survey is loaded
@@ -132,7 +284,8 @@ export function getCurrentStepIndex() {
 export function goToStep(index) {
   if (!surveyState.isLoaded || 
       index < 0 || 
-      index >= surveyState.definition.steps.length) {
+      index >= surveyState.definition.steps.length ||
+      !isStepActive(surveyState.definition.steps[index])) {
     return false;
   }
   
@@ -146,7 +299,8 @@ export function goToStep(index) {
  * @returns {boolean} - Whether the navigation was successful
  */
 export function nextStep() {
-  return goToStep(surveyState.currentStepIndex + 1);
+  const nextIndex = getActiveStepIndexes().find(index => index > surveyState.currentStepIndex);
+  return nextIndex !== undefined && goToStep(nextIndex);
 }
 
 /**
@@ -154,7 +308,24 @@ export function nextStep() {
  * @returns {boolean} - Whether the navigation was successful
  */
 export function prevStep() {
-  return goToStep(surveyState.currentStepIndex - 1);
+  const prevIndex = getActiveStepIndexes().reverse().find(index => index < surveyState.currentStepIndex);
+  return prevIndex !== undefined && goToStep(prevIndex);
+}
+
+/**
+ * Make sure the current step is on the respondent's path; if an answer
+ * change skipped it, move to the nearest earlier (or else later) active step
+ * @returns {boolean} - Whether the current step changed
+ */
+export function ensureCurrentStepActive() {
+  if (!surveyState.isLoaded || isStepActive(getCurrentStep())) {
+    return false;
+  }
+  
+  const activeIndexes = getActiveStepIndexes();
+  const earlierIndexes = activeIndexes.filter(index => index < surveyState.currentStepIndex);
+  const targetIndex = earlierIndexes.length > 0 ? earlierIndexes[earlierIndexes.length - 1] : activeIndexes[0];
+  return targetIndex !== undefined && goToStep(targetIndex);
 }
 
 /**
@@ -166,7 +337,7 @@ export function hasNextStep() {
     return false;
   }
   
-  return surveyState.currentStepIndex < (surveyState.definition.steps.length - 1);
+  return getActiveStepIndexes().some(index => index > surveyState.currentStepIndex);
 }
 
 /**
@@ -178,7 +349,7 @@ export function hasPrevStep() {
     return false;
   }
   
-  return surveyState.currentStepIndex > 0;
+  return getActiveStepIndexes().some(index => index < surveyState.currentStepIndex);
 }
 
 /**
@@ -193,6 +364,7 @@ export function hasVisitedStep(index) {
 
 /**
  * Validate if all required questions on a given step are answered.
+ * Questions hidden by their conditions are not required.
  * @param {string} stepId - The ID of the step to validate.
  * @returns {boolean} - True if all required questions are answered, false otherwise.
  */
@@ -202,7 +374,7 @@ export function areAllRequiredQuestionsAnswered(stepId) {
     return true;
   }
 
-  const requiredQuestions = step.questions.filter(q => q.required);
+  const requiredQuestions = step.questions.filter(q => q.required && shouldShowQuestion(q));
   for (const question of requiredQuestions) {
     const response = getResponse(question.id);
     if (!response || response.value === undefined || response.value === null ||
@@ -226,6 +398,17 @@ export function saveResponse(questionId, value, comment = null) {
     return false;
   }
   
+  // Count the edit if the answer or comment actually changed
+  const previousResponse = surveyState.responses[questionId];
+  const newComment = comment !== null && comment.trim() !== '' ? comment : undefined;
+  const changed = !previousResponse ||
+    JSON.stringify(previousResponse.value) !== JSON.stringify(value) ||
+    previousResponse.comment !== newComment;
+  if (changed) {
+    const edits = surveyState.telemetry.questionEdits;
+    edits[questionId] = (edits[questionId] || 0) + 1;
+  }
+  
   // Create response object
   surveyState.responses[questionId] = {
     value,
@@ -233,12 +416,12 @@ export function saveResponse(questionId, value, comment = null) {
   };
   
   // Add comment if provided
-  if (comment !== null && comment.trim() !== '') {
-    surveyState.responses[questionId].comment = comment;
+  if (newComment !== undefined) {
+    surveyState.responses[questionId].comment = newComment;
   }
   
   // Save progress to local storage
-  saveProgress();
+  saveProgress(changed);
   
   return true;
 }
@@ -252,6 +435,24 @@ export function getResponse(questionId) {
   return surveyState.responses[questionId] || null;
 }
 
+/**
+ * Get the responses to the questions on the respondent's path: answers on
+ * skipped steps or to hidden questions (e.g. given before an earlier answer
+ * changed) are left out
+ * @returns {Object} - Response objects of active steps and visible questions
+ */
+export function getActiveResponses() {
+  const activeResponses = {};
+  getActiveStepIndexes().forEach(index => {
+    surveyState.definition.steps[index].questions.forEach(question => {
+      if (surveyState.responses[question.id] && shouldShowQuestion(question)) {
+        activeResponses[question.id] = surveyState.responses[question.id];
+      }
+    });
+  });
+  return activeResponses;
+}
+
 /**
  * Get all responses
  * @returns {Object} - All response objects
@@ -261,27 +462,78 @@ export function getAllResponses() {
 }
 
 /**
- * Save survey progress to local storage
+ * Save survey progress to local storage and schedule a draft save to the server
+ * @param {boolean} [answersChanged=false] - Whether the answers changed; only then
+ * the progress counts as updated when it is reconciled with a draft on the server,
+ * so merely viewing a step does not make stale answers win
  */
-function saveProgress() {
+function saveProgress(answersChanged = false) {
+  if (answersChanged) {
+    surveyState.updatedAt = new Date().toISOString();
+  }
+  storeProgress();
+  scheduleDraftSave();
+}
+
+/**
+ * Write survey progress to local storage
+ */
+function storeProgress() {
   try {
     // Save current step
-    localStorage.setItem(STORAGE_KEYS.currentStep, surveyState.currentStepIndex.toString());
+    localStorage.setItem(getStorageKey(STORAGE_KEYS.currentStep), surveyState.currentStepIndex.toString());
     
     // Save responses
-    localStorage.setItem(STORAGE_KEYS.responses, JSON.stringify(surveyState.responses));
+    localStorage.setItem(getStorageKey(STORAGE_KEYS.responses), JSON.stringify(surveyState.responses));
+    
+    // Save telemetry
+    localStorage.setItem(getStorageKey(STORAGE_KEYS.telemetry), JSON.stringify(surveyState.telemetry));
+    
+    // Save when the progress changed, to reconcile with drafts on the server
+    if (surveyState.updatedAt) {
+      localStorage.setItem(getStorageKey(STORAGE_KEYS.updatedAt), surveyState.updatedAt);
+    }
   } catch (error) {
     console.error('Error saving survey progress:', error);
   }
 }
 
+/**
+ * Move progress saved before the storage keys were suffixed with the survey
+ * ID to the default survey of the catalog, which it belongs to; runs once, as
+ * the unsuffixed keys are removed
+ * @returns {Promise<void>}
+ */
+async function migrateUnscopedProgress() {
+  try {
+    const catalog = await loadSurveyCatalog();
+    if (surveyState.surveyId !== catalog.defaultSurveyId) {
+      return;
+    }
+    
+    Object.values(STORAGE_KEYS).forEach(key => {
+      const savedValue = localStorage.getItem(key);
+      if (savedValue === null) {
+        return;
+      }
+      // Progress saved under the new key is newer
+      if (localStorage.getItem(getStorageKey(key)) === null) {
+        localStorage.setItem(getStorageKey(key), savedValue);
+      }
+      localStorage.removeItem(key);
+    });
+  } catch (error) {
+    console.error('Error moving saved progress to the survey:', error);
+  }
+}
+
 /**
  * Restore survey progress from local storage
  */
 function restoreProgress() {
   try {
     // Restore current step
-    const savedStep = localStorage.getItem(STORAGE_KEYS.currentStep);
+    const savedStep = localStorage.getItem(getStorageKey(STORAGE_KEYS.currentStep));
     if (savedStep !== null) {
       const stepIndex = parseInt(savedStep, 10);
       if (!isNaN(stepIndex) && stepIndex >= 0 && 
@@ -292,10 +544,19 @@ function restoreProgress() {
     }
     
     // Restore responses
-    const savedResponses = localStorage.getItem(STORAGE_KEYS.responses);
+    const savedResponses = localStorage.getItem(getStorageKey(STORAGE_KEYS.responses));
     if (savedResponses !== null) {
-      surveyState.responses = JSON.parse(savedResponses);
+      surveyState.responses = migrateRadarResponses(JSON.parse(savedResponses), surveyState.sourceDefinition);
+    }
+    
+    // Restore telemetry; time on a step that was open when the page closed is not counted
+    const savedTelemetry = localStorage.getItem(getStorageKey(STORAGE_KEYS.telemetry));
+    if (savedTelemetry !== null) {
+      surveyState.telemetry = { ...createEmptyTelemetry(), ...JSON.parse(savedTelemetry), openStep: null };
     }
+    
+    // Restore when the progress changed
+    surveyState.updatedAt = localStorage.getItem(getStorageKey(STORAGE_KEYS.updatedAt));
   } catch (error) {
     console.error('Error restoring survey progress:', error);
   }
@@ -307,40 +568,424 @@ function restoreProgress() {
 export function clearResponses() {
   surveyState.responses = {};
   surveyState.currentStepIndex = 0;
+  surveyState.telemetry = createEmptyTelemetry();
+  surveyState.submissionId = null;
+  saveProgress(true);
+}
+
+/**
+ * Record that the respondent enters the current step
+ */
+export function recordStepEnter() {
+  const step = getCurrentStep();
+  if (!step) {
+    return;
+  }
+  
+  // Rendering the step being viewed again, e.g. in another language, is not a new visit
+  const telemetry = surveyState.telemetry;
+  if (telemetry.openStep && telemetry.openStep.stepId === step.id) {
+    return;
+  }
+  
+  // Close the timing of a step that was not left explicitly
+  recordStepLeave();
+  
+  if (!telemetry.startedAt) {
+    telemetry.startedAt = new Date().toISOString();
+  }
+  if (!telemetry.steps[step.id]) {
+    telemetry.steps[step.id] = { timeSpentMs: 0, visits: 0 };
+  }
+  telemetry.steps[step.id].visits++;
+  telemetry.furthestStepIndex = Math.max(telemetry.furthestStepIndex, surveyState.currentStepIndex);
+  telemetry.openStep = { stepId: step.id, enteredAt: Date.now() };
   saveProgress();
 }
 
 /**
- * Submit survey responses to the server
- * @returns {Promise<Object>} - Server response
+ * Record that the respondent leaves the step being viewed
+ */
+export function recordStepLeave() {
+  const telemetry = surveyState.telemetry;
+  if (!telemetry.openStep) {
+    return;
+  }
+  
+  const { stepId, enteredAt } = telemetry.openStep;
+  if (telemetry.steps[stepId]) {
+    telemetry.steps[stepId].timeSpentMs += Date.now() - enteredAt;
+  }
+  telemetry.openStep = null;
+  saveProgress();
+}
+
+/**
+ * Get the telemetry of this response, as included in submissions
+ * @returns {Object} - Time spent per step, edits per question and furthest step reached
+ */
+export function getTelemetry() {
+  const telemetry = surveyState.telemetry;
+  const steps = {};
+  Object.entries(telemetry.steps).forEach(([stepId, timing]) => {
+    steps[stepId] = { ...timing };
+  });
+  
+  // Include the time on the step being viewed, without closing it
+  if (telemetry.openStep && steps[telemetry.openStep.stepId]) {
+    steps[telemetry.openStep.stepId].timeSpentMs += Date.now() - telemetry.openStep.enteredAt;
+  }
+  
+  const furthestStep = getStepByIndex(telemetry.furthestStepIndex);
+  return {
+    startedAt: telemetry.startedAt,
+    steps,
+    questionEdits: { ...telemetry.questionEdits },
+    furthestStepIndex: telemetry.furthestStepIndex,
+    furthestStepId: furthestStep ? furthestStep.id : null
+  };
+}
+
+/**
+ * Send the submissions that were queued while offline
+ * @returns {Promise<number>} - Number of submissions sent
+ */
+export function sendQueuedSubmissions() {
+  return replayQueuedSubmissions(saveSubmission);
+}
+
+/**
+ * Save a submission where the privacy mode of its survey requires: in the
+ * respondent's delta file, or apart from their identity for anonymous and
+ * pseudonymous surveys (marked with privacyMode, so queued submissions are
+ * sent the same way)
+ * @param {Object} submissionData - Submitted data
+ * @returns {Promise<Object>} - Server response, see dataService
+ */
+function saveSubmission(submissionData) {
+  if (submissionData.privacyMode) {
+    return dataService.savePrivateResponse(submissionData);
+  }
+  return dataService.saveUserSurveyData(submissionData);
+}
+
+/**
+ * Create the data saved to the server for the current response
+ * @param {string} status - Response status, see RESPONSE_STATUS
+ * @returns {Object} - Survey, status and telemetry of the response
+ */
+function createSubmissionData(status) {
+  return {
+    surveyId: surveyState.surveyId,
+    surveyTitle: surveyState.definition.title,
+    surveyVersion: surveyState.definition.version || DEFAULT_SURVEY_VERSION,
+    locale: surveyState.locale, // Language the respondent answered in
+    status,
+    telemetry: getTelemetry()
+  };
+}
+
+/**
+ * Add who responded to the data saved to the server, as far as the privacy
+ * mode of the survey allows
+ * @param {Object} data - Data to save
+ * @returns {Object} - The data, with the username if the survey is identified
+ */
+function addRespondentIdentity(data) {
+  // Get username from token if available
+  const idTokenClaims = auth.getIdTokenClaims();
+  const username = idTokenClaims ? 
+    (idTokenClaims.preferred_username || idTokenClaims.email || idTokenClaims.name || 'unknown') : 
+    'unknown';
+  
+  const privacy = getPrivacySettings(surveyState.definition);
+  return {
+    ...data,
+    ...getRespondentIdentity(username, privacy)
+  };
+}
+
+/**
+ * Save the progress to the server as a draft after a short delay; changes
+ * within the delay are saved together
+ */
+function scheduleDraftSave() {
+  if (!draftSync.enabled) {
+    return;
+  }
+  
+  clearTimeout(draftSync.timer);
+  draftSync.timer = setTimeout(saveDraft, DRAFT_SAVE_DELAY_MS);
+}
+
+/**
+ * Save the progress to the server as a draft now
+ * @returns {Promise<void>} - Resolves when the draft has been saved or saving failed
+ */
+export function saveDraft() {
+  clearTimeout(draftSync.timer);
+  draftSync.timer = null;
+  
+  if (!draftSync.enabled || !surveyState.isLoaded) {
+    return draftSync.pending;
+  }
+  
+  // Drafts keep all responses and the current step, so they can be resumed as they were left
+  const draftData = {
+    ...createSubmissionData(RESPONSE_STATUS.draft),
+    updatedAt: surveyState.updatedAt,
+    currentStepIndex: surveyState.currentStepIndex,
+    responses: { ...surveyState.responses }
+  };
+  
+  draftSync.pending = draftSync.pending
+    .then(async () => dataService.saveUserSurveyData(addRespondentIdentity(draftData)))
+    .then(() => console.log('Survey draft saved'))
+    .catch(error => console.error('Error saving survey draft:', error));
+  return draftSync.pending;
+}
+
+/**
+ * Start saving drafts to the server, and save any pending draft when the page is hidden
+ */
+function enableDraftSync() {
+  if (!draftSync.listening) {
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'hidden' && draftSync.timer) {
+        saveDraft();
+      }
+    });
+    draftSync.listening = true;
+  }
+  draftSync.enabled = true;
+}
+
+/**
+ * Resume the survey from the user's draft on the server if it is newer than
+ * the local progress, and save further progress to the server as drafts.
+ * Anonymous and pseudonymous surveys keep their progress in this browser only,
+ * as drafts in the user's delta file would tie the answers to the user.
+ * @returns {Promise<string>} - 'server' if the server draft was restored, 'local' if
+ * the local progress was kept, or 'completed' if the user already submitted the survey
+ */
+export async function resumeDraft() {
+  if (!surveyState.isLoaded) {
+    throw new Error('Survey is not loaded');
+  }
+  
+  const privacy = getPrivacySettings(surveyState.definition);
+  if (isPrivateMode(privacy)) {
+    return resumePrivateResponse(privacy);
+  }
+  
+  let savedData = null;
+  try {
+    savedData = await dataService.getUserSurveyData(surveyState.surveyId, true);
+  } catch (error) {
+    console.log('No saved survey data found on the server:', error.message);
+  }
+  
+  if (savedData && savedData.surveyId === surveyState.surveyId) {
+    // Submissions from before drafts existed have no status
+    if (savedData.status !== RESPONSE_STATUS.draft) {
+      // Leave draft saving off, so the submission is not overwritten
+      surveyState.submission = {
+        ...savedData,
+        responses: migrateRadarResponses(savedData.responses, surveyState.sourceDefinition)
+      };
+      return 'completed';
+    }
+    
+    const serverTime = new Date(savedData.updatedAt || savedData.lastModified || 0).getTime();
+    const localTime = new Date(surveyState.updatedAt || 0).getTime();
+    if (serverTime > localTime) {
+      applyDraft(savedData);
+      enableDraftSync();
+      return 'server';
+    }
+  }
+  
+  // The local progress is newer: bring the server up to date
+  enableDraftSync();
+  if (Object.keys(surveyState.responses).length > 0) {
+    saveDraft();
+  }
+  return 'local';
+}
+
+/**
+ * Find the respondent's stored response to a pseudonymous survey, so it is
+ * shown as submitted and can be revised; anonymous responses cannot be found
+ * @param {Object} privacy - Privacy settings of the survey
+ * @returns {Promise<string>} - 'completed' if the user already submitted the survey, 'local' otherwise
+ */
+async function resumePrivateResponse(privacy) {
+  if (!canReviseResponse(privacy)) {
+    return 'local';
+  }
+  
+  let savedData = null;
+  try {
+    savedData = await dataService.getPrivateResponse(surveyState.surveyId);
+  } catch (error) {
+    console.log('No saved survey response found on the server:', error.message);
+  }
+  
+  if (savedData && savedData.surveyId === surveyState.surveyId) {
+    surveyState.submission = {
+      ...savedData,
+      responses: migrateRadarResponses(savedData.responses, surveyState.sourceDefinition)
+    };
+    return 'completed';
+  }
+  return 'local';
+}
+
+/**
+ * Replace the local progress with a draft saved on the server
+ * @param {Object} draftData - Draft as saved by saveDraft
+ */
+function applyDraft(draftData) {
+  surveyState.responses = migrateRadarResponses(draftData.responses || {}, surveyState.sourceDefinition);
+  surveyState.telemetry = { ...createEmptyTelemetry(), ...draftData.telemetry, openStep: null };
+  surveyState.updatedAt = draftData.updatedAt || draftData.lastModified;
+  
+  const stepIndex = draftData.currentStepIndex;
+  surveyState.currentStepIndex = Number.isInteger(stepIndex) &&
+    stepIndex >= 0 && stepIndex < surveyState.definition.steps.length ? stepIndex : 0;
+  
+  storeProgress();
+}
+
+/**
+ * Get the response the respondent submitted to this survey
+ * @returns {Object|null} - The submitted data, or null if not submitted (or not known yet)
+ */
+export function getSubmission() {
+  return surveyState.submission;
+}
+
+/**
+ * Check whether the respondent is revising the submitted response
+ * @returns {boolean} - True between editSubmission and the next submit
+ */
+export function isEditingSubmission() {
+  return surveyState.editing;
+}
+
+/**
+ * Check whether the respondent can revise the submitted response; anonymous
+ * responses cannot be revised, as they are not linked to the respondent
+ * @returns {boolean} - Whether editSubmission is possible for this survey
+ */
+export function canEditSubmission() {
+  return surveyState.isLoaded && canReviseResponse(getPrivacySettings(surveyState.definition));
+}
+
+/**
+ * Revise the submitted response: load its answers into the survey, so the
+ * respondent can change them and submit again. Drafts are not saved to the
+ * server meanwhile, as they would replace the submission.
+ * @returns {boolean} - Whether there is a submitted response to revise
+ */
+export function editSubmission() {
+  if (!canEditSubmission() || !surveyState.submission) {
+    return false;
+  }
+  
+  const submission = surveyState.submission;
+  surveyState.responses = JSON.parse(JSON.stringify(submission.responses || {}));
+  surveyState.telemetry = { ...createEmptyTelemetry(), ...submission.telemetry, openStep: null };
+  surveyState.currentStepIndex = 0;
+  // The revision is a new submission with its own ID; it keeps the response ID
+  surveyState.submissionId = null;
+  surveyState.editing = true;
+  saveProgress(true);
+  return true;
+}
+
+/**
+ * Get the ID of a submitted response that stays the same when it is revised:
+ * the submission ID of its first submission
+ * @param {Object|null} submission - Submitted response
+ * @returns {string|null} - The response ID, or null if there is none
+ */
+function getResponseId(submission) {
+  return (submission && (submission.responseId || submission.submissionId)) || null;
+}
+
+/**
+ * Remember the data just submitted, so it can be revised
+ * @param {Object} submissionData - Submitted data
+ */
+function rememberSubmission(submissionData) {
+  surveyState.submission = submissionData;
+  surveyState.editing = false;
+}
+
+/**
+ * Submit survey responses to the server. When the server cannot be reached,
+ * the submission is queued and sent once the connection returns.
+ * @returns {Promise<Object>} - Server response, or { success, queued: true, submittedData } when queued
  */
 export async function submitSurvey() {
   if (!surveyState.isLoaded || Object.keys(surveyState.responses).length === 0) {
     throw new Error('No survey responses to submit');
   }
   
+  // Stop saving drafts and wait for a save in progress, so no draft overwrites the submission
+  const draftSyncWasEnabled = draftSync.enabled;
+  clearTimeout(draftSync.timer);
+  draftSync.timer = null;
+  draftSync.enabled = false;
+  await draftSync.pending;
+  
+  // Retries of the same submission share its ID
+  if (!surveyState.submissionId) {
+    surveyState.submissionId = crypto.randomUUID();
+  }
+  
+  // Prepare submission data
+  const completedAt = new Date().toISOString();
+  const responses = getActiveResponses();
+  const submissionData = addRespondentIdentity({
+    ...createSubmissionData(RESPONSE_STATUS.completed),
+    submissionId: surveyState.submissionId,
+    responseId: getResponseId(surveyState.submission) || surveyState.submissionId,
+    completedAt,
+    responses
+  });
+  
+  // A revised response keeps the history of what was changed
+  if (surveyState.editing && surveyState.submission) {
+    submissionData.revisions = addRevision(surveyState.submission, responses, completedAt);
+  }
+  
+  // Anonymous and pseudonymous responses are stored apart from the respondent's identity
+  const privacy = getPrivacySettings(surveyState.definition);
+  if (isPrivateMode(privacy)) {
+    submissionData.privacyMode = privacy.mode;
+  }
+  
   try {
-    // Get username from token if available
-    const idTokenClaims = auth.getIdTokenClaims();
-    const username = idTokenClaims ? 
-      (idTokenClaims.preferred_username || idTokenClaims.email || idTokenClaims.name || 'unknown') : 
-      'unknown';
-    
-    // Prepare submission data
-    const submissionData = {
-      surveyId: surveyState.definition.id || 'unknown',
-      surveyTitle: surveyState.definition.title,
-      completedAt: new Date().toISOString(),
-      responses: surveyState.responses,
-      username: username // Include username from token
-    };
-    
-    // Use the dataService to save the survey data
-    const result = await dataService.saveUserData(submissionData);
+    const result = await saveSubmission(submissionData);
     
+    rememberSubmission(submissionData);
     return result;
   } catch (error) {
+    // Offline: keep the submission and send it when the connection returns
+    if (error.isNetworkError || !navigator.onLine) {
+      try {
+        await queueSubmission(submissionData);
+        rememberSubmission(submissionData);
+        return { success: true, queued: true, submittedData: submissionData };
+      } catch (queueError) {
+        console.error('Error queueing survey submission:', queueError);
+      }
+    }
+    
     console.error('Error submitting survey:', error);
+    draftSync.enabled = draftSyncWasEnabled;
     throw error;
   }
 }
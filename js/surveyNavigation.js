@@ -8,6 +8,8 @@
 
 import * as surveyData from './surveyData.js';
 import { renderQuestionsForStep } from './questionRenderers.js';
+import { shouldShowQuestion } from './conditionEvaluator.js';
+import { t } from './i18n.js';
 
 // Constants for navigation buttons
 const NAV_BUTTON_IDS = {
@@ -22,7 +24,8 @@ const navState = {
   questionsContainer: null,
   progressBar: null,
   navigationHandler: null,
-  submitHandler: null
+  submitHandler: null,
+  submitGuard: null
 };
 
 /**
@@ -31,29 +34,34 @@ const navState = {
  * @param {HTMLElement} questionsContainer - The container for questions
  * @param {HTMLElement} progressBar - The progress bar element
  * @param {Function} submitHandler - Function to call when survey is submitted
+ * @param {Function} submitGuard - Function called before submitting; resolves
+ * to a message why the survey cannot be submitted, or null to submit
  */
 export function initNavigation(
   surveyContainer, 
   questionsContainer, 
   progressBar = null,
-  submitHandler = null
+  submitHandler = null,
+  submitGuard = null
 ) {
   navState.surveyContainer = surveyContainer;
   navState.questionsContainer = questionsContainer;
   navState.progressBar = progressBar;
   navState.submitHandler = submitHandler;
+  navState.submitGuard = submitGuard;
   
   // Create navigation controls
   createNavigationControls();
   
-  // Populate pagination circles
-  populatePaginationCircles();
-
   // Add event listener for progress bar navigation
   if (navState.progressBar) {
     navState.progressBar.parentElement.addEventListener('click', handleProgressBarNavigation);
   }
 
+  // Answers can add or skip later steps: keep the navigation in line with the step path
+  navState.questionsContainer.addEventListener('change', refreshStepPath);
+  document.addEventListener('survey:response-changed', refreshStepPath);
+
   // Load the first step
   loadCurrentStep();
 }
@@ -70,7 +78,7 @@ function createNavigationControls() {
   const prevButton = document.createElement('button');
   prevButton.id = NAV_BUTTON_IDS.prev;
   prevButton.className = 'survey-nav-button prev-button';
-  prevButton.textContent = 'Previous';
+  prevButton.textContent = t('navigation.previous');
   prevButton.addEventListener('click', handlePrevStep);
   navContainer.appendChild(prevButton);
 
@@ -83,7 +91,7 @@ function createNavigationControls() {
   const nextButton = document.createElement('button');
   nextButton.id = NAV_BUTTON_IDS.next;
   nextButton.className = 'survey-nav-button next-button';
-  nextButton.textContent = 'Next';
+  nextButton.textContent = t('navigation.next');
   nextButton.addEventListener('click', handleNextStep);
   navContainer.appendChild(nextButton);
 
@@ -91,7 +99,7 @@ function createNavigationControls() {
   const submitButton = document.createElement('button');
   submitButton.id = NAV_BUTTON_IDS.submit;
   submitButton.className = 'survey-nav-button submit-button';
-  submitButton.textContent = 'Submit Survey';
+  submitButton.textContent = t('navigation.submit');
   submitButton.style.display = 'none';
   submitButton.addEventListener('click', handleSubmitSurvey);
   navContainer.appendChild(submitButton);
@@ -101,7 +109,7 @@ function createNavigationControls() {
 }
 
 /**
- * Populate the pagination circles based on survey steps
+ * Populate the pagination circles based on the steps on the respondent's path
  */
 function populatePaginationCircles() {
   const paginationContainer = navState.surveyContainer.querySelector('.survey-pagination');
@@ -111,8 +119,7 @@ function populatePaginationCircles() {
 
   paginationContainer.innerHTML = ''; // Clear existing circles
 
-  const allSteps = surveyData.getAllSteps();
-  allSteps.forEach((step, index) => {
+  surveyData.getActiveStepIndexes().forEach(index => {
     const circle = document.createElement('span');
     circle.className = 'survey-pagination-circle';
     circle.dataset.stepIndex = index; // Store the step index
@@ -121,6 +128,26 @@ function populatePaginationCircles() {
   });
 }
 
+/**
+ * Update the navigation after an answer change, as the answer may have
+ * added or skipped later steps
+ */
+function refreshStepPath() {
+  const paginationContainer = navState.surveyContainer.querySelector('.survey-pagination');
+  const circleIndexes = paginationContainer
+    ? Array.from(paginationContainer.querySelectorAll('.survey-pagination-circle')).map(circle => circle.dataset.stepIndex)
+    : [];
+  const activeIndexes = surveyData.getActiveStepIndexes().map(String);
+
+  if (circleIndexes.join(',') !== activeIndexes.join(',')) {
+    populatePaginationCircles();
+  }
+
+  updateNavigationButtons();
+  updateProgressBar();
+  updateNavigationCircles();
+}
+
 /**
  * Handle navigation when a pagination circle is clicked
  * @param {number} index - The index of the step to navigate to
@@ -130,6 +157,7 @@ function handleCircleNavigation(index) {
   clearValidationErrors();
 
   // Go to the selected step
+  surveyData.recordStepLeave();
   if (surveyData.goToStep(index)) {
     loadCurrentStep();
 
@@ -153,7 +181,9 @@ function updateNavigationCircles() {
   const currentStepIndex = surveyData.getCurrentStepIndex();
   const allSteps = surveyData.getAllSteps();
 
-  circles.forEach((circle, index) => {
+  circles.forEach(circle => {
+    // Circles only exist for active steps; they refer to the step by its index
+    const index = parseInt(circle.dataset.stepIndex, 10);
     circle.classList.remove('active', 'visited', 'unvisited-unanswered');
 
     if (index === currentStepIndex) {
@@ -219,6 +249,13 @@ function updateNavigationButtons() {
   // Update previous button
   prevButton.disabled = !hasPrev;
   
+  // Labels follow the language of the survey
+  prevButton.textContent = t('navigation.previous');
+  nextButton.textContent = t('navigation.next');
+  if (!submitButton.disabled) {
+    submitButton.textContent = t('navigation.submit');
+  }
+  
   // Update next/submit buttons
   if (hasNext) {
     nextButton.style.display = '';
@@ -237,13 +274,14 @@ function updateProgressBar() {
     return;
   }
   
-  const steps = surveyData.getAllSteps();
-  if (!steps || steps.length === 0) {
+  // Progress is measured along the steps on the respondent's path
+  const activeIndexes = surveyData.getActiveStepIndexes();
+  if (activeIndexes.length === 0) {
     return;
   }
   
-  const currentIndex = surveyData.getCurrentStepIndex();
-  const progress = ((currentIndex + 1) / steps.length) * 100;
+  const position = activeIndexes.indexOf(surveyData.getCurrentStepIndex());
+  const progress = ((position + 1) / activeIndexes.length) * 100;
   
   navState.progressBar.style.width = `${progress}%`;
   navState.progressBar.setAttribute('aria-valuenow', progress);
@@ -253,6 +291,10 @@ function updateProgressBar() {
  * Load and render the current step
  */
 export function loadCurrentStep() {
+  // A restored or previously visited step may have been skipped since
+  surveyData.ensureCurrentStepActive();
+  populatePaginationCircles();
+  
   // Get current step
   const currentStep = surveyData.getCurrentStep();
   
@@ -261,6 +303,9 @@ export function loadCurrentStep() {
     return;
   }
   
+  // Start timing the step
+  surveyData.recordStepEnter();
+  
   // Clear any previous step classes
   navState.questionsContainer.className = 'survey-questions-container survey-step';
   
@@ -333,8 +378,8 @@ function validateCurrentStep() {
     return true;
   }
   
-  // Find required questions
-  const requiredQuestions = currentStep.questions.filter(q => q.required);
+  // Find required questions; questions hidden by their conditions are not required
+  const requiredQuestions = currentStep.questions.filter(q => q.required && shouldShowQuestion(q));
   
   // Check if all required questions have responses
   for (const question of requiredQuestions) {
@@ -356,7 +401,7 @@ function validateCurrentStep() {
           errorMsg.className = 'validation-error-message';
           questionEl.appendChild(errorMsg);
         }
-        errorMsg.textContent = 'This question is required';
+        errorMsg.textContent = t('navigation.required');
       }
       
       return false;
@@ -400,6 +445,7 @@ function handleNextStep() {
   clearValidationErrors();
   
   // Move to next step
+  surveyData.recordStepLeave();
   if (surveyData.nextStep()) {
     loadCurrentStep();
     
@@ -418,6 +464,7 @@ function handlePrevStep() {
   clearValidationErrors();
   
   // Move to previous step
+  surveyData.recordStepLeave();
   if (surveyData.prevStep()) {
     loadCurrentStep();
     
@@ -442,16 +489,30 @@ async function handleSubmitSurvey() {
     return;
   }
   
+  // Steps reached through the pagination may have been left incomplete
+  if (!goToFirstIncompleteStep()) {
+    return;
+  }
+  
   try {
     // Disable submit button to prevent multiple submissions
     const submitButton = document.getElementById(NAV_BUTTON_IDS.submit);
     if (submitButton) {
       submitButton.disabled = true;
-      submitButton.textContent = 'Submitting...';
+      submitButton.textContent = t('navigation.submitting');
+    }
+    
+    // The survey may refuse the response, e.g. when it has closed
+    if (navState.submitGuard) {
+      const refusal = await navState.submitGuard();
+      if (refusal) {
+        throw new Error(refusal);
+      }
     }
     
     // Submit survey data
     const result = await surveyData.submitSurvey();
+    surveyData.recordStepLeave();
     
     // Call submit handler if provided
     if (navState.submitHandler && typeof navState.submitHandler === 'function') {
@@ -464,15 +525,47 @@ async function handleSubmitSurvey() {
     console.error('Error submitting survey:', error);
     
     // Show error message
-    showSubmitError(error.message || 'Failed to submit survey');
+    showSubmitError(error.alreadySubmitted ? t('survey.submit.alreadySubmitted') : (error.message || t('survey.submit.failed')));
     
     // Re-enable submit button
-    const submitButton = document.getElementById(NAV_BUTTON_IDS.submit);
-    if (submitButton) {
-      submitButton.disabled = false;
-      submitButton.textContent = 'Submit Survey';
+    resetSubmitButton();
+  }
+}
+
+/**
+ * Enable the submit button again, e.g. when the respondent revises a submitted response
+ */
+export function resetSubmitButton() {
+  const submitButton = document.getElementById(NAV_BUTTON_IDS.submit);
+  if (submitButton) {
+    submitButton.disabled = false;
+    submitButton.textContent = t('navigation.submit');
+  }
+}
+
+/**
+ * Check that all steps on the respondent's path have their required questions
+ * answered; if not, go to the first incomplete step and show what is missing
+ * @returns {boolean} - Whether all active steps are complete
+ */
+function goToFirstIncompleteStep() {
+  const allSteps = surveyData.getAllSteps();
+  const incompleteIndex = surveyData.getActiveStepIndexes()
+    .find(index => !surveyData.areAllRequiredQuestionsAnswered(allSteps[index].id));
+  
+  if (incompleteIndex === undefined) {
+    return true;
+  }
+  
+  if (surveyData.goToStep(incompleteIndex)) {
+    loadCurrentStep();
+    validateCurrentStep();
+    const firstError = navState.questionsContainer.querySelector('.validation-error');
+    if (firstError) {
+      firstError.scrollIntoView({ behavior: 'smooth', block: 'center' });
     }
   }
+  return false;
 }
 
 /**
@@ -491,10 +584,10 @@ function showSubmitSuccess() {
   successMessage.className = 'survey-submit-success';
   
   const heading = document.createElement('h2');
-  heading.textContent = 'Thank You!';
+  heading.textContent = t('survey.submit.thankYou');
   
   const message = document.createElement('p');
-  message.textContent = 'Your survey responses have been successfully submitted.';
+  message.textContent = t('survey.submit.success');
   
   successMessage.appendChild(heading);
   successMessage.appendChild(message);
@@ -517,7 +610,7 @@ function showSubmitError(errorMessage) {
     navState.surveyContainer.appendChild(errorContainer);
   }
   
-  errorContainer.textContent = `Error: ${errorMessage}`;
+  errorContainer.textContent = t('common.error', { message: errorMessage });
   
   // Scroll to error message
   errorContainer.scrollIntoView({ behavior: 'smooth', block: 'center' });
@@ -539,22 +632,24 @@ function handleProgressBarNavigation(event) {
   // Calculate the percentage of the click relative to the progress bar width
   const clickPercentage = (clickX / totalWidth);
 
-  const allSteps = surveyData.getAllSteps();
-  if (!allSteps || allSteps.length === 0) {
+  // The progress bar only covers the steps on the respondent's path
+  const activeIndexes = surveyData.getActiveStepIndexes();
+  if (activeIndexes.length === 0) {
     return;
   }
 
   // Determine the target step index based on the click percentage
-  // Ensure the index is within bounds [0, allSteps.length - 1]
-  const targetStepIndex = Math.min(
-    Math.max(0, Math.floor(clickPercentage * allSteps.length)),
-    allSteps.length - 1
-  );
+  // Ensure the position is within bounds [0, activeIndexes.length - 1]
+  const targetStepIndex = activeIndexes[Math.min(
+    Math.max(0, Math.floor(clickPercentage * activeIndexes.length)),
+    activeIndexes.length - 1
+  )];
 
   // Clear validation errors before navigating
   clearValidationErrors();
 
   // Go to the selected step
+  surveyData.recordStepLeave();
   if (surveyData.goToStep(targetStepIndex)) {
     loadCurrentStep();
 
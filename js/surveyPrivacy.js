@@ -0,0 +1,123 @@
+/**
+ * surveyPrivacy.js
+ * Who a stored response can be traced back to, and what the dashboard shows
+ *
+ * A survey definition can set a privacy mode: "identified" (the default)
+ * stores the respondent's username with the response and shows it in the
+ * dashboard. "anonymous" and "pseudonymous" responses are not saved in the
+ * respondent's delta file, but sent to the private response endpoint (see
+ * privateResponseEndpoint in dataConfig.js). The backend stores them apart from
+ * the sign-in identity: anonymous responses without anything that identifies
+ * the respondent, pseudonymous ones with a respondentId, a hash of the identity
+ * keyed by a secret only the backend knows, so one person cannot submit twice
+ * but analysts cannot tell who they are.
+ *
+ * For surveys that are not identified, the dashboard hides identity columns
+ * in its views and exports, and shows no groups of fewer than minGroupSize
+ * respondents, so analysts cannot single out individuals by filtering or
+ * segmenting.
+ */
+
+// Privacy modes of a survey
+export const PRIVACY_MODES = {
+  identified: 'identified',
+  anonymous: 'anonymous',
+  pseudonymous: 'pseudonymous'
+};
+
+// Smallest group shown in the dashboard when respondents are not identified
+export const DEFAULT_MIN_GROUP_SIZE = 5;
+
+// Fields of a stored response that tell who the respondent is
+const IDENTITY_FIELDS = ['username', 'email', 'label', 'bedrijf'];
+
+// Field with the pseudonym the backend gives pseudonymous respondents
+const PSEUDONYM_FIELD = 'respondentId';
+
+/**
+ * Get the privacy settings of a survey
+ * @param {Object} definition - Survey definition
+ * @returns {Object} - Settings: { mode, minGroupSize }; groups of any size are shown in identified mode
+ */
+export function getPrivacySettings(definition) {
+  const privacy = (definition && definition.privacy) || {};
+  const mode = Object.values(PRIVACY_MODES).includes(privacy.mode) ? privacy.mode : PRIVACY_MODES.identified;
+  const defaultMinGroupSize = mode === PRIVACY_MODES.identified ? 1 : DEFAULT_MIN_GROUP_SIZE;
+
+  return {
+    mode,
+    minGroupSize: Number.isInteger(privacy.minGroupSize) ? privacy.minGroupSize : defaultMinGroupSize
+  };
+}
+
+/**
+ * Check whether the responses to a survey are stored apart from the
+ * respondent's identity, by the private response endpoint
+ * @param {Object} settings - Privacy settings, see getPrivacySettings
+ * @returns {boolean} - True for anonymous and pseudonymous surveys
+ */
+export function isPrivateMode(settings) {
+  return settings.mode !== PRIVACY_MODES.identified;
+}
+
+/**
+ * Check whether a respondent can get back and revise their submitted response;
+ * an anonymous response cannot be linked to its respondent afterwards
+ * @param {Object} settings - Privacy settings, see getPrivacySettings
+ * @returns {boolean} - False for anonymous surveys
+ */
+export function canReviseResponse(settings) {
+  return settings.mode !== PRIVACY_MODES.anonymous;
+}
+
+/**
+ * Get the fields that identify the respondent in a saved response
+ * @param {string} username - Username of the respondent
+ * @param {Object} settings - Privacy settings, see getPrivacySettings
+ * @returns {Object} - { username } when identified, {} otherwise; the backend adds the pseudonym
+ */
+export function getRespondentIdentity(username, settings) {
+  return settings.mode === PRIVACY_MODES.identified ? { username } : {};
+}
+
+/**
+ * Remove who the respondent is from a stored response, e.g. from responses
+ * saved before the survey stopped being identified
+ * @param {Object} result - Stored response
+ * @param {boolean} keepPseudonym - Whether to keep the respondentId given by the backend
+ * @returns {Object} - The response without identity fields (the original is not modified)
+ */
+function removeIdentity(result, keepPseudonym) {
+  const privateResult = { ...result };
+  IDENTITY_FIELDS.forEach(field => delete privateResult[field]);
+  if (!keepPseudonym) {
+    delete privateResult[PSEUDONYM_FIELD];
+  }
+  return privateResult;
+}
+
+/**
+ * Apply the privacy mode of a survey to its stored responses before they are
+ * shown: anonymous and pseudonymous surveys show no identity fields, also not
+ * of responses saved under an earlier mode; pseudonymous ones keep the pseudonym
+ * @param {Array<Object>} results - Stored responses
+ * @param {Object} settings - Privacy settings, see getPrivacySettings
+ * @returns {Array<Object>} - The responses as they may be shown
+ */
+export function applyPrivacy(results, settings) {
+  if (settings.mode === PRIVACY_MODES.identified) {
+    return results;
+  }
+  const keepPseudonym = settings.mode === PRIVACY_MODES.pseudonymous;
+  return results.map(result => removeIdentity(result, keepPseudonym));
+}
+
+/**
+ * Check whether a group of respondents is too small to be shown
+ * @param {number} count - Number of respondents in the group
+ * @param {Object} settings - Privacy settings, see getPrivacySettings
+ * @returns {boolean} - True if the group has respondents, but fewer than minGroupSize
+ */
+export function isGroupTooSmall(count, settings) {
+  return count > 0 && count < settings.minGroupSize;
+}
@@ -0,0 +1,469 @@
+/**
+ * surveyValidator.js
+ * Survey definition validation module
+ *
+ * This module checks a survey definition against js/schema/surveySchema.json
+ * and against rules the schema cannot express: unique question ids, conditions
+ * that refer to earlier questions, unique option values and slider zones
+ * within 0-100. It is used by both the survey app and the results dashboard.
+ */
+
+import { getConditionQuestionIds } from './conditionEvaluator.js';
+
+// Location of the JSON schema, relative to this module
+const SCHEMA_URL = new URL('./schema/surveySchema.json', import.meta.url);
+
+// Range of positions on a multi-value slider
+const SLIDER_RANGE = {
+  min: 0,
+  max: 100
+};
+
+// Properties each condition rule type needs, besides questionId and type
+const REQUIRED_RULE_PROPERTIES = {
+  equals: ['value'],
+  notEquals: ['value'],
+  contains: ['value'],
+  greaterThan: ['threshold'],
+  lessThan: ['threshold'],
+  topRanked: ['optionId'],
+  optionChecked: ['optionId'],
+  in: ['values'],
+  rankedAbove: ['optionId'],
+  countAtLeast: ['count'],
+  matches: ['pattern']
+};
+
+// Cached schema
+let schemaCache = null;
+
+/**
+ * Load the survey JSON schema
+ * @returns {Promise<Object>} - The schema object
+ */
+async function loadSchema() {
+  if (schemaCache) {
+    return schemaCache;
+  }
+
+  const response = await fetch(SCHEMA_URL);
+  if (!response.ok) {
+    throw new Error(`Failed to load survey schema: ${response.status} ${response.statusText}`);
+  }
+
+  schemaCache = await response.json();
+  return schemaCache;
+}
+
+/**
+ * Get the JSON type name of a value
+ * @param {*} value - Any value
+ * @returns {string} - JSON schema type name
+ */
+function getJsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+/**
+ * Check whether a value has the type required by a schema
+ * @param {*} value - Value to check
+ * @param {string|Array<string>} type - Required type(s)
+ * @returns {boolean} - Whether the type matches
+ */
+function matchesType(value, type) {
+  const actualType = getJsonType(value);
+  const allowedTypes = Array.isArray(type) ? type : [type];
+  // Integers are numbers as well
+  return allowedTypes.includes(actualType) ||
+    (actualType === 'integer' && allowedTypes.includes('number'));
+}
+
+/**
+ * Resolve a local reference ("#/definitions/name") in a schema
+ * @param {string} ref - The reference
+ * @param {Object} rootSchema - Schema the reference points into
+ * @returns {Object} - The referenced schema
+ */
+function resolveRef(ref, rootSchema) {
+  return ref.replace(/^#\//, '').split('/').reduce((schema, key) => schema && schema[key], rootSchema);
+}
+
+/**
+ * Validate a value against a (draft-07 subset) JSON schema.
+ * Supported keywords: $ref (local), type, enum, required, properties,
+ * additionalProperties, items, minItems, minimum, maximum and pattern.
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema to validate against
+ * @param {string} [path=''] - Path of the value, used in error messages
+ * @param {Object} [rootSchema=schema] - Schema that $ref references point into
+ * @returns {Array<Object>} - Errors with path and message
+ */
+export function validateAgainstSchema(value, schema, path = '', rootSchema = schema) {
+  const errors = [];
+  const location = path || 'survey';
+
+  if (schema.$ref) {
+    const referencedSchema = resolveRef(schema.$ref, rootSchema);
+    if (!referencedSchema) {
+      errors.push({ path: location, message: `schema reference ${schema.$ref} cannot be resolved` });
+      return errors;
+    }
+    return validateAgainstSchema(value, referencedSchema, path, rootSchema);
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ path: location, message: `should be of type ${schema.type}, but is ${getJsonType(value)}` });
+    // Further checks make no sense for a value of the wrong type
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path: location, message: `"${value}" is not one of: ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path: location, message: `should be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path: location, message: `should be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push({ path: location, message: `"${value}" does not match the pattern ${schema.pattern}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path: location, message: `should have at least ${schema.minItems} item(s)` });
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`, rootSchema));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    (schema.required || []).forEach(property => {
+      if (value[property] === undefined) {
+        errors.push({ path: location, message: `is missing required property "${property}"` });
+      }
+    });
+
+    Object.entries(value).forEach(([property, propertyValue]) => {
+      const propertyPath = path ? `${path}.${property}` : property;
+      if (schema.properties && schema.properties[property]) {
+        errors.push(...validateAgainstSchema(propertyValue, schema.properties[property], propertyPath, rootSchema));
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(propertyValue, schema.additionalProperties, propertyPath, rootSchema));
+      }
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Find duplicate values in a list
+ * @param {Array} values - Values to check
+ * @returns {Array} - Values that occur more than once
+ */
+function findDuplicates(values) {
+  const seen = new Set();
+  const duplicates = new Set();
+  values.forEach(value => {
+    if (seen.has(value)) {
+      duplicates.add(value);
+    }
+    seen.add(value);
+  });
+  return [...duplicates];
+}
+
+/**
+ * Get the option values of a question, per list of options it defines
+ * @param {Object} question - Question definition
+ * @returns {Object} - Name of the option list mapped to its values
+ */
+function getOptionLists(question) {
+  const lists = {};
+
+  if (Array.isArray(question.options)) {
+    lists.options = question.options.map(option => option.value);
+  }
+  if (Array.isArray(question.rankOptions?.options)) {
+    lists['rankOptions.options'] = question.rankOptions.options.map(option => option.value);
+  }
+  if (Array.isArray(question.tagOptions?.tags)) {
+    // Tags are matched case-insensitively
+    lists['tagOptions.tags'] = question.tagOptions.tags.map(tag => String(tag).toLowerCase());
+  }
+  if (Array.isArray(question.matrix?.rows)) {
+    lists['matrix.rows'] = question.matrix.rows.map(row => row.id);
+  }
+  if (Array.isArray(question.matrix?.columns)) {
+    lists['matrix.columns'] = question.matrix.columns.map(column => column.id);
+  }
+  if (Array.isArray(question.multiValueSlider?.options)) {
+    lists['multiValueSlider.options'] = question.multiValueSlider.options.map(option => option.id);
+  }
+  if (Array.isArray(question.multiValueSlider?.zones)) {
+    lists['multiValueSlider.zones'] = question.multiValueSlider.zones.map(zone => zone.id);
+  }
+  if (Array.isArray(question.radar?.options)) {
+    lists['radar.options'] = question.radar.options.map(option => option.id);
+  }
+
+  return lists;
+}
+
+/**
+ * Check the zones and default positions of a multi-value slider question
+ * @param {Object} question - Question definition
+ * @param {string} path - Path of the question
+ * @returns {Array<Object>} - Errors with path and message
+ */
+function validateSliderRange(question, path) {
+  const errors = [];
+  const config = question.multiValueSlider;
+  if (!config) {
+    return errors;
+  }
+
+  const isInRange = position => typeof position === 'number' &&
+    position >= SLIDER_RANGE.min && position <= SLIDER_RANGE.max;
+
+  (config.zones || []).forEach((zone, index) => {
+    const zonePath = `${path}.multiValueSlider.zones[${index}]`;
+    if (!isInRange(zone.start) || !isInRange(zone.end)) {
+      errors.push({ path: zonePath, message: `zone "${zone.id}" should lie within ${SLIDER_RANGE.min}-${SLIDER_RANGE.max}` });
+    } else if (zone.start >= zone.end) {
+      errors.push({ path: zonePath, message: `zone "${zone.id}" should start before it ends` });
+    }
+  });
+
+  (config.options || []).forEach((option, index) => {
+    if (option.defaultPosition !== undefined && !isInRange(option.defaultPosition)) {
+      errors.push({
+        path: `${path}.multiValueSlider.options[${index}]`,
+        message: `default position of "${option.id}" should lie within ${SLIDER_RANGE.min}-${SLIDER_RANGE.max}`
+      });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Check the structure of a condition expression: every node is exactly one of
+ * a rule, a group or a negation, and rules have the properties their type needs
+ * @param {Object} expression - Condition expression
+ * @param {string} path - Path of the expression
+ * @returns {Array<Object>} - Errors with path and message
+ */
+function validateConditionExpression(expression, path) {
+  const errors = [];
+  const kinds = [
+    expression.questionId !== undefined || expression.type !== undefined,
+    expression.rules !== undefined,
+    expression.not !== undefined
+  ].filter(Boolean).length;
+
+  if (kinds !== 1) {
+    errors.push({ path, message: 'a condition should be either a rule (questionId and type), a group (rules) or a negation (not)' });
+    return errors;
+  }
+
+  if (expression.not !== undefined) {
+    return validateConditionExpression(expression.not, `${path}.not`);
+  }
+
+  if (expression.rules !== undefined) {
+    expression.rules.forEach((rule, index) => {
+      errors.push(...validateConditionExpression(rule, `${path}.rules[${index}]`));
+    });
+    return errors;
+  }
+
+  if (!expression.questionId || !expression.type) {
+    errors.push({ path, message: 'a condition rule needs both questionId and type' });
+    return errors;
+  }
+
+  (REQUIRED_RULE_PROPERTIES[expression.type] || []).forEach(property => {
+    if (expression[property] === undefined) {
+      errors.push({ path, message: `a ${expression.type} condition needs "${property}"` });
+    }
+  });
+
+  if (expression.type === 'between' && expression.min === undefined && expression.max === undefined) {
+    errors.push({ path, message: 'a between condition needs "min", "max" or both' });
+  }
+  if (expression.type === 'rankedAbove' && expression.otherOptionId === undefined && expression.position === undefined) {
+    errors.push({ path, message: 'a rankedAbove condition needs "otherOptionId" or "position"' });
+  }
+  if (expression.type === 'matches' && expression.pattern !== undefined) {
+    try {
+      new RegExp(expression.pattern, expression.flags || '');
+    } catch (error) {
+      errors.push({ path, message: `invalid regular expression: ${error.message}` });
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate the rules of a survey definition that the schema cannot express
+ * @param {Object} definition - Survey definition
+ * @returns {Array<Object>} - Errors with path and message
+ */
+export function validateSemantics(definition) {
+  const errors = [];
+  if (!definition || !Array.isArray(definition.steps)) {
+    return errors;
+  }
+
+  findDuplicates(definition.steps.map(step => step.id)).forEach(stepId => {
+    errors.push({ path: 'steps', message: `step id "${stepId}" is used more than once` });
+  });
+
+  // Ids of all questions in the survey, and of the questions seen so far
+  const allQuestionIds = new Set();
+  definition.steps.forEach(step => (step.questions || []).forEach(question => allQuestionIds.add(question.id)));
+  const earlierQuestionIds = new Set();
+
+  definition.steps.forEach((step, stepIndex) => {
+    // Step conditions may only depend on questions on earlier steps
+    if (step.conditions) {
+      const conditionsPath = `steps[${stepIndex}].conditions`;
+      errors.push(...validateConditionExpression(step.conditions, conditionsPath));
+      getConditionQuestionIds(step.conditions).forEach(questionId => {
+        if (!allQuestionIds.has(questionId)) {
+          errors.push({ path: conditionsPath, message: `condition of step "${step.id}" refers to unknown question "${questionId}"` });
+        } else if (!earlierQuestionIds.has(questionId)) {
+          errors.push({ path: conditionsPath, message: `condition of step "${step.id}" refers to "${questionId}", which is not on an earlier step` });
+        }
+      });
+    }
+
+    (step.questions || []).forEach((question, questionIndex) => {
+      const path = `steps[${stepIndex}].questions[${questionIndex}]`;
+
+      if (earlierQuestionIds.has(question.id)) {
+        errors.push({ path, message: `question id "${question.id}" is used more than once` });
+      }
+
+      if (question.conditions) {
+        const conditionsPath = `${path}.conditions`;
+        errors.push(...validateConditionExpression(question.conditions, conditionsPath));
+
+        // Conditions may only depend on questions that are answered before this one
+        getConditionQuestionIds(question.conditions).forEach(questionId => {
+          if (!allQuestionIds.has(questionId)) {
+            errors.push({ path: conditionsPath, message: `condition of "${question.id}" refers to unknown question "${questionId}"` });
+          } else if (!earlierQuestionIds.has(questionId)) {
+            errors.push({ path: conditionsPath, message: `condition of "${question.id}" refers to "${questionId}", which does not come before it` });
+          }
+        });
+      }
+
+      if (question.linkedQuestionId && !allQuestionIds.has(question.linkedQuestionId)) {
+        errors.push({ path: `${path}.linkedQuestionId`, message: `"${question.id}" is linked to unknown question "${question.linkedQuestionId}"` });
+      }
+
+      Object.entries(getOptionLists(question)).forEach(([listName, values]) => {
+        findDuplicates(values).forEach(value => {
+          errors.push({ path: `${path}.${listName}`, message: `value "${value}" is used more than once in question "${question.id}"` });
+        });
+      });
+
+      errors.push(...validateSliderRange(question, path));
+
+      earlierQuestionIds.add(question.id);
+    });
+  });
+
+  errors.push(...validateAvailability(definition, allQuestionIds));
+
+  return errors;
+}
+
+/**
+ * Validate the open/close window and the quotas of a survey definition
+ * @param {Object} definition - Survey definition
+ * @param {Set<string>} allQuestionIds - Ids of all questions in the survey
+ * @returns {Array<Object>} - Errors with path and message
+ */
+function validateAvailability(definition, allQuestionIds) {
+  const errors = [];
+  const schedule = definition.schedule || {};
+
+  ['opensAt', 'closesAt'].forEach(property => {
+    if (schedule[property] && isNaN(new Date(schedule[property]).getTime())) {
+      errors.push({ path: `schedule.${property}`, message: `"${schedule[property]}" is not a valid date` });
+    }
+  });
+  if (schedule.opensAt && schedule.closesAt && new Date(schedule.opensAt) >= new Date(schedule.closesAt)) {
+    errors.push({ path: 'schedule', message: 'closesAt should be after opensAt' });
+  }
+
+  ((definition.quotas && definition.quotas.segments) || []).forEach((segment, index) => {
+    if (!allQuestionIds.has(segment.questionId)) {
+      errors.push({ path: `quotas.segments[${index}].questionId`, message: `quota refers to unknown question "${segment.questionId}"` });
+    }
+  });
+
+  return errors;
+}
+
+/**
+ * Validate a survey definition against the schema and the semantic rules
+ * @param {Object} definition - Survey definition
+ * @returns {Promise<Object>} - Object with valid flag and errors
+ */
+export async function validateSurveyDefinition(definition) {
+  const schema = await loadSchema();
+  const errors = validateAgainstSchema(definition, schema);
+
+  // Semantic rules assume the basic structure is right
+  if (errors.length === 0) {
+    errors.push(...validateSemantics(definition));
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validate a survey definition and throw a readable error if it is invalid
+ * @param {Object} definition - Survey definition
+ * @param {string} [source='survey definition'] - Name of the definition, used in the message
+ * @throws {Error} - Error with a validationErrors property listing all problems
+ */
+export async function assertValidSurveyDefinition(definition, source = 'survey definition') {
+  const { valid, errors } = await validateSurveyDefinition(definition);
+  if (valid) {
+    return;
+  }
+
+  const error = new Error(`Invalid ${source}:\n${formatValidationErrors(errors)}`);
+  error.validationErrors = errors;
+  throw error;
+}
+
+/**
+ * Format validation errors as readable text, one error per line
+ * @param {Array<Object>} errors - Errors with path and message
+ * @returns {string} - Formatted errors
+ */
+export function formatValidationErrors(errors) {
+  return errors.map(error => `- ${error.path}: ${error.message}`).join('\n');
+}
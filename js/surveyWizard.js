@@ -9,6 +9,12 @@
 import * as surveyData from './surveyData.js';
 import { renderQuestionsForStep } from './questionRenderers.js';
 import * as surveyNavigation from './surveyNavigation.js';
+import { SUBMISSION_EVENTS } from './submissionQueue.js';
+import { getSurvey, getDefinitionUrl } from './surveyCatalog.js';
+import { checkAvailability, checkWindowAvailability, checkPrivacyAvailability, hasQuotas, getQuotaQuestionIds } from './surveyAvailability.js';
+import { getQuotaCounts, supportsPrivateResponses } from './dataService.js';
+import { getLocaleName } from './localization.js';
+import { t, setMessageLocale } from './i18n.js';
 
 // Import extended renderers for complex question types
 import { renderLikert, renderRangeSlider, renderMatrix2D } from './questionRenderersExtended.js';
@@ -20,36 +26,45 @@ const ELEMENT_IDS = {
   progressBar: 'survey-progress-bar'
 };
 
-// Constants for default survey
-const DEFAULT_SURVEY = {
-  path: 'js/data/conclusionCloudSurvey.json'
-};
-
 // Survey state
 const surveyState = {
   initialized: false,
-  active: false
+  navigationInitialized: false,
+  active: false,
+  survey: null,     // Catalog entry of the loaded survey
+  error: null,      // Error that prevented initialization
+  quotaCounts: null // Response counts checked against the quotas, null if there are none or they could not be loaded
 };
 
 
 
 /**
- * Initialize the survey wizard
- * @param {string} surveyPath - Path to the survey definition JSON
+ * Initialize the survey wizard for a survey from the survey catalog
+ * @param {string} [surveyId] - ID of the survey; the catalog's default survey if omitted
  * @returns {Promise<boolean>} - Whether initialization was successful
  */
-export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
+export async function initSurveyWizard(surveyId) {
+  surveyState.error = null;
+  
   try {
+    const survey = await getSurvey(surveyId);
+    if (!survey) {
+      throw new Error(`Survey ${surveyId} not found in the survey catalog`);
+    }
+    
     // Try to load the survey definition
-    const surveyD = await surveyData.loadSurveyDefinition(surveyPath);
+    const surveyD = await surveyData.loadSurveyDefinition(getDefinitionUrl(survey), survey.id);
+    surveyState.survey = survey;
+    
+    // Count the responses so far against the quotas
+    surveyState.quotaCounts = await loadQuotaCounts(surveyD);
+    
+    // Messages follow the language of the survey
+    setMessageLocale(surveyData.getLocale());
+    
     // initialize survey description
-    const surveyDescription = document.getElementById('survey-description');
-    if (surveyDescription) {
-      surveyDescription.style.display = 'block';
-      surveyDescription.textContent = surveyD.description || 'No description available for this survey.';
-    } else {
-      console.warn('Survey description element not found, skipping description initialization.');
-    }
+    updateSurveyDescription();
+    renderLanguageSwitcher();
     
     // Get required DOM elements
     const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
@@ -61,16 +76,23 @@ export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
       return false;
     }
     
-    // Initialize navigation with submit handler
-    surveyNavigation.initNavigation(
-      surveySection,
-      questionsContainer,
-      progressBar,
-      handleSurveySubmit
-    );
-    
-    // Register custom renderers
-    extendRenderers();
+    if (surveyState.navigationInitialized) {
+      // Another survey was loaded before: show the current step of this one
+      surveyNavigation.loadCurrentStep();
+    } else {
+      // Initialize navigation with submit handler
+      surveyNavigation.initNavigation(
+        surveySection,
+        questionsContainer,
+        progressBar,
+        handleSurveySubmit,
+        checkSubmissionAllowed
+      );
+      surveyState.navigationInitialized = true;
+      
+      // Register custom renderers
+      extendRenderers();
+    }
     
     // Mark as initialized
     surveyState.initialized = true;
@@ -78,12 +100,196 @@ export async function initSurveyWizard(surveyPath = DEFAULT_SURVEY.path) {
     return true;
   } catch (error) {
     console.error('Failed to initialize survey wizard:', error);
+    surveyState.error = error;
     return false;
   }
 }
 
 /**
- * Show the survey wizard to the user
+ * Show the description of the survey in the current language
+ */
+function updateSurveyDescription() {
+  const surveyDescription = document.getElementById('survey-description');
+  if (surveyDescription) {
+    surveyDescription.style.display = 'block';
+    surveyDescription.textContent = surveyData.getSurveyDefinition().description || t('survey.noDescription');
+  } else {
+    console.warn('Survey description element not found, skipping description initialization.');
+  }
+}
+
+/**
+ * Show a language switcher in the survey header when the survey is available
+ * in more than one language
+ */
+function renderLanguageSwitcher() {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const header = surveySection ? surveySection.querySelector('.section-header') : null;
+  if (!header) {
+    return;
+  }
+  
+  let switcher = header.querySelector('.survey-language-switcher');
+  const locales = surveyData.getAvailableLocales();
+  if (locales.length < 2) {
+    if (switcher) {
+      switcher.remove();
+    }
+    return;
+  }
+  
+  if (!switcher) {
+    switcher = document.createElement('select');
+    switcher.className = 'survey-language-switcher';
+    switcher.setAttribute('aria-label', t('survey.language'));
+    switcher.addEventListener('change', () => changeLanguage(switcher.value));
+    header.appendChild(switcher);
+  }
+  
+  switcher.innerHTML = locales
+    .map(locale => `<option value="${locale}">${getLocaleName(locale)}</option>`)
+    .join('');
+  switcher.value = surveyData.getLocale();
+  document.documentElement.lang = surveyData.getLocale();
+}
+
+/**
+ * Show the survey in another language, keeping the respondent on the current step
+ * @param {string} locale - The chosen locale
+ */
+function changeLanguage(locale) {
+  if (!surveyData.setLocale(locale)) {
+    return;
+  }
+  
+  document.documentElement.lang = locale;
+  setMessageLocale(locale);
+  updateSurveyDescription();
+  if (surveyState.active) {
+    showCurrentStep();
+  }
+}
+
+/**
+ * Get the catalog entry of the loaded survey
+ * @returns {Object|null} - The catalog entry, or null if no survey is loaded
+ */
+export function getCurrentSurvey() {
+  return surveyState.survey;
+}
+
+/**
+ * Get the error that prevented the survey wizard from initializing
+ * @returns {Error|null} - The error, or null if there was none
+ */
+export function getInitializationError() {
+  return surveyState.error;
+}
+
+/**
+ * Load the response counts to check against the quotas of the survey; the
+ * respondent only gets counts, never the responses of others
+ * @param {Object} definition - Survey definition
+ * @returns {Promise<Object|null>} - Response counts, or null if the survey has
+ * no quotas or the counts are not available
+ */
+async function loadQuotaCounts(definition) {
+  if (!hasQuotas(definition)) {
+    return null;
+  }
+  
+  try {
+    const counts = await getQuotaCounts(surveyState.survey.id, getQuotaQuestionIds(definition));
+    if (!counts) {
+      console.warn('No quota count endpoint configured, the survey accepts no responses as its quotas cannot be checked');
+    }
+    return counts;
+  } catch (error) {
+    // Without counts the survey accepts no responses, see checkAvailability
+    console.warn('Response counts not available, the survey accepts no responses:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Check whether the survey accepts the respondent's response: the backend must
+ * be able to store it as the privacy mode requires, it must be within its
+ * open/close window and the quotas must not have been reached
+ * @returns {Object} - { available, reason, message }, see surveyAvailability.checkAvailability
+ */
+function getAvailability() {
+  const privacyAvailability = checkPrivacyAvailability(surveyData.getSurveyDefinition(), supportsPrivateResponses());
+  if (!privacyAvailability.available) {
+    return privacyAvailability;
+  }
+  
+  // A revised response replaces the submitted one, so it does not count against the quotas again
+  if (surveyData.isEditingSubmission()) {
+    return checkWindowAvailability(surveyData.getSurveyDefinition());
+  }
+  return checkAvailability(
+    surveyData.getSurveyDefinition(),
+    surveyState.quotaCounts,
+    surveyData.getActiveResponses()
+  );
+}
+
+/**
+ * Check before submitting whether the survey still accepts the response; the
+ * survey may have closed or a quota may have been reached since it was started
+ * @returns {Promise<string|null>} - Message why the response is refused, or null if allowed
+ */
+async function checkSubmissionAllowed() {
+  surveyState.quotaCounts = await loadQuotaCounts(surveyData.getSurveyDefinition());
+  const availability = getAvailability();
+  return availability.available ? null : availability.message;
+}
+
+/**
+ * Show why the survey does not accept responses instead of the current step
+ * @param {Object} availability - Result of the availability check
+ */
+function showUnavailableMessage(availability) {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const questionsContainer = document.getElementById(ELEMENT_IDS.questionsContainer);
+  if (!questionsContainer) {
+    return;
+  }
+  
+  // Hide the navigation; it is shown again with the next step
+  const navigation = surveySection.querySelector('.survey-navigation');
+  if (navigation) {
+    navigation.style.display = 'none';
+  }
+  
+  questionsContainer.className = 'survey-questions-container';
+  questionsContainer.innerHTML = '';
+  
+  const container = document.createElement('div');
+  container.className = `survey-unavailable ${availability.reason}`;
+  
+  const heading = document.createElement('h2');
+  heading.textContent = t('survey.unavailable.heading');
+  container.appendChild(heading);
+  
+  const message = document.createElement('p');
+  message.textContent = availability.message;
+  container.appendChild(message);
+  
+  const returnButton = document.createElement('button');
+  returnButton.textContent = t('survey.returnHome');
+  returnButton.className = 'survey-nav-button';
+  returnButton.addEventListener('click', () => {
+    hideSurveyWizard();
+  });
+  container.appendChild(returnButton);
+  
+  questionsContainer.appendChild(container);
+}
+
+/**
+ * Show the survey wizard to the user; outside the survey's open/close window
+ * or when a quota has been reached, a message is shown instead of the questions
  * @returns {boolean} - Whether showing was successful
  */
 export function showSurveyWizard() {
@@ -103,15 +309,71 @@ export function showSurveyWizard() {
   // Show the survey section
   surveySection.style.display = 'block';
   
-  // Load the current step
-  surveyNavigation.loadCurrentStep();
-  
   // Mark as active
   surveyState.active = true;
   
+  showCurrentStep();
+  
   return true;
 }
 
+/**
+ * Render the current step, the response the respondent already submitted, or
+ * the reason why the survey does not accept responses when it is outside its
+ * window or over a quota
+ */
+function showCurrentStep() {
+  const submission = surveyData.getSubmission();
+  if (submission && !surveyData.isEditingSubmission()) {
+    showSubmission({ submittedData: submission });
+    return;
+  }
+  
+  const availability = getAvailability();
+  if (!availability.available) {
+    showUnavailableMessage(availability);
+    return;
+  }
+  
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const navigation = surveySection.querySelector('.survey-navigation');
+  if (navigation) {
+    navigation.style.display = '';
+  }
+  
+  // Load the current step
+  surveyNavigation.loadCurrentStep();
+}
+
+/**
+ * Resume the survey from the user's draft on the server, and save further
+ * progress there; call once the user is signed in
+ * @returns {Promise<string|null>} - Where the progress was resumed from (see
+ * surveyData.resumeDraft), or null if the wizard is not initialized
+ */
+export async function resumeSurvey() {
+  if (!surveyState.initialized) {
+    return null;
+  }
+  
+  const source = await surveyData.resumeDraft();
+  
+  // Show the restored step or the submitted response if the survey is already visible
+  if ((source === 'server' || source === 'completed') && surveyState.active) {
+    showCurrentStep();
+  }
+  
+  return source;
+}
+
+/**
+ * Send the survey submissions that were queued while offline
+ * @returns {Promise<number>} - Number of submissions sent
+ */
+export function sendQueuedSubmissions() {
+  return surveyData.sendQueuedSubmissions();
+}
+
 /**
  * Hide the survey wizard
  */
@@ -122,8 +384,14 @@ export function hideSurveyWizard() {
     surveySection.style.display = 'none';
   }
   
+  // Stop timing the step that was shown
+  surveyData.recordStepLeave();
+  
   // Mark as inactive
   surveyState.active = false;
+  
+  // Let the application show its other content again
+  document.dispatchEvent(new CustomEvent('survey:closed'));
 }
 
 /**
@@ -148,10 +416,36 @@ function extendRenderers() {
  */
 function handleSurveySubmit(result) {
   console.log('Survey submitted with result:', result);
+  showSubmission(result);
+}
+
+/**
+ * Revise the submitted response, starting at the first step
+ */
+function editSubmission() {
+  if (!surveyData.editSubmission()) {
+    return;
+  }
+  
+  surveyNavigation.resetSubmitButton();
+  showCurrentStep();
+}
+
+/**
+ * Show the submitted response with a thank-you message, and offer to revise it
+ * @param {Object} result - The submission result, with the submittedData
+ */
+function showSubmission(result) {
+  const surveySection = document.getElementById(ELEMENT_IDS.surveySection);
+  const navigation = surveySection ? surveySection.querySelector('.survey-navigation') : null;
+  if (navigation) {
+    navigation.style.display = 'none';
+  }
   
   // Show success message
   const questionsContainer = document.getElementById(ELEMENT_IDS.questionsContainer);
   if (questionsContainer) {
+    questionsContainer.className = 'survey-questions-container';
     // Clear the container
     questionsContainer.innerHTML = '';
     
@@ -160,10 +454,35 @@ function handleSurveySubmit(result) {
     successContainer.className = 'survey-submit-success';
     
     const heading = document.createElement('h2');
-    heading.textContent = 'Thank You!';
+    heading.textContent = t('survey.submit.thankYou');
     
     const message = document.createElement('p');
-    message.textContent = 'Your survey responses have been successfully submitted.';
+    message.textContent = t('survey.submit.success');
+    
+    const editButton = document.createElement('button');
+    editButton.textContent = t('survey.submit.edit');
+    editButton.className = 'survey-nav-button';
+    editButton.addEventListener('click', editSubmission);
+    
+    // Submissions made offline are queued; show when they have been sent
+    if (result && result.queued) {
+      message.className = 'submission-status queued';
+      message.textContent = t('survey.submit.queued');
+      
+      // Revising waits until the submission has been sent, so the two cannot overtake each other
+      editButton.style.display = 'none';
+      
+      const submissionId = result.submittedData.submissionId;
+      document.addEventListener(SUBMISSION_EVENTS.sent, function handleSent(event) {
+        if (event.detail.submissionId !== submissionId) {
+          return;
+        }
+        message.className = 'submission-status sent';
+        message.textContent = t('survey.submit.sent');
+        editButton.style.display = '';
+        document.removeEventListener(SUBMISSION_EVENTS.sent, handleSent);
+      });
+    }
     
     // Display submission details if available
     if (result && result.submittedData) {
@@ -171,22 +490,24 @@ function handleSurveySubmit(result) {
       submissionDetails.className = 'submission-details';
       
       const detailsHeading = document.createElement('h3');
-      detailsHeading.textContent = 'Submission Details';
+      detailsHeading.textContent = t('survey.submit.details');
       submissionDetails.appendChild(detailsHeading);
       
       // Show survey title and timestamp
+      // The title comes from the survey catalog and definition, so it is added as text
       const surveyTitle = document.createElement('p');
-      surveyTitle.innerHTML = `<strong>Survey:</strong> ${result.submittedData.surveyTitle || 'Cloud Survey'}`;
+      surveyTitle.innerHTML = `<strong>${t('survey.submit.survey')}</strong> `;
+      surveyTitle.append(result.submittedData.surveyTitle || t('survey.submit.untitled'));
       submissionDetails.appendChild(surveyTitle);
       
       const timestamp = document.createElement('p');
-      timestamp.innerHTML = `<strong>Submitted:</strong> ${new Date(result.submittedData.completedAt).toLocaleString()}`;
+      timestamp.innerHTML = `<strong>${t('survey.submit.submittedAt')}</strong> ${new Date(result.submittedData.completedAt).toLocaleString()}`;
       submissionDetails.appendChild(timestamp);
       
       // Add collapsible responses section
       const responsesToggle = document.createElement('details');
       const responsesToggleSummary = document.createElement('summary');
-      responsesToggleSummary.textContent = 'View Your Responses';
+      responsesToggleSummary.textContent = t('survey.submit.viewResponses');
       responsesToggle.appendChild(responsesToggleSummary);
       
       // Format responses as a list
@@ -218,7 +539,7 @@ function handleSurveySubmit(result) {
           }
           
           // Format the response value based on its type
-          let responseValue = 'No response';
+          let responseValue = t('survey.submit.noResponse');
           if (response.value !== undefined && response.value !== null) {
             if (typeof response.value === 'object') {
               responseValue = JSON.stringify(response.value);
@@ -233,7 +554,7 @@ function handleSurveySubmit(result) {
           if (response.comment) {
             const commentElem = document.createElement('div');
             commentElem.className = 'response-comment';
-            commentElem.innerHTML = `<em>Comment:</em> ${response.comment}`;
+            commentElem.innerHTML = `<em>${t('survey.submit.comment')}</em> ${response.comment}`;
             responseItem.appendChild(commentElem);
           }
           
@@ -249,9 +570,14 @@ function handleSurveySubmit(result) {
     successContainer.appendChild(heading);
     successContainer.appendChild(message);
     
+    // The response can be revised while the survey is open, unless it is anonymous
+    if (surveyData.canEditSubmission() && checkWindowAvailability(surveyData.getSurveyDefinition()).available) {
+      successContainer.appendChild(editButton);
+    }
+    
     // Add a return button
     const returnButton = document.createElement('button');
-    returnButton.textContent = 'Return to Home';
+    returnButton.textContent = t('survey.returnHome');
     returnButton.className = 'survey-nav-button';
     returnButton.addEventListener('click', () => {
       hideSurveyWizard();
@@ -221,21 +221,6 @@ export function showAuthenticatedUser(user, tokenClaims) {
     elements.dataSection.style.display = 'block';
   }
   
-  // Handle survey section - keep it hidden initially but allow access
-  const surveySection = document.getElementById('survey-section');
-  const surveyButton = document.getElementById('start-survey-button');
-  
-  // Show the survey button if it exists
-  if (surveyButton) {
-    surveyButton.style.display = 'inline-block';
-    surveyButton.disabled = false;
-  } else {
-    // If button doesn't exist yet (timing issue), call the app function to set it up
-    if (window.setupSurveyButton && typeof window.setupSurveyButton === 'function') {
-      window.setupSurveyButton();
-    }
-  }
-  
   // Add authenticated class to body
   document.body.classList.add(UI_CLASSES.authenticated);
   document.body.classList.remove(UI_CLASSES.unauthenticated);
@@ -409,12 +394,11 @@ export function showUnauthenticatedState() {
     surveySection.style.display = 'none';
   }
   
-  // Update survey button state if it exists
-  const surveyButton = document.getElementById('start-survey-button');
-  if (surveyButton) {
-    surveyButton.style.display = 'inline-block'; // Still show the button
-    surveyButton.disabled = false; // Enable the button, sign-in will be prompted on click
-  }
+  // The survey catalog is only shown to signed-in users
+  hideSurveyCatalog();
+  
+  // Admin features need the permissions of a signed-in user
+  toggleAdminSection(false);
   
   // Update body class
   document.body.classList.add(UI_CLASSES.unauthenticated);
@@ -494,6 +478,100 @@ export function showDataError(errorMessage) {
   showDataStatus(`Error: ${errorMessage}`, UI_CLASSES.error);
 }
 
+/**
+ * Show the surveys available to the user, with their status and links to
+ * take the survey and view its results
+ * @param {Array<Object>} entries - Surveys: { survey, status } with a catalog entry and its status
+ * @param {Function} startSurveyCallback - Function to call with the survey ID when a survey is started
+ */
+export function renderSurveyCatalog(entries, startSurveyCallback) {
+  const catalogElement = document.getElementById('survey-catalog');
+  if (!catalogElement) {
+    return;
+  }
+  
+  catalogElement.innerHTML = '';
+  catalogElement.style.display = 'block';
+  
+  if (entries.length === 0) {
+    catalogElement.innerHTML = '<p>There are no surveys available to you.</p>';
+    return;
+  }
+  
+  const list = document.createElement('ul');
+  list.className = 'survey-catalog-list';
+  
+  entries.forEach(({ survey, status }) => {
+    const item = document.createElement('li');
+    item.className = `survey-catalog-item ${status}`;
+    
+    const title = document.createElement('h3');
+    title.textContent = survey.title;
+    item.appendChild(title);
+    
+    if (survey.description) {
+      const description = document.createElement('p');
+      description.textContent = survey.description;
+      item.appendChild(description);
+    }
+    
+    const statusElement = document.createElement('p');
+    statusElement.className = 'survey-catalog-status';
+    statusElement.textContent = formatSurveyStatus(survey, status);
+    item.appendChild(statusElement);
+    
+    const actions = document.createElement('div');
+    actions.className = 'survey-catalog-actions';
+    
+    const startButton = document.createElement('button');
+    startButton.textContent = 'Take Survey';
+    startButton.disabled = status !== 'open';
+    startButton.addEventListener('click', () => startSurveyCallback(survey.id));
+    actions.appendChild(startButton);
+    
+    const resultsLink = document.createElement('a');
+    resultsLink.className = 'results-link';
+    resultsLink.href = `results/index.html?survey=${encodeURIComponent(survey.id)}`;
+    resultsLink.textContent = 'View Results';
+    actions.appendChild(resultsLink);
+    
+    item.appendChild(actions);
+    list.appendChild(item);
+  });
+  
+  catalogElement.appendChild(list);
+}
+
+/**
+ * Describe the status of a survey with its open or close date
+ * @param {Object} survey - Catalog entry
+ * @param {string} status - Survey status: 'upcoming', 'open' or 'closed'
+ * @returns {string} - Status text
+ */
+function formatSurveyStatus(survey, status) {
+  const formatDate = date => new Date(date).toLocaleDateString();
+  
+  switch (status) {
+    case 'upcoming':
+      return `Opens on ${formatDate(survey.opensAt)}`;
+    case 'closed':
+      return `Closed on ${formatDate(survey.closesAt)}`;
+    default:
+      return survey.closesAt ? `Open until ${formatDate(survey.closesAt)}` : 'Open';
+  }
+}
+
+/**
+ * Hide the survey catalog
+ */
+export function hideSurveyCatalog() {
+  const catalogElement = document.getElementById('survey-catalog');
+  if (catalogElement) {
+    catalogElement.innerHTML = '';
+    catalogElement.style.display = 'none';
+  }
+}
+
 /**
  * Show error message in the UI
  * @param {string} message - Error message to display
@@ -511,6 +589,26 @@ export function showError(message) {
   }
 }
 
+/**
+ * Show a list of validation errors in the UI
+ * @param {string} title - Summary of what is invalid
+ * @param {Array<Object>} errors - Errors with path and message
+ */
+export function showValidationErrors(title, errors) {
+  const welcomeMessage = document.getElementById('welcome-message');
+  if (!welcomeMessage) {
+    return;
+  }
+
+  welcomeMessage.innerHTML = `
+    <p class="error-message">Error: ${title}</p>
+    <ul class="validation-errors">
+      ${errors.map(error => `<li><code>${error.path}</code>: ${error.message}</li>`).join('')}
+    </ul>
+    <p>Please contact the survey owner.</p>
+  `;
+}
+
 /**
  * Toggle the visibility of the token content section
  * @param {boolean} show - Whether to show or hide the token content
@@ -0,0 +1,262 @@
+/**
+ * thematicCoding.js
+ * Module for managing the thematic coding of open answers
+ *
+ * Analysts define a codebook of themes for a text question and assign one or
+ * more themes to each response. Codebooks are stored in localStorage per
+ * survey and question, next to the visualization preferences, and can be
+ * exported and imported as JSON. Responses are identified by the respondent's username,
+ * as each respondent has one response per survey, or by the response ID
+ * when the survey is anonymous or pseudonymous.
+ */
+
+// Local storage key for the codebooks, suffixed with the survey ID
+const STORAGE_KEY = 'survey-thematic-codes';
+
+// Survey the codebooks are for, see setCodebookSurvey
+let codebookSurveyId = null;
+
+/**
+ * Select the survey whose codebooks are used. Codebooks saved before they
+ * were kept per survey are moved to the default survey of the catalog.
+ * @param {string} surveyId - Survey ID
+ * @param {boolean} [isDefaultSurvey=false] - Whether it is the default survey of the survey catalog
+ */
+export function setCodebookSurvey(surveyId, isDefaultSurvey = false) {
+    codebookSurveyId = surveyId;
+
+    try {
+        const legacyCodebooks = localStorage.getItem(STORAGE_KEY);
+        if (isDefaultSurvey && legacyCodebooks !== null) {
+            if (localStorage.getItem(getStorageKey()) === null) {
+                localStorage.setItem(getStorageKey(), legacyCodebooks);
+            }
+            localStorage.removeItem(STORAGE_KEY);
+        }
+    } catch (error) {
+        console.error('Error moving codebooks to the survey:', error);
+    }
+}
+
+/**
+ * Get the local storage key of the codebooks of the selected survey
+ * @returns {string} - Storage key
+ */
+function getStorageKey() {
+    return `${STORAGE_KEY}-${codebookSurveyId}`;
+}
+
+/**
+ * Get the key that identifies a survey result in the codebooks. Without a
+ * username it is the response ID, which a revision of the response keeps, so
+ * its codes are not lost; responses submitted before have only a submission ID.
+ * @param {Object} result - Survey result
+ * @returns {string|null} - Key of the result, or null if it cannot be identified
+ */
+export function getResponseKey(result) {
+    return (result && (result.username || result.responseId || result.submissionId)) || null;
+}
+
+/**
+ * Get all codebooks from local storage
+ * @returns {Object} - Object with question IDs as keys and codebooks as values
+ */
+function getCodebooks() {
+    try {
+        const storedCodebooks = localStorage.getItem(getStorageKey());
+
+        if (storedCodebooks) {
+            return JSON.parse(storedCodebooks);
+        }
+    } catch (error) {
+        console.error('Error retrieving codebooks:', error);
+    }
+
+    return {}; // Return empty object if no codebooks found or error
+}
+
+/**
+ * Save all codebooks to local storage
+ * @param {Object} codebooks - Object with question IDs as keys and codebooks as values
+ * @returns {boolean} - Success status
+ */
+function saveCodebooks(codebooks) {
+    try {
+        localStorage.setItem(getStorageKey(), JSON.stringify(codebooks));
+        return true;
+    } catch (error) {
+        console.error('Error saving codebooks:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the codebook of a question
+ * @param {string} questionId - Question ID
+ * @returns {Object} - Codebook: { themes: [{ id, label }], assignments: { responseKey: [themeId] } }
+ */
+export function getCodebook(questionId) {
+    const codebook = getCodebooks()[questionId] || {};
+    return {
+        themes: Array.isArray(codebook.themes) ? codebook.themes : [],
+        assignments: codebook.assignments || {}
+    };
+}
+
+/**
+ * Check whether a question has a codebook with themes
+ * @param {string} questionId - Question ID
+ * @returns {boolean} - True if at least one theme is defined
+ */
+export function hasThemes(questionId) {
+    return getCodebook(questionId).themes.length > 0;
+}
+
+/**
+ * Create a theme ID from its label, unique within the codebook
+ * @param {string} label - Theme label
+ * @param {Array} themes - Existing themes
+ * @returns {string} - Theme ID, e.g. "werkdruk" or "werkdruk-2"
+ */
+function createThemeId(label, themes) {
+    const base = label
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Remove diacritics
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '') || 'theme';
+
+    let id = base;
+    for (let suffix = 2; themes.some(theme => theme.id === id); suffix++) {
+        id = `${base}-${suffix}`;
+    }
+    return id;
+}
+
+/**
+ * Add a theme to the codebook of a question
+ * @param {string} questionId - Question ID
+ * @param {string} label - Theme label
+ * @returns {Object|null} - The new theme: { id, label }, or null if the label is empty or already used
+ */
+export function addTheme(questionId, label) {
+    const trimmedLabel = (label || '').trim();
+    if (!trimmedLabel) {
+        return null;
+    }
+
+    const codebooks = getCodebooks();
+    const codebook = getCodebook(questionId);
+
+    if (codebook.themes.some(theme => theme.label.toLowerCase() === trimmedLabel.toLowerCase())) {
+        return null;
+    }
+
+    const theme = { id: createThemeId(trimmedLabel, codebook.themes), label: trimmedLabel };
+    codebook.themes.push(theme);
+    codebooks[questionId] = codebook;
+
+    return saveCodebooks(codebooks) ? theme : null;
+}
+
+/**
+ * Remove a theme from the codebook of a question, and from the responses it was assigned to
+ * @param {string} questionId - Question ID
+ * @param {string} themeId - Theme ID
+ * @returns {boolean} - Success status
+ */
+export function removeTheme(questionId, themeId) {
+    const codebooks = getCodebooks();
+    const codebook = getCodebook(questionId);
+
+    codebook.themes = codebook.themes.filter(theme => theme.id !== themeId);
+    Object.keys(codebook.assignments).forEach(responseKey => {
+        const codes = codebook.assignments[responseKey].filter(code => code !== themeId);
+        if (codes.length > 0) {
+            codebook.assignments[responseKey] = codes;
+        } else {
+            delete codebook.assignments[responseKey];
+        }
+    });
+    codebooks[questionId] = codebook;
+
+    return saveCodebooks(codebooks);
+}
+
+/**
+ * Get the themes assigned to a response
+ * @param {string} questionId - Question ID
+ * @param {string} responseKey - Key of the response, see getResponseKey
+ * @returns {Array<string>} - Theme IDs
+ */
+export function getResponseCodes(questionId, responseKey) {
+    return getCodebook(questionId).assignments[responseKey] || [];
+}
+
+/**
+ * Assign themes to a response, replacing the themes assigned before
+ * @param {string} questionId - Question ID
+ * @param {string} responseKey - Key of the response, see getResponseKey
+ * @param {Array<string>} themeIds - Theme IDs; empty to remove all codes
+ * @returns {boolean} - Success status
+ */
+export function setResponseCodes(questionId, responseKey, themeIds) {
+    const codebooks = getCodebooks();
+    const codebook = getCodebook(questionId);
+
+    // Only keep themes from the codebook
+    const codes = themeIds.filter(themeId => codebook.themes.some(theme => theme.id === themeId));
+    if (codes.length > 0) {
+        codebook.assignments[responseKey] = codes;
+    } else {
+        delete codebook.assignments[responseKey];
+    }
+    codebooks[questionId] = codebook;
+
+    return saveCodebooks(codebooks);
+}
+
+/**
+ * Export the codebooks to JSON
+ * @returns {string} - JSON string of the codebooks
+ */
+export function exportCodebooks() {
+    const codebooks = getCodebooks();
+
+    // Same shape as the exported visualization settings
+    const exportData = {};
+
+    Object.keys(codebooks).forEach(questionId => {
+        exportData[questionId] = {
+            codebook: getCodebook(questionId)
+        };
+    });
+
+    return JSON.stringify(exportData, null, 2);
+}
+
+/**
+ * Import codebooks from JSON, replacing the codebooks of the questions in it
+ * @param {string} jsonString - JSON string to import
+ * @returns {boolean} - Success status
+ */
+export function importCodebooks(jsonString) {
+    try {
+        const importData = JSON.parse(jsonString);
+        const codebooks = getCodebooks();
+
+        Object.entries(importData).forEach(([questionId, data]) => {
+            if (data.codebook && Array.isArray(data.codebook.themes)) {
+                codebooks[questionId] = {
+                    themes: data.codebook.themes.filter(theme => theme && theme.id && theme.label),
+                    assignments: data.codebook.assignments || {}
+                };
+            }
+        });
+
+        return saveCodebooks(codebooks);
+    } catch (error) {
+        console.error('Error importing codebooks:', error);
+        return false;
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * dashboardAuth.js
+ * Sign-in for the results dashboard
+ *
+ * The dashboard signs in itself, with the provider selected in authConfig.js,
+ * instead of relying on the session left behind by the survey page. On load
+ * the ID token of the signed in account is acquired silently; without an
+ * account the session stored by the survey page is discarded, so the results
+ * are only shown after signing in. The page header shows the user and a
+ * sign-in or sign-out button.
+ */
+
+import { initializeAuth, getAccount, acquireIdTokenSilently, clearSession, signIn, signOut } from '../../js/auth.js';
+
+// DOM elements of the account controls in the header
+const signInButton = document.getElementById('signin-button');
+const signOutButton = document.getElementById('signout-button');
+const userNameElement = document.getElementById('signed-in-user');
+
+/**
+ * Initialize authentication and the account controls in the header
+ * @returns {Promise<void>}
+ */
+export async function initDashboardAuth() {
+    if (!(await initializeAuth())) {
+        // Nobody can sign in without the provider; the mock backend still works
+        signInButton.style.display = 'none';
+        return;
+    }
+
+    signInButton.addEventListener('click', signIn);
+    signOutButton.addEventListener('click', () => {
+        // Show the signed out dashboard, unless the provider leaves the page to sign out
+        if (!signOut()) {
+            window.location.reload();
+        }
+    });
+
+    // Load the dashboard again for the user who signed in
+    window.addEventListener('authLoginSuccess', () => window.location.reload());
+
+    const account = getAccount();
+    const idToken = account ? await acquireIdTokenSilently() : null;
+    if (!idToken) {
+        clearSession();
+    }
+
+    showAccount(idToken ? account : null);
+}
+
+/**
+ * Show the signed in user and the matching button in the header
+ * @param {Object|null} account - MSAL account, or null when nobody is signed in
+ */
+function showAccount(account) {
+    userNameElement.textContent = account ? (account.name || account.username) : '';
+    signInButton.style.display = account ? 'none' : '';
+    signOutButton.style.display = account ? '' : 'none';
+}
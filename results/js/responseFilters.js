@@ -0,0 +1,182 @@
+/**
+ * responseFilters.js
+ * Question-based filtering of survey responses
+ *
+ * This module decides whether a single survey response matches the filters
+ * selected in the results dashboard. Matching is type-aware: radio answers are
+ * compared for equality, checkbox answers by checked option, tags by membership
+ * and matrix answers by selected row or cell. Text answers are filtered on the
+ * themes they were coded with.
+ */
+
+import { getResponseCodes, getResponseKey } from './admin/thematicCoding.js';
+
+// Question types that can be used as a filter
+const FILTER_QUESTION_TYPES = {
+    RADIO: 'radio',
+    CHECKBOX: 'checkbox',
+    MATRIX_2D: 'matrix2d',
+    TAGS: 'tags',
+    SHORT_TEXT: 'shortText',
+    LONG_TEXT: 'longText'
+};
+
+// Question types filtered on coded themes instead of the answer itself
+const CODED_QUESTION_TYPES = [FILTER_QUESTION_TYPES.SHORT_TEXT, FILTER_QUESTION_TYPES.LONG_TEXT];
+
+// Logical modes for combining filters of different questions
+export const FILTER_MODES = {
+    AND: 'and',
+    OR: 'or'
+};
+
+// Separator between row and column id in a matrix cell value ("rowId:colId")
+const MATRIX_CELL_SEPARATOR = ':';
+
+/**
+ * Check whether a radio answer matches one of the selected values
+ * @param {*} value - Radio response value (option value or "other" object)
+ * @param {Array<string>} selected - Selected filter values
+ * @returns {boolean} - True if the answer equals one of the selected values
+ */
+function matchesRadio(value, selected) {
+    if (value && typeof value === 'object') {
+        // "Other" answers are stored as { isOther: true, otherValue: '...' }
+        return value.isOther === true && selected.includes('other');
+    }
+    return selected.includes(value);
+}
+
+/**
+ * Check whether a checkbox answer has one of the selected options checked
+ * @param {*} value - Checkbox response value (object map or array of values)
+ * @param {Array<string>} selected - Selected filter values
+ * @returns {boolean} - True if one of the selected options is checked
+ */
+function matchesCheckbox(value, selected) {
+    if (Array.isArray(value)) {
+        return value.some(item => {
+            if (item && typeof item === 'object') {
+                return item.isOther === true && selected.includes('other');
+            }
+            return selected.includes(item);
+        });
+    }
+    if (value && typeof value === 'object') {
+        return selected.some(option => {
+            const checked = value[option];
+            // The "other" option may hold the free text instead of true
+            return checked === true || (option === 'other' && typeof checked === 'string' && checked.trim() !== '');
+        });
+    }
+    return false;
+}
+
+/**
+ * Check whether a tags answer contains one of the selected tags
+ * @param {*} value - Tags response value (array of tag strings)
+ * @param {Array<string>} selected - Selected filter values
+ * @returns {boolean} - True if one of the selected tags is present
+ */
+function matchesTags(value, selected) {
+    if (!Array.isArray(value)) {
+        return false;
+    }
+    // Tags are compared case-insensitively, as in the tags visualizer
+    const tags = value.filter(tag => typeof tag === 'string').map(tag => tag.toLowerCase());
+    return selected.some(tag => tags.includes(tag.toLowerCase()));
+}
+
+/**
+ * Check whether a matrix answer contains one of the selected rows or cells.
+ * A selected value "rowId" matches any cell in that row, a selected value
+ * "rowId:colId" matches only that specific cell.
+ * @param {*} value - Matrix response value: a "rowId:colId" string for
+ * single-select matrices, an array of those strings for multi-select ones
+ * @param {Array<string>} selected - Selected filter values
+ * @returns {boolean} - True if one of the selected rows or cells is selected
+ */
+function matchesMatrix(value, selected) {
+    if (value === null || value === undefined) {
+        return false;
+    }
+    const cells = Array.isArray(value) ? value : [value];
+    return selected.some(filterValue => {
+        if (filterValue.includes(MATRIX_CELL_SEPARATOR)) {
+            return cells.includes(filterValue);
+        }
+        return cells.some(cell => typeof cell === 'string' &&
+            cell.split(MATRIX_CELL_SEPARATOR)[0] === filterValue);
+    });
+}
+
+/**
+ * Check whether a coded text answer has one of the selected themes
+ * @param {*} value - Theme IDs the answer was coded with
+ * @param {Array<string>} selected - Selected theme IDs
+ * @returns {boolean} - True if one of the selected themes is assigned
+ */
+function matchesThemes(value, selected) {
+    return Array.isArray(value) && value.some(themeId => selected.includes(themeId));
+}
+
+/**
+ * Check whether a response value matches the selected values of a question filter
+ * @param {Object} question - Question definition
+ * @param {*} value - The response value for this question
+ * @param {Array<string>} selected - Selected filter values
+ * @returns {boolean} - True if the value matches the filter
+ */
+export function matchesQuestionFilter(question, value, selected) {
+    if (value === null || value === undefined) {
+        return false;
+    }
+
+    switch (question.type) {
+        case FILTER_QUESTION_TYPES.RADIO:
+            return matchesRadio(value, selected);
+        case FILTER_QUESTION_TYPES.CHECKBOX:
+            return matchesCheckbox(value, selected);
+        case FILTER_QUESTION_TYPES.TAGS:
+            return matchesTags(value, selected);
+        case FILTER_QUESTION_TYPES.MATRIX_2D:
+            return matchesMatrix(value, selected);
+        case FILTER_QUESTION_TYPES.SHORT_TEXT:
+        case FILTER_QUESTION_TYPES.LONG_TEXT:
+            return matchesThemes(value, selected);
+        default:
+            console.warn(`Filtering is not supported for question type: ${question.type}`);
+            return true;
+    }
+}
+
+/**
+ * Check whether a survey response matches a set of question filters
+ * @param {Object} response - Survey response with a responses map
+ * @param {Object} filters - Question IDs mapped to arrays of selected values
+ * @param {Array} questions - Question definitions
+ * @param {string} [mode=FILTER_MODES.AND] - How to combine filters of different questions
+ * @returns {boolean} - True if the response matches
+ */
+export function matchesQuestionFilters(response, filters, questions, mode = FILTER_MODES.AND) {
+    // Only questions with at least one selected value take part in filtering
+    const activeFilters = questions.filter(question =>
+        Array.isArray(filters[question.id]) && filters[question.id].length > 0);
+
+    if (activeFilters.length === 0) {
+        return true;
+    }
+
+    const results = activeFilters.map(question => {
+        if (CODED_QUESTION_TYPES.includes(question.type)) {
+            const codes = getResponseCodes(question.id, getResponseKey(response));
+            return matchesQuestionFilter(question, codes, filters[question.id]);
+        }
+        const answer = response.responses && response.responses[question.id];
+        return matchesQuestionFilter(question, answer ? answer.value : null, filters[question.id]);
+    });
+
+    return mode === FILTER_MODES.OR
+        ? results.some(result => result)
+        : results.every(result => result);
+}
@@ -3,7 +3,7 @@
  * Main controller for the survey results dashboard
  */
 
-import { getResults, getQuestionDefinitions } from './resultsDataService.js';
+import { getResultsByStatus, getSelectedSurvey, getSurveyAvailabilityInfo, getSurveyLocaleInfo, getSurveyPrivacyInfo, getQuestionDefinitions, crossTabulate, suppressSmallSegments, crossTabToCsv, getStepTimings, getDropOffFunnel } from './resultsDataService.js';
 import { createRadioVisualization } from './visualizations/radioVisualizer.js';
 import { createCheckboxVisualization } from './visualizations/checkboxVisualizer.js';
 import { createTextSummary } from './visualizations/textVisualizer.js';
@@ -13,7 +13,20 @@ import { createRankVisualization } from './visualizations/rankVisualizer.js';
 import { createLikertVisualization } from './visualizations/likertVisualizer.js';
 import rangeSliderVisualizer from './visualizations/rangeSliderVisualizer.js';
 import { createTagsVisualization } from './visualizations/tagsVisualizer.js';
+import { createCrossTabVisualization } from './visualizations/crossTabVisualizer.js';
+import { createStepTimingVisualization, createDropOffFunnelVisualization } from './visualizations/telemetryVisualizer.js';
+import { exportResultsToCsv, exportResultsToLongCsv, exportResultsToXlsx } from './resultsExportService.js';
 import { getVisualizationPreferences, saveVisualizationPreference } from './admin/visualizationSettings.js';
+import { getCodebook, getResponseKey, hasThemes, exportCodebooks, importCodebooks, setCodebookSurvey } from './admin/thematicCoding.js';
+import { matchesQuestionFilters, FILTER_MODES } from './responseFilters.js';
+import { loadSurveyCatalog, SURVEY_STATUS } from '../../js/surveyCatalog.js';
+import { getWindowStatus, getQuotaStatus, countQuotaResponses, getQuotaQuestionIds } from '../../js/surveyAvailability.js';
+import { getLocaleName, storePreferredLocale } from '../../js/localization.js';
+import { getPrivacySettings, isGroupTooSmall, PRIVACY_MODES } from '../../js/surveyPrivacy.js';
+import { t, setMessageLocale, getMessageLocale, translateElements } from '../../js/i18n.js';
+import { hasPermission, getCurrentClaims, PERMISSIONS } from '../../js/authorization.js';
+import { initDashboardAuth } from './dashboardAuth.js';
+import { stripHtml } from './textAnalytics.js';
 
 // Question type constants
 const QUESTION_TYPES = {
@@ -39,8 +52,8 @@ const VISUALIZATION_TYPES = {
     [QUESTION_TYPES.TAGS]: ['wordcloud'],
     [QUESTION_TYPES.MULTI_VALUE_SLIDER]: ['histogram', 'boxplot', 'stackedPositions'],
     [QUESTION_TYPES.RANK_OPTIONS]: ['rankedOrder', 'stackedPositions', 'irv'],
-    [QUESTION_TYPES.SHORT_TEXT]: ['wordcloud'],
-    [QUESTION_TYPES.LONG_TEXT]: ['wordcloud']
+    [QUESTION_TYPES.SHORT_TEXT]: ['wordcloud', 'themes'],
+    [QUESTION_TYPES.LONG_TEXT]: ['wordcloud', 'themes']
 };
 
 // Default visualization types
@@ -57,14 +70,41 @@ const DEFAULT_VISUALIZATION = {
     [QUESTION_TYPES.LONG_TEXT]: 'wordcloud'
 };
 
+// Question types that can segment respondents in the cross-tab panel
+const CROSSTAB_SEGMENT_TYPES = [QUESTION_TYPES.RADIO, QUESTION_TYPES.CHECKBOX, QUESTION_TYPES.TAGS];
+
+// Question types that can be aggregated per segment in the cross-tab panel
+const CROSSTAB_TARGET_TYPES = [
+    QUESTION_TYPES.RADIO,
+    QUESTION_TYPES.CHECKBOX,
+    QUESTION_TYPES.TAGS,
+    QUESTION_TYPES.LIKERT,
+    QUESTION_TYPES.MATRIX_2D,
+    QUESTION_TYPES.MULTI_VALUE_SLIDER,
+    QUESTION_TYPES.RANK_OPTIONS
+];
+
+// Export formats offered in the admin panel
+const EXPORT_FORMATS = {
+    CSV: 'csv',
+    XLSX: 'xlsx',
+    LONG_CSV: 'long-csv'
+};
+
+// Byte order mark so spreadsheet applications read CSV exports as UTF-8
+const UTF8_BOM = '\uFEFF';
+
 // State management
 let questionDefinitions = [];
 let surveyResults = [];
+let draftResults = []; // Surveys that were started but not submitted
 let filterableQuestions = []; // Store questions that can be used as filters
 let currentFilters = {
     dateRange: 'all'
     // Other filters will be added dynamically
 };
+let currentFilterMode = FILTER_MODES.AND; // How filters of different questions are combined
+let privacySettings = getPrivacySettings(null); // Privacy mode and minimum group size of the survey
 
 // Wizard navigation state
 let currentStepIndex = 0;
@@ -75,11 +115,27 @@ let questionsByStep = {};
 const resultsContainer = document.getElementById('results-container');
 const totalResponsesElement = document.getElementById('total-responses');
 const lastResponseDateElement = document.getElementById('last-response-date');
+const draftResponsesElement = document.getElementById('draft-responses');
+const surveyWindowElement = document.getElementById('survey-window');
+const quotaStatusElement = document.getElementById('quota-status');
+const surveyTitleElement = document.getElementById('survey-title');
+const surveySelectElement = document.getElementById('survey-select');
+const languageSelectElement = document.getElementById('language-select');
 const applyFiltersButton = document.getElementById('apply-filters');
 const resetFiltersButton = document.getElementById('reset-filters');
 const adminPanelElement = document.getElementById('admin-panel');
-const industryFilterContainer = document.getElementById('industry-filter-container');
-const orgSizeFilterContainer = document.getElementById('org-size-filter-container');
+const filtersSectionElement = document.querySelector('.results-filters');
+const filterModeElement = document.getElementById('filter-mode');
+const filterMatchCountElement = document.getElementById('filter-match-count');
+const crossTabSectionElement = document.querySelector('.results-crosstab');
+const crossTabSegmentElement = document.getElementById('crosstab-segment');
+const crossTabTargetElement = document.getElementById('crosstab-target');
+const crossTabChartTypeElement = document.getElementById('crosstab-chart-type');
+const crossTabContainer = document.getElementById('crosstab-container');
+const exportCrossTabButton = document.getElementById('export-crosstab');
+const telemetrySectionElement = document.querySelector('.results-telemetry');
+const stepTimingContainer = document.getElementById('step-timing-container');
+const dropOffContainer = document.getElementById('drop-off-container');
 
 // Modal elements
 const responseDetailsModal = document.getElementById('response-details-modal');
@@ -104,6 +160,91 @@ function closeResponseDetailsModal() {
     }
 }
 
+/**
+ * Describe who gave a response, as far as the privacy mode of the survey allows
+ * @param {Object} response - Survey response or draft
+ * @returns {string} - HTML of the company and user, or nothing for surveys that are not identified
+ */
+function getRespondentMetaHtml(response) {
+    if (privacySettings.mode !== PRIVACY_MODES.identified) {
+        return '';
+    }
+
+    const username = response.username || response.email || t('dashboard.responses.anonymous');
+    const bedrijf = response.bedrijf || response.label || t('dashboard.responses.unknown');
+    return `
+        <span><strong>${t('dashboard.responses.company')}</strong> ${bedrijf}</span>
+        <span><strong>${t('dashboard.responses.user')}</strong> ${username}</span>
+    `;
+}
+
+/**
+ * Format an answer of the revision history as plain text
+ * @param {*} value - Answer value, null if there was no answer
+ * @returns {string} - Text of the answer
+ */
+function formatRevisionValue(value) {
+    if (value === null || value === undefined || value === '') {
+        return t('dashboard.revisions.noAnswer');
+    }
+    if (typeof value === 'string') {
+        return stripHtml(value);
+    }
+    if (Array.isArray(value) && value.every(item => typeof item !== 'object')) {
+        return value.join(', ');
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Create the revision history of a response: per revision when it was made
+ * and the old and new answer of each changed question, newest first
+ * @param {Array<Object>} revisions - Revisions of the response, see js/responseRevisions.js
+ * @returns {HTMLElement} - Collapsible revision history
+ */
+function createRevisionHistory(revisions) {
+    const history = document.createElement('details');
+    history.className = 'response-revisions';
+    
+    const summary = document.createElement('summary');
+    summary.textContent = t('dashboard.revisions.heading', { count: revisions.length });
+    history.appendChild(summary);
+    
+    const revisionList = document.createElement('ol');
+    revisionList.reversed = true;
+    [...revisions].reverse().forEach(revision => {
+        const revisionItem = document.createElement('li');
+        
+        const timestamp = document.createElement('strong');
+        timestamp.textContent = new Date(revision.timestamp).toLocaleString(getMessageLocale());
+        revisionItem.appendChild(timestamp);
+        
+        // Answers are typed in by respondents: shown as text, never as HTML
+        const changeList = document.createElement('ul');
+        (revision.changes || []).forEach(change => {
+            const question = questionDefinitions.find(q => q.id === change.questionId);
+            const changeItem = document.createElement('li');
+            changeItem.textContent = t('dashboard.revisions.change', {
+                question: question ? question.title : change.questionId,
+                oldValue: formatRevisionValue(change.oldValue),
+                newValue: formatRevisionValue(change.newValue)
+            });
+            if (change.oldComment !== undefined) {
+                changeItem.textContent += ` ${t('dashboard.revisions.commentChange', {
+                    oldComment: formatRevisionValue(change.oldComment),
+                    newComment: formatRevisionValue(change.newComment)
+                })}`;
+            }
+            changeList.appendChild(changeItem);
+        });
+        revisionItem.appendChild(changeList);
+        revisionList.appendChild(revisionItem);
+    });
+    history.appendChild(revisionList);
+    
+    return history;
+}
+
 /**
  * Populates the response details modal with all survey responses.
  */
@@ -111,6 +252,12 @@ function populateResponseDetailsModal() {
     if (!responseListElement) return;
 
     responseListElement.innerHTML = ''; // Clear previous content
+    
+    // Individual responses are only shown to users allowed to see them
+    if (!hasPermission(PERMISSIONS.viewRawResponses)) {
+        responseListElement.innerHTML = `<li class="not-authorized">${t('dashboard.authorization.rawResponses')}</li>`;
+        return;
+    }
     surveyResults.sort((a, b) => {
         const dateA = new Date(a.completedAt || 0);
         const dateB = new Date(b.completedAt || 0);
@@ -122,24 +269,55 @@ function populateResponseDetailsModal() {
 
         // Extract relevant properties for display
         const responseId = response.id || 'N/A';
-        const username = response.username || response.email || 'Anonymous';
-        const bedrijf = response.bedrijf ||response.label || 'Unknown';
-        const completedAt = response.completedAt ? new Intl.DateTimeFormat('nl-NL', { day: 'numeric', month: 'long' }).format(new Date(response.completedAt)) : 'N/A';
-        const lastModified = response.lastModified ? new Date(response.lastModified).toLocaleString() : 'N/A';
+        const completedAt = response.completedAt ? new Intl.DateTimeFormat(getMessageLocale(), { day: 'numeric', month: 'long' }).format(new Date(response.completedAt)) : t('dashboard.responses.notAvailable');
+        const lastModified = response.lastModified ? new Date(response.lastModified).toLocaleString() : t('dashboard.responses.notAvailable');
 
         let responseDetailsHtml = `
             <div class="response-meta">
-                <span><strong>Bedrijf:</strong> ${bedrijf}</span>
-                <span><strong>User:</strong> ${username}</span>
-                <span><strong>Completed:</strong> ${completedAt}</span>
+                ${getRespondentMetaHtml(response)}
+                <span><strong>${t('dashboard.responses.completed')}</strong> ${completedAt}</span>
             </div>
         `;
         responseDetailsHtml += `            
             </div>
         `;
         listItem.innerHTML = responseDetailsHtml;
+        
+        // Admins can see what the respondent changed when revising the response
+        if (Array.isArray(response.revisions) && response.revisions.length > 0 &&
+            hasPermission(PERMISSIONS.viewResponseHistory)) {
+            listItem.classList.add('revised');
+            listItem.appendChild(createRevisionHistory(response.revisions));
+        }
         responseListElement.appendChild(listItem);
     });
+
+    // Drafts are listed separately, most recently saved first
+    if (draftResults.length === 0) return;
+
+    const draftsHeading = document.createElement('li');
+    draftsHeading.className = 'response-list-heading';
+    draftsHeading.innerHTML = `<h3>${t('dashboard.responses.drafts', { count: draftResults.length })}</h3>`;
+    responseListElement.appendChild(draftsHeading);
+
+    [...draftResults]
+        .sort((a, b) => new Date(b.lastModified || 0) - new Date(a.lastModified || 0))
+        .forEach(draft => {
+            const listItem = document.createElement('li');
+            listItem.className = 'response-item draft';
+
+            const lastSaved = draft.lastModified ? new Date(draft.lastModified).toLocaleString() : t('dashboard.responses.notAvailable');
+            const answered = Object.keys(draft.responses || {}).length;
+
+            listItem.innerHTML = `
+                <div class="response-meta">
+                    ${getRespondentMetaHtml(draft)}
+                    <span><strong>${t('dashboard.responses.lastSaved')}</strong> ${lastSaved}</span>
+                    <span><strong>${t('dashboard.responses.answered')}</strong> ${t('dashboard.responses.questionCount', { count: answered })}</span>
+                </div>
+            `;
+            responseListElement.appendChild(listItem);
+        });
 }
 
 
@@ -148,24 +326,49 @@ function populateResponseDetailsModal() {
  */
 async function initDashboard() {
     try {
+        // Show the static texts of the page in the viewer's language
+        translateElements();
+        
+        // Sign in, or renew the token of the signed in user
+        await initDashboardAuth();
+        
+        // Only users allowed to view results get past this point
+        if (!hasPermission(PERMISSIONS.viewResults)) {
+            showNotAuthorized();
+            return;
+        }
+        
         // Show loading state
-        resultsContainer.innerHTML = '<div class="loading-indicator"><p>Loading survey results...</p></div>';
+        resultsContainer.innerHTML = `<div class="loading-indicator"><p>${t('dashboard.loading')}</p></div>`;
+        
+        // Show which survey the results are for
+        await setupSurveySelector();
         
-        // Fetch question definitions and results
-        [questionDefinitions, surveyResults] = await Promise.all([
+        // Fetch question definitions and results; the results are fetched once and split by status
+        let resultsByStatus;
+        [questionDefinitions, resultsByStatus] = await Promise.all([
             getQuestionDefinitions(),
-            getResults()
+            getResultsByStatus()
         ]);
+        ({ submitted: surveyResults, drafts: draftResults } = resultsByStatus);
+        privacySettings = await getSurveyPrivacyInfo();
+        
+        // Let the viewer choose the language of the labels
+        await setupLanguageSelector();
         
         // Identify questions that can be used as filters
         filterableQuestions = identifyFilterableQuestions(questionDefinitions);
         
         // Update overview statistics
         updateOverviewStats();
+        await updateAvailabilityStatus();
         
         // Setup filters
         setupFilters();
         
+        // Setup cross-tabulation panel
+        setupCrossTab();
+        
         // Render results
         renderResults();
         
@@ -176,13 +379,146 @@ async function initDashboard() {
         checkAndSetupAdmin();
     } catch (error) {
         console.error('Failed to initialize dashboard:', error);
+        if (error.isAuthError) {
+            showNotAuthorized(error.status !== 403);
+            return;
+        }
+        if (error.validationErrors) {
+            resultsContainer.innerHTML = `<div class="error-message">
+                <p>${t('dashboard.errors.invalidDefinition')}</p>
+                <ul class="validation-errors">
+                    ${error.validationErrors.map(e => `<li><code>${e.path}</code>: ${e.message}</li>`).join('')}
+                </ul>
+            </div>`;
+            return;
+        }
         resultsContainer.innerHTML = `<div class="error-message">
-            <p>Failed to load survey results. Please try again later.</p>
-            <p>Error: ${error.message}</p>
+            <p>${t('dashboard.errors.loadFailed')}</p>
+            <p>${t('common.error', { message: error.message })}</p>
         </div>`;
     }
 }
 
+/**
+ * Show that the user may not view the results, instead of the dashboard
+ * @param {boolean} [signInRequired] - Whether the user has to sign in (again); by default when nobody is signed in
+ */
+function showNotAuthorized(signInRequired = !getCurrentClaims()) {
+    const message = signInRequired
+        ? t('dashboard.authorization.signInRequired')
+        : t('dashboard.authorization.notAuthorized');
+    resultsContainer.innerHTML = `<div class="not-authorized"><p>${message}</p></div>`;
+    
+    // Hide everything that shows or opens survey data
+    if (openResultDetailsButton) openResultDetailsButton.style.display = 'none';
+    adminPanelElement.style.display = 'none';
+    const overviewSection = document.querySelector('.results-overview');
+    if (overviewSection) overviewSection.style.display = 'none';
+}
+
+/**
+ * Show the title of the selected survey and let the user switch to another
+ * survey from the survey catalog
+ */
+async function setupSurveySelector() {
+    const [survey, catalog] = await Promise.all([getSelectedSurvey(), loadSurveyCatalog()]);
+    
+    surveyTitleElement.textContent = t('dashboard.title', { survey: survey.title });
+    document.title = t('dashboard.title', { survey: survey.title });
+    
+    // Themes are coded per survey
+    setCodebookSurvey(survey.id, survey.id === catalog.defaultSurveyId);
+    
+    if (!surveySelectElement) return;
+    
+    surveySelectElement.replaceChildren(...catalog.surveys.map(entry => new Option(entry.title, entry.id)));
+    surveySelectElement.value = survey.id;
+    surveySelectElement.addEventListener('change', () => {
+        const url = new URL(window.location.href);
+        url.searchParams.set('survey', surveySelectElement.value);
+        window.location.href = url.href;
+    });
+}
+
+/**
+ * Show the language the labels are shown in and let the viewer switch to
+ * another language of the survey definition
+ */
+async function setupLanguageSelector() {
+    const { locale, locales } = await getSurveyLocaleInfo();
+    if (!locale) return;
+    
+    // The texts of the dashboard follow the language of the labels
+    document.documentElement.lang = locale;
+    setMessageLocale(locale);
+    translateElements();
+    if (!languageSelectElement || locales.length < 2) return;
+    
+    languageSelectElement.innerHTML = locales.map(option => `
+        <option value="${option}">${getLocaleName(option)}</option>
+    `).join('');
+    languageSelectElement.value = locale;
+    languageSelectElement.parentElement.style.display = '';
+    
+    // The choice is shared with the survey app; reload to render all labels again
+    languageSelectElement.addEventListener('change', () => {
+        storePreferredLocale(languageSelectElement.value);
+        window.location.reload();
+    });
+}
+
+/**
+ * Show the open/close window of the survey and how full its quotas are
+ */
+async function updateAvailabilityStatus() {
+    const availability = await getSurveyAvailabilityInfo();
+    const schedule = availability.schedule || {};
+    const formatDate = date => new Date(date).toLocaleDateString(getMessageLocale());
+    
+    if (surveyWindowElement) {
+        const status = getWindowStatus(availability);
+        surveyWindowElement.className = `survey-window ${status}`;
+        if (status === SURVEY_STATUS.upcoming) {
+            surveyWindowElement.textContent = t('dashboard.window.upcoming', { date: formatDate(schedule.opensAt) });
+        } else if (status === SURVEY_STATUS.closed) {
+            surveyWindowElement.textContent = t('dashboard.window.closed', { date: formatDate(schedule.closesAt) });
+        } else {
+            surveyWindowElement.textContent = schedule.closesAt
+                ? t('dashboard.window.openUntil', { date: formatDate(schedule.closesAt) })
+                : t('dashboard.window.open');
+        }
+    }
+    
+    if (!quotaStatusElement) return;
+    
+    const quotaStatus = getQuotaStatus(availability, countQuotaResponses(surveyResults, getQuotaQuestionIds(availability)));
+    const parts = [];
+    const valueCounts = [];
+    let full = false;
+    
+    if (quotaStatus.total) {
+        parts.push(t('dashboard.quota.total', { count: quotaStatus.total.count, max: quotaStatus.total.max }));
+        full = full || quotaStatus.total.full;
+    }
+    quotaStatus.segments.forEach(segment => {
+        const question = questionDefinitions.find(q => q.id === segment.questionId);
+        const limited = segment.values.filter(entry => entry.max !== null);
+        const fullValues = limited.filter(entry => entry.full);
+        parts.push(t('dashboard.quota.segment', {
+            question: question ? question.title : segment.questionId,
+            count: fullValues.length,
+            total: limited.length
+        }));
+        full = full || fullValues.length > 0;
+        limited.forEach(entry => valueCounts.push(`${entry.value}: ${entry.count} / ${entry.max}`));
+    });
+    
+    quotaStatusElement.textContent = parts.length > 0 ? t('dashboard.quota.label', { quotas: parts.join(', ') }) : '';
+    // List the fill status per value of the segment quotas in the tooltip
+    quotaStatusElement.title = valueCounts.join('\n');
+    quotaStatusElement.className = `quota-status${full ? ' full' : ''}`;
+}
+
 /**
  * Update overview statistics
  */
@@ -194,6 +530,9 @@ function updateOverviewStats() {
     });
     // Update response count
     totalResponsesElement.textContent = surveyResults.length;
+    if (draftResponsesElement) {
+        draftResponsesElement.textContent = draftResults.length;
+    }
     
     // Find the most recent response
     if (surveyResults.length > 0) {
@@ -214,7 +553,7 @@ function updateOverviewStats() {
             <div class="stat-value">${value.value}</div>
             ${value.subtext ? `<div class="stat-subtext">${value.subtext}</div>` : ''}
         </div>
-        <button class="view-details-button" onclick="populateResponseDetailsModal(); openResponseDetailsModal();">View Details</button>
+        <button class="view-details-button" onclick="populateResponseDetailsModal(); openResponseDetailsModal();">${t('dashboard.overview.viewDetails')}</button>
     `).join('');
 
 
@@ -231,9 +570,13 @@ function updateOverviewStats() {
 function calculateOverviewStats() {
     
     return {
-        'Total Responses': {
+        [t('dashboard.overview.totalResponses')]: {
             value: surveyResults.length,
-            subtext: 'responses collected'
+            subtext: t('dashboard.overview.responsesCollected')
+        },
+        [t('dashboard.overview.drafts')]: {
+            value: draftResults.length,
+            subtext: t('dashboard.overview.draftsSubtext')
         }
     };
 }
@@ -259,6 +602,11 @@ function identifyFilterableQuestions(questions) {
             QUESTION_TYPES.TAGS
         ];
         
+        // Text questions can be filtered on the themes they were coded with
+        if (question.type === QUESTION_TYPES.SHORT_TEXT || question.type === QUESTION_TYPES.LONG_TEXT) {
+            return hasThemes(question.id);
+        }
+        
         // Check if the question type is suitable for filtering
         if (!goodFilterTypes.includes(question.type)) return false;
         
@@ -280,7 +628,7 @@ function identifyFilterableQuestions(questions) {
  * Setup filter controls
  */
 function setupFilters() {
-    const filtersContainer = document.querySelector('.filters-section');
+    const filtersContainer = filtersSectionElement ? filtersSectionElement.querySelector('.filter-row') : null;
     if (!filtersContainer) return;
     
     // Clear any existing filter containers except date range
@@ -292,7 +640,7 @@ function setupFilters() {
     if (dateRangeSelect && !dateRangeSelect.querySelector('option[value="today"]')) {
         const todayOption = document.createElement('option');
         todayOption.value = 'today';
-        todayOption.textContent = 'Today';
+        todayOption.textContent = t('dashboard.filters.today');
         dateRangeSelect.add(todayOption, 1); // Add as second option, after "All Time"
     }
     
@@ -300,12 +648,13 @@ function setupFilters() {
     currentFilters = {
         dateRange: 'all'
     };
+    currentFilterMode = FILTER_MODES.AND;
     
     // For each filterable question, create a filter UI
     filterableQuestions.forEach(question => {
         // Create filter container
         const filterContainer = document.createElement('div');
-        filterContainer.className = 'filter-container';
+        filterContainer.className = 'filter-item filter-container';
         filterContainer.id = `${question.id}-filter-container`;
         
         // Initialize filter in currentFilters
@@ -342,18 +691,38 @@ function setupFilters() {
                 break;
                 
             case QUESTION_TYPES.MATRIX_2D:
-                // Create a multi-select dropdown for matrix rows
+                // Create a multi-select dropdown with one group per matrix row:
+                // the row itself (any cell selected) followed by its individual cells
                 if (question.matrix && question.matrix.rows && question.matrix.rows.length > 0) {
+                    const columns = question.matrix.columns || [];
                     filterContainer.innerHTML = `
                         <label for="${question.id}-filter">${question.title}</label>
                         <select id="${question.id}-filter" multiple>
                             ${question.matrix.rows.map(row => `
-                                <option value="${row.id}">${row.label}</option>
+                                <optgroup label="${row.label}">
+                                    <option value="${row.id}">${t('dashboard.filters.anyCell', { row: row.label })}</option>
+                                    ${columns.map(col => `
+                                        <option value="${row.id}:${col.id}">${row.label}: ${col.label}</option>
+                                    `).join('')}
+                                </optgroup>
                             `).join('')}
                         </select>
                     `;
                 }
                 break;
+                
+            case QUESTION_TYPES.SHORT_TEXT:
+            case QUESTION_TYPES.LONG_TEXT:
+                // Create a multi-select dropdown with the themes of the codebook
+                filterContainer.innerHTML = `
+                    <label for="${question.id}-filter">${question.title}</label>
+                    <select id="${question.id}-filter" multiple></select>
+                `;
+                // Theme labels are typed in by analysts, so they are set as text
+                filterContainer.querySelector('select').replaceChildren(
+                    ...getCodebook(question.id).themes.map(theme => new Option(theme.label, theme.id))
+                );
+                break;
         }
         
         // Only add the filter if content was generated
@@ -361,6 +730,133 @@ function setupFilters() {
             filtersContainer.appendChild(filterContainer);
         }
     });
+    
+    // Show the filters section now that it has been populated
+    filtersSectionElement.style.display = '';
+}
+
+/**
+ * Show how many responses match the current filters
+ * @param {number} matchCount - Number of responses that match
+ * @param {number} totalCount - Total number of responses
+ */
+function updateFilterMatchCount(matchCount, totalCount) {
+    if (!filterMatchCountElement) return;
+    
+    filterMatchCountElement.textContent = isGroupTooSmall(matchCount, privacySettings)
+        ? t('dashboard.privacy.matchCountTooSmall', { min: privacySettings.minGroupSize, total: totalCount })
+        : t('dashboard.filters.matchCount', { count: matchCount, total: totalCount });
+}
+
+/**
+ * Setup the cross-tabulation panel with segmenting and target questions
+ */
+function setupCrossTab() {
+    if (!crossTabSectionElement) return;
+    
+    const segmentQuestions = questionDefinitions.filter(q => CROSSTAB_SEGMENT_TYPES.includes(q.type));
+    const targetQuestions = questionDefinitions.filter(q => CROSSTAB_TARGET_TYPES.includes(q.type));
+    
+    if (segmentQuestions.length === 0 || targetQuestions.length < 2) {
+        return;
+    }
+    
+    crossTabSegmentElement.replaceChildren(...segmentQuestions.map(question => new Option(question.title, question.id)));
+    crossTabTargetElement.replaceChildren(...targetQuestions.map(question => new Option(question.title, question.id)));
+    
+    // Default to a target question different from the segmenting question
+    const defaultTarget = targetQuestions.find(q => q.id !== segmentQuestions[0].id);
+    crossTabTargetElement.value = defaultTarget.id;
+    
+    [crossTabSegmentElement, crossTabTargetElement, crossTabChartTypeElement].forEach(element => {
+        element.addEventListener('change', renderCrossTab);
+    });
+    exportCrossTabButton.addEventListener('click', exportCrossTab);
+    
+    crossTabSectionElement.style.display = '';
+}
+
+/**
+ * Compute the cross-tab for the selected questions on the filtered results,
+ * without the segments that are too small to show
+ * @returns {Object|null} - Cross-tab, { tooSmall: true } if there are too few
+ * respondents to show any, or null if the selection is incomplete or invalid
+ */
+function getCurrentCrossTab() {
+    const segmentQuestion = questionDefinitions.find(q => q.id === crossTabSegmentElement.value);
+    const targetQuestion = questionDefinitions.find(q => q.id === crossTabTargetElement.value);
+    
+    if (!segmentQuestion || !targetQuestion || segmentQuestion.id === targetQuestion.id) {
+        return null;
+    }
+    
+    const crossTab = crossTabulate(applyFilters(surveyResults), segmentQuestion, targetQuestion);
+    return suppressSmallSegments(crossTab, privacySettings) || { tooSmall: true };
+}
+
+/**
+ * Render the cross-tab panel for the current selection
+ */
+function renderCrossTab() {
+    if (!crossTabContainer || !crossTabSegmentElement.value) return;
+    
+    if (crossTabSegmentElement.value === crossTabTargetElement.value) {
+        crossTabContainer.innerHTML = `<p class="no-data">${t('dashboard.crossTab.selectTwo')}</p>`;
+        return;
+    }
+    
+    try {
+        const crossTab = getCurrentCrossTab();
+        if (crossTab && crossTab.tooSmall) {
+            crossTabContainer.innerHTML = `<p class="no-data">${t('dashboard.privacy.groupTooSmall', { min: privacySettings.minGroupSize })}</p>`;
+            return;
+        }
+        createCrossTabVisualization(crossTabContainer, crossTab, crossTabChartTypeElement.value);
+    } catch (error) {
+        console.error('Error rendering cross-tab:', error);
+        crossTabContainer.innerHTML = `
+            <p class="visualization-error">${t('dashboard.crossTab.error', { message: error.message })}</p>
+        `;
+    }
+}
+
+/**
+ * Export the current cross-tab table as CSV
+ */
+function exportCrossTab() {
+    const crossTab = getCurrentCrossTab();
+    if (!crossTab) {
+        alert(t('dashboard.crossTab.selectTwoToExport'));
+        return;
+    }
+    if (crossTab.tooSmall) {
+        alert(t('dashboard.privacy.groupTooSmall', { min: privacySettings.minGroupSize }));
+        return;
+    }
+    
+    downloadFile(
+        UTF8_BOM + crossTabToCsv(crossTab),
+        `crosstab-${crossTab.targetQuestion.id}-by-${crossTab.segmentQuestion.id}.csv`,
+        'text/csv;charset=utf-8'
+    );
+}
+
+/**
+ * Offer content to the user as a file download
+ * @param {string|Blob} content - File content
+ * @param {string} fileName - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+function downloadFile(content, fileName, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
 }
 
 /**
@@ -377,6 +873,9 @@ function setupEventListeners() {
             dateRange: dateRangeFilter
         };
         
+        // Get the mode for combining question filters
+        currentFilterMode = filterModeElement ? filterModeElement.value : FILTER_MODES.AND;
+        
         // For each filterable question, get its filter value
         filterableQuestions.forEach(question => {
             const filterId = `${question.id}-filter`;
@@ -404,27 +903,25 @@ function setupEventListeners() {
     resetFiltersButton.addEventListener('click', () => {
         // Reset filter controls
         document.getElementById('date-range').value = 'all';
-        
-        const industryFilterElement = document.getElementById('industry-filter');
-        if (industryFilterElement) {
-            Array.from(industryFilterElement.options).forEach(option => {
-                option.selected = false;
-            });
-        }
-        
-        const orgSizeFilterElement = document.getElementById('org-size-filter');
-        if (orgSizeFilterElement) {
-            Array.from(orgSizeFilterElement.options).forEach(option => {
-                option.selected = false;
-            });
+        if (filterModeElement) {
+            filterModeElement.value = FILTER_MODES.AND;
         }
         
         // Reset current filters
         currentFilters = {
-            dateRange: 'all',
-            industry: [],
-            orgSize: []
+            dateRange: 'all'
         };
+        currentFilterMode = FILTER_MODES.AND;
+        
+        filterableQuestions.forEach(question => {
+            const filterElement = document.getElementById(`${question.id}-filter`);
+            if (filterElement) {
+                Array.from(filterElement.options).forEach(option => {
+                    option.selected = false;
+                });
+            }
+            currentFilters[question.id] = [];
+        });
         
         // Re-render results
         renderResults();
@@ -476,9 +973,8 @@ function applyFilters(results) {
             }
         }
         
-   
-        
-        return true;
+        // Question-based filters, combined with AND or OR
+        return matchesQuestionFilters(response, currentFilters, filterableQuestions, currentFilterMode);
     });
 }
 
@@ -491,6 +987,7 @@ function renderResults() {
     
     // Filter results
     const filteredResults = applyFilters(surveyResults);
+    updateFilterMatchCount(filteredResults.length, surveyResults.length);
     
     // Update overview stats with filtered results
     updateOverviewStats();
@@ -501,11 +998,17 @@ function renderResults() {
     // Get an array of step IDs to use for navigation
     stepIds = Object.keys(questionsByStep);
     
+    // Filtering down to a few respondents would single them out
+    if (isGroupTooSmall(filteredResults.length, privacySettings)) {
+        showGroupTooSmall();
+        return;
+    }
+    
     // If no steps or steps is empty, show a message
     if (stepIds.length === 0) {
         resultsContainer.innerHTML = `
             <div class="no-results">
-                <p>No questions found or no responses match the current filters.</p>
+                <p>${t('dashboard.noResults')}</p>
             </div>
         `;
         return;
@@ -527,7 +1030,7 @@ function renderResults() {
         const dot = document.createElement('span');
         dot.className = 'progress-dot';
         dot.setAttribute('data-step', index);
-        dot.title = `Step ${index + 1} ${questionsByStep[stepIds[index]].title}`;
+        dot.title = t('dashboard.wizard.stepTitle', { step: index + 1, title: questionsByStep[stepIds[index]].title });
         
         // Add click event to jump to step
         dot.addEventListener('click', () => navigateToStep(index));
@@ -545,14 +1048,14 @@ function renderResults() {
     const prevButton = document.createElement('button');
     prevButton.id = 'prev-step';
     prevButton.className = 'nav-button prev';
-    prevButton.innerHTML = '<span class="nav-arrow">←</span> Previous Step';
+    prevButton.innerHTML = `<span class="nav-arrow">←</span> ${t('dashboard.wizard.previous')}`;
     prevButton.addEventListener('click', navigateToPrevStep);
     
     // Next button
     const nextButton = document.createElement('button');
     nextButton.id = 'next-step';
     nextButton.className = 'nav-button next';
-    nextButton.innerHTML = 'Next Step <span class="nav-arrow">→</span>';
+    nextButton.innerHTML = `${t('dashboard.wizard.next')} <span class="nav-arrow">→</span>`;
     nextButton.addEventListener('click', navigateToNextStep);
     
     // Step counter
@@ -579,6 +1082,52 @@ function renderResults() {
     // Initialize the first step (or the current step if already set)
     currentStepIndex = Math.min(currentStepIndex, stepIds.length - 1);
     renderCurrentStep(filteredResults);
+    
+    // Keep the cross-tab and response behaviour in sync with the applied filters;
+    // drafts count for timing and drop-off, as they show where respondents stop
+    renderCrossTab();
+    renderTelemetry(applyFilters([...surveyResults, ...draftResults]));
+}
+
+/**
+ * Show that the filtered responses are too few to be shown without singling
+ * out respondents, instead of the results, cross-tab and response behaviour
+ */
+function showGroupTooSmall() {
+    const message = t('dashboard.privacy.groupTooSmall', { min: privacySettings.minGroupSize });
+    
+    resultsContainer.innerHTML = `
+        <div class="no-results">
+            <p>${message}</p>
+        </div>
+    `;
+    if (crossTabContainer) {
+        crossTabContainer.innerHTML = `<p class="no-data">${message}</p>`;
+    }
+    if (telemetrySectionElement) {
+        telemetrySectionElement.style.display = 'none';
+    }
+}
+
+/**
+ * Render the median time per step and the drop-off funnel
+ * @param {Array} filteredResults - Filtered survey results
+ */
+function renderTelemetry(filteredResults) {
+    if (!telemetrySectionElement) return;
+    
+    const steps = Object.values(questionsByStep);
+    telemetrySectionElement.style.display = '';
+    
+    try {
+        createStepTimingVisualization(stepTimingContainer, getStepTimings(filteredResults, steps));
+        createDropOffFunnelVisualization(dropOffContainer, getDropOffFunnel(filteredResults, steps));
+    } catch (error) {
+        console.error('Error rendering response behaviour:', error);
+        stepTimingContainer.innerHTML = `
+            <p class="visualization-error">${t('dashboard.telemetry.error', { message: error.message })}</p>
+        `;
+    }
 }
 
 /**
@@ -648,7 +1197,7 @@ function updateProgressDots() {
  */
 function updateStepCounter() {
     const stepCounter = document.getElementById('step-counter');
-    stepCounter.textContent = `Step ${currentStepIndex + 1} of ${stepIds.length}`;
+    stepCounter.textContent = t('dashboard.wizard.stepCounter', { step: currentStepIndex + 1, total: stepIds.length });
 }
 
 /**
@@ -663,10 +1212,10 @@ function updateNavigationButtons() {
     
     // Update next button text and state
     if (currentStepIndex === stepIds.length - 1) {
-        nextButton.innerHTML = 'Finish <span class="nav-arrow">→</span>';
+        nextButton.innerHTML = `${t('dashboard.wizard.finish')} <span class="nav-arrow">→</span>`;
         nextButton.classList.add('finish');
     } else {
-        nextButton.innerHTML = 'Next Step <span class="nav-arrow">→</span>';
+        nextButton.innerHTML = `${t('dashboard.wizard.next')} <span class="nav-arrow">→</span>`;
         nextButton.classList.remove('finish');
     }
 }
@@ -722,8 +1271,9 @@ function groupQuestionsByStep() {
             // Find step info from the first question's metadata
             const stepInfo = {
                 id: stepId,
-                title: question.stepTitle || `Step ${stepId}`,
+                title: question.stepTitle || t('dashboard.wizard.stepFallback', { step: stepId }),
                 description: question.stepDescription || '',
+                conditions: question.stepConditions,
                 questions: []
             };
             
@@ -769,9 +1319,8 @@ function renderQuestionResult(question, results) {
     visualizationContainer.className = 'visualization-container';
     visualizationContainer.id = `viz-${question.id}`;
     
-    // Add visualization toolbar for admins
-    const isAdmin = checkIfAdmin();
-    if (isAdmin) {
+    // Add visualization toolbar for users allowed to change visualizations
+    if (hasPermission(PERMISSIONS.changeVisualizations)) {
         const toolbar = createVisualizationToolbar(question, preferredType);
         questionResult.appendChild(toolbar);
     }
@@ -817,7 +1366,8 @@ function renderQuestionResult(question, results) {
                     visualizationContainer, 
                     questionResponses, 
                     question, 
-                    preferredType
+                    preferredType,
+                    getTextSummaryOptions(question.id, results)
                 );
                 break;
                 
@@ -878,13 +1428,13 @@ function renderQuestionResult(question, results) {
                 
             default:
                 visualizationContainer.innerHTML = `
-                    <p class="no-visualization">No visualization available for question type: ${question.type}</p>
+                    <p class="no-visualization">${t('dashboard.visualization.unsupported', { type: question.type })}</p>
                 `;
         }
     } catch (error) {
         console.error(`Error rendering visualization for question ${question.id}:`, error);
         visualizationContainer.innerHTML = `
-            <p class="visualization-error">Error rendering visualization: ${error.message}</p>
+            <p class="visualization-error">${t('dashboard.visualization.error', { message: error.message })}</p>
         `;
     }
     
@@ -914,7 +1464,7 @@ function createVisualizationToolbar(question, currentType) {
         selector.className = 'visualization-type-selector';
         
         selector.innerHTML = `
-            <label for="viz-type-${question.id}">Chart Type:</label>
+            <label for="viz-type-${question.id}">${t('dashboard.visualization.chartType')}</label>
             <select id="viz-type-${question.id}">
                 ${availableTypes.map(option => `
                     <option value="${option}" ${option === currentType ? 'selected' : ''}>
@@ -946,7 +1496,8 @@ function createVisualizationToolbar(question, currentType) {
                     break;
                 case QUESTION_TYPES.SHORT_TEXT:
                 case QUESTION_TYPES.LONG_TEXT:
-                    createTextSummary(container, getResponsesForQuestion(question.id), question, newType);
+                    createTextSummary(container, getResponsesForQuestion(question.id), question, newType,
+                        getTextSummaryOptions(question.id, applyFilters(surveyResults)));
                     break;
                 case QUESTION_TYPES.MATRIX_2D:
                     createMatrixVisualization(container, getResponsesForQuestion(question.id), question, getResponderLabels(), newType);
@@ -988,6 +1539,57 @@ function getResponsesForQuestion(questionId) {
 
 
 
+/**
+ * Get the thematic coding options of the summary of a text question
+ * @param {string} questionId - Question ID
+ * @param {Array} results - Survey results the summary is made of
+ * @returns {Object} - Options for createTextSummary: { responseKeys, canViewResponses, canCode, onCodingChange }
+ */
+function getTextSummaryOptions(questionId, results) {
+    // Same results as the responses of the question: those with an answer
+    const responseKeys = results
+        .filter(result => result.responses && result.responses[questionId] && result.responses[questionId].value)
+        .map(getResponseKey);
+    
+    return {
+        responseKeys,
+        canViewResponses: hasPermission(PERMISSIONS.viewRawResponses),
+        canCode: hasPermission(PERMISSIONS.changeVisualizations),
+        onCodingChange: handleCodingChange
+    };
+}
+
+/**
+ * Show the changed thematic coding in the filters and visualizations
+ * @param {Object} change - What changed
+ * @param {boolean} change.themesChanged - Whether themes were added or removed
+ */
+function handleCodingChange({ themesChanged }) {
+    if (themesChanged) {
+        // Rebuild the filters with the new themes, keeping what was selected
+        const previousFilters = currentFilters;
+        const previousMode = currentFilterMode;
+        
+        filterableQuestions = identifyFilterableQuestions(questionDefinitions);
+        setupFilters();
+        
+        currentFilters.dateRange = previousFilters.dateRange;
+        currentFilterMode = previousMode;
+        filterableQuestions.forEach(question => {
+            const filterElement = document.getElementById(`${question.id}-filter`);
+            if (!filterElement) return;
+            
+            const options = Array.from(filterElement.options);
+            options.forEach(option => {
+                option.selected = (previousFilters[question.id] || []).includes(option.value);
+            });
+            currentFilters[question.id] = options.filter(option => option.selected).map(option => option.value);
+        });
+    }
+    
+    renderResults();
+}
+
 /**
  * Get labels for filtered responders
  * @returns {Array} - Array of responders labels 
@@ -1009,7 +1611,7 @@ function getResponderLabels() {
  */
 function formatVisualizationType(type) {
     if (type === 'irv') {
-        return 'Instant-Runoff Voting';
+        return t('dashboard.visualization.irv');
     }
     return type
         .replace(/([A-Z])/g, ' $1') // Add space before capital letters
@@ -1018,11 +1620,14 @@ function formatVisualizationType(type) {
 }
 
 /**
- * Check if the current user is an admin and set up admin panel
+ * Set up the admin panel if the current user may use any of its features
  */
 function checkAndSetupAdmin() {
-    if (checkIfAdmin()) {
-        setupAdminPanel();
+    const canChangeVisualizations = hasPermission(PERMISSIONS.changeVisualizations);
+    const canExport = hasPermission(PERMISSIONS.exportData);
+    
+    if (canChangeVisualizations || canExport) {
+        setupAdminPanel(canChangeVisualizations, canExport);
     } else {
         // Hide admin panel
         adminPanelElement.style.display = 'none';
@@ -1030,30 +1635,80 @@ function checkAndSetupAdmin() {
 }
 
 /**
- * Check if the current user has admin privileges
- * @returns {boolean} - True if the user is an admin
+ * Set up the admin panel with the features the user may use
+ * @param {boolean} canChangeVisualizations - Whether settings and thematic coding may be imported
+ * @param {boolean} canExport - Whether results, settings and thematic coding may be exported
  */
-function checkIfAdmin() {
-    // For now, always return true for demonstration purposes
-    // In a real app, this would check user permissions
-    return true;
-}
-
-/**
- * Set up the admin panel
- */
-function setupAdminPanel() {
+function setupAdminPanel(canChangeVisualizations, canExport) {
     adminPanelElement.innerHTML = `
-        <h3>Admin Controls</h3>
+        <h3>${t('dashboard.admin.heading')}</h3>
+        <div class="admin-actions">
+            ${canExport ? `<button id="export-viz-settings" class="btn accent">${t('dashboard.admin.exportSettings')}</button>` : ''}
+            ${canChangeVisualizations ? `<button id="import-viz-settings" class="btn secondary">${t('dashboard.admin.importSettings')}</button>` : ''}
+        </div>
         <div class="admin-actions">
-            <button id="export-viz-settings" class="btn accent">Export Visualization Settings</button>
-            <button id="import-viz-settings" class="btn secondary">Import Settings</button>
+            ${canExport ? `<button id="export-coding" class="btn accent">${t('dashboard.admin.exportCoding')}</button>` : ''}
+            ${canChangeVisualizations ? `<button id="import-coding" class="btn secondary">${t('dashboard.admin.importCoding')}</button>` : ''}
         </div>
+        ${canExport ? `
+        <div class="admin-actions">
+            <label for="export-results-format">${t('dashboard.admin.exportResults')}</label>
+            <select id="export-results-format">
+                <option value="${EXPORT_FORMATS.CSV}">${t('dashboard.admin.formatCsv')}</option>
+                <option value="${EXPORT_FORMATS.XLSX}">${t('dashboard.admin.formatXlsx')}</option>
+                <option value="${EXPORT_FORMATS.LONG_CSV}">${t('dashboard.admin.formatLongCsv')}</option>
+            </select>
+            <button id="export-results" class="btn primary">${t('dashboard.admin.export')}</button>
+        </div>` : ''}
     `;
+    adminPanelElement.style.display = '';
     
     // Add event listeners
-    document.getElementById('export-viz-settings').addEventListener('click', exportVisualizationSettings);
-    document.getElementById('import-viz-settings').addEventListener('click', importVisualizationSettings);
+    if (canExport) {
+        document.getElementById('export-viz-settings').addEventListener('click', exportVisualizationSettings);
+        document.getElementById('export-coding').addEventListener('click', exportThematicCoding);
+        document.getElementById('export-results').addEventListener('click', () => {
+            exportResults(document.getElementById('export-results-format').value);
+        });
+    }
+    if (canChangeVisualizations) {
+        document.getElementById('import-viz-settings').addEventListener('click', importVisualizationSettings);
+        document.getElementById('import-coding').addEventListener('click', importThematicCoding);
+    }
+}
+
+/**
+ * Export the survey results that match the current filters
+ * @param {string} format - One of EXPORT_FORMATS
+ */
+function exportResults(format) {
+    const filteredResults = applyFilters(surveyResults);
+    if (isGroupTooSmall(filteredResults.length, privacySettings)) {
+        alert(t('dashboard.privacy.groupTooSmall', { min: privacySettings.minGroupSize }));
+        return;
+    }
+    
+    // Identity columns are only exported when the survey identifies respondents
+    const exportOptions = { privacyMode: privacySettings.mode };
+    
+    try {
+        switch (format) {
+            case EXPORT_FORMATS.XLSX:
+                downloadFile(exportResultsToXlsx(filteredResults, questionDefinitions, exportOptions), 'survey-results.xlsx');
+                break;
+            case EXPORT_FORMATS.LONG_CSV:
+                downloadFile(UTF8_BOM + exportResultsToLongCsv(filteredResults, questionDefinitions),
+                    'survey-results-long.csv', 'text/csv;charset=utf-8');
+                break;
+            case EXPORT_FORMATS.CSV:
+            default:
+                downloadFile(UTF8_BOM + exportResultsToCsv(filteredResults, questionDefinitions, exportOptions),
+                    'survey-results.csv', 'text/csv;charset=utf-8');
+        }
+    } catch (error) {
+        console.error('Error exporting results:', error);
+        alert(t('dashboard.admin.exportError', { message: error.message }));
+    }
 }
 
 /**
@@ -1078,17 +1733,9 @@ function exportVisualizationSettings() {
     const settingsJson = JSON.stringify(visualizationSettings, null, 2);
     
     // Create a download link
-    const blob = new Blob([settingsJson], { type: 'application/json' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'visualization-settings.json';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    downloadFile(settingsJson, 'visualization-settings.json', 'application/json');
     
-    alert('Visualization settings exported. You can now copy these settings into your survey definition file.');
+    alert(t('dashboard.admin.settingsExported'));
 }
 
 /**
@@ -1118,11 +1765,51 @@ function importVisualizationSettings() {
                 // Re-render results
                 renderResults();
                 
-                alert('Visualization settings imported successfully.');
+                alert(t('dashboard.admin.settingsImported'));
             } catch (error) {
                 console.error('Error importing settings:', error);
-                alert('Error importing settings: ' + error.message);
+                alert(t('dashboard.admin.importError', { message: error.message }));
+            }
+        };
+        
+        reader.readAsText(file);
+    });
+    
+    input.click();
+}
+
+/**
+ * Export the codebooks and coded responses of the text questions
+ */
+function exportThematicCoding() {
+    downloadFile(exportCodebooks(), 'thematic-coding.json', 'application/json');
+    
+    alert(t('dashboard.admin.codingExported'));
+}
+
+/**
+ * Import codebooks and coded responses exported before
+ */
+function importThematicCoding() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+    
+    input.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            if (!importCodebooks(event.target.result)) {
+                alert(t('dashboard.admin.codingImportError'));
+                return;
             }
+            
+            // Show the imported themes in the filters and visualizations
+            handleCodingChange({ themesChanged: true });
+            
+            alert(t('dashboard.admin.codingImported'));
         };
         
         reader.readAsText(file);
@@ -6,16 +6,71 @@
  * retrieving both the survey definition and results data.
  */
 
-import { getData, getSurveySummary } from '../../js/dataService.js';
+import { getData, getSurveySummary, getDeltaFileEntries } from '../../js/dataService.js';
+import { assertValidSurveyDefinition } from '../../js/surveyValidator.js';
+import { areConditionsMet } from '../../js/conditionEvaluator.js';
+import { getSurvey, getDefinitionUrl, loadSurveyCatalog } from '../../js/surveyCatalog.js';
+import { getDefaultLocale, getDefinitionLocales, getPreferredLocale, localizeDefinition } from '../../js/localization.js';
+import { t } from '../../js/i18n.js';
+import { getPrivacySettings, applyPrivacy, isGroupTooSmall } from '../../js/surveyPrivacy.js';
+import { migrateRadarResponses } from '../../js/radarAnswers.js';
+import { matchesQuestionFilter } from './responseFilters.js';
+import { toCsv } from './resultsExportService.js';
+import { extractTerms, stripHtml } from './textAnalytics.js';
 
 // Cache for survey definition and results
 let surveyDefinitionCache = null;
 let surveyResultsCache = null;
+let surveyVersionCache = null; // Current version and migrations of the survey definition
+let surveyAvailabilityCache = null; // Open/close window and quotas of the survey definition
+let surveyLocaleCache = null; // Locale the survey definition is shown in and the locales available
+let selectedSurveyCache = null; // Catalog entry of the survey shown in the dashboard
+let surveyPrivacyCache = null; // Privacy mode and minimum group size of the survey definition
+
+// Query parameter selecting the survey, e.g. results/index.html?survey=conclusion-cloud-survey
+const SURVEY_QUERY_PARAMETER = 'survey';
+
+// Version assumed for survey definitions and responses without a version
+const DEFAULT_SURVEY_VERSION = 1;
+
+// Types of changes between survey versions
+const MIGRATION_CHANGE_TYPES = {
+    RENAME_OPTION_VALUE: 'renameOptionValue',
+    RENAME_QUESTION: 'renameQuestion',
+    REMOVE_QUESTION: 'removeQuestion',
+    MERGE_QUESTIONS: 'mergeQuestions',
+    SPLIT_QUESTION: 'splitQuestion'
+};
+
+// Measure of a cross-tab by target question type: the average position of
+// slider options and the mean rank of rank options; other types are counted
+const CROSSTAB_MEASURES = {
+    multiValueSlider: 'average',
+    rankOptions: 'rank'
+};
 
-// 'https://lucasjellema.github.io/conclusion-survey-webapp/results/index.html'
-const surveyDefinitionFile = window.location.href.replace(/\/results\/index\.html$/, '') + '/js/data/conclusionCloudSurvey.json';
-//const surveyDefinitionFile =  window.location.href '/js/data/conclusionCloudSurvey.json';
 const sampleSurveyResultsFile = '../../js/data/sampleSurveyResponse.json';
+
+/**
+ * Get the survey shown in the dashboard: the survey in the query parameter,
+ * or the default survey of the survey catalog
+ * @returns {Promise<Object>} Catalog entry of the survey
+ */
+export async function getSelectedSurvey() {
+    if (selectedSurveyCache) {
+        return selectedSurveyCache;
+    }
+
+    const surveyId = new URLSearchParams(window.location.search).get(SURVEY_QUERY_PARAMETER);
+    const survey = await getSurvey(surveyId);
+    if (!survey) {
+        throw new Error(`Survey ${surveyId} not found in the survey catalog`);
+    }
+
+    selectedSurveyCache = survey;
+    return survey;
+}
+
 /**
  * Get survey definition with questions and steps
  * @returns {Promise<Array>} Array of question definitions
@@ -25,18 +80,44 @@ export async function getQuestionDefinitions() {
         return surveyDefinitionCache;
     }
 
+    const survey = await getSelectedSurvey();
+
     try {
-        // Load survey definition from file/API
-        // For demo purposes, we're loading from a static file path
-        // In production, this would come from an API endpoint
-        const response = await fetch(surveyDefinitionFile);
-        const surveyData = await response.json();
+        // Load the survey definition listed in the survey catalog
+        const response = await fetch(getDefinitionUrl(survey));
+        const sourceDefinition = await response.json();
 
-        if (!surveyData || !surveyData.steps) {
+        if (!sourceDefinition || !sourceDefinition.steps) {
             console.error('Invalid survey definition format');
             return [];
         }
 
+        // Show labels in the viewer's language, whatever language the respondents answered in
+        const defaultLocale = getDefaultLocale(sourceDefinition);
+        const locales = getDefinitionLocales(sourceDefinition);
+        surveyLocaleCache = { locale: getPreferredLocale(locales, defaultLocale), locales };
+        const surveyData = localizeDefinition(sourceDefinition, surveyLocaleCache.locale);
+
+        // Report definition errors instead of rendering broken visualizations
+        await assertValidSurveyDefinition(localizeDefinition(sourceDefinition, defaultLocale));
+
+        // Keep version information for translating responses from older versions, and the
+        // definition in all its locales for radar answers saved as labels
+        surveyVersionCache = {
+            version: surveyData.version || DEFAULT_SURVEY_VERSION,
+            migrations: Array.isArray(surveyData.migrations) ? surveyData.migrations : [],
+            sourceDefinition
+        };
+
+        // Keep the window and quotas for the status in the dashboard header
+        surveyAvailabilityCache = {
+            schedule: surveyData.schedule || null,
+            quotas: surveyData.quotas || null
+        };
+
+        // Keep the privacy mode to hide who responded
+        surveyPrivacyCache = getPrivacySettings(surveyData);
+
         // Extract all questions from all steps and add step information to each question
         const questions = [];
 
@@ -48,7 +129,8 @@ export async function getQuestionDefinitions() {
                         ...question,
                         stepId: step.id,
                         stepTitle: step.title,
-                        stepDescription: step.description
+                        stepDescription: step.description,
+                        stepConditions: step.conditions
                     });
                 });
             }
@@ -59,16 +141,61 @@ export async function getQuestionDefinitions() {
         return questions;
     } catch (error) {
         console.error('Error loading survey definition:', error);
+        if (error.validationErrors) {
+            throw error;
+        }
         return [];
     }
 }
 
 /**
- * Get survey results
+ * Check whether a result is a draft saved while the respondent was still answering
+ * @param {Object} result - Survey result
+ * @returns {boolean} True for drafts
+ */
+export function isDraftResult(result) {
+    return result.status === 'draft';
+}
+
+/**
+ * Get completed survey results
  * @param {boolean} [forceRefresh=false] Force refresh from source
- * @returns {Promise<Array>} Array of survey responses
+ * @returns {Promise<Array>} Array of submitted survey responses
  */
 export async function getResults(forceRefresh = false) {
+    const results = await getAllResults(forceRefresh) || [];
+    return results.filter(result => !isDraftResult(result));
+}
+
+/**
+ * Get draft survey results: surveys that were started but not submitted
+ * @param {boolean} [forceRefresh=false] Force refresh from source
+ * @returns {Promise<Array>} Array of draft survey responses
+ */
+export async function getDraftResults(forceRefresh = false) {
+    const results = await getAllResults(forceRefresh) || [];
+    return results.filter(isDraftResult);
+}
+
+/**
+ * Get the submitted and the draft survey results with a single fetch
+ * @param {boolean} [forceRefresh=false] Force refresh from source
+ * @returns {Promise<Object>} Object with submitted (array) and drafts (array)
+ */
+export async function getResultsByStatus(forceRefresh = false) {
+    const results = await getAllResults(forceRefresh) || [];
+    return {
+        submitted: results.filter(result => !isDraftResult(result)),
+        drafts: results.filter(isDraftResult)
+    };
+}
+
+/**
+ * Get all survey results, completed and drafts
+ * @param {boolean} [forceRefresh=false] Force refresh from source
+ * @returns {Promise<Array>} Array of survey responses
+ */
+async function getAllResults(forceRefresh = false) {
     if (surveyResultsCache && !forceRefresh) {
         return surveyResultsCache;
     }
@@ -80,7 +207,8 @@ export async function getResults(forceRefresh = false) {
 
         // Try to get data from the actual API first
         try {
-            let apiData = await getSurveySummary(forceRefresh);
+            const survey = await getSelectedSurvey();
+            let apiData = await getSurveySummary(forceRefresh, survey.resultsEndpoint);
             if (apiData) {
                 if (Array.isArray(apiData)) {
                     // If already an array, just return it
@@ -93,6 +221,9 @@ export async function getResults(forceRefresh = false) {
                     console.error('Unexpected format for responses:', apiData);
                     return [];
                 }
+                // The summary holds the delta files of all users, with the data of every survey
+                apiData = await getSurveyResultsFromDeltaFiles(apiData, survey.id);
+
                 // for all objects in apiData that contain a property bedrijf but not a property label, derive label from bedrijf
                 apiData.forEach(item => {
                     if (item.bedrijf && !item.label) {
@@ -100,10 +231,14 @@ export async function getResults(forceRefresh = false) {
                     }
                 });
 
-                surveyResultsCache = apiData;
+                surveyResultsCache = applyPrivacy(await migrateResults(apiData), await getSurveyPrivacyInfo());
                 return surveyResultsCache;
             }
         } catch (apiError) {
+            // The user has to sign in (again); sample data would hide that
+            if (apiError.isAuthError) {
+                throw apiError;
+            }
             console.log('API data not available, falling back to sample data:', apiError);
 
 
@@ -126,18 +261,290 @@ export async function getResults(forceRefresh = false) {
                 console.error('Unexpected format for responses:', data);
                 return [];
             }
+            data = await getSurveyResultsFromDeltaFiles(data, (await getSelectedSurvey()).id);
 
 
             // Cache results
-            surveyResultsCache = data;
-            return data
+            surveyResultsCache = applyPrivacy(await migrateResults(data), await getSurveyPrivacyInfo());
+            return surveyResultsCache;
         }
     } catch (error) {
+        if (error.isAuthError) {
+            throw error;
+        }
         console.error('Error loading survey results:', error);
         return [];
     }
 }
 
+/**
+ * Get the results of one survey from the delta files of all users
+ * @param {Array<Object>} deltaFiles - Delta files, see getDeltaFileEntries in dataService.js
+ * @param {string} surveyId - ID of the survey
+ * @returns {Promise<Array<Object>>} The results of the survey
+ */
+async function getSurveyResultsFromDeltaFiles(deltaFiles, surveyId) {
+    // Results saved before the survey catalog existed have no surveyId; they belong to the default survey
+    const catalog = await loadSurveyCatalog();
+    const isDefaultSurvey = surveyId === catalog.defaultSurveyId;
+
+    return deltaFiles
+        .flatMap(getDeltaFileEntries)
+        .filter(result => result.surveyId ? result.surveyId === surveyId : isDefaultSurvey);
+}
+
+/**
+ * Get the current version of the survey definition and its migrations
+ * @returns {Promise<Object>} Object with version and migrations
+ */
+export async function getSurveyVersionInfo() {
+    if (!surveyVersionCache) {
+        await getQuestionDefinitions();
+    }
+    return surveyVersionCache || { version: DEFAULT_SURVEY_VERSION, migrations: [] };
+}
+
+/**
+ * Get the open/close window and the quotas of the survey definition
+ * @returns {Promise<Object>} Object with schedule and quotas, both null if not set
+ */
+export async function getSurveyAvailabilityInfo() {
+    if (!surveyAvailabilityCache) {
+        await getQuestionDefinitions();
+    }
+    return surveyAvailabilityCache || { schedule: null, quotas: null };
+}
+
+/**
+ * Get the locale the survey definition is shown in
+ * @returns {Promise<Object>} Object with the locale and the locales the definition is available in
+ */
+export async function getSurveyLocaleInfo() {
+    if (!surveyLocaleCache) {
+        await getQuestionDefinitions();
+    }
+    return surveyLocaleCache || { locale: null, locales: [] };
+}
+
+/**
+ * Get the privacy mode of the survey definition
+ * @returns {Promise<Object>} Privacy settings: mode and minGroupSize, see surveyPrivacy.js
+ */
+export async function getSurveyPrivacyInfo() {
+    if (!surveyPrivacyCache) {
+        await getQuestionDefinitions();
+    }
+    return surveyPrivacyCache || getPrivacySettings(null);
+}
+
+/**
+ * Translate survey results from older survey versions into the current definition
+ * @param {Array} results - Survey results
+ * @returns {Promise<Array>} Survey results in terms of the current definition
+ */
+export async function migrateResults(results) {
+    const versionInfo = await getSurveyVersionInfo();
+    return results.map(result => {
+        const migrated = migrateResult(result, versionInfo);
+        // Radar answers saved before store labels instead of indexes, see radarAnswers.js
+        const responses = migrateRadarResponses(migrated.responses, versionInfo.sourceDefinition);
+        return responses === migrated.responses ? migrated : { ...migrated, responses };
+    });
+}
+
+/**
+ * Translate a single survey result to the current survey version by applying
+ * the migrations from its version onwards, one version at a time
+ * @param {Object} result - Survey result
+ * @param {Object} versionInfo - Current version and migrations
+ * @returns {Object} Migrated survey result (the original is not modified)
+ */
+export function migrateResult(result, versionInfo) {
+    const originalVersion = result.surveyVersion || DEFAULT_SURVEY_VERSION;
+    if (!result.responses || originalVersion >= versionInfo.version) {
+        return result;
+    }
+
+    const responses = { ...result.responses };
+    let version = originalVersion;
+
+    while (version < versionInfo.version) {
+        const migration = versionInfo.migrations.find(m => m.fromVersion === version);
+        if (!migration || migration.toVersion <= version) {
+            console.warn(`No migration from survey version ${version}; response is used as is`);
+            break;
+        }
+        (migration.changes || []).forEach(change => applyMigrationChange(responses, change));
+        version = migration.toVersion;
+    }
+
+    return {
+        ...result,
+        responses,
+        surveyVersion: version,
+        originalSurveyVersion: originalVersion
+    };
+}
+
+/**
+ * Apply one migration change to a responses map (modified in place)
+ * @param {Object} responses - Question IDs mapped to answer objects
+ * @param {Object} change - Migration change
+ */
+function applyMigrationChange(responses, change) {
+    switch (change.type) {
+        case MIGRATION_CHANGE_TYPES.RENAME_OPTION_VALUE: {
+            const answer = responses[change.questionId];
+            if (answer) {
+                responses[change.questionId] = { ...answer, value: renameOptionValue(answer.value, change.from, change.to) };
+            }
+            break;
+        }
+        case MIGRATION_CHANGE_TYPES.RENAME_QUESTION:
+            if (responses[change.from]) {
+                responses[change.to] = responses[change.from];
+                delete responses[change.from];
+            }
+            break;
+        case MIGRATION_CHANGE_TYPES.REMOVE_QUESTION:
+            delete responses[change.questionId];
+            break;
+        case MIGRATION_CHANGE_TYPES.MERGE_QUESTIONS:
+            mergeQuestionAnswers(responses, change.from, change.to);
+            break;
+        case MIGRATION_CHANGE_TYPES.SPLIT_QUESTION:
+            splitQuestionAnswer(responses, change.from, change.to);
+            break;
+        default:
+            console.error('Unknown migration change type:', change.type);
+    }
+}
+
+/**
+ * Rename an option value wherever it occurs in an answer value: as the value
+ * itself (radio), in arrays (checkbox, tags, rank items, "row:col" matrix
+ * cells) and as object key (likert items, slider and radar positions)
+ * @param {*} value - Answer value
+ * @param {string} from - Old option value
+ * @param {string} to - New option value
+ * @returns {*} Answer value with the option renamed
+ */
+function renameOptionValue(value, from, to) {
+    if (typeof value === 'string') {
+        if (value === from) {
+            return to;
+        }
+        // Matrix cells are stored as "rowId:colId"
+        if (value.includes(':')) {
+            return value.split(':').map(part => (part === from ? to : part)).join(':');
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map(item => {
+            if (item && typeof item === 'object' && item.id === from) {
+                return { ...item, id: to }; // Ranked item
+            }
+            return renameOptionValue(item, from, to);
+        });
+    }
+    if (value && typeof value === 'object' && !value.isOther) {
+        const renamed = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            // Multi-value slider answers nest the positions in a value property
+            const newEntry = key === 'value' && entry && typeof entry === 'object'
+                ? renameOptionValue(entry, from, to)
+                : entry;
+            renamed[key === from ? to : key] = newEntry;
+        });
+        return renamed;
+    }
+    return value;
+}
+
+/**
+ * Merge the answers of several old questions into one new question.
+ * Arrays are combined, objects are merged, otherwise the first answer wins.
+ * @param {Object} responses - Responses map (modified in place)
+ * @param {Array<string>} fromIds - Old question IDs
+ * @param {string} toId - New question ID
+ */
+function mergeQuestionAnswers(responses, fromIds, toId) {
+    const answers = fromIds.map(id => responses[id]).filter(Boolean);
+    fromIds.forEach(id => delete responses[id]);
+
+    if (answers.length === 0) {
+        return;
+    }
+
+    const values = answers.map(answer => answer.value).filter(value => value !== null && value !== undefined);
+    let mergedValue = values[0];
+    if (values.length > 0 && values.every(Array.isArray)) {
+        mergedValue = values.reduce((merged, value) => merged.concat(value.filter(item => !merged.includes(item))), []);
+    } else if (values.length > 0 && values.every(value => typeof value === 'object' && !Array.isArray(value))) {
+        mergedValue = Object.assign({}, ...values);
+    }
+
+    const comments = answers.map(answer => answer.comment).filter(Boolean);
+    responses[toId] = {
+        ...answers[0],
+        value: mergedValue,
+        ...(comments.length > 0 ? { comment: comments.join('\n') } : {})
+    };
+}
+
+/**
+ * Split the answer of an old question over several new questions. Each target
+ * lists the option values it takes over; without a list it gets the full answer.
+ * @param {Object} responses - Responses map (modified in place)
+ * @param {string} fromId - Old question ID
+ * @param {Array<Object>} targets - Targets with questionId and optional values
+ */
+function splitQuestionAnswer(responses, fromId, targets) {
+    const answer = responses[fromId];
+    delete responses[fromId];
+
+    if (!answer) {
+        return;
+    }
+
+    targets.forEach(target => {
+        const part = target.values ? pickOptionValues(answer.value, target.values) : answer.value;
+        if (part !== null && part !== undefined) {
+            responses[target.questionId] = { ...answer, value: part };
+        }
+    });
+}
+
+/**
+ * Pick the part of an answer value that concerns a set of option values
+ * @param {*} value - Answer value
+ * @param {Array<string>} optionValues - Option values to keep
+ * @returns {*} The picked part, or null if nothing remains
+ */
+function pickOptionValues(value, optionValues) {
+    if (Array.isArray(value)) {
+        const picked = value.filter(item => {
+            if (item && typeof item === 'object') {
+                return optionValues.includes(item.id);
+            }
+            // Matrix cells ("rowId:colId") are picked by row
+            return optionValues.includes(item) || optionValues.includes(String(item).split(':')[0]);
+        });
+        return picked.length > 0 ? picked : null;
+    }
+    if (value && typeof value === 'object') {
+        const picked = {};
+        Object.entries(value).forEach(([key, entry]) => {
+            if (optionValues.includes(key)) {
+                picked[key] = entry;
+            }
+        });
+        return Object.keys(picked).length > 0 ? picked : null;
+    }
+    return optionValues.includes(value) ? value : null;
+}
+
 /**
  * Get aggregated data for a radio question
  * @param {Array} responses - Question responses
@@ -293,50 +700,66 @@ export function aggregateCheckboxResponses(responses, question, responseLabels =
 
 /**
  * Get aggregated data for a text question
- * @param {Array} responses - Question responses
+ * @param {Array} responses - Question responses, plain text or HTML from the rich text editor
  * @returns {Object} Aggregated data ready for visualization
  */
 export function aggregateTextResponses(responses) {
     // Filter out empty responses
     const validResponses = responses.filter(response =>
-        response && typeof response === 'string' && response.trim() !== '');
+        response && typeof response === 'string' && stripHtml(response) !== '');
 
     // Calculate statistics
     const totalResponses = validResponses.length;
     const averageLength = totalResponses > 0
-        ? Math.round(validResponses.reduce((sum, text) => sum + text.length, 0) / totalResponses)
+        ? Math.round(validResponses.reduce((sum, text) => sum + stripHtml(text).length, 0) / totalResponses)
         : 0;
 
-    // Word frequency analysis
-    const wordCounts = {};
-    const commonWords = new Set(['a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'about', 'as', 'of', 'is', 'are', 'was', 'were',
-        'de', 'het', 'een', 'een', 'die', 'dat', 'dit', 'zijn', 'zich', 'niet', 'ook', 'als', 'meer', 'dan', 'over', 'uit', 'bij', 'tot', 'voor', 'wij', 'maar', 'van', 'wat', 'hoe', 'waar', 'wie', 'waarom', 'wanneer', 'welke', 'hoeveel', 'alleen', 'alleen maar', 'nog steeds', 'nog altijd', 'onze'
-    ]);
-
-    validResponses.forEach(text => {
-        // Tokenize and count words (simple implementation)
-        const words = text.toLowerCase()
-            .replace(/[^\w\s]/g, '') // Remove punctuation
-            .split(/\s+/);        // Split on whitespace
-
-        words.forEach(word => {
-            if (word && word.length > 2 && !commonWords.has(word)) {
-                wordCounts[word] = (wordCounts[word] || 0) + 1;
+    // Most frequent words and phrases, without stop words
+    const topWords = extractTerms(validResponses)
+        .map(term => ({ text: term.text, weight: term.weight, words: term.words }));
+
+    return {
+        totalResponses,
+        averageLength,
+        topWords,
+        responses: validResponses
+    };
+}
+
+/**
+ * Get aggregated data for the coded themes of a text question
+ * @param {Array<string>} responseKeys - Keys of the responses to the question
+ * @param {Object} codebook - Codebook of the question: { themes, assignments }
+ * @returns {Object} Aggregated data ready for visualization
+ */
+export function aggregateThemeResponses(responseKeys, codebook) {
+    const labels = codebook.themes.map(theme => theme.label);
+    const data = codebook.themes.map(() => 0);
+    let codedResponses = 0;
+
+    // A response can be coded with several themes
+    responseKeys.forEach(key => {
+        const codes = codebook.assignments[key] || [];
+        if (codes.length > 0) {
+            codedResponses++;
+        }
+        codebook.themes.forEach((theme, index) => {
+            if (codes.includes(theme.id)) {
+                data[index]++;
             }
         });
     });
 
-    // Get top words
-    const topWords = Object.entries(wordCounts)
-        .sort((a, b) => b[1] - a[1])
-        .slice(0, 20)
-        .map(([word, count]) => ({ text: word, weight: count }));
+    const totalResponses = responseKeys.length;
+    const percentages = data.map(count =>
+        totalResponses > 0 ? Math.round((count / totalResponses) * 100) : 0);
 
     return {
+        labels,
+        data,
+        percentages,
         totalResponses,
-        averageLength,
-        topWords,
-        responses: validResponses
+        codedResponses
     };
 }
 
@@ -596,6 +1019,347 @@ export function aggregateSliderResponses(responses, question) {
     };
 }
 
+/**
+ * Get the segments (categories) of a segmenting question
+ * @param {Object} question - Segmenting question definition (radio, checkbox or tags)
+ * @param {Array} results - Survey results, used to pick up custom tags
+ * @returns {Array<Object>} Segments with value and label
+ */
+export function getSegmentsForQuestion(question, results = []) {
+    switch (question.type) {
+        case 'radio':
+        case 'checkbox':
+            return (question.options || []).map(option => ({ value: option.value, label: option.label }));
+        case 'tags': {
+            // Predefined tags first, then custom tags added by respondents
+            const tags = (question.tagOptions?.tags || []).map(tag => tag.toLowerCase());
+            results.forEach(result => {
+                const value = result.responses?.[question.id]?.value;
+                if (Array.isArray(value)) {
+                    value.forEach(tag => {
+                        if (typeof tag === 'string' && !tags.includes(tag.toLowerCase())) {
+                            tags.push(tag.toLowerCase());
+                        }
+                    });
+                }
+            });
+            return tags.map(tag => ({ value: tag, label: tag }));
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Aggregate the responses to a question into table rows.
+ * Each row holds a count, an average for multi-value sliders, or the mean
+ * rank of an option for rank questions (1 is ranked first).
+ * @param {Array} responses - Question responses (values)
+ * @param {Object} question - Question definition
+ * @returns {Array<Object>} Rows with label and count or average
+ */
+function aggregateQuestionRows(responses, question) {
+    switch (question.type) {
+        case 'radio': {
+            const aggregated = aggregateRadioResponses(responses, question);
+            return aggregated.labels.map((label, index) => ({ label, count: aggregated.data[index] }));
+        }
+        case 'checkbox': {
+            const aggregated = aggregateCheckboxResponses(responses, question);
+            return aggregated.labels.map((label, index) => ({ label, count: aggregated.data[index] }));
+        }
+        case 'tags': {
+            const counts = {};
+            responses.forEach(response => {
+                if (Array.isArray(response)) {
+                    response.forEach(tag => {
+                        const normalizedTag = String(tag).toLowerCase();
+                        counts[normalizedTag] = (counts[normalizedTag] || 0) + 1;
+                    });
+                }
+            });
+            return Object.entries(counts).map(([label, count]) => ({ label, count }));
+        }
+        case 'likert': {
+            const aggregated = aggregateLikertResponses(responses, question);
+            const rows = [];
+            aggregated.options.forEach(option => {
+                aggregated.likertScaleValues.forEach(scaleValue => {
+                    const scaleLabel = aggregated.likertScaleLabels[scaleValue] || scaleValue;
+                    rows.push({
+                        label: `${option.label}: ${scaleLabel}`,
+                        count: aggregated.counts[option.value][scaleValue]
+                    });
+                });
+            });
+            return rows;
+        }
+        case 'matrix2d': {
+            const aggregated = aggregateMatrixResponses(responses, question);
+            const rows = [];
+            aggregated.rows.forEach(row => {
+                aggregated.columns.forEach(col => {
+                    rows.push({
+                        label: `${row.label}: ${col.label}`,
+                        count: aggregated.counts[row.id][col.id]
+                    });
+                });
+            });
+            return rows;
+        }
+        case 'multiValueSlider': {
+            const aggregated = aggregateSliderResponses(responses, question);
+            const sliderOptions = question.multiValueSlider?.options || [];
+            return aggregated.options.map(optionId => {
+                const option = sliderOptions.find(opt => opt.id === optionId);
+                return {
+                    label: option ? option.label : optionId,
+                    average: aggregated.statistics[optionId].average,
+                    count: aggregated.statistics[optionId].count
+                };
+            });
+        }
+        case 'rankOptions': {
+            // Rankings are stored as [{ id, rank }] or, in older responses, as option values in order
+            const ranks = {};
+            responses.forEach(response => {
+                if (Array.isArray(response)) {
+                    response.forEach((item, index) => {
+                        const id = typeof item === 'object' ? item.id : item;
+                        const rank = typeof item === 'object' && Number.isFinite(item.rank) ? item.rank : index + 1;
+                        (ranks[id] = ranks[id] || []).push(rank);
+                    });
+                }
+            });
+            return (question.rankOptions?.options || []).map(option => {
+                const optionRanks = ranks[option.value] || [];
+                const sum = optionRanks.reduce((total, rank) => total + rank, 0);
+                return {
+                    label: option.label || option.value,
+                    average: optionRanks.length > 0 ? Math.round((sum / optionRanks.length) * 10) / 10 : null,
+                    count: optionRanks.length
+                };
+            });
+        }
+        default:
+            return [];
+    }
+}
+
+/**
+ * Cross-tabulate a question against the segments of a segmenting question.
+ * The target question is aggregated separately for the respondents in each
+ * segment. A respondent can belong to several segments when the segmenting
+ * question is a checkbox or tags question. Column percentages are relative to
+ * the number of respondents in the segment that answered the target question.
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Object} segmentQuestion - Segmenting question definition
+ * @param {Object} targetQuestion - Question to aggregate per segment
+ * @returns {Object} Cross-tab with segments (including a total column), rows and
+ * the measure of the cells ('count', 'average' or 'rank')
+ */
+export function crossTabulate(results, segmentQuestion, targetQuestion) {
+    const getValues = subset => subset
+        .map(result => result.responses?.[targetQuestion.id]?.value)
+        .filter(Boolean);
+
+    const segments = getSegmentsForQuestion(segmentQuestion, results).map(segment => ({
+        ...segment,
+        results: results.filter(result => matchesQuestionFilter(
+            segmentQuestion,
+            result.responses?.[segmentQuestion.id]?.value,
+            [segment.value]
+        ))
+    }));
+
+    // Add a total column covering all results
+    segments.push({ value: null, label: t('dashboard.crossTab.total'), results });
+
+    const measure = CROSSTAB_MEASURES[targetQuestion.type] || 'count';
+    const rowLabels = [];
+    const segmentRows = segments.map(segment => {
+        const values = getValues(segment.results);
+        segment.respondents = values.length;
+        const rows = aggregateQuestionRows(values, targetQuestion);
+        rows.forEach(row => {
+            if (!rowLabels.includes(row.label)) {
+                rowLabels.push(row.label);
+            }
+        });
+        return rows;
+    });
+
+    const rows = rowLabels.map(label => ({
+        label,
+        cells: segments.map((segment, index) => {
+            const row = segmentRows[index].find(r => r.label === label);
+            const count = row ? row.count : 0;
+            if (measure !== 'count') {
+                return { average: row ? row.average : null, count };
+            }
+            return {
+                count,
+                percentage: segment.respondents > 0 ? Math.round((count / segment.respondents) * 100) : 0
+            };
+        })
+    }));
+
+    return {
+        segmentQuestion,
+        targetQuestion,
+        measure,
+        segments: segments.map(({ value, label, respondents }) => ({ value, label, respondents })),
+        rows
+    };
+}
+
+/**
+ * Leave out the segments of a cross-tab with too few respondents to be shown
+ * without singling them out
+ * @param {Object} crossTab - Cross-tab as returned by crossTabulate
+ * @param {Object} privacySettings - Privacy settings of the survey, see getSurveyPrivacyInfo
+ * @returns {Object|null} Cross-tab with the remaining segments, the labels left
+ * out (hiddenSegments) and minGroupSize, or null if the total is too small as well
+ */
+export function suppressSmallSegments(crossTab, privacySettings) {
+    // The last column covers all respondents
+    const totalIndex = crossTab.segments.length - 1;
+    if (isGroupTooSmall(crossTab.segments[totalIndex].respondents, privacySettings)) {
+        return null;
+    }
+
+    const keep = crossTab.segments.map((segment, index) =>
+        index === totalIndex || !isGroupTooSmall(segment.respondents, privacySettings));
+
+    return {
+        ...crossTab,
+        segments: crossTab.segments.filter((segment, index) => keep[index]),
+        rows: crossTab.rows.map(row => ({
+            ...row,
+            cells: row.cells.filter((cell, index) => keep[index])
+        })),
+        hiddenSegments: crossTab.segments
+            .filter((segment, index) => !keep[index])
+            .map(segment => segment.label),
+        minGroupSize: privacySettings.minGroupSize
+    };
+}
+
+/**
+ * Convert a cross-tab to CSV with a count and a percentage column per segment,
+ * or an average and a count column for averages and mean ranks
+ * @param {Object} crossTab - Cross-tab as returned by crossTabulate
+ * @returns {string} CSV text
+ */
+export function crossTabToCsv(crossTab) {
+    const rows = [];
+    const header = [crossTab.targetQuestion.title];
+    crossTab.segments.forEach(segment => {
+        const params = { segment: segment.label };
+        if (crossTab.measure === 'rank') {
+            header.push(t('dashboard.crossTab.csv.averageRank', params), t('dashboard.crossTab.csv.respondents', params));
+        } else if (crossTab.measure === 'average') {
+            header.push(t('dashboard.crossTab.csv.average', params), t('dashboard.crossTab.csv.respondents', params));
+        } else {
+            header.push(t('dashboard.crossTab.csv.count', params), t('dashboard.crossTab.csv.percentage', params));
+        }
+    });
+    rows.push(header);
+
+    crossTab.rows.forEach(row => {
+        const line = [row.label];
+        row.cells.forEach(cell => {
+            if (crossTab.measure !== 'count') {
+                line.push(cell.average, cell.count);
+            } else {
+                line.push(cell.count, cell.percentage);
+            }
+        });
+        rows.push(line);
+    });
+
+    rows.push([t('dashboard.crossTab.respondents'), ...crossTab.segments.flatMap(segment => [segment.respondents, ''])]);
+    return toCsv(rows);
+}
+
+/**
+ * Compute the median time respondents spent on each step, from the telemetry
+ * the survey wizard submits with each result. Results without telemetry (or
+ * that never reached a step) are left out of that step's median.
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} steps - Steps in survey order: { id, title }
+ * @returns {Array} Per step: { stepId, title, medianMs, respondents }
+ */
+export function getStepTimings(results, steps) {
+    return steps.map(step => {
+        const times = results
+            .map(result => result.telemetry?.steps?.[step.id]?.timeSpentMs)
+            .filter(time => typeof time === 'number')
+            .sort((a, b) => a - b);
+
+        let medianMs = null;
+        if (times.length > 0) {
+            const middle = Math.floor(times.length / 2);
+            medianMs = times.length % 2 === 0 ? (times[middle - 1] + times[middle]) / 2 : times[middle];
+        }
+
+        return { stepId: step.id, title: step.title, medianMs, respondents: times.length };
+    });
+}
+
+/**
+ * Count how many respondents reached each step and how many submitted.
+ * A step counts as reached when the telemetry records a visit; for results
+ * without telemetry, all steps up to the last step with an answer count as
+ * reached. A step whose conditions a respondent's answers do not meet was
+ * skipped, not dropped: that respondent is left out of the step's count and
+ * of the respondents its percentage is relative to (eligible).
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} steps - Steps in survey order: { id, title, questions, conditions }
+ * @returns {Array} Per step and finally for submission: { stepId, title, count, eligible, percentage }
+ */
+export function getDropOffFunnel(results, steps) {
+    const reachedSteps = results.map(result => {
+        if (result.telemetry?.steps) {
+            return Object.keys(result.telemetry.steps);
+        }
+        const lastAnsweredIndex = steps.reduce((lastIndex, step, index) => {
+            const answered = step.questions.some(question => result.responses?.[question.id] !== undefined);
+            return answered ? index : lastIndex;
+        }, -1);
+        return steps.slice(0, lastAnsweredIndex + 1).map(step => step.id);
+    });
+
+    const toPercentage = (count, eligible) => eligible > 0 ? Math.round((count / eligible) * 100) : 0;
+
+    const funnel = steps.map(step => {
+        let count = 0;
+        let eligible = 0;
+        results.forEach((result, index) => {
+            if (!areConditionsMet(step.conditions, questionId => result.responses?.[questionId])) {
+                return;
+            }
+            eligible++;
+            if (reachedSteps[index].includes(step.id)) {
+                count++;
+            }
+        });
+        return { stepId: step.id, title: step.title, count, eligible, percentage: toPercentage(count, eligible) };
+    });
+
+    const total = results.length;
+    const submitted = results.filter(result => result.completedAt && !isDraftResult(result)).length;
+    funnel.push({
+        stepId: null,
+        title: t('dashboard.telemetry.submitted'),
+        count: submitted,
+        eligible: total,
+        percentage: toPercentage(submitted, total)
+    });
+
+    return funnel;
+}
+
 /**
  * Clear the data cache
  */
@@ -0,0 +1,501 @@
+/**
+ * resultsExportService.js
+ * Service for exporting raw survey results
+ *
+ * This module flattens survey responses into columns driven by the survey
+ * definition, so that results can be analysed outside the dashboard. It
+ * supports a wide format (one row per respondent, as CSV or XLSX) and a
+ * long/tidy format (one row per respondent, question and sub-item). Who the
+ * respondents are is only exported for surveys that identify them.
+ */
+
+import { PRIVACY_MODES } from '../../js/surveyPrivacy.js';
+import { getRadarPosition } from '../../js/radarAnswers.js';
+
+// Question type constants
+const QUESTION_TYPES = {
+    RADIO: 'radio',
+    CHECKBOX: 'checkbox',
+    SHORT_TEXT: 'shortText',
+    LONG_TEXT: 'longText',
+    MATRIX_2D: 'matrix2d',
+    LIKERT: 'likert',
+    MULTI_VALUE_SLIDER: 'multiValueSlider',
+    RANK_OPTIONS: 'rankOptions',
+    RANGE_SLIDER: 'rangeSlider',
+    TAGS: 'tags',
+    RADAR: 'radar'
+};
+
+// Column headers of the long/tidy format
+const LONG_FORMAT_HEADERS = ['respondent', 'question', 'sub_item', 'value'];
+
+// Maximum length of an SPSS variable name
+const MAX_VARIABLE_NAME_LENGTH = 64;
+
+// First characters that make spreadsheet programs read a CSV cell as a formula
+const FORMULA_PREFIXES = ['=', '+', '-', '@'];
+
+/**
+ * Turn a name into an SPSS-friendly variable name: letters, digits and
+ * underscores only, starting with a letter
+ * @param {string} name - Raw name
+ * @returns {string} Variable name
+ */
+function toVariableName(name) {
+    let variableName = String(name)
+        .replace(/[^A-Za-z0-9_]/g, '_')
+        .replace(/_+/g, '_');
+    if (!/^[A-Za-z]/.test(variableName)) {
+        variableName = `v_${variableName}`;
+    }
+    return variableName.substring(0, MAX_VARIABLE_NAME_LENGTH);
+}
+
+/**
+ * Make the names of columns unique by adding a number to repeated names, as
+ * different question and sub-item IDs can map to the same variable name
+ * @param {Array<Object>} columns - Column specifications (modified in place)
+ * @returns {Array<Object>} The columns
+ */
+function makeColumnNamesUnique(columns) {
+    const usedNames = new Set();
+    columns.forEach(column => {
+        let name = column.name;
+        for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+            const suffixText = `_${suffix}`;
+            name = `${column.name.substring(0, MAX_VARIABLE_NAME_LENGTH - suffixText.length)}${suffixText}`;
+        }
+        usedNames.add(name.toLowerCase());
+        column.name = name;
+    });
+    return columns;
+}
+
+/**
+ * Get a stable ID of the respondent of a result, the same in every export:
+ * the submission ID, else the username (only present when the survey
+ * identifies respondents), else the position in the export for old drafts
+ * @param {Object} result - Survey result
+ * @param {number} index - Position of the result in the export
+ * @returns {string|number} Respondent ID
+ */
+function getRespondentId(result, index) {
+    return result.submissionId || result.username || index + 1;
+}
+
+/**
+ * Convert rich text (HTML from the long text editor) to plain text
+ * @param {string} html - HTML text
+ * @returns {string} Plain text
+ */
+function htmlToPlainText(html) {
+    return String(html)
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|h[1-6])>/gi, '\n')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#39;/g, "'")
+        .replace(/&amp;/g, '&')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+/**
+ * Get the answer object of a question in a survey result
+ * @param {Object} result - Survey result
+ * @param {string} questionId - Question ID
+ * @returns {Object|null} Answer object with value and optional comment
+ */
+function getAnswer(result, questionId) {
+    return (result.responses && result.responses[questionId]) || null;
+}
+
+/**
+ * Get the answer value of a question in a survey result
+ * @param {Object} result - Survey result
+ * @param {string} questionId - Question ID
+ * @returns {*} Answer value or null
+ */
+function getAnswerValue(result, questionId) {
+    const answer = getAnswer(result, questionId);
+    return answer && answer.value !== undefined ? answer.value : null;
+}
+
+/**
+ * Find the "other" entry ({ isOther, otherValue }) in a radio or checkbox answer
+ * @param {*} value - Answer value
+ * @returns {string|null} The other text or null
+ */
+function getOtherText(value) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && value.isOther) {
+        return value.otherValue || '';
+    }
+    if (Array.isArray(value)) {
+        const other = value.find(item => item && typeof item === 'object' && item.isOther);
+        return other ? other.otherValue || '' : null;
+    }
+    return null;
+}
+
+/**
+ * Get the positions map of a multi-value slider answer, which is stored
+ * as { value: { optionId: position }, comment }
+ * @param {*} value - Answer value
+ * @returns {Object} Option IDs mapped to positions
+ */
+function getSliderPositions(value) {
+    if (!value || typeof value !== 'object') {
+        return {};
+    }
+    return value.value && typeof value.value === 'object' ? value.value : value;
+}
+
+/**
+ * Get the comment of an answer; multi-value sliders keep it inside the value
+ * @param {Object} result - Survey result
+ * @param {Object} question - Question definition
+ * @returns {string|null} Comment or null
+ */
+function getComment(result, question) {
+    const answer = getAnswer(result, question.id);
+    if (!answer) {
+        return null;
+    }
+    if (answer.comment) {
+        return answer.comment;
+    }
+    if (question.type === QUESTION_TYPES.MULTI_VALUE_SLIDER && answer.value && answer.value.comment) {
+        return answer.value.comment;
+    }
+    return null;
+}
+
+/**
+ * Create a column specification
+ * @param {Object} question - Question definition
+ * @param {string|null} subItem - Sub-item (option, row, position) or null
+ * @param {Function} getValue - Function that extracts the cell value from a result
+ * @returns {Object} Column specification
+ */
+function createColumn(question, subItem, getValue) {
+    return {
+        name: toVariableName(subItem ? `${question.id}_${subItem}` : question.id),
+        questionId: question.id,
+        subItem,
+        getValue
+    };
+}
+
+/**
+ * Build the columns for a single question
+ * @param {Object} question - Question definition
+ * @param {Array} results - Survey results, used to detect comments and custom tags
+ * @returns {Array<Object>} Column specifications
+ */
+function buildQuestionColumns(question, results) {
+    const columns = [];
+    const hasOtherOption = (question.options || []).some(option => option.value === 'other' || option.isOther);
+
+    switch (question.type) {
+        case QUESTION_TYPES.RADIO:
+            columns.push(createColumn(question, null, result => {
+                const value = getAnswerValue(result, question.id);
+                if (value && typeof value === 'object') {
+                    return value.isOther ? 'other' : null;
+                }
+                return value;
+            }));
+            if (hasOtherOption) {
+                columns.push(createColumn(question, 'other_text', result => getOtherText(getAnswerValue(result, question.id))));
+            }
+            break;
+
+        case QUESTION_TYPES.CHECKBOX:
+            // One 0/1 column per option
+            (question.options || []).forEach(option => {
+                columns.push(createColumn(question, option.value, result => {
+                    const value = getAnswerValue(result, question.id);
+                    if (value === null) {
+                        return null;
+                    }
+                    if (Array.isArray(value)) {
+                        const checked = value.some(item => item === option.value ||
+                            (option.value === 'other' && item && typeof item === 'object' && item.isOther));
+                        return checked ? 1 : 0;
+                    }
+                    return value[option.value] === true || (option.value === 'other' && typeof value.other === 'string') ? 1 : 0;
+                }));
+            });
+            if (hasOtherOption) {
+                columns.push(createColumn(question, 'other_text', result => getOtherText(getAnswerValue(result, question.id))));
+            }
+            break;
+
+        case QUESTION_TYPES.TAGS: {
+            // One 0/1 column per predefined tag, custom tags together in one column
+            const predefinedTags = (question.tagOptions?.tags || []).map(tag => tag.toLowerCase());
+            predefinedTags.forEach(tag => {
+                columns.push(createColumn(question, tag, result => {
+                    const value = getAnswerValue(result, question.id);
+                    if (!Array.isArray(value)) {
+                        return null;
+                    }
+                    return value.some(item => String(item).toLowerCase() === tag) ? 1 : 0;
+                }));
+            });
+            columns.push(createColumn(question, predefinedTags.length > 0 ? 'other_text' : null, result => {
+                const value = getAnswerValue(result, question.id);
+                if (!Array.isArray(value)) {
+                    return null;
+                }
+                const customTags = value.filter(item => !predefinedTags.includes(String(item).toLowerCase()));
+                return customTags.length > 0 ? customTags.join('; ') : null;
+            }));
+            break;
+        }
+
+        case QUESTION_TYPES.RANK_OPTIONS: {
+            // One column per rank position, holding the option ranked at that position
+            const rankOptions = question.rankOptions?.options || [];
+            rankOptions.forEach((_, index) => {
+                columns.push(createColumn(question, `rank${index + 1}`, result => {
+                    const value = getAnswerValue(result, question.id);
+                    if (!Array.isArray(value) || !value[index]) {
+                        return null;
+                    }
+                    return typeof value[index] === 'object' ? value[index].id : value[index];
+                }));
+            });
+            break;
+        }
+
+        case QUESTION_TYPES.MULTI_VALUE_SLIDER:
+            // One numeric column per option
+            (question.multiValueSlider?.options || []).forEach(option => {
+                columns.push(createColumn(question, option.id, result => {
+                    const position = getSliderPositions(getAnswerValue(result, question.id))[option.id];
+                    return typeof position === 'number' ? position : null;
+                }));
+            });
+            break;
+
+        case QUESTION_TYPES.RADAR: {
+            // Segment and ring column per option, with the label of the stored index
+            const labels = {
+                segment: question.radar?.variable1?.labels || [],
+                ring: question.radar?.variable2?.labels || []
+            };
+            (question.radar?.options || []).forEach(option => {
+                ['segment', 'ring'].forEach(dimension => {
+                    columns.push(createColumn(question, `${option.id}_${dimension}`, result => {
+                        const position = getRadarPosition(getAnswerValue(result, question.id), option.id, question.radar);
+                        return position ? labels[dimension][position[dimension]] : null;
+                    }));
+                });
+            });
+            break;
+        }
+
+        case QUESTION_TYPES.LIKERT:
+            // One numeric column per rated item
+            (question.options || []).forEach(option => {
+                columns.push(createColumn(question, option.value, result => {
+                    const value = getAnswerValue(result, question.id);
+                    return value && typeof value[option.value] === 'number' ? value[option.value] : null;
+                }));
+            });
+            break;
+
+        case QUESTION_TYPES.MATRIX_2D: {
+            const rows = question.matrix?.rows || [];
+            const matrixColumns = question.matrix?.columns || [];
+            if (question.matrix?.allowMultiple) {
+                // One 0/1 column per cell
+                rows.forEach(row => {
+                    matrixColumns.forEach(col => {
+                        columns.push(createColumn(question, `${row.id}_${col.id}`, result => {
+                            const value = getAnswerValue(result, question.id);
+                            if (!Array.isArray(value)) {
+                                return null;
+                            }
+                            return value.includes(`${row.id}:${col.id}`) ? 1 : 0;
+                        }));
+                    });
+                });
+            } else {
+                // One column per row, holding the selected column
+                rows.forEach(row => {
+                    columns.push(createColumn(question, row.id, result => {
+                        const value = getAnswerValue(result, question.id);
+                        const cells = Array.isArray(value) ? value : [value];
+                        const cell = cells.find(item => typeof item === 'string' && item.startsWith(`${row.id}:`));
+                        return cell ? cell.split(':')[1] : null;
+                    }));
+                });
+            }
+            break;
+        }
+
+        case QUESTION_TYPES.RANGE_SLIDER:
+            columns.push(createColumn(question, null, result => {
+                const value = getAnswerValue(result, question.id);
+                return typeof value === 'number' ? value : null;
+            }));
+            break;
+
+        case QUESTION_TYPES.SHORT_TEXT:
+        case QUESTION_TYPES.LONG_TEXT:
+            columns.push(createColumn(question, null, result => {
+                const value = getAnswerValue(result, question.id);
+                return typeof value === 'string' && value.trim() !== '' ? htmlToPlainText(value) : null;
+            }));
+            break;
+
+        default:
+            columns.push(createColumn(question, null, result => {
+                const value = getAnswerValue(result, question.id);
+                return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+            }));
+    }
+
+    // Comments get their own column when the question allows them or any respondent left one
+    if (question.allowComment || results.some(result => getComment(result, question))) {
+        columns.push(createColumn(question, 'comment', result => getComment(result, question)));
+    }
+
+    return columns;
+}
+
+/**
+ * Build the columns of the wide export format
+ * @param {Array} questions - Question definitions
+ * @param {Array} results - Survey results
+ * @param {Object} [options] - Export options
+ * @param {string} [options.privacyMode='identified'] - Privacy mode of the survey, see surveyPrivacy.js
+ * @returns {Array<Object>} Column specifications
+ */
+export function buildExportColumns(questions, results, { privacyMode = PRIVACY_MODES.identified } = {}) {
+    // Respondent metadata columns, not tied to a question
+    const columns = [
+        { name: 'respondent', questionId: null, subItem: null, getValue: getRespondentId }
+    ];
+    if (privacyMode === PRIVACY_MODES.identified) {
+        columns.push(
+            { name: 'label', questionId: null, subItem: null, getValue: result => result.label || result.bedrijf || null },
+            { name: 'username', questionId: null, subItem: null, getValue: result => result.username || null }
+        );
+    }
+    columns.push({ name: 'completed_at', questionId: null, subItem: null, getValue: result => result.completedAt || result.lastModified || null });
+
+    questions.forEach(question => {
+        columns.push(...buildQuestionColumns(question, results));
+    });
+
+    return makeColumnNamesUnique(columns);
+}
+
+/**
+ * Flatten survey results into a header row and one row per respondent
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} questions - Question definitions
+ * @param {Object} [options] - Export options, see buildExportColumns
+ * @returns {Array<Array>} Rows, the first being the header
+ */
+export function flattenResults(results, questions, options = {}) {
+    const columns = buildExportColumns(questions, results, options);
+    const rows = [columns.map(column => column.name)];
+
+    results.forEach((result, index) => {
+        rows.push(columns.map(column => {
+            const value = column.getValue(result, index);
+            return value === undefined ? null : value;
+        }));
+    });
+
+    return rows;
+}
+
+/**
+ * Convert survey results to the long/tidy format: one row per respondent,
+ * question and sub-item, skipping empty values
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} questions - Question definitions
+ * @returns {Array<Array>} Rows, the first being the header
+ */
+export function toLongFormat(results, questions) {
+    const columns = buildExportColumns(questions, results).filter(column => column.questionId);
+    const rows = [LONG_FORMAT_HEADERS];
+
+    results.forEach((result, index) => {
+        columns.forEach(column => {
+            const value = column.getValue(result, index);
+            if (value !== null && value !== undefined && value !== '') {
+                rows.push([getRespondentId(result, index), column.questionId, column.subItem || '', value]);
+            }
+        });
+    });
+
+    return rows;
+}
+
+/**
+ * Format rows as CSV text. Text cells that start like a formula get a leading
+ * apostrophe, so spreadsheet programs do not run answers as formulas.
+ * @param {Array<Array>} rows - Rows of cell values
+ * @returns {string} CSV text
+ */
+export function toCsv(rows) {
+    return rows.map(values => values.map(value => {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (typeof value === 'string' && FORMULA_PREFIXES.includes(text.charAt(0))) {
+            text = `'${text}`;
+        }
+        return /[",\n\r;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(',')).join('\n');
+}
+
+/**
+ * Export survey results as CSV in wide format
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} questions - Question definitions
+ * @param {Object} [options] - Export options, see buildExportColumns
+ * @returns {string} CSV text
+ */
+export function exportResultsToCsv(results, questions, options = {}) {
+    return toCsv(flattenResults(results, questions, options));
+}
+
+/**
+ * Export survey results as CSV in long/tidy format
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} questions - Question definitions
+ * @returns {string} CSV text
+ */
+export function exportResultsToLongCsv(results, questions) {
+    return toCsv(toLongFormat(results, questions));
+}
+
+/**
+ * Export survey results as an XLSX workbook with a wide and a long sheet.
+ * Requires the SheetJS library (window.XLSX) to be loaded in the page.
+ * @param {Array} results - Survey results (already filtered)
+ * @param {Array} questions - Question definitions
+ * @param {Object} [options] - Export options, see buildExportColumns
+ * @returns {Blob} XLSX file content
+ */
+export function exportResultsToXlsx(results, questions, options = {}) {
+    if (!window.XLSX) {
+        throw new Error('Spreadsheet library not loaded. Make sure to include the SheetJS script in your HTML.');
+    }
+
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(flattenResults(results, questions, options)), 'Responses');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(toLongFormat(results, questions)), 'Long Format');
+
+    const content = XLSX.write(workbook, { bookType: 'xlsx', type: 'array' });
+    return new Blob([content], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+}
@@ -0,0 +1,222 @@
+/**
+ * textAnalytics.js
+ * Term analysis of open answers for the results dashboard
+ *
+ * Answers to long text questions are rich text (HTML from the Quill editor),
+ * mostly in Dutch. This module strips the markup, splits the text into words
+ * (keeping diacritics such as in "enquête"), drops Dutch and English stop
+ * words and finds the most frequent words and recurring phrases of two or
+ * three words. Phrases may contain a stop word in the middle ("werk en
+ * privé") but never start or end with one.
+ */
+
+// Words without meaning of their own, left out of the term counts
+export const STOP_WORDS = {
+    nl: new Set([
+        'aan', 'al', 'alle', 'alleen', 'alles', 'als', 'altijd', 'ander', 'andere', 'ben', 'bij', 'daar', 'daarom',
+        'dan', 'dat', 'de', 'der', 'deze', 'die', 'dit', 'doch', 'doen', 'door', 'dus', 'echter', 'een', 'eens',
+        'en', 'er', 'erg', 'ge', 'geen', 'geweest', 'haar', 'had', 'heb', 'hebben', 'heeft', 'heel', 'hem', 'het',
+        'hier', 'hij', 'hoe', 'hoeveel', 'hun', 'iemand', 'iets', 'ik', 'in', 'is', 'ja', 'je', 'jij', 'jou',
+        'jouw', 'jullie', 'kan', 'kon', 'kunnen', 'maar', 'me', 'meer', 'men', 'met', 'mij', 'mijn', 'moet',
+        'moeten', 'na', 'naar', 'nee', 'niet', 'niets', 'nog', 'nu', 'of', 'om', 'omdat', 'onder', 'ons', 'onze',
+        'ook', 'op', 'over', 'reeds', 'te', 'tegen', 'toch', 'toen', 'tot', 'u', 'uit', 'uw', 'van', 'veel',
+        'voor', 'waar', 'waarom', 'wanneer', 'want', 'waren', 'was', 'wat', 'we', 'welke', 'wel', 'werd',
+        'wezen', 'wie', 'wij', 'wil', 'worden', 'wordt', 'zal', 'ze', 'zeer', 'zelf', 'zich', 'zij', 'zijn',
+        'zo', 'zoals', 'zonder', 'zou', 'zullen'
+    ]),
+    en: new Set([
+        'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as',
+        'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by', 'can',
+        'could', 'did', 'do', 'does', 'doing', 'down', 'during', 'each', 'few', 'for', 'from', 'further', 'had',
+        'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how', 'i', 'if', 'in', 'into',
+        'is', 'it', 'its', 'just', 'me', 'more', 'most', 'my', 'no', 'nor', 'not', 'now', 'of', 'off', 'on',
+        'once', 'only', 'or', 'other', 'our', 'out', 'over', 'own', 'same', 'she', 'should', 'so', 'some',
+        'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this', 'those',
+        'through', 'to', 'too', 'under', 'until', 'up', 'very', 'was', 'we', 'were', 'what', 'when', 'where',
+        'which', 'while', 'who', 'whom', 'why', 'will', 'with', 'would', 'you', 'your'
+    ])
+};
+
+// Maximum number of terms returned by extractTerms
+const MAX_TERMS = 40;
+
+// Minimum length of a single word to count as a term
+const MIN_WORD_LENGTH = 3;
+
+// A phrase must occur in at least this many different responses
+const MIN_PHRASE_RESPONSES = 2;
+
+// Longest phrase, in words
+const MAX_PHRASE_WORDS = 3;
+
+// Named HTML entities that the rich text editor produces
+const HTML_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+// Letters and digits, optionally joined by an apostrophe or hyphen ("zo'n", "e-mail")
+const WORD_PATTERN = /[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu;
+
+// Characters that end a sentence or clause; phrases do not cross them
+const CLAUSE_SEPARATOR = /[.,;:!?()\n]+/;
+
+/**
+ * Convert rich text to plain text
+ * @param {string} text - Text, possibly containing HTML
+ * @returns {string} - Plain text; block elements and line breaks become new lines
+ */
+export function stripHtml(text) {
+    return String(text || '')
+        .replace(/<(br|\/p|\/div|\/li|\/h[1-6])\s*\/?>/gi, '\n')
+        .replace(/<[^>]*>/g, ' ')
+        .replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, code) => {
+            if (code[0] === '#') {
+                const number = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+                return Number.isNaN(number) ? entity : String.fromCodePoint(number);
+            }
+            return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+        })
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .trim();
+}
+
+/**
+ * Split text into lower case words
+ * @param {string} text - Text, possibly containing HTML
+ * @returns {Array<string>} - Words in order of appearance
+ */
+export function tokenize(text) {
+    return stripHtml(text).toLowerCase().match(WORD_PATTERN) || [];
+}
+
+/**
+ * Split text into clauses of lower case words
+ * @param {string} text - Text, possibly containing HTML
+ * @returns {Array<Array<string>>} - Words per clause
+ */
+function tokenizeClauses(text) {
+    return stripHtml(text)
+        .toLowerCase()
+        .split(CLAUSE_SEPARATOR)
+        .map(clause => clause.match(WORD_PATTERN) || [])
+        .filter(words => words.length > 0);
+}
+
+/**
+ * Check whether a word is a stop word in one of the languages
+ * @param {string} word - Lower case word
+ * @returns {boolean} - Whether the word is a stop word
+ */
+function isStopWord(word) {
+    return Object.values(STOP_WORDS).some(words => words.has(word));
+}
+
+/**
+ * Check whether a word can start or end a term
+ * @param {string} word - Lower case word
+ * @returns {boolean} - Whether the word carries meaning
+ */
+function isContentWord(word) {
+    return word.length >= MIN_WORD_LENGTH && !isStopWord(word) && !/^\p{N}+$/u.test(word);
+}
+
+/**
+ * Count the words and phrases of all responses
+ * @param {Array<string>} responses - Response texts
+ * @returns {Map<string, Object>} - Term text to { text, words, weight, responses }
+ */
+function countTerms(responses) {
+    const counts = new Map();
+
+    responses.forEach(response => {
+        const seen = new Set();
+        tokenizeClauses(response).forEach(words => {
+            for (let start = 0; start < words.length; start++) {
+                if (!isContentWord(words[start])) {
+                    continue;
+                }
+                for (let length = 1; length <= MAX_PHRASE_WORDS && start + length <= words.length; length++) {
+                    if (!isContentWord(words[start + length - 1])) {
+                        continue;
+                    }
+                    const text = words.slice(start, start + length).join(' ');
+                    const term = counts.get(text) || { text, words: length, weight: 0, responses: 0 };
+                    term.weight++;
+                    if (!seen.has(text)) {
+                        seen.add(text);
+                        term.responses++;
+                    }
+                    counts.set(text, term);
+                }
+            }
+        });
+    });
+
+    return counts;
+}
+
+/**
+ * Find the most frequent words and phrases in a set of responses
+ *
+ * A word or shorter phrase that only occurs as part of a longer phrase is left
+ * out in favour of the longer phrase.
+ * @param {Array<string>} responses - Response texts, possibly containing HTML
+ * @param {number} [maxTerms] - Maximum number of terms
+ * @returns {Array<Object>} - Terms sorted by frequency: { text, words, weight, responses }
+ */
+export function extractTerms(responses, maxTerms = MAX_TERMS) {
+    const counts = countTerms(responses);
+
+    const phrases = [...counts.values()]
+        .filter(term => term.words > 1 && term.responses >= MIN_PHRASE_RESPONSES)
+        .sort((a, b) => b.words - a.words);
+
+    const covered = new Set();
+    const kept = [];
+    phrases.forEach(phrase => {
+        if (covered.has(phrase.text)) {
+            return;
+        }
+        kept.push(phrase);
+
+        // Leave out the parts of the phrase that do not occur on their own
+        const words = phrase.text.split(' ');
+        for (let length = 1; length < words.length; length++) {
+            for (let start = 0; start + length <= words.length; start++) {
+                const part = counts.get(words.slice(start, start + length).join(' '));
+                if (part && part.weight <= phrase.weight) {
+                    covered.add(part.text);
+                }
+            }
+        }
+    });
+
+    const singleWords = [...counts.values()].filter(term => term.words === 1 && !covered.has(term.text));
+
+    return [...kept, ...singleWords]
+        .sort((a, b) => b.weight - a.weight || b.words - a.words || a.text.localeCompare(b.text))
+        .slice(0, maxTerms);
+}
+
+/**
+ * Check whether a response contains a word or phrase as a whole
+ * @param {string} response - Response text, possibly containing HTML
+ * @param {string} term - Lower case word or phrase
+ * @returns {boolean} - Whether the response contains the term
+ */
+export function containsTerm(response, term) {
+    const termWords = term.split(' ');
+    const words = tokenize(response);
+    for (let start = 0; start + termWords.length <= words.length; start++) {
+        if (termWords.every((word, index) => words[start + index] === word)) {
+            return true;
+        }
+    }
+    return false;
+}
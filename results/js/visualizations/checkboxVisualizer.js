@@ -7,6 +7,8 @@
  */
 
 import { aggregateCheckboxResponses } from '../resultsDataService.js';
+import { t, getMessageLocale } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
 
 /**
  * Create a visualization for checkbox question responses
@@ -17,7 +19,7 @@ import { aggregateCheckboxResponses } from '../resultsDataService.js';
  */
 export function createCheckboxVisualization(container, responses, question, responseLabels,type = 'horizontalBar') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -26,7 +28,7 @@ export function createCheckboxVisualization(container, responses, question, resp
     
     // Don't render if no data
     if (aggregatedData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
     
@@ -50,6 +52,22 @@ export function createCheckboxVisualization(container, responses, question, resp
     
     // Add a summary text for accessibility
     addSummaryText(container, aggregatedData);
+    
+    // Add the data as a table and describe the key finding for screen readers
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.option'),
+            t('dashboard.visualization.table.responses'),
+            t('dashboard.visualization.table.percentageOfRespondents')
+        ],
+        rows: aggregatedData.labels.map((label, i) => [label, aggregatedData.data[i], `${aggregatedData.percentages[i]}%`])
+    });
+    const top = findTopEntry(aggregatedData.labels, aggregatedData.data);
+    describeVisualization(container, t('dashboard.visualization.summary.mostSelected', {
+        label: top.label,
+        percentage: aggregatedData.percentages[top.index]
+    }));
 }
 
 /**
@@ -82,7 +100,7 @@ function renderBarChart(container, data, question, horizontal = false) {
         data: {
             labels: data.labels,
             datasets: [{
-                label: 'Responses',
+                label: t('dashboard.visualization.chart.responses'),
                 data: data.data,
                 backgroundColor: data.labels.map((_, i) => colors[i % colors.length]),
                 borderWidth: 1
@@ -131,7 +149,7 @@ function renderBarChart(container, data, question, horizontal = false) {
                     },
                     title: {
                         display: !horizontal,
-                        text: 'Number of Responses',
+                        text: t('dashboard.visualization.chart.numberOfResponses'),
                         padding: {
                             top: 10
                         }
@@ -144,7 +162,7 @@ function renderBarChart(container, data, question, horizontal = false) {
                     },
                     title: {
                         display: horizontal,
-                        text: 'Number of Responses',
+                        text: t('dashboard.visualization.chart.numberOfResponses'),
                         padding: {
                             bottom: 10
                         }
@@ -187,13 +205,13 @@ function renderStackedBarChart(container, data, question) {
             labels: data.labels,
             datasets: [
                 {
-                    label: 'Selected',
+                    label: t('dashboard.visualization.chart.selected'),
                     data: data.data,
                     backgroundColor: '#4a86e8',
                     borderWidth: 1
                 },
                 {
-                    label: 'Not Selected',
+                    label: t('dashboard.visualization.chart.notSelected'),
                     data: notSelectedData,
                     backgroundColor: '#e0e0e0',
                     borderWidth: 1
@@ -259,7 +277,7 @@ function renderStackedBarChart(container, data, question) {
                     max: data.totalResponses,
                     title: {
                         display: true,
-                        text: 'Number of Responses',
+                        text: t('dashboard.visualization.chart.numberOfResponses'),
                         padding: {
                             top: 10
                         }
@@ -300,7 +318,7 @@ function renderRadarChart(container, data, question) {
             labels: data.labels,
             datasets: [
                 {
-                    label: 'Selected',
+                    label: t('dashboard.visualization.chart.selected'),
                     data: data.data,
                     backgroundColor: 'rgba(74, 134, 232, 0.2)',
                     borderColor: '#4a86e8',
@@ -379,18 +397,13 @@ function addSummaryText(container, data) {
         .sort((a, b) => b.count - a.count)
         .slice(0, 3);
     
-    let summaryText = `<p>Based on ${total} responses, the top selections were: `;
-    
-    topOptions.forEach((option, i) => {
-        if (i > 0) {
-            summaryText += i === topOptions.length - 1 ? ' and ' : ', ';
-        }
-        summaryText += `"${option.label}" (${option.count} responses, ${option.percentage}%)`;
-    });
-    
-    summaryText += '.</p>';
+    const selections = new Intl.ListFormat(getMessageLocale()).format(topOptions.map(option =>
+        t('dashboard.visualization.summary.selection', option)));
     
-    summary.innerHTML = summaryText;
+    // Option labels can be custom answers of respondents, so the summary is set as text
+    const summaryText = document.createElement('p');
+    summaryText.textContent = t('dashboard.visualization.summary.topSelections', { count: total, selections });
+    summary.appendChild(summaryText);
     container.appendChild(summary);
 
     // Add extra space at the bottom to accommodate legends
@@ -0,0 +1,344 @@
+/**
+ * crossTabVisualizer.js
+ * Visualization component for cross-tabulations between two questions
+ *
+ * This module renders a cross-tab computed by crossTabulate() as a grouped bar
+ * chart or as side-by-side charts per segment, followed by a table with counts
+ * and column percentages.
+ */
+
+import { t } from '../../../js/i18n.js';
+import { describeVisualization, findTopEntry } from './dataTable.js';
+
+// Default color palette, one color per segment
+const SEGMENT_COLORS = [
+    '#4a86e8', '#6aa84f', '#e69138', '#8e63ce', '#d5573b',
+    '#45818e', '#a64d79', '#674ea7', '#990000', '#0c343d'
+];
+
+// Color for the total column
+const TOTAL_COLOR = '#999999';
+
+// Charts of the cross-tab shown, destroyed before it is rendered again
+let crossTabCharts = [];
+
+/**
+ * Create a visualization for a cross-tab
+ * @param {HTMLElement} container - The DOM element to render the visualization in
+ * @param {Object} crossTab - Cross-tab as returned by crossTabulate
+ * @param {string} [type='groupedBar'] - Type of visualization ('groupedBar', 'sideBySide')
+ */
+export function createCrossTabVisualization(container, crossTab, type = 'groupedBar') {
+    crossTabCharts.forEach(chart => chart.destroy());
+    crossTabCharts = [];
+    container.innerHTML = '';
+
+    if (!crossTab || crossTab.rows.length === 0) {
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.combination')}</p>`;
+        return;
+    }
+
+    switch (type) {
+        case 'sideBySide':
+            renderSideBySideCharts(container, crossTab);
+            break;
+        case 'groupedBar':
+        default:
+            renderGroupedBarChart(container, crossTab);
+    }
+
+    renderCrossTabTable(container, crossTab);
+    renderHiddenSegmentsNote(container, crossTab);
+    describeCrossTab(container, crossTab);
+}
+
+/**
+ * Mention the segments left out because they have too few respondents
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} crossTab - Cross-tab, see suppressSmallSegments
+ */
+function renderHiddenSegmentsNote(container, crossTab) {
+    if (!crossTab.hiddenSegments || crossTab.hiddenSegments.length === 0) {
+        return;
+    }
+
+    const note = document.createElement('p');
+    note.className = 'crosstab-note';
+    note.textContent = t('dashboard.privacy.segmentsHidden', {
+        segments: crossTab.hiddenSegments.join(', '),
+        min: crossTab.minGroupSize
+    });
+    container.appendChild(note);
+}
+
+/**
+ * Describe the overall result of a cross-tab for screen readers; the table
+ * already gives the details per segment
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} crossTab - Cross-tab
+ */
+function describeCrossTab(container, crossTab) {
+    // The last column covers all respondents
+    const totalIndex = crossTab.segments.length - 1;
+    const labels = crossTab.rows.map(row => row.label);
+    const cells = crossTab.rows.map(row => row.cells[totalIndex]);
+
+    if (crossTab.measure === 'rank') {
+        // The best rank is the lowest; unranked options come last
+        const top = findTopEntry(labels, cells.map(cell => cell.average === null ? -Infinity : -cell.average));
+        describeVisualization(container, t('dashboard.visualization.summary.bestAverageRank', {
+            label: top.label,
+            average: cells[top.index].average
+        }));
+    } else if (crossTab.measure === 'average') {
+        const top = findTopEntry(labels, cells.map(cell => cell.average || 0));
+        describeVisualization(container, t('dashboard.visualization.summary.highestAverage', {
+            label: top.label,
+            average: top.value
+        }));
+    } else {
+        const top = findTopEntry(labels, cells.map(cell => cell.count));
+        describeVisualization(container, t('dashboard.visualization.summary.mostCommon', {
+            label: top.label,
+            percentage: cells[top.index].percentage
+        }));
+    }
+}
+
+/**
+ * Get the chart value of a cell: column percentage, average for sliders or
+ * mean rank for rank questions
+ * @param {Object} crossTab - Cross-tab
+ * @param {Object} cell - Cross-tab cell
+ * @returns {number} Value to plot
+ */
+function getCellValue(crossTab, cell) {
+    return crossTab.measure === 'count' ? cell.percentage : (cell.average || 0);
+}
+
+/**
+ * Get the axis title for the plotted values
+ * @param {Object} crossTab - Cross-tab
+ * @returns {string} Axis title
+ */
+function getValueAxisTitle(crossTab) {
+    if (crossTab.measure === 'rank') {
+        return t('dashboard.crossTab.averageRank');
+    }
+    return t(crossTab.measure === 'average' ? 'dashboard.crossTab.averagePosition' : 'dashboard.crossTab.segmentPercentage');
+}
+
+/**
+ * Get the largest value on the value axis: 100 for percentages and slider
+ * positions, the number of options for mean ranks
+ * @param {Object} crossTab - Cross-tab
+ * @returns {number} Axis maximum
+ */
+function getValueAxisMax(crossTab) {
+    return crossTab.measure === 'rank' ? crossTab.rows.length : 100;
+}
+
+/**
+ * Render one grouped bar chart with a dataset per segment
+ * @param {HTMLElement} container - Chart container
+ * @param {Object} crossTab - Cross-tab
+ */
+function renderGroupedBarChart(container, crossTab) {
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.style.height = `${Math.max(300, crossTab.rows.length * 40)}px`;
+
+    const canvas = document.createElement('canvas');
+    canvas.id = 'chart-crosstab';
+    chartContainer.appendChild(canvas);
+    container.appendChild(chartContainer);
+
+    const datasets = crossTab.segments.map((segment, segmentIndex) => ({
+        label: `${segment.label} (n=${segment.respondents})`,
+        data: crossTab.rows.map(row => getCellValue(crossTab, row.cells[segmentIndex])),
+        backgroundColor: segment.value === null
+            ? TOTAL_COLOR
+            : SEGMENT_COLORS[segmentIndex % SEGMENT_COLORS.length],
+        borderWidth: 1
+    }));
+
+    crossTabCharts.push(new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: crossTab.rows.map(row => row.label),
+            datasets
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    position: 'bottom'
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const cell = crossTab.rows[context.dataIndex].cells[context.datasetIndex];
+                            if (crossTab.measure !== 'count') {
+                                return `${context.dataset.label}: ${cell.average} (n=${cell.count})`;
+                            }
+                            return `${context.dataset.label}: ${cell.count} (${cell.percentage}%)`;
+                        }
+                    }
+                },
+                datalabels: {
+                    display: false
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    max: getValueAxisMax(crossTab),
+                    title: {
+                        display: true,
+                        text: getValueAxisTitle(crossTab)
+                    }
+                }
+            }
+        }
+    }));
+}
+
+/**
+ * Render a small bar chart per segment, side by side
+ * @param {HTMLElement} container - Chart container
+ * @param {Object} crossTab - Cross-tab
+ */
+function renderSideBySideCharts(container, crossTab) {
+    const grid = document.createElement('div');
+    grid.className = 'crosstab-grid';
+
+    crossTab.segments.forEach((segment, segmentIndex) => {
+        const panel = document.createElement('div');
+        panel.className = 'crosstab-panel';
+
+        const heading = document.createElement('h4');
+        heading.textContent = `${segment.label} (n=${segment.respondents})`;
+        panel.appendChild(heading);
+
+        const chartContainer = document.createElement('div');
+        chartContainer.className = 'chart-container';
+        chartContainer.style.height = `${Math.max(200, crossTab.rows.length * 24)}px`;
+
+        const canvas = document.createElement('canvas');
+        canvas.id = `chart-crosstab-${segmentIndex}`;
+        chartContainer.appendChild(canvas);
+        panel.appendChild(chartContainer);
+        grid.appendChild(panel);
+
+        crossTabCharts.push(new Chart(canvas, {
+            type: 'bar',
+            data: {
+                labels: crossTab.rows.map(row => row.label),
+                datasets: [{
+                    data: crossTab.rows.map(row => getCellValue(crossTab, row.cells[segmentIndex])),
+                    backgroundColor: segment.value === null
+                        ? TOTAL_COLOR
+                        : SEGMENT_COLORS[segmentIndex % SEGMENT_COLORS.length],
+                    borderWidth: 1
+                }]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    datalabels: {
+                        display: false
+                    }
+                },
+                scales: {
+                    x: {
+                        beginAtZero: true,
+                        // A fixed scale keeps the panels comparable
+                        max: getValueAxisMax(crossTab)
+                    }
+                }
+            }
+        }));
+    });
+
+    container.appendChild(grid);
+}
+
+/**
+ * Render the cross-tab as a table with counts and column percentages
+ * @param {HTMLElement} container - Container element
+ * @param {Object} crossTab - Cross-tab
+ */
+function renderCrossTabTable(container, crossTab) {
+    const table = document.createElement('table');
+    table.className = 'crosstab-table';
+
+    const caption = document.createElement('caption');
+    caption.textContent = t('dashboard.crossTab.caption', {
+        question: crossTab.targetQuestion.title,
+        segment: crossTab.segmentQuestion.title
+    });
+    table.appendChild(caption);
+
+    // Labels come from the survey definition and from respondents (custom tags), so they are set as text
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    headerRow.appendChild(createCell('th', ''));
+    crossTab.segments.forEach(segment => {
+        const th = createCell('th', segment.label);
+        th.appendChild(document.createElement('br'));
+        th.appendChild(createCell('span', `n=${segment.respondents}`, 'crosstab-n'));
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    crossTab.rows.forEach(row => {
+        const tr = document.createElement('tr');
+        const rowHeader = createCell('th', row.label);
+        rowHeader.scope = 'row';
+        tr.appendChild(rowHeader);
+        row.cells.forEach(cell => {
+            if (crossTab.measure !== 'count') {
+                tr.appendChild(createCell('td', cell.average !== null ? String(cell.average) : '-'));
+                return;
+            }
+            const td = createCell('td', `${cell.count} `);
+            td.appendChild(createCell('span', `(${cell.percentage}%)`, 'crosstab-percentage'));
+            tr.appendChild(td);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+
+    const tableWrapper = document.createElement('div');
+    tableWrapper.className = 'crosstab-table-wrapper';
+    tableWrapper.appendChild(table);
+    container.appendChild(tableWrapper);
+}
+
+/**
+ * Create a table cell or other element with text content
+ * @param {string} tagName - Element name
+ * @param {string} text - Text content
+ * @param {string} [className] - CSS class
+ * @returns {HTMLElement} The element; header cells get scope "col"
+ */
+function createCell(tagName, text, className) {
+    const element = document.createElement(tagName);
+    element.textContent = text;
+    if (className) {
+        element.className = className;
+    }
+    if (tagName === 'th') {
+        element.scope = 'col';
+    }
+    return element;
+}
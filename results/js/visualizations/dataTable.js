@@ -0,0 +1,117 @@
+/**
+ * dataTable.js
+ * Accessible alternative for the charts of the results dashboard
+ *
+ * Charts are drawn on a canvas or in styled divs that assistive technology
+ * cannot read. Visualizers add the aggregated data behind a chart as an HTML
+ * table, shown instead of the chart with a "view as table" toggle, and a short
+ * description of the key finding that is read out with the chart.
+ */
+
+import { t } from '../../../js/i18n.js';
+
+/**
+ * Describe a visualization to assistive technology
+ * @param {HTMLElement} container - Visualization container, must have an ID
+ * @param {string} summary - Key finding, e.g. "Most common: Security, 42%"
+ */
+export function describeVisualization(container, summary) {
+    const descriptionId = `${container.id}-description`;
+    let description = document.getElementById(descriptionId);
+    if (!description) {
+        description = document.createElement('p');
+        description.id = descriptionId;
+        description.className = 'visually-hidden visualization-description';
+        container.appendChild(description);
+    }
+    description.textContent = summary;
+    container.setAttribute('aria-describedby', descriptionId);
+
+    // Canvases are images to screen readers; name them after the finding
+    container.querySelectorAll('canvas').forEach(canvas => {
+        canvas.setAttribute('role', 'img');
+        canvas.setAttribute('aria-label', summary);
+    });
+}
+
+/**
+ * Add a table with the data of a visualization and a button to show it instead of the chart
+ * @param {HTMLElement} container - Visualization container, must have an ID
+ * @param {Object} table - Table contents
+ * @param {string} table.caption - Caption of the table
+ * @param {Array<string>} table.columns - Column headers
+ * @param {Array<Array>} table.rows - Rows of cells; the first cell is the row header
+ */
+export function addDataTable(container, { caption, columns, rows }) {
+    const wrapperId = `${container.id}-table`;
+
+    const wrapper = document.createElement('div');
+    wrapper.id = wrapperId;
+    wrapper.className = 'data-table-wrapper';
+    wrapper.hidden = true;
+
+    const table = document.createElement('table');
+    table.className = 'data-table';
+
+    const captionElement = document.createElement('caption');
+    captionElement.textContent = caption;
+    table.appendChild(captionElement);
+
+    const thead = document.createElement('thead');
+    const headerRow = document.createElement('tr');
+    columns.forEach(column => {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        th.textContent = column;
+        headerRow.appendChild(th);
+    });
+    thead.appendChild(headerRow);
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    rows.forEach(cells => {
+        const tr = document.createElement('tr');
+        cells.forEach((cell, index) => {
+            const element = document.createElement(index === 0 ? 'th' : 'td');
+            if (index === 0) {
+                element.scope = 'row';
+            }
+            element.textContent = cell === null || cell === undefined ? '-' : String(cell);
+            tr.appendChild(element);
+        });
+        tbody.appendChild(tr);
+    });
+    table.appendChild(tbody);
+    wrapper.appendChild(table);
+
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'btn secondary data-table-toggle';
+    toggle.textContent = t('dashboard.visualization.viewTable');
+    toggle.setAttribute('aria-controls', wrapperId);
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.addEventListener('click', () => {
+        const showTable = wrapper.hidden;
+        wrapper.hidden = !showTable;
+        container.classList.toggle('show-data-table', showTable);
+        toggle.textContent = t(showTable ? 'dashboard.visualization.viewChart' : 'dashboard.visualization.viewTable');
+        toggle.setAttribute('aria-expanded', String(showTable));
+    });
+
+    container.insertBefore(toggle, container.firstChild);
+    container.appendChild(wrapper);
+}
+
+/**
+ * Find the entry with the highest value
+ * @param {Array<string>} labels - Labels of the entries
+ * @param {Array<number>} values - Values of the entries
+ * @returns {Object|null} - { label, value, index }, or null if there are no entries
+ */
+export function findTopEntry(labels, values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const index = values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+    return { label: labels[index], value: values[index], index };
+}
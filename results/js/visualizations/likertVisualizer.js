@@ -4,6 +4,8 @@
  */
 
 import { aggregateLikertResponses } from '../resultsDataService.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
 
 /**
  * Create a visualization for Likert scale question responses
@@ -14,14 +16,14 @@ import { aggregateLikertResponses } from '../resultsDataService.js';
  */
 export function createLikertVisualization(container, responses, question, responseLabels, type = 'heatmap') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
 
     const aggregatedData = aggregateLikertResponses(responses, question, responseLabels);
 
     if (aggregatedData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
 
@@ -35,6 +37,56 @@ export function createLikertVisualization(container, responses, question, respon
         default:
             renderHeatmap(container, aggregatedData, question);
     }
+
+    addAccessibleData(container, aggregatedData, question);
+}
+
+/**
+ * Add the Likert data as a table and describe the highest rated item for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, data, question) {
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.option'),
+            ...data.likertScaleValues.map(value => data.likertScaleLabels[value] || value),
+            t('dashboard.visualization.table.average')
+        ],
+        rows: data.options.map(option => [
+            option.label,
+            ...data.likertScaleValues.map(value =>
+                `${data.counts[option.value][value]} (${data.percentages[option.value][value]}%)`),
+            getAverageRating(data, option.value)
+        ])
+    });
+
+    const averages = data.options.map(option => getAverageRating(data, option.value) || 0);
+    const top = findTopEntry(data.options.map(option => option.label), averages);
+    if (top) {
+        describeVisualization(container, t('dashboard.visualization.summary.highestRated', {
+            label: top.label,
+            average: top.value
+        }));
+    }
+}
+
+/**
+ * Get the average rating of a Likert item
+ * @param {Object} data - Aggregated data
+ * @param {string} optionValue - Value of the rated item
+ * @returns {number|null} Average rating with one decimal, or null without ratings
+ */
+function getAverageRating(data, optionValue) {
+    const total = data.totalResponsesPerOption[optionValue];
+    if (!total) {
+        return null;
+    }
+    const sum = data.likertScaleValues.reduce((acc, value) =>
+        acc + Number(value) * data.counts[optionValue][value], 0);
+    return Math.round((sum / total) * 10) / 10;
 }
 
 /**
@@ -83,7 +135,7 @@ function renderHeatmap(container, data, question) {
             const intensity = Math.min(0.9, percentage / 100 + 0.1);
             td.style.backgroundColor = `rgba(74, 134, 232, ${intensity})`;
             const companies = data.tooltips[option.value][value];
-            td.title = `${option.label}  - ${data.likertScaleLabels[value]}: ${count} (${percentage}%)` + (companies ? ` - Companies: ${companies}` : '');
+            td.title = `${option.label}  - ${data.likertScaleLabels[value]}: ${count} (${percentage}%)` + (companies ? ` - ${t('dashboard.visualization.tooltip.companies', { companies })}` : '');
             td.innerHTML = `<span class="cell-value">${count}</span><span class="cell-percentage"> (${percentage}%) </span>`;
             tr.appendChild(td);
         });
@@ -149,7 +201,7 @@ function renderStackedBarChart(container, data, question) {
                         label: (context) => {
                             const label = context.dataset.label || '';
                             const value = context.raw || 0;
-                            return `${label}: ${value.toFixed(1)}% ${context.dataset.tt[context.dataIndex] ? `- Companies: ${context.dataset.tt[context.dataIndex]}` : ''   }`;
+                            return `${label}: ${value.toFixed(1)}% ${context.dataset.tt[context.dataIndex] ? `- ${t('dashboard.visualization.tooltip.companies', { companies: context.dataset.tt[context.dataIndex] })}` : ''   }`;
                         }
                     }
                 }
@@ -7,6 +7,8 @@
  */
 
 import { aggregateMatrixResponses } from '../resultsDataService.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
 
 /**
  * Create a visualization for matrix question responses
@@ -17,7 +19,7 @@ import { aggregateMatrixResponses } from '../resultsDataService.js';
  */
 export function createMatrixVisualization(container, responses, question, responseLabels, type = 'heatmap') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -26,7 +28,7 @@ export function createMatrixVisualization(container, responses, question, respon
     
     // Don't render if no data
     if (aggregatedData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
     
@@ -47,6 +49,38 @@ export function createMatrixVisualization(container, responses, question, respon
         default:
             renderHeatmap(container, aggregatedData, question);
     }
+    
+    addAccessibleData(container, aggregatedData, question);
+}
+
+/**
+ * Add the matrix data as a table and describe the most common answer for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, data, question) {
+    addDataTable(container, {
+        caption: question.title,
+        columns: [t('dashboard.visualization.table.option'), ...data.columns.map(column => column.label)],
+        rows: data.rows.map(row => [
+            row.label,
+            ...data.columns.map(column => `${data.counts[row.id][column.id]} (${data.percentages[row.id][column.id]}%)`)
+        ])
+    });
+    
+    const cells = data.rows.flatMap(row => data.columns.map(column => ({ row, column })));
+    const top = findTopEntry(
+        cells.map(cell => `${cell.row.label}: ${cell.column.label}`),
+        cells.map(cell => data.counts[cell.row.id][cell.column.id])
+    );
+    if (top) {
+        const cell = cells[top.index];
+        describeVisualization(container, t('dashboard.visualization.summary.mostCommon', {
+            label: top.label,
+            percentage: data.percentages[cell.row.id][cell.column.id]
+        }));
+    }
 }
 
 /**
@@ -133,7 +167,7 @@ function renderHeatmap(container, data, question) {
     const legend = document.createElement('div');
     legend.className = 'heatmap-legend';
     legend.innerHTML = `
-        <div class="legend-title">Color Intensity</div>
+        <div class="legend-title">${t('dashboard.visualization.chart.colorIntensity')}</div>
         <div class="legend-scale">
             <div class="legend-item" style="background-color: rgba(74, 134, 232, 0.1);"></div>
             <div class="legend-item" style="background-color: rgba(74, 134, 232, 0.3);"></div>
@@ -295,7 +329,7 @@ function renderGroupedBarChart(container, data, question) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Number of Responses'
+                        text: t('dashboard.visualization.chart.numberOfResponses')
                     }
                 },
                 y: {
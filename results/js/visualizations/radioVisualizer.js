@@ -7,6 +7,8 @@
  */
 
 import { aggregateRadioResponses } from '../resultsDataService.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
 
 /**
  * Create a visualization for radio question responses
@@ -17,7 +19,7 @@ import { aggregateRadioResponses } from '../resultsDataService.js';
  */
 export function createRadioVisualization(container, responses, question,  responseLabels,type = 'pie') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -26,7 +28,7 @@ export function createRadioVisualization(container, responses, question,  respon
     
     // Don't render if no data
     if (aggregatedData.total === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
     
@@ -50,6 +52,22 @@ export function createRadioVisualization(container, responses, question,  respon
     
     // Add a legend for accessibility
     addLegend(container, aggregatedData);
+    
+    // Add the data as a table and describe the key finding for screen readers
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.option'),
+            t('dashboard.visualization.table.responses'),
+            t('dashboard.visualization.table.percentage')
+        ],
+        rows: aggregatedData.labels.map((label, i) => [label, aggregatedData.data[i], `${aggregatedData.percentages[i]}%`])
+    });
+    const top = findTopEntry(aggregatedData.labels, aggregatedData.data);
+    describeVisualization(container, t('dashboard.visualization.summary.mostCommon', {
+        label: top.label,
+        percentage: aggregatedData.percentages[top.index]
+    }));
 }
 
 /**
@@ -268,7 +286,7 @@ function renderBarChart(container, data, question, horizontal = false) {
                     },
                     title: {
                         display: !horizontal,
-                        text: 'Number of Responses',
+                        text: t('dashboard.visualization.chart.numberOfResponses'),
                         padding: {
                             top: 10
                         }
@@ -281,7 +299,7 @@ function renderBarChart(container, data, question, horizontal = false) {
                     },
                     title: {
                         display: horizontal,
-                        text: 'Number of Responses',
+                        text: t('dashboard.visualization.chart.numberOfResponses'),
                         padding: {
                             bottom: 10
                         }
@@ -5,6 +5,9 @@
  * It displays a histogram of the responses.
  */
 
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization } from './dataTable.js';
+
 const rangeSliderVisualizer = {
   /**
    * Renders the visualization for a range slider question.
@@ -15,12 +18,12 @@ const rangeSliderVisualizer = {
   render: function(container, question, responses) {
     // Check for valid input data
     if (!question.rangeSlider) {
-      container.innerHTML = '<p>Question is missing rangeSlider configuration.</p>';
+      container.innerHTML = `<p>${t('dashboard.visualization.missingConfiguration', { type: 'rangeSlider' })}</p>`;
       return;
     }
 
     if (!responses || responses.length === 0) {
-      container.innerHTML = '<p class="no-data">No responses available for this question.</p>';
+      container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
       return;
     }
 
@@ -63,7 +66,7 @@ const rangeSliderVisualizer = {
     // Check if we have any valid data
     const hasData = data.some(count => count > 0);
     if (!hasData) {
-      container.innerHTML = '<p class="no-data">No valid data available for this question.</p>';
+      container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.validResponses')}</p>`;
       return;
     }
 
@@ -73,7 +76,7 @@ const rangeSliderVisualizer = {
       data: {
         labels: labels,
         datasets: [{
-          label: 'Number of Responses',
+          label: t('dashboard.visualization.chart.numberOfResponses'),
           data: data,
           backgroundColor: 'rgba(54, 162, 235, 0.6)',
           borderColor: 'rgba(54, 162, 235, 1)',
@@ -88,7 +91,7 @@ const rangeSliderVisualizer = {
             beginAtZero: true,
             title: {
               display: true,
-              text: 'Frequency'
+              text: t('dashboard.visualization.chart.frequency')
             }
           },
           x: {
@@ -112,16 +115,16 @@ const rangeSliderVisualizer = {
           },
           title: {
             display: true,
-            text: `Distribution of Responses for "${question.title}"`
+            text: t('dashboard.visualization.chart.distribution', { question: question.title })
           },
           tooltip: {
             callbacks: {
               title: function(tooltipItems) {
                 const item = tooltipItems[0];
-                return `Value: ${labels[item.dataIndex]}`;
+                return t('dashboard.visualization.tooltip.value', { value: labels[item.dataIndex] });
               },
               label: function(context) {
-                return `Responses: ${context.raw}`;
+                return t('dashboard.visualization.tooltip.responses', { count: context.raw });
               }
             }
           }
@@ -131,6 +134,40 @@ const rangeSliderVisualizer = {
     
     // Add statistics summary
     this.addStatisticsSummary(container, responses);
+
+    // Add the distribution as a table and describe it for screen readers
+    this.addAccessibleData(container, question, labels, data);
+  },
+
+  /**
+   * Adds a table of the values given and a description of the distribution
+   * @param {HTMLElement} container - The container to add the table to
+   * @param {Object} question - The question object from the survey definition
+   * @param {Array<string>} labels - Values of the histogram bins
+   * @param {Array<number>} data - Number of responses per bin
+   */
+  addAccessibleData: function(container, question, labels, data) {
+    const total = data.reduce((a, b) => a + b, 0);
+    const rows = labels
+      .map((label, i) => [label, data[i], `${Math.round((data[i] / total) * 100)}%`])
+      .filter(row => row[1] > 0);
+
+    addDataTable(container, {
+      caption: question.title,
+      columns: [
+        t('dashboard.visualization.table.value'),
+        t('dashboard.visualization.table.responses'),
+        t('dashboard.visualization.table.percentage')
+      ],
+      rows
+    });
+
+    const sum = labels.reduce((acc, label, i) => acc + Number(label) * data[i], 0);
+    describeVisualization(container, t('dashboard.visualization.summary.distribution', {
+      average: Math.round((sum / total) * 10) / 10,
+      min: rows[0][0],
+      max: rows[rows.length - 1][0]
+    }));
   },
   
   /**
@@ -160,11 +197,11 @@ const rangeSliderVisualizer = {
     statsElement.innerHTML = `
       <table class="stats-table">
         <tr>
-          <th>Responses</th>
-          <th>Average</th>
-          <th>Min</th>
-          <th>Max</th>
-          <th>Range</th>
+          <th>${t('dashboard.visualization.table.responses')}</th>
+          <th>${t('dashboard.visualization.table.average')}</th>
+          <th>${t('dashboard.visualization.table.min')}</th>
+          <th>${t('dashboard.visualization.table.max')}</th>
+          <th>${t('dashboard.visualization.table.range')}</th>
         </tr>
         <tr>
           <td>${values.length}</td>
@@ -7,6 +7,9 @@
  * 2. Stacked bar chart showing distribution of rank positions (1st, 2nd, 3rd, etc.)
  */
 
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization } from './dataTable.js';
+
 /**
  * Create visualizations for rank question responses
  * @param {HTMLElement} container - The DOM element to render the visualizations in
@@ -16,7 +19,7 @@
  */
 export function createRankVisualization(container, responses, question, type = 'rankedOrder') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -25,7 +28,7 @@ export function createRankVisualization(container, responses, question, type = '
     
     // Don't render if no valid data
     if (!rankingData || rankingData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No valid responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.validResponses')}</p>`;
         return;
     }
     
@@ -59,11 +62,43 @@ export function createRankVisualization(container, responses, question, type = '
             
             const stackedContainer = document.createElement('div');
             stackedContainer.className = 'rank-visualization-section';
-            stackedContainer.innerHTML = '<h4>Rank Position Distribution</h4>';
+            stackedContainer.innerHTML = `<h4>${t('dashboard.visualization.rank.positionDistribution')}</h4>`;
             container.appendChild(stackedContainer);
             
             renderStackedPositionsVisualization(stackedContainer, rankingData, question);
     }
+    
+    addAccessibleData(container, rankingData, question);
+}
+
+/**
+ * Add the ranking as a table and describe the top ranked option for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} rankingData - Processed ranking data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, rankingData, question) {
+    const positions = Array.from({ length: rankingData.optionCount }, (_, i) =>
+        t('dashboard.visualization.table.rankPosition', { position: i + 1 }));
+    
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.option'),
+            t('dashboard.visualization.table.points'),
+            ...positions
+        ],
+        rows: rankingData.rankings.map(ranking => [ranking.label, ranking.points, ...ranking.positionCounts])
+    });
+    
+    // Rankings are sorted by Borda points
+    const top = rankingData.rankings[0];
+    if (top) {
+        describeVisualization(container, t('dashboard.visualization.summary.rankedFirst', {
+            label: top.label,
+            points: top.points
+        }));
+    }
 }
 
 /**
@@ -153,7 +188,7 @@ function renderIRVVisualization(container, irvResult, question) {
         const rankedEliminated = [...eliminatedInOrder].reverse();
         finalRankingIds.push(...rankedEliminated);
 
-        finalRankingContainer.innerHTML = `<h4>Final Ranking (IRV)</h4>`;
+        finalRankingContainer.innerHTML = `<h4>${t('dashboard.visualization.rank.finalRanking')}</h4>`;
         const rankingList = document.createElement('ol');
         rankingList.className = 'irv-ranking-list';
         finalRankingIds.forEach(candidateId => {
@@ -163,24 +198,24 @@ function renderIRVVisualization(container, irvResult, question) {
         });
         finalRankingContainer.appendChild(rankingList);
     } else {
-        finalRankingContainer.innerHTML = '<h3>No clear winner (tie)</h3>';
+        finalRankingContainer.innerHTML = `<h3>${t('dashboard.visualization.rank.noWinner')}</h3>`;
     }
     container.appendChild(finalRankingContainer);
 
     const roundsContainer = document.createElement('div');
     roundsContainer.className = 'irv-rounds';
-    roundsContainer.innerHTML = '<h4>Voting Rounds</h4>';
+    roundsContainer.innerHTML = `<h4>${t('dashboard.visualization.rank.rounds')}</h4>`;
 
     rounds.forEach((round, index) => {
         const roundDiv = document.createElement('div');
         roundDiv.className = 'irv-round';
-        roundDiv.innerHTML = `<h5>Round ${index + 1}</h5>`;
+        roundDiv.innerHTML = `<h5>${t('dashboard.visualization.rank.round', { round: index + 1 })}</h5>`;
 
         const countsList = document.createElement('ul');
         Object.entries(round.counts).sort((a, b) => b[1] - a[1]).forEach(([candidate, count]) => {
             const li = document.createElement('li');
             const percentage = round.totalVotes > 0 ? ((count / round.totalVotes) * 100).toFixed(1) : 0;
-            li.textContent = `${getOptionLabel(candidate)}: ${count} votes (${percentage}%)`;
+            li.textContent = t('dashboard.visualization.rank.votes', { label: getOptionLabel(candidate), count, percentage });
             countsList.appendChild(li);
         });
         roundDiv.appendChild(countsList);
@@ -188,7 +223,7 @@ function renderIRVVisualization(container, irvResult, question) {
         if (round.eliminated && round.eliminated.length > 0) {
             const eliminatedP = document.createElement('p');
             eliminatedP.className = 'eliminated-candidate';
-            eliminatedP.textContent = `Eliminated: ${round.eliminated.map(getOptionLabel).join(', ')}`;
+            eliminatedP.textContent = t('dashboard.visualization.rank.eliminated', { options: round.eliminated.map(getOptionLabel).join(', ') });
             roundDiv.appendChild(eliminatedP);
         }
         
@@ -326,7 +361,7 @@ function renderRankedOrderVisualization(container, data, question) {
         data: {
             labels: labels,
             datasets: [{
-                label: 'Ranking Points',
+                label: t('dashboard.visualization.chart.rankingPoints'),
                 data: chartData,
                 backgroundColor: colors,
                 borderColor: colors.map(color => color.replace('0.5)', '1)')),
@@ -342,13 +377,13 @@ function renderRankedOrderVisualization(container, data, question) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Points (Borda Count)'
+                        text: t('dashboard.visualization.chart.bordaPoints')
                     }
                 },
                 y: {
                     title: {
                         display: true,
-                        text: 'Options (Ranked)'
+                        text: t('dashboard.visualization.chart.rankedOptions')
                     }
                 }
             },
@@ -364,8 +399,8 @@ function renderRankedOrderVisualization(container, data, question) {
                             const ranking = data.rankings[context.dataIndex];
                             
                             return [
-                                `${label}: ${value} points`,
-                                `Rank: #${context.dataIndex + 1} of ${data.rankings.length}`
+                                t('dashboard.visualization.tooltip.points', { label, count: value }),
+                                t('dashboard.visualization.tooltip.rank', { rank: context.dataIndex + 1, total: data.rankings.length })
                             ];
                         }
                     }
@@ -373,7 +408,7 @@ function renderRankedOrderVisualization(container, data, question) {
                 datalabels: {
                     formatter: (value, context) => {
                         // Show ranking number and points
-                        return `#${context.dataIndex + 1} (${value} pts)`;
+                        return t('dashboard.visualization.rank.pointsLabel', { rank: context.dataIndex + 1, count: value });
                     },
                     color: '#fff',
                     font: {
@@ -394,10 +429,11 @@ function renderRankedOrderVisualization(container, data, question) {
     explanation.className = 'rank-explanation';
     explanation.innerHTML = `
         <p class="explanation-text">
-            This visualization shows the final ranking of options using the Borda count method.
-            Each time an option is ranked 1st, it receives ${data.optionCount} points, 
-            2nd place receives ${data.optionCount - 1} points, and so on. 
-            The bars show the total points each option received across ${data.totalResponses} responses.
+            ${t('dashboard.visualization.rank.bordaExplanation', {
+                first: data.optionCount,
+                second: data.optionCount - 1,
+                count: data.totalResponses
+            })}
         </p>
     `;
     container.appendChild(explanation);
@@ -442,7 +478,7 @@ function renderStackedPositionsVisualization(container, data, question) {
         const positionData = data.rankings.map(item => item.positionCounts[i]);
         
         datasets.push({
-            label: `Ranked ${i + 1}${getOrdinalSuffix(i + 1)}`,
+            label: t('dashboard.visualization.table.rankPosition', { position: i + 1 }),
             data: positionData,
             backgroundColor: i < rankColors.length ? rankColors[i] : rankColors[rankColors.length - 1],
             borderColor: 'rgba(255, 255, 255, 0.8)',
@@ -467,14 +503,14 @@ function renderStackedPositionsVisualization(container, data, question) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Number of Responses'
+                        text: t('dashboard.visualization.chart.numberOfResponses')
                     }
                 },
                 y: {
                     stacked: true,
                     title: {
                         display: true,
-                        text: 'Options'
+                        text: t('dashboard.visualization.chart.options')
                     }
                 }
             },
@@ -493,7 +529,7 @@ function renderStackedPositionsVisualization(container, data, question) {
                             const value = context.raw || 0;
                             const percentage = Math.round((value / data.totalResponses) * 100);
                             
-                            return `${label}: ${value} (${percentage}% of responses)`;
+                            return t('dashboard.visualization.tooltip.percentageOfResponses', { label, count: value, percentage });
                         }
                     }
                 },
@@ -522,22 +558,8 @@ function renderStackedPositionsVisualization(container, data, question) {
     explanation.className = 'rank-explanation';
     explanation.innerHTML = `
         <p class="explanation-text">
-            This visualization shows how many times each option was ranked in each position.
-            Options are ordered by their final ranking (using Borda count).
-            For example, the gold segments show how many times each option was ranked 1st.
-            The visualization is based on ${data.totalResponses} responses.
+            ${t('dashboard.visualization.rank.positionsExplanation', { count: data.totalResponses })}
         </p>
     `;
     container.appendChild(explanation);
 }
-
-/**
- * Get ordinal suffix for a number (1st, 2nd, 3rd, etc.)
- * @param {number} n - Number
- * @returns {string} - Ordinal suffix
- */
-function getOrdinalSuffix(n) {
-    const s = ['th', 'st', 'nd', 'rd'];
-    const v = n % 100;
-    return s[(v - 20) % 10] || s[v] || s[0];
-}
@@ -7,6 +7,8 @@
  */
 
 import { aggregateSliderResponses } from '../resultsDataService.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
 
 // Constants for visualization types
 const VISUALIZATION_TYPES = {
@@ -24,7 +26,7 @@ const VISUALIZATION_TYPES = {
  */
 export function createSliderVisualization(container, responses, question, type = 'histogram') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -33,7 +35,7 @@ export function createSliderVisualization(container, responses, question, type =
     
     // Don't render if no data
     if (aggregatedData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
     
@@ -64,6 +66,44 @@ export function createSliderVisualization(container, responses, question, type =
     
     // Add summary statistics table
     addStatisticsTable(container, aggregatedData);
+    
+    addAccessibleData(container, aggregatedData, question);
+}
+
+/**
+ * Add the slider statistics as a table and describe the highest average for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, data, question) {
+    const labels = data.options.map(option => {
+        const optionObj = (question.options || []).find(opt => opt.value === option);
+        return optionObj && optionObj.label ? optionObj.label : option;
+    });
+    
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.option'),
+            t('dashboard.visualization.table.average'),
+            t('dashboard.visualization.table.min'),
+            t('dashboard.visualization.table.max'),
+            t('dashboard.visualization.table.responses')
+        ],
+        rows: data.options.map((option, i) => {
+            const stats = data.statistics[option];
+            return [labels[i], stats.average, stats.min, stats.max, stats.count];
+        })
+    });
+    
+    const top = findTopEntry(labels, data.options.map(option => data.statistics[option].average));
+    if (top) {
+        describeVisualization(container, t('dashboard.visualization.summary.highestAverage', {
+            label: top.label,
+            average: top.value
+        }));
+    }
 }
 
 /**
@@ -114,7 +154,7 @@ function renderHistogram(container, data, question) {
     const config = {
         type: 'bar',
         data: {
-            labels: ['Average Score'],
+            labels: [t('dashboard.visualization.chart.averageScore')],
             datasets: datasets
         },
         options: {
@@ -129,7 +169,7 @@ function renderHistogram(container, data, question) {
                     max: 100,
                     title: {
                         display: true,
-                        text: 'Average Rating'
+                        text: t('dashboard.visualization.chart.averageRating')
                     }
                 }
             },
@@ -148,8 +188,8 @@ function renderHistogram(container, data, question) {
                             
                             return [
                                 `${label}: ${value.toFixed(1)}`,
-                                `Range: ${stats.min} - ${stats.max}`,
-                                `Responses: ${stats.count}`
+                                t('dashboard.visualization.tooltip.range', { min: stats.min, max: stats.max }),
+                                t('dashboard.visualization.tooltip.responses', { count: stats.count })
                             ];
                         }
                     }
@@ -231,21 +271,21 @@ function renderBoxPlot(container, data, question) {
             labels: labels,
             datasets: [
                 {
-                    label: 'Minimum',
+                    label: t('dashboard.visualization.chart.minimum'),
                     data: minData,
                     backgroundColor: 'rgba(255, 99, 132, 0.5)',
                     borderColor: 'rgba(255, 99, 132, 1)',
                     borderWidth: 1
                 },
                 {
-                    label: 'Average',
+                    label: t('dashboard.visualization.table.average'),
                     data: avgData,
                     backgroundColor: 'rgba(54, 162, 235, 0.5)',
                     borderColor: 'rgba(54, 162, 235, 1)',
                     borderWidth: 1
                 },
                 {
-                    label: 'Maximum',
+                    label: t('dashboard.visualization.chart.maximum'),
                     data: maxData,
                     backgroundColor: 'rgba(255, 205, 86, 0.5)',
                     borderColor: 'rgba(255, 205, 86, 1)',
@@ -265,7 +305,7 @@ function renderBoxPlot(container, data, question) {
                     max: 100,
                     title: {
                         display: true,
-                        text: 'Rating Value'
+                        text: t('dashboard.visualization.chart.ratingValue')
                     }
                 }
             },
@@ -396,7 +436,7 @@ function renderStackedPositions(container, data, question) {
                     stacked: true,
                     title: {
                         display: true,
-                        text: 'Value Range'
+                        text: t('dashboard.visualization.chart.valueRange')
                     }
                 },
                 y: {
@@ -404,14 +444,14 @@ function renderStackedPositions(container, data, question) {
                     beginAtZero: true,
                     title: {
                         display: true,
-                        text: 'Count'
+                        text: t('dashboard.visualization.chart.count')
                     }
                 }
             },
             plugins: {
                 title: {
                     display: true,
-                    text: 'Distribution of Values by Position Range',
+                    text: t('dashboard.visualization.chart.positionDistribution'),
                     font: {
                         size: 16
                     }
@@ -425,7 +465,7 @@ function renderStackedPositions(container, data, question) {
                         label: (context) => {
                             const label = context.dataset.label || '';
                             const value = context.raw || 0;
-                            return `${label}: ${Math.round(value)} responses`;
+                            return t('dashboard.visualization.tooltip.labelResponses', { label, count: Math.round(value) });
                         }
                     }
                 }
@@ -455,11 +495,11 @@ function addStatisticsTable(container, data) {
     const headerRow = document.createElement('tr');
     
     headerRow.innerHTML = `
-        <th>Option</th>
-        <th>Average</th>
-        <th>Min</th>
-        <th>Max</th>
-        <th>Responses</th>
+        <th>${t('dashboard.visualization.table.option')}</th>
+        <th>${t('dashboard.visualization.table.average')}</th>
+        <th>${t('dashboard.visualization.table.min')}</th>
+        <th>${t('dashboard.visualization.table.max')}</th>
+        <th>${t('dashboard.visualization.table.responses')}</th>
     `;
     
     thead.appendChild(headerRow);
@@ -3,6 +3,9 @@
  * Visualization component for tags questions
  */
 
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization } from './dataTable.js';
+
 /**
  * Create a word cloud visualization for tags question responses
  * @param {HTMLElement} container - The DOM element to render the visualization in
@@ -12,14 +15,14 @@
  */
 export function createTagsVisualization(container, responses, question, type = 'wordcloud') {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
 
     const aggregatedData = aggregateTags(responses);
 
     if (aggregatedData.totalTags === 0) {
-        container.innerHTML = '<p class="no-data">No tags for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.tags')}</p>`;
         return;
     }
 
@@ -32,6 +35,28 @@ export function createTagsVisualization(container, responses, question, type = '
         default:
             renderWordCloud(container, aggregatedData, question);
     }
+
+    addAccessibleData(container, aggregatedData, question);
+}
+
+/**
+ * Add the tag counts as a table and describe the most used tag for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, data, question) {
+    const tags = [...data.topTags].sort((a, b) => b.weight - a.weight);
+
+    addDataTable(container, {
+        caption: question.title,
+        columns: [t('dashboard.visualization.table.tag'), t('dashboard.visualization.table.occurrences')],
+        rows: tags.map(tag => [tag.text, tag.weight])
+    });
+    describeVisualization(container, t('dashboard.visualization.summary.mostUsed', {
+        label: tags[0].text,
+        count: tags[0].weight
+    }));
 }
 
 /**
@@ -92,7 +117,7 @@ function renderWordCloud(container, data, question) {
         wordElement.style.margin = '5px';
         wordElement.style.color = `rgba(74, 134, 232, ${opacity})`;
         wordElement.style.fontWeight = fontSize > 25 ? 'bold' : 'normal';
-        wordElement.title = `${word.text}: ${word.weight} occurrences`;
+        wordElement.title = t('dashboard.visualization.wordcloud.wordLabel', { word: word.text, count: word.weight });
 
         simpleCloud.appendChild(wordElement);
     });
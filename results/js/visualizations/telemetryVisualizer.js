@@ -0,0 +1,204 @@
+/**
+ * telemetryVisualizer.js
+ * Visualization components for response timing telemetry
+ *
+ * This module renders the median time spent per step (getStepTimings) and the
+ * drop-off funnel of respondents per step (getDropOffFunnel) as bar charts.
+ */
+
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
+
+// Bar colors
+const TIMING_COLOR = '#4a86e8';
+const FUNNEL_COLOR = '#6aa84f';
+const SUBMITTED_COLOR = '#999999';
+
+/**
+ * Format a duration in milliseconds as minutes and seconds
+ * @param {number|null} ms - Duration in milliseconds
+ * @returns {string} Formatted duration, e.g. "1m 05s"
+ */
+function formatDuration(ms) {
+    if (ms === null) {
+        return '-';
+    }
+    const totalSeconds = Math.round(ms / 1000);
+    const minutes = Math.floor(totalSeconds / 60);
+    const seconds = totalSeconds % 60;
+    return minutes > 0 ? `${minutes}m ${String(seconds).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * Create a chart container with a canvas
+ * @param {HTMLElement} container - Container element
+ * @param {string} canvasId - ID of the canvas
+ * @param {number} barCount - Number of bars, used for the height
+ * @returns {HTMLCanvasElement} The canvas
+ */
+function createChartCanvas(container, canvasId, barCount) {
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'chart-container';
+    chartContainer.style.height = `${Math.max(200, barCount * 36)}px`;
+
+    const canvas = document.createElement('canvas');
+    canvas.id = canvasId;
+    chartContainer.appendChild(canvas);
+    container.appendChild(chartContainer);
+    return canvas;
+}
+
+/**
+ * Create a bar chart of the median time spent per step
+ * @param {HTMLElement} container - The DOM element to render the visualization in
+ * @param {Array} timings - Step timings as returned by getStepTimings
+ */
+export function createStepTimingVisualization(container, timings) {
+    container.innerHTML = '';
+
+    if (!timings.some(timing => timing.respondents > 0)) {
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.timing')}</p>`;
+        return;
+    }
+
+    const canvas = createChartCanvas(container, 'chart-step-timing', timings.length);
+
+    new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: timings.map(timing => timing.title),
+            datasets: [{
+                label: t('dashboard.visualization.chart.medianSeconds'),
+                data: timings.map(timing => timing.medianMs !== null ? Math.round(timing.medianMs / 1000) : 0),
+                backgroundColor: TIMING_COLOR,
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const timing = timings[context.dataIndex];
+                            return t('dashboard.visualization.tooltip.median', { duration: formatDuration(timing.medianMs), count: timing.respondents });
+                        }
+                    }
+                },
+                datalabels: {
+                    anchor: 'end',
+                    align: 'end',
+                    formatter: (value, context) => formatDuration(timings[context.dataIndex].medianMs)
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    grace: '10%',
+                    title: {
+                        display: true,
+                        text: t('dashboard.visualization.chart.medianSeconds')
+                    }
+                }
+            }
+        }
+    });
+
+    addDataTable(container, {
+        caption: t('dashboard.telemetry.stepTiming'),
+        columns: [
+            t('dashboard.visualization.table.step'),
+            t('dashboard.visualization.table.medianTime'),
+            t('dashboard.visualization.table.respondents')
+        ],
+        rows: timings.map(timing => [timing.title, formatDuration(timing.medianMs), timing.respondents])
+    });
+    const slowest = findTopEntry(timings.map(timing => timing.title), timings.map(timing => timing.medianMs || 0));
+    describeVisualization(container, t('dashboard.visualization.summary.slowestStep', {
+        label: slowest.label,
+        duration: formatDuration(slowest.value)
+    }));
+}
+
+/**
+ * Create a funnel chart of the share of respondents reaching each step
+ * @param {HTMLElement} container - The DOM element to render the visualization in
+ * @param {Array} funnel - Funnel as returned by getDropOffFunnel
+ */
+export function createDropOffFunnelVisualization(container, funnel) {
+    container.innerHTML = '';
+
+    if (funnel.every(stage => stage.count === 0)) {
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.respondents')}</p>`;
+        return;
+    }
+
+    const canvas = createChartCanvas(container, 'chart-drop-off', funnel.length);
+
+    new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: funnel.map(stage => stage.title),
+            datasets: [{
+                label: t('dashboard.visualization.table.percentageOfRespondents'),
+                data: funnel.map(stage => stage.percentage),
+                backgroundColor: funnel.map(stage => stage.stepId === null ? SUBMITTED_COLOR : FUNNEL_COLOR),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => {
+                            const stage = funnel[context.dataIndex];
+                            return t('dashboard.visualization.tooltip.respondentsOf', { count: stage.count, total: stage.eligible, percentage: stage.percentage });
+                        }
+                    }
+                },
+                datalabels: {
+                    anchor: 'end',
+                    align: 'end',
+                    formatter: (value) => `${value}%`
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    max: 100,
+                    title: {
+                        display: true,
+                        text: t('dashboard.visualization.table.percentageOfRespondents')
+                    }
+                }
+            }
+        }
+    });
+
+    addDataTable(container, {
+        caption: t('dashboard.telemetry.dropOff'),
+        columns: [
+            t('dashboard.visualization.table.step'),
+            t('dashboard.visualization.table.respondents'),
+            t('dashboard.visualization.table.percentage')
+        ],
+        rows: funnel.map(stage => [stage.title, stage.count, `${stage.percentage}%`])
+    });
+    const submitted = funnel.find(stage => stage.stepId === null);
+    if (submitted) {
+        describeVisualization(container, t('dashboard.visualization.summary.submitted', {
+            percentage: submitted.percentage
+        }));
+    }
+}
@@ -3,21 +3,44 @@
  * Visualization component for text questions (short and long)
  * 
  * This module creates visualizations and summaries for text-based responses
- * including word clouds, response lists, and basic statistics.
+ * including word clouds, response lists, and basic statistics. Admins can
+ * code the responses with themes in the responses modal; the themes are
+ * shown by the theme visualizer.
  */
 
 import { aggregateTextResponses } from '../resultsDataService.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization } from './dataTable.js';
+import { layoutWordCloud } from './wordCloudLayout.js';
+import { containsTerm, stripHtml } from '../textAnalytics.js';
+import { createThemeVisualization } from './themeVisualizer.js';
+import { getCodebook, addTheme, removeTheme, setResponseCodes } from '../admin/thematicCoding.js';
+
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+
+// Size of the word cloud; the width follows the container when it is visible
+const WORDCLOUD_HEIGHT = 300;
+const WORDCLOUD_DEFAULT_WIDTH = 600;
+const WORDCLOUD_FONT = 'sans-serif';
+
+// Value of the theme filter in the responses modal for responses without themes
+const UNCODED_FILTER = '__uncoded';
 
 /**
  * Create a visualization/summary for text question responses
  * @param {HTMLElement} container - The DOM element to render the visualization in
  * @param {Array} responses - Array of question responses
  * @param {Object} question - The question definition
- * @param {string} [type='wordcloud'] - Type of visualization ('wordcloud')
+ * @param {string} [type='wordcloud'] - Type of visualization ('wordcloud', 'themes')
+ * @param {Object} [options] - Thematic coding options
+ * @param {Array<string>} [options.responseKeys] - Keys of the responses, in the same order, see getResponseKey
+ * @param {boolean} [options.canViewResponses=true] - Whether the viewer may read the individual responses
+ * @param {boolean} [options.canCode] - Whether the viewer may edit the codebook and code the responses
+ * @param {Function} [options.onCodingChange] - Called with { themesChanged } when the modal closes after coding
  */
-export function createTextSummary(container, responses, question, type = 'wordcloud ') {
+export function createTextSummary(container, responses, question, type = 'wordcloud ', options = {}) {
     if (!container || !Array.isArray(responses) || responses.length === 0) {
-        container.innerHTML = '<p class="no-data">No data available for this question.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.question')}</p>`;
         return;
     }
     
@@ -26,98 +49,162 @@ export function createTextSummary(container, responses, question, type = 'wordcl
     
     // Don't render if no data
     if (aggregatedData.totalResponses === 0) {
-        container.innerHTML = '<p class="no-data">No responses for this question yet.</p>';
+        container.innerHTML = `<p class="no-data">${t('dashboard.visualization.noData.responses')}</p>`;
         return;
     }
     
     // Clear container
     container.innerHTML = '';
     
+    // Keep the key of each response, so the modal can code it
+    const responseKeys = options.responseKeys || [];
+    const entries = responses.map((value, index) => ({ value, key: responseKeys[index] || null }));
+    const coding = options.canCode ? { onChange: options.onCodingChange } : null;
     
     // Add a dedicated button to view all responses in modal
-    const viewAllButton = document.createElement('button');
-    viewAllButton.className = 'btn primary view-all-responses';
-    viewAllButton.textContent = `View All ${aggregatedData.totalResponses} Responses`;
-    viewAllButton.style.marginBottom = '20px';
-    
-    viewAllButton.addEventListener('click', () => {
-        // Create and show the responses modal
-        showResponsesModal(question, responses);
-    });
-    
-    container.appendChild(viewAllButton);
+    const canViewResponses = options.canViewResponses !== false;
+    if (canViewResponses) {
+        const viewAllButton = document.createElement('button');
+        viewAllButton.className = 'btn primary view-all-responses';
+        viewAllButton.textContent = t('dashboard.visualization.responsesModal.viewAll', { count: aggregatedData.totalResponses });
+        viewAllButton.style.marginBottom = '20px';
+        
+        viewAllButton.addEventListener('click', () => {
+            // Create and show the responses modal
+            showResponsesModal(question, entries, null, coding);
+        });
+        
+        container.appendChild(viewAllButton);
+    }
     
     // Render appropriate visualization based on type
+    const showResponsesWithTerm = canViewResponses
+        ? (term) => showResponsesModal(question, entries, term, coding)
+        : null;
     switch (type) {
+        case 'themes':
+            createThemeVisualization(container, entries.filter(entry => entry.key).map(entry => entry.key), question);
+            return;
         case 'wordcloud':
-            renderWordCloud(container, aggregatedData, question);
+            renderWordCloud(container, aggregatedData, showResponsesWithTerm);
             break;
         default:
-            renderWordCloud(container, aggregatedData, question);
+            renderWordCloud(container, aggregatedData, showResponsesWithTerm);
+    }
+    
+    addAccessibleData(container, aggregatedData, question);
+}
+
+/**
+ * Add the word counts as a table and describe the most frequent word for screen readers
+ * @param {HTMLElement} container - Visualization container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function addAccessibleData(container, data, question) {
+    const words = [...data.topWords].sort((a, b) => b.weight - a.weight);
+    if (words.length === 0) {
+        return;
     }
+    
+    addDataTable(container, {
+        caption: question.title,
+        columns: [t('dashboard.visualization.table.word'), t('dashboard.visualization.table.occurrences')],
+        rows: words.map(word => [word.text, word.weight])
+    });
+    describeVisualization(container, t('dashboard.visualization.summary.mostFrequentWord', {
+        label: words[0].text,
+        count: words[0].weight,
+        total: data.totalResponses
+    }));
+}
+
+/**
+ * Create a function that measures the width of text in the font of the word cloud
+ * @returns {Function} - (text, fontSize) => width in pixels
+ */
+function createTextMeasurer() {
+    const context = document.createElement('canvas').getContext('2d');
+    return (text, fontSize) => {
+        if (!context) {
+            // Rough estimate when canvas is unavailable
+            return text.length * fontSize * 0.6;
+        }
+        context.font = `${fontSize > 25 ? 'bold ' : ''}${fontSize}px ${WORDCLOUD_FONT}`;
+        return context.measureText(text).width;
+    };
 }
 
 /**
  * Render a word cloud visualization
  * @param {HTMLElement} container - Container element
  * @param {Object} data - Aggregated data
- * @param {Object} question - Question definition
+ * @param {Function|null} onWordSelect - Called with the text of a word when it is clicked; null if words cannot be selected
  */
-function renderWordCloud(container, data, question) {
+function renderWordCloud(container, data, onWordSelect) {
     const wordcloudContainer = document.createElement('div');
     wordcloudContainer.className = 'wordcloud-container';
-    wordcloudContainer.style.height = '300px';
-    wordcloudContainer.style.position = 'relative';
-    
-    // Add placeholder for wordcloud libraries
-    // In a production environment, you would use a dedicated word cloud library
-    // like d3-cloud or wordcloud2.js
-    
-    // Since we don't want to add external dependencies for this example,
-    // we'll create a simple visual representation
-    
-    // Sort words by frequency
-    const words = [...data.topWords].sort((a, b) => b.weight - a.weight);
+    container.appendChild(wordcloudContainer);
     
-    // Calculate maximum weight for scaling
+    const width = wordcloudContainer.clientWidth || WORDCLOUD_DEFAULT_WIDTH;
+    const height = WORDCLOUD_HEIGHT;
+    const words = layoutWordCloud(data.topWords, { width, height, measureText: createTextMeasurer() });
     const maxWeight = Math.max(...words.map(w => w.weight));
     
-    // Create simple word cloud visualization
-    const simpleCloud = document.createElement('div');
-    simpleCloud.className = 'simple-wordcloud';
-    simpleCloud.style.display = 'flex';
-    simpleCloud.style.flexWrap = 'wrap';
-    simpleCloud.style.justifyContent = 'center';
-    simpleCloud.style.alignItems = 'center';
-    simpleCloud.style.padding = '20px';
+    // SVG scales with the container when the dashboard is resized
+    const svg = document.createElementNS(SVG_NAMESPACE, 'svg');
+    svg.setAttribute('class', 'wordcloud');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.setAttribute('preserveAspectRatio', 'xMidYMid meet');
+    svg.setAttribute('width', '100%');
+    svg.setAttribute('height', height);
     
     words.forEach(word => {
-        const wordElement = document.createElement('span');
-        const fontSize = Math.max(14, Math.min(48, 14 + (word.weight / maxWeight) * 34));
         const opacity = 0.5 + (word.weight / maxWeight) * 0.5;
+        const label = t('dashboard.visualization.wordcloud.wordLabel', { word: word.text, count: word.weight });
         
+        const wordElement = document.createElementNS(SVG_NAMESPACE, 'text');
+        wordElement.setAttribute('class', 'wordcloud-word');
+        wordElement.setAttribute('x', word.x + word.width / 2);
+        wordElement.setAttribute('y', word.y + word.height / 2);
+        wordElement.setAttribute('text-anchor', 'middle');
+        wordElement.setAttribute('dominant-baseline', 'central');
+        wordElement.setAttribute('font-size', word.fontSize);
+        wordElement.setAttribute('font-family', WORDCLOUD_FONT);
+        wordElement.setAttribute('font-weight', word.fontSize > 25 ? 'bold' : 'normal');
+        wordElement.setAttribute('fill', `rgba(74, 134, 232, ${opacity})`);
+        wordElement.setAttribute('aria-label', label);
         wordElement.textContent = word.text;
-        wordElement.style.fontSize = `${fontSize}px`;
-        wordElement.style.padding = '5px 8px';
-        wordElement.style.margin = '5px';
-        wordElement.style.color = `rgba(74, 134, 232, ${opacity})`;
-        wordElement.style.fontWeight = fontSize > 25 ? 'bold' : 'normal';
-        wordElement.title = `${word.text}: ${word.weight} occurrences`;
         
-        simpleCloud.appendChild(wordElement);
+        const title = document.createElementNS(SVG_NAMESPACE, 'title');
+        title.textContent = label;
+        wordElement.appendChild(title);
+        
+        // Show the responses containing the word
+        if (onWordSelect) {
+            wordElement.classList.add('selectable');
+            wordElement.setAttribute('tabindex', '0');
+            wordElement.setAttribute('role', 'button');
+            wordElement.addEventListener('click', () => onWordSelect(word.text));
+            wordElement.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    onWordSelect(word.text);
+                }
+            });
+        }
+        
+        svg.appendChild(wordElement);
     });
     
-    wordcloudContainer.appendChild(simpleCloud);
-    container.appendChild(wordcloudContainer);
+    wordcloudContainer.appendChild(svg);
     
     // Add note about word cloud
     const note = document.createElement('p');
     note.className = 'wordcloud-note';
-    note.textContent = 'Word cloud shows the most frequent words from all responses, with larger words appearing more frequently.';
-    note.style.fontSize = '12px';
-    note.style.color = '#666';
-    note.style.textAlign = 'center';
-    note.style.marginTop = '10px';
+    note.textContent = onWordSelect
+        ? `${t('dashboard.visualization.wordcloud.note')} ${t('dashboard.visualization.wordcloud.selectHint')}`
+        : t('dashboard.visualization.wordcloud.note');
     container.appendChild(note);
 }
 
@@ -126,8 +213,10 @@ function renderWordCloud(container, data, question) {
  * Create and show a modal with all responses and filtering capability
  * @param {Object} question - The question definition
  * @param {Array} responses - Array of all responses to display
+ * @param {string|null} [term] - Word or phrase from the word cloud; only responses containing it are shown
+ * @param {Object|null} [coding] - Set to let the viewer code the responses: { onChange }
  */
-function showResponsesModal(question, responses) {
+function showResponsesModal(question, responses, term = null, coding = null) {
     // Create modal container
     const modalOverlay = document.createElement('div');
     modalOverlay.className = 'modal-overlay';
@@ -139,9 +228,10 @@ function showResponsesModal(question, responses) {
     const modalHeader = document.createElement('div');
     modalHeader.className = 'modal-header';
     modalHeader.innerHTML = `
-        <h3>All Responses: ${question.title}</h3>
-        <button class="modal-close" aria-label="Close modal">&times;</button>
+        <h3></h3>
+        <button class="modal-close" aria-label="${t('dashboard.visualization.responsesModal.close')}">&times;</button>
     `;
+    modalHeader.querySelector('h3').textContent = t('dashboard.visualization.responsesModal.title', { question: question.title });
     modalContent.appendChild(modalHeader);
     
     // Add filter section
@@ -149,15 +239,78 @@ function showResponsesModal(question, responses) {
     filterSection.className = 'filter-section';
     filterSection.innerHTML = `
         <div class="filter-input-container">
-            <input type="text" id="response-filter" class="filter-input" placeholder="Filter responses..." />
+            <input type="text" id="response-filter" class="filter-input" placeholder="${t('dashboard.visualization.responsesModal.filter')}" />
             <span class="filter-icon">🔍</span>
         </div>
         <div class="filter-stats">
-            <span id="filter-count">${responses.length}</span> responses
+            <span id="filter-count">${t('dashboard.visualization.responsesModal.count', { count: responses.length })}</span>
         </div>
     `;
     modalContent.appendChild(filterSection);
     
+    /**
+     * Add a theme to the codebook
+     * @param {string} label - Label of the theme
+     */
+    const onAddTheme = (label) => {
+        if (!addTheme(question.id, label)) {
+            alert(t('dashboard.coding.themeExists', { theme: label }));
+            return;
+        }
+        themesChanged = true;
+        refreshCodebook();
+        modalContent.querySelector('.codebook-input').focus();
+    };
+    
+    /**
+     * Remove a theme from the codebook and from the responses coded with it
+     * @param {Object} theme - The theme: { id, label }
+     */
+    const onRemoveTheme = (theme) => {
+        if (!confirm(t('dashboard.coding.confirmRemove', { theme: theme.label }))) {
+            return;
+        }
+        removeTheme(question.id, theme.id);
+        themesChanged = true;
+        refreshCodebook();
+    };
+    
+    // Let the viewer define themes and code the responses with them
+    let codebook = coding ? getCodebook(question.id) : null;
+    let themesChanged = false;
+    let codesChanged = false;
+    const themeFilterSelect = document.createElement('select');
+    if (coding) {
+        themeFilterSelect.className = 'theme-filter';
+        themeFilterSelect.setAttribute('aria-label', t('dashboard.coding.themeFilter'));
+        themeFilterSelect.addEventListener('change', () => applyFilter());
+        filterSection.insertBefore(themeFilterSelect, filterSection.querySelector('.filter-stats'));
+        
+        modalContent.appendChild(createCodebookEditor(codebook.themes, onAddTheme, onRemoveTheme));
+    }
+    
+    // Show the word cloud term the responses are limited to, with a button to show all again
+    let termFilter = term;
+    if (termFilter) {
+        const termChip = document.createElement('div');
+        termChip.className = 'term-filter';
+        termChip.textContent = t('dashboard.visualization.wordcloud.containing', { term: termFilter });
+        
+        const removeTermButton = document.createElement('button');
+        removeTermButton.type = 'button';
+        removeTermButton.className = 'term-filter-remove';
+        removeTermButton.textContent = '×';
+        removeTermButton.setAttribute('aria-label', t('dashboard.visualization.wordcloud.showAll'));
+        removeTermButton.addEventListener('click', () => {
+            termFilter = null;
+            filterSection.removeChild(termChip);
+            applyFilter();
+            filterInput.focus();
+        });
+        termChip.appendChild(removeTermButton);
+        filterSection.appendChild(termChip);
+    }
+    
     // Add responses container
     const responsesContainer = document.createElement('div');
     responsesContainer.className = 'responses-container';
@@ -172,70 +325,220 @@ function showResponsesModal(question, responses) {
     modalOverlay.appendChild(modalContent);
     document.body.appendChild(modalOverlay);
     
+    // Close the modal, and let the dashboard show the new coding
+    const closeModal = () => {
+        document.body.removeChild(modalOverlay);
+        document.removeEventListener('keydown', escListener);
+        if (coding && coding.onChange && (themesChanged || codesChanged)) {
+            coding.onChange({ themesChanged });
+        }
+    };
+    
     // Add event listener to close modal
     const closeButton = modalHeader.querySelector('.modal-close');
-    closeButton.addEventListener('click', () => {
-        document.body.removeChild(modalOverlay);
-    });
+    closeButton.addEventListener('click', closeModal);
     
     // Close on overlay click
     modalOverlay.addEventListener('click', (e) => {
         if (e.target === modalOverlay) {
-            document.body.removeChild(modalOverlay);
+            closeModal();
         }
     });
     
     // Add escape key listener
     const escListener = (e) => {
         if (e.key === 'Escape') {
-            document.body.removeChild(modalOverlay);
-            document.removeEventListener('keydown', escListener);
+            closeModal();
         }
     };
     document.addEventListener('keydown', escListener);
     
-    // Initialize the response list with pagination
+    // Initialize the response list with pagination, in random order
     const itemsPerPage = 10;
     let currentPage = 1;
-    let filteredResponses = [...responses];
+    const shuffledResponses = [...responses].sort(() => 0.5 - Math.random());
+    let filteredResponses = shuffledResponses;
+    
+    // Add the theme toggles of the codebook to each response
+    const decorateItem = coding ? (body, response) => {
+        if (response.key && codebook.themes.length > 0) {
+            body.appendChild(createCodeToggles(question.id, response.key, codebook, () => {
+                codesChanged = true;
+                codebook = getCodebook(question.id);
+            }));
+        }
+    } : null;
     
-    // Filter listener
-    const filterInput = filterSection.querySelector('#response-filter');
-    filterInput.addEventListener('input', () => {
+    /**
+     * Filter the responses on the word cloud term and the typed filter, and show the first page
+     */
+    const applyFilter = () => {
         const filterValue = filterInput.value.toLowerCase().trim();
+        const themeFilter = coding ? themeFilterSelect.value : '';
         
-        // Filter responses
-        if (filterValue) {
-            filteredResponses = responses.filter(response => {
-                // Handle different response formats (string or object)
-                const text = typeof response === 'object' ? 
-                    (response.value || '').toString().toLowerCase() : 
-                    (response || '').toString().toLowerCase();
-                
-                return text.includes(filterValue);
-            });
-        } else {
-            filteredResponses = [...responses];
-        }
+        filteredResponses = shuffledResponses.filter(response => {
+            // Handle different response formats (string or object)
+            const text = typeof response === 'object' ? 
+                (response.value || '').toString() : 
+                (response || '').toString();
+            
+            if (termFilter && !containsTerm(text, termFilter)) {
+                return false;
+            }
+            if (themeFilter) {
+                const codes = (typeof response === 'object' && codebook.assignments[response.key]) || [];
+                if (themeFilter === UNCODED_FILTER ? codes.length > 0 : !codes.includes(themeFilter)) {
+                    return false;
+                }
+            }
+            return !filterValue || stripHtml(text).toLowerCase().includes(filterValue);
+        });
         
         // Update filter count
         const filterCount = filterSection.querySelector('#filter-count');
-        filterCount.textContent = filteredResponses.length;
+        filterCount.textContent = t('dashboard.visualization.responsesModal.count', { count: filteredResponses.length });
         
         // Reset pagination to first page
         currentPage = 1;
         
         // Re-render responses
-        renderResponsePage(filteredResponses, responsesContainer, paginationContainer, currentPage, itemsPerPage);
-    });
+        renderResponsePage(filteredResponses, responsesContainer, paginationContainer, currentPage, itemsPerPage, decorateItem);
+    };
+    
+    /**
+     * Show the changed codebook in the editor, the theme filter and the responses
+     */
+    const refreshCodebook = () => {
+        codebook = getCodebook(question.id);
+        modalContent.querySelector('.codebook-section')
+            .replaceWith(createCodebookEditor(codebook.themes, onAddTheme, onRemoveTheme));
+        updateThemeFilterOptions(themeFilterSelect, codebook.themes);
+        applyFilter();
+    };
+    
+    // Filter listener
+    const filterInput = filterSection.querySelector('#response-filter');
+    filterInput.addEventListener('input', applyFilter);
     
     // Initial render
-    renderResponsePage(filteredResponses, responsesContainer, paginationContainer, currentPage, itemsPerPage);
+    if (coding) {
+        updateThemeFilterOptions(themeFilterSelect, codebook.themes);
+    }
+    applyFilter();
     
     // Set focus on filter input
     setTimeout(() => filterInput.focus(), 100);
 }
 
+/**
+ * Create the editor of the codebook of a question: its themes and a form to add one
+ * @param {Array} themes - Themes of the codebook: { id, label }
+ * @param {Function} onAdd - Called with the label of a theme to add
+ * @param {Function} onRemove - Called with a theme to remove
+ * @returns {HTMLElement} - The codebook editor
+ */
+function createCodebookEditor(themes, onAdd, onRemove) {
+    const section = document.createElement('div');
+    section.className = 'codebook-section';
+    section.innerHTML = `
+        <h4>${t('dashboard.coding.codebook')}</h4>
+        <ul class="codebook-themes"></ul>
+        <form class="codebook-add">
+            <input type="text" class="filter-input codebook-input" placeholder="${t('dashboard.coding.newTheme')}" aria-label="${t('dashboard.coding.newTheme')}" />
+            <button type="submit" class="btn secondary">${t('dashboard.coding.addTheme')}</button>
+        </form>
+    `;
+    
+    const themeList = section.querySelector('.codebook-themes');
+    themes.forEach(theme => {
+        const item = document.createElement('li');
+        item.className = 'codebook-theme';
+        item.textContent = theme.label;
+        
+        const removeButton = document.createElement('button');
+        removeButton.type = 'button';
+        removeButton.className = 'term-filter-remove';
+        removeButton.textContent = '×';
+        removeButton.setAttribute('aria-label', t('dashboard.coding.removeTheme', { theme: theme.label }));
+        removeButton.addEventListener('click', () => onRemove(theme));
+        item.appendChild(removeButton);
+        
+        themeList.appendChild(item);
+    });
+    
+    const form = section.querySelector('.codebook-add');
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const label = form.querySelector('.codebook-input').value.trim();
+        if (label) {
+            onAdd(label);
+        }
+    });
+    
+    return section;
+}
+
+/**
+ * Fill the theme filter of the responses modal with the themes of the codebook
+ * @param {HTMLSelectElement} select - The theme filter
+ * @param {Array} themes - Themes of the codebook: { id, label }
+ */
+function updateThemeFilterOptions(select, themes) {
+    const selected = select.value;
+    
+    select.innerHTML = `
+        <option value="">${t('dashboard.coding.allThemes')}</option>
+        <option value="${UNCODED_FILTER}">${t('dashboard.coding.uncoded')}</option>
+    `;
+    themes.forEach(theme => {
+        const option = document.createElement('option');
+        option.value = theme.id;
+        option.textContent = theme.label;
+        select.appendChild(option);
+    });
+    
+    // Keep the selected theme unless it was removed
+    select.value = Array.from(select.options).some(option => option.value === selected) ? selected : '';
+}
+
+/**
+ * Create the toggles to code a response with the themes of the codebook
+ * @param {string} questionId - Question ID
+ * @param {string} responseKey - Key of the response, see getResponseKey
+ * @param {Object} codebook - Codebook of the question: { themes, assignments }
+ * @param {Function} onChange - Called after the codes of the response changed
+ * @returns {HTMLElement} - Group of checkboxes, one per theme
+ */
+function createCodeToggles(questionId, responseKey, codebook, onChange) {
+    const codes = codebook.assignments[responseKey] || [];
+    
+    const toggles = document.createElement('div');
+    toggles.className = 'response-codes';
+    toggles.setAttribute('role', 'group');
+    toggles.setAttribute('aria-label', t('dashboard.coding.responseThemes'));
+    
+    codebook.themes.forEach(theme => {
+        const label = document.createElement('label');
+        label.className = 'response-code';
+        
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = theme.id;
+        checkbox.checked = codes.includes(theme.id);
+        checkbox.addEventListener('change', () => {
+            const checked = Array.from(toggles.querySelectorAll('input:checked')).map(input => input.value);
+            setResponseCodes(questionId, responseKey, checked);
+            onChange();
+        });
+        
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(` ${theme.label}`));
+        toggles.appendChild(label);
+    });
+    
+    return toggles;
+}
+
 /**
  * Render a page of responses with pagination
  * @param {Array} responses - Filtered responses to display
@@ -243,8 +546,9 @@ function showResponsesModal(question, responses) {
  * @param {HTMLElement} paginationContainer - Container for pagination controls
  * @param {Number} currentPage - Current page number
  * @param {Number} itemsPerPage - Number of items to show per page
+ * @param {Function|null} [decorateItem] - Called with the body element and the response of each item, to add controls
  */
-function renderResponsePage(responses, container, paginationContainer, currentPage, itemsPerPage) {
+function renderResponsePage(responses, container, paginationContainer, currentPage, itemsPerPage, decorateItem = null) {
     // Clear container
     container.innerHTML = '';
     
@@ -257,7 +561,7 @@ function renderResponsePage(responses, container, paginationContainer, currentPa
     if (responses.length === 0) {
         const emptyState = document.createElement('div');
         emptyState.className = 'empty-state';
-        emptyState.textContent = 'No responses match your filter criteria.';
+        emptyState.textContent = t('dashboard.visualization.noData.filter');
         container.appendChild(emptyState);
         
         // Clear pagination
@@ -269,13 +573,9 @@ function renderResponsePage(responses, container, paginationContainer, currentPa
     const responseList = document.createElement('div');
     responseList.className = 'response-list';
     
-
-    // created a randomly sorted array of responses
-    const shuffledResponses = responses.sort(() => 0.5 - Math.random());
-
     // Add responses for current page
     for (let i = startIdx; i < endIdx; i++) {
-        const response = shuffledResponses[i];
+        const response = responses[i];
         const text = typeof response === 'object' ? 
             (response.value || '').toString() : 
             (response || '').toString();
@@ -285,9 +585,15 @@ function renderResponsePage(responses, container, paginationContainer, currentPa
         
         responseItem.innerHTML = `
             <div class="response-number">#${i + 1}</div>
-            <div class="response-text">${text}</div>
+            <div class="response-body">
+                <div class="response-text">${text}</div>
+            </div>
         `;
         
+        if (decorateItem) {
+            decorateItem(responseItem.querySelector('.response-body'), response);
+        }
+        
         responseList.appendChild(responseItem);
     }
     
@@ -297,7 +603,7 @@ function renderResponsePage(responses, container, paginationContainer, currentPa
     renderPagination(responses, paginationContainer, currentPage, totalPages, itemsPerPage, (newPage) => {
         // Update current page and re-render
         currentPage = newPage;
-        renderResponsePage(responses, container, paginationContainer, currentPage, itemsPerPage);
+        renderResponsePage(responses, container, paginationContainer, currentPage, itemsPerPage, decorateItem);
     });
 }
 
@@ -404,7 +710,7 @@ function renderPagination(responses, container, currentPage, totalPages, itemsPe
     // Page info
     const pageInfo = document.createElement('div');
     pageInfo.className = 'page-info';
-    pageInfo.textContent = `Page ${currentPage} of ${totalPages} (${responses.length} responses)`;
+    pageInfo.textContent = t('dashboard.visualization.responsesModal.page', { page: currentPage, pages: totalPages, count: responses.length });
     pagination.appendChild(pageInfo);
     
     container.appendChild(pagination);
@@ -0,0 +1,132 @@
+/**
+ * themeVisualizer.js
+ * Visualization component for the coded themes of text questions
+ *
+ * Shows how many responses were coded with each theme of the question's
+ * codebook as a horizontal bar chart. Themes are assigned in the responses
+ * modal of the text visualizer.
+ */
+
+import { aggregateThemeResponses } from '../resultsDataService.js';
+import { getCodebook } from '../admin/thematicCoding.js';
+import { t } from '../../../js/i18n.js';
+import { addDataTable, describeVisualization, findTopEntry } from './dataTable.js';
+
+/**
+ * Create a bar chart of the themes coded in the responses to a text question
+ * @param {HTMLElement} container - The DOM element to render the chart in
+ * @param {Array<string>} responseKeys - Keys of the responses to show, see getResponseKey
+ * @param {Object} question - The question definition
+ */
+export function createThemeVisualization(container, responseKeys, question) {
+    const codebook = getCodebook(question.id);
+
+    if (codebook.themes.length === 0) {
+        const message = document.createElement('p');
+        message.className = 'no-data';
+        message.textContent = t('dashboard.coding.noThemes');
+        container.appendChild(message);
+        return;
+    }
+
+    const aggregatedData = aggregateThemeResponses(responseKeys, codebook);
+
+    renderBarChart(container, aggregatedData, question);
+
+    // Show how much of the responses has been coded so far
+    const progress = document.createElement('p');
+    progress.className = 'theme-progress';
+    progress.textContent = t('dashboard.coding.progress', {
+        count: aggregatedData.codedResponses,
+        total: aggregatedData.totalResponses
+    });
+    container.appendChild(progress);
+
+    // Add the data as a table and describe the key finding for screen readers
+    addDataTable(container, {
+        caption: question.title,
+        columns: [
+            t('dashboard.visualization.table.theme'),
+            t('dashboard.visualization.table.responses'),
+            t('dashboard.visualization.table.percentage')
+        ],
+        rows: aggregatedData.labels.map((label, i) => [label, aggregatedData.data[i], `${aggregatedData.percentages[i]}%`])
+    });
+    const top = findTopEntry(aggregatedData.labels, aggregatedData.data);
+    describeVisualization(container, t('dashboard.visualization.summary.mostCodedTheme', {
+        label: top.label,
+        percentage: aggregatedData.percentages[top.index]
+    }));
+}
+
+/**
+ * Render a horizontal bar chart of the theme counts
+ * @param {HTMLElement} container - Chart container
+ * @param {Object} data - Aggregated data
+ * @param {Object} question - Question definition
+ */
+function renderBarChart(container, data, question) {
+    const chartContainer = document.createElement('div');
+    chartContainer.className = 'theme-chart';
+
+    const canvas = document.createElement('canvas');
+    canvas.id = `chart-${question.id}`;
+    chartContainer.appendChild(canvas);
+    container.appendChild(chartContainer);
+
+    // Default color palette
+    const colors = [
+        '#4a86e8', '#6aa84f', '#e69138', '#8e63ce', '#d5573b',
+        '#45818e', '#a64d79', '#674ea7', '#990000', '#0c343d'
+    ];
+
+    new Chart(canvas, {
+        type: 'bar',
+        data: {
+            labels: data.labels,
+            datasets: [{
+                label: t('dashboard.visualization.table.responses'),
+                data: data.data,
+                backgroundColor: data.labels.map((_, i) => colors[i % colors.length]),
+                borderWidth: 1
+            }]
+        },
+        options: {
+            indexAxis: 'y',
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.raw || 0} (${data.percentages[context.dataIndex]}%)`
+                    }
+                },
+                datalabels: {
+                    formatter: (value) => (value > 0 ? value : ''),
+                    color: '#333',
+                    font: {
+                        weight: 'bold'
+                    },
+                    anchor: 'end',
+                    align: 'right'
+                }
+            },
+            scales: {
+                x: {
+                    beginAtZero: true,
+                    ticks: {
+                        precision: 0
+                    }
+                },
+                y: {
+                    grid: {
+                        display: false
+                    }
+                }
+            }
+        }
+    });
+}
@@ -0,0 +1,101 @@
+/**
+ * wordCloudLayout.js
+ * Spiral layout of a word cloud
+ *
+ * Words are placed from the most to the least frequent. Each word starts in the
+ * centre and moves outward along an Archimedean spiral, stretched to the shape
+ * of the cloud, until its bounding box overlaps no word placed before. Words
+ * that do not fit are left out. The layout has no randomness, so the same data
+ * always gives the same cloud.
+ */
+
+// Font size of the least and most frequent word, in pixels
+const MIN_FONT_SIZE = 14;
+const MAX_FONT_SIZE = 48;
+
+// Space kept free around each word, in pixels
+const WORD_PADDING = 3;
+
+// Angle step and radius growth per radian of the spiral
+const SPIRAL_STEP = 0.1;
+const SPIRAL_GROWTH = 2;
+
+// Line height relative to the font size
+const LINE_HEIGHT = 1.1;
+
+/**
+ * Get the font size of a word from its weight
+ * @param {number} weight - Weight of the word
+ * @param {number} minWeight - Lowest weight in the cloud
+ * @param {number} maxWeight - Highest weight in the cloud
+ * @returns {number} - Font size in pixels
+ */
+function getFontSize(weight, minWeight, maxWeight) {
+    if (maxWeight === minWeight) {
+        return (MIN_FONT_SIZE + MAX_FONT_SIZE) / 2;
+    }
+    const ratio = (weight - minWeight) / (maxWeight - minWeight);
+    return Math.round(MIN_FONT_SIZE + ratio * (MAX_FONT_SIZE - MIN_FONT_SIZE));
+}
+
+/**
+ * Check whether two boxes overlap
+ * @param {Object} a - Box: { x, y, width, height } with x and y the top left corner
+ * @param {Object} b - Box: { x, y, width, height }
+ * @returns {boolean} - Whether the boxes overlap
+ */
+function overlaps(a, b) {
+    return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Lay out the words of a word cloud
+ * @param {Array<Object>} words - Words: { text, weight }
+ * @param {Object} options - Layout options
+ * @param {number} options.width - Width of the cloud in pixels
+ * @param {number} options.height - Height of the cloud in pixels
+ * @param {Function} options.measureText - (text, fontSize) => width of the text in pixels
+ * @returns {Array<Object>} - Placed words: the word with fontSize and box { x, y, width, height }
+ */
+export function layoutWordCloud(words, { width, height, measureText }) {
+    if (words.length === 0) {
+        return [];
+    }
+
+    const weights = words.map(word => word.weight);
+    const minWeight = Math.min(...weights);
+    const maxWeight = Math.max(...weights);
+
+    const centerX = width / 2;
+    const centerY = height / 2;
+    const aspect = width / height;
+    const maxRadius = Math.hypot(centerX, centerY);
+
+    const placed = [];
+    [...words].sort((a, b) => b.weight - a.weight).forEach(word => {
+        const fontSize = getFontSize(word.weight, minWeight, maxWeight);
+        const boxWidth = measureText(word.text, fontSize) + WORD_PADDING * 2;
+        const boxHeight = fontSize * LINE_HEIGHT + WORD_PADDING * 2;
+        if (boxWidth > width || boxHeight > height) {
+            return;
+        }
+
+        for (let angle = 0; SPIRAL_GROWTH * angle <= maxRadius; angle += SPIRAL_STEP) {
+            const radius = SPIRAL_GROWTH * angle;
+            const box = {
+                x: centerX + radius * Math.cos(angle) * aspect - boxWidth / 2,
+                y: centerY + radius * Math.sin(angle) - boxHeight / 2,
+                width: boxWidth,
+                height: boxHeight
+            };
+
+            const inside = box.x >= 0 && box.y >= 0 && box.x + boxWidth <= width && box.y + boxHeight <= height;
+            if (inside && !placed.some(other => overlaps(box, other))) {
+                placed.push({ ...word, fontSize, ...box });
+                return;
+            }
+        }
+    });
+
+    return placed;
+}
@@ -0,0 +1,155 @@
+/**
+ * service-worker.js
+ * Service worker that keeps the survey app available offline
+ *
+ * The app shell and the survey definition are cached on install. Requests
+ * for the app's own files go to the network first and fall back to the cache,
+ * so online users always get the latest version. Libraries from the CDNs are
+ * served from the cache once loaded. Requests to the API gateway are not
+ * handled here; submissions made offline are queued by submissionQueue.js.
+ */
+
+// Name of the cache; change it to drop files cached by an older version
+const CACHE_NAME = 'survey-app-v2';
+
+// App shell and survey definition, relative to the service worker
+const APP_SHELL_FILES = [
+  './',
+  'index.html',
+  'styles.css',
+  'survey-styles.css',
+  'multi-value-slider-d3.css',
+  'js/accessibility.js',
+  'js/app.js',
+  'js/auth.js',
+  'js/authConfig.js',
+  'js/authorization.js',
+  'js/authProviders/devProvider.js',
+  'js/authProviders/inviteCodeProvider.js',
+  'js/authProviders/jwt.js',
+  'js/authProviders/msalProvider.js',
+  'js/authProviders/oidcProvider.js',
+  'js/conditionEvaluator.js',
+  'js/dataConfig.js',
+  'js/dataService.js',
+  'js/i18n.js',
+  'js/i18n/en.js',
+  'js/i18n/nl.js',
+  'js/localization.js',
+  'js/mockBackend.js',
+  'js/mockResponseGenerator.js',
+  'js/questionRenderers.js',
+  'js/questionRenderersExtended.js',
+  'js/questionRenderersMultiValueSliderD3.js',
+  'js/questionRenderersRadar.js',
+  'js/questionRenderersRank.js',
+  'js/questionRenderersTags.js',
+  'js/radarAnswers.js',
+  'js/responseRevisions.js',
+  'js/submissionQueue.js',
+  'js/surveyAvailability.js',
+  'js/surveyCatalog.js',
+  'js/surveyData.js',
+  'js/surveyNavigation.js',
+  'js/surveyPrivacy.js',
+  'js/surveyValidator.js',
+  'js/surveyWizard.js',
+  'js/svgRectValidator.js',
+  'js/ui.js',
+  'js/data/surveyCatalog.json',
+  'js/data/conclusionCloudSurvey.json',
+  'js/schema/surveySchema.json'
+];
+
+// Hosts of the libraries loaded from CDNs
+const CDN_HOSTS = ['cdn.quilljs.com', 'd3js.org', 'alcdn.msauth.net'];
+
+// Background sync tag, as registered by submissionQueue.js
+const SYNC_TAG = 'survey-submissions';
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(CACHE_NAME)
+      .then(cache => cache.addAll(APP_SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  // Remove caches of older versions
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(names
+        .filter(name => name !== CACHE_NAME)
+        .map(name => caches.delete(name))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', event => {
+  const request = event.request;
+  if (request.method !== 'GET') {
+    return;
+  }
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(networkFirst(request));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+// Connectivity has returned: ask open pages to send the queued submissions,
+// as only the pages have the user's token
+self.addEventListener('sync', event => {
+  if (event.tag === SYNC_TAG) {
+    event.waitUntil(
+      self.clients.matchAll({ type: 'window' })
+        .then(clients => clients.forEach(client => client.postMessage({ type: 'replay-submissions' })))
+    );
+  }
+});
+
+/**
+ * Get a response from the network and cache it; fall back to the cache when offline
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} The response
+ */
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    // Cached files are stored without the cache-busting query parameters some requests use
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Get a response from the cache, or from the network and cache it
+ * @param {Request} request - The request
+ * @returns {Promise<Response>} The response
+ */
+async function cacheFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  const cached = await cache.match(request);
+  if (cached) {
+    return cached;
+  }
+
+  const response = await fetch(request);
+  // Opaque responses (status 0) of scripts loaded without CORS can be cached as well
+  if (response.ok || response.type === 'opaque') {
+    cache.put(request, response.clone());
+  }
+  return response;
+}